@@ -0,0 +1,46 @@
+-- Add audit trail for state-changing actions (POST/PUT/DELETE API requests)
+-- Run this in your Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS audit_events (
+    id BIGSERIAL PRIMARY KEY,
+    user_id BIGINT REFERENCES app_users(id) ON DELETE SET NULL,
+    username VARCHAR(255),                      -- Kept so events survive user deletion
+    action VARCHAR(100) NOT NULL,               -- e.g. 'campaign.update', 'user.delete'
+    method VARCHAR(10) NOT NULL,
+    route VARCHAR(255) NOT NULL,                -- Express route pattern, e.g. /users/:id
+    target_type VARCHAR(50),
+    target_id VARCHAR(100),
+    before_state JSONB,
+    after_state JSONB,
+    changes JSONB,                              -- { field: { from, to } }
+    request_body JSONB,                         -- Sanitized (passwords/tokens redacted)
+    status_code INTEGER,
+    success BOOLEAN,
+    ip_address VARCHAR(64),
+    user_agent TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create indexes for the Audit Log filters
+CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON audit_events (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_user_id ON audit_events (user_id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events (action);
+CREATE INDEX IF NOT EXISTS idx_audit_events_target ON audit_events (target_type, target_id);
+
+-- Enable RLS on the new table
+ALTER TABLE audit_events ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies for service role access (insert and read only - events are never edited)
+CREATE POLICY "Service role can read audit_events"
+ON audit_events FOR SELECT
+TO service_role
+USING (true);
+
+CREATE POLICY "Service role can insert audit_events"
+ON audit_events FOR INSERT
+TO service_role
+WITH CHECK (true);
+
+-- Grant permissions
+GRANT SELECT, INSERT ON audit_events TO service_role;
+GRANT ALL ON SEQUENCE audit_events_id_seq TO service_role;
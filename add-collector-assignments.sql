@@ -0,0 +1,76 @@
+-- Add collector assignment of customer accounts and follow-up dates on notes
+-- Run this in your Supabase SQL Editor
+
+-- Manual assignment of a customer account (billing contact) to a collector.
+-- Takes precedence over the assignment rules.
+CREATE TABLE IF NOT EXISTS collector_assignments (
+    id SERIAL PRIMARY KEY,
+    billing_contact_id INTEGER NOT NULL UNIQUE,
+    user_id BIGINT NOT NULL REFERENCES app_users(id) ON DELETE CASCADE,
+    assigned_by BIGINT REFERENCES app_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Assignment rules, applied in priority order (lowest first) to accounts without a manual assignment
+CREATE TABLE IF NOT EXISTS collector_assignment_rules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    user_id BIGINT NOT NULL REFERENCES app_users(id) ON DELETE CASCADE,
+    rule_type VARCHAR(20) NOT NULL CHECK (rule_type IN ('name_range', 'balance_band', 'region')),
+    priority INTEGER NOT NULL DEFAULT 100,
+    name_from VARCHAR(50),                      -- name_range: account names from this prefix...
+    name_to VARCHAR(50),                        -- ...up to and including this prefix (e.g. A to F)
+    min_balance NUMERIC(12,2),                  -- balance_band: total outstanding of the account
+    max_balance NUMERIC(12,2),
+    regions TEXT[],                             -- region: billing states/counties or countries
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by BIGINT REFERENCES app_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT collector_assignment_rule_criteria CHECK (
+        (rule_type = 'name_range' AND name_from IS NOT NULL AND name_to IS NOT NULL) OR
+        (rule_type = 'balance_band' AND (min_balance IS NOT NULL OR max_balance IS NOT NULL)) OR
+        (rule_type = 'region' AND regions IS NOT NULL)
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_collector_assignment_rules_priority ON collector_assignment_rules (priority, id) WHERE is_active;
+
+-- Billing region for region rules, and the resolved collector on the cached invoice.
+-- The invoice sync re-applies assignments after every run; assigned_to is not part of the
+-- sync upsert, so it survives cache refreshes.
+ALTER TABLE cached_invoices
+ADD COLUMN IF NOT EXISTS billing_region VARCHAR(100),
+ADD COLUMN IF NOT EXISTS billing_country VARCHAR(100),
+ADD COLUMN IF NOT EXISTS assigned_to BIGINT REFERENCES app_users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_cached_invoices_assigned_to ON cached_invoices (assigned_to);
+
+-- Follow-up due date on notes, shown on the collector worklist
+ALTER TABLE order_notes
+ADD COLUMN IF NOT EXISTS follow_up_date DATE;
+
+CREATE INDEX IF NOT EXISTS idx_order_notes_follow_up_date ON order_notes (follow_up_date) WHERE follow_up_date IS NOT NULL;
+
+-- Enable RLS on the new tables
+ALTER TABLE collector_assignments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE collector_assignment_rules ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies for service role access
+CREATE POLICY "Service role can manage collector_assignments"
+ON collector_assignments FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+CREATE POLICY "Service role can manage collector_assignment_rules"
+ON collector_assignment_rules FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON collector_assignments TO service_role;
+GRANT ALL ON SEQUENCE collector_assignments_id_seq TO service_role;
+GRANT ALL ON collector_assignment_rules TO service_role;
+GRANT ALL ON SEQUENCE collector_assignment_rules_id_seq TO service_role;
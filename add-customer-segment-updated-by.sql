@@ -0,0 +1,4 @@
+-- Record who last changed a customer segment assignment (created_by keeps who made it)
+-- Run this in your Supabase SQL Editor
+ALTER TABLE customer_segments
+ADD COLUMN IF NOT EXISTS updated_by BIGINT REFERENCES app_users(id) ON DELETE SET NULL;
@@ -0,0 +1,26 @@
+-- Add customer statement attachments to automated email campaigns
+-- Run this in your Supabase SQL Editor
+
+-- Which PDF(s) each campaign attaches:
+-- 'invoice' = the overdue order's invoice (previous behaviour)
+-- 'statement' = statement of all the customer's open invoices
+-- 'both' = invoice and statement
+ALTER TABLE automated_email_campaigns
+ADD COLUMN IF NOT EXISTS attachment_type VARCHAR(20) DEFAULT 'invoice';
+
+UPDATE automated_email_campaigns SET attachment_type = 'invoice' WHERE attachment_type IS NULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'automated_email_campaigns_attachment_type_check'
+    ) THEN
+        ALTER TABLE automated_email_campaigns
+        ADD CONSTRAINT automated_email_campaigns_attachment_type_check
+        CHECK (attachment_type IN ('invoice', 'statement', 'both'));
+    END IF;
+END $$;
+
+-- Statements look up every open invoice for a billing contact
+CREATE INDEX IF NOT EXISTS idx_cached_invoices_billing_contact_id ON cached_invoices (billing_contact_id);
@@ -0,0 +1,16 @@
+-- Add per-campaign opt-outs and reminder pauses for the customer email preference center
+-- Run this in your Supabase SQL Editor
+
+-- Campaign types (automated_email_campaigns.campaign_type) the customer no longer wants to receive
+ALTER TABLE customer_email_preferences
+ADD COLUMN IF NOT EXISTS opted_out_campaigns TEXT[] DEFAULT '{}';
+
+-- Automated reminders are suppressed until this time ("pause for N days")
+ALTER TABLE customer_email_preferences
+ADD COLUMN IF NOT EXISTS paused_until TIMESTAMPTZ;
+
+-- Where the last change came from: 'preference_center', 'one_click_link' or 'portal_user'
+ALTER TABLE customer_email_preferences
+ADD COLUMN IF NOT EXISTS updated_via VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_customer_email_preferences_paused_until ON customer_email_preferences (paused_until);
@@ -0,0 +1,43 @@
+-- Add organization-wide email sender backends (SMTP relay, Google Workspace / Microsoft 365 OAuth2, email API)
+-- Run this in your Supabase SQL Editor
+
+-- When a default backend is active, all emails are sent through it instead of each
+-- user's Gmail App Password. `secrets` holds the encrypted credentials (password,
+-- OAuth2 client secret and refresh token, or API key) as one encrypted JSON value.
+CREATE TABLE IF NOT EXISTS email_sender_backends (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    backend_type VARCHAR(30) NOT NULL CHECK (backend_type IN ('smtp', 'gmail_oauth2', 'microsoft365_oauth2', 'api')),
+    config JSONB NOT NULL DEFAULT '{}'::jsonb,
+    secrets TEXT,
+    from_address VARCHAR(255) NOT NULL,
+    from_name VARCHAR(255),
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    last_verified_at TIMESTAMPTZ,
+    last_error TEXT,
+    created_by BIGINT REFERENCES app_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- At most one default sender
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_sender_backends_default ON email_sender_backends (is_default) WHERE is_default;
+
+-- Users no longer need their own App Password when the organization sender is used
+ALTER TABLE user_email_settings
+ALTER COLUMN google_app_password DROP NOT NULL;
+
+-- Enable RLS on the new table
+ALTER TABLE email_sender_backends ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies for service role access
+CREATE POLICY "Service role can manage email_sender_backends"
+ON email_sender_backends FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON email_sender_backends TO service_role;
+GRANT ALL ON SEQUENCE email_sender_backends_id_seq TO service_role;
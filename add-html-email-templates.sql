@@ -0,0 +1,7 @@
+-- Add HTML bodies to email templates: the HTML body goes out with body_template as its
+-- plain-text alternative, inside the shared branded header/footer unless use_layout is off
+-- Run this in your Supabase SQL Editor
+
+ALTER TABLE email_templates
+ADD COLUMN IF NOT EXISTS html_body_template TEXT,
+ADD COLUMN IF NOT EXISTS use_layout BOOLEAN NOT NULL DEFAULT TRUE;
@@ -0,0 +1,22 @@
+-- Add incremental (delta) sync tracking to sync_logs
+-- Run this in your Supabase SQL Editor
+
+-- 'full' = complete reconciliation of all unpaid invoices, 'incremental' = only changed orders/payments
+ALTER TABLE sync_logs
+ADD COLUMN IF NOT EXISTS sync_type VARCHAR(20) DEFAULT 'full';
+
+-- Brightpearl change timestamp the next incremental sync should start from.
+-- Set when a sync completes; incremental runs read it from the latest completed sync.
+ALTER TABLE sync_logs
+ADD COLUMN IF NOT EXISTS high_water_mark TIMESTAMPTZ;
+
+-- Number of changed orders examined by an incremental sync
+ALTER TABLE sync_logs
+ADD COLUMN IF NOT EXISTS records_changed INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_sync_logs_type_status ON sync_logs (sync_type, status, sync_started_at);
+
+-- Recommended on the Brightpearl data instance (schema brightpearl_texonbrightpearl_12537_2)
+-- so the change queries stay fast as the order history grows:
+-- CREATE INDEX IF NOT EXISTS idx_order_updatedon ON "order" (updatedon);
+-- CREATE INDEX IF NOT EXISTS idx_customerpayment_paymentdate ON customerpayment (paymentdate);
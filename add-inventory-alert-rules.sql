@@ -0,0 +1,35 @@
+-- Add alert rules for inventory comparison discrepancies
+-- Run this in your Supabase SQL Editor
+
+-- Each active rule emails its own recipients the discrepancies it matches after every run,
+-- in addition to the full report sent to the email_recipients setting.
+CREATE TABLE IF NOT EXISTS inventory_alert_rules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    min_abs_difference INTEGER CHECK (min_abs_difference IS NULL OR min_abs_difference >= 0),
+    min_percentage_difference NUMERIC(8,2) CHECK (min_percentage_difference IS NULL OR min_percentage_difference >= 0),
+    sku_patterns TEXT,                          -- SKUs separated by commas or new lines, * as wildcard (e.g. ZIP15*)
+    brands TEXT,                                -- Brands separated by commas or new lines
+    recipients TEXT NOT NULL,                   -- Comma-separated email addresses
+    only_new_or_worsening BOOLEAN NOT NULL DEFAULT false,
+    last_triggered_at TIMESTAMPTZ,
+    last_match_count INTEGER,
+    created_by BIGINT REFERENCES app_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Enable RLS on the new table
+ALTER TABLE inventory_alert_rules ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies for service role access
+CREATE POLICY "Service role can manage inventory_alert_rules"
+ON inventory_alert_rules FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON inventory_alert_rules TO service_role;
+GRANT ALL ON SEQUENCE inventory_alert_rules_id_seq TO service_role;
@@ -0,0 +1,41 @@
+-- Add resumable checkpoints for the Brightpearl side of the inventory comparison
+-- Run this in your Supabase SQL Editor
+
+-- Progress of a Brightpearl product/inventory fetch. A failed run leaves its row in
+-- 'failed' and the next comparison continues from it instead of starting over.
+CREATE TABLE IF NOT EXISTS inventory_sync_checkpoints (
+    id SERIAL PRIMARY KEY,
+    source VARCHAR(50) NOT NULL DEFAULT 'brightpearl',
+    stage VARCHAR(20) NOT NULL DEFAULT 'products'
+        CHECK (stage IN ('products', 'inventory', 'done')),
+    status VARCHAR(20) NOT NULL DEFAULT 'in_progress'
+        CHECK (status IN ('in_progress', 'failed', 'completed', 'discarded')),
+    next_first_result INTEGER DEFAULT 1,        -- Next product-search result to request
+    products JSONB DEFAULT '{}'::jsonb,         -- productId -> { id, sku, name, brand }
+    inventory JSONB DEFAULT '{}'::jsonb,        -- productId -> { available }
+    total_products INTEGER,
+    processed_products INTEGER DEFAULT 0,
+    error TEXT,
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ
+);
+
+-- Create index for finding the run to resume
+CREATE INDEX IF NOT EXISTS idx_inventory_sync_checkpoints_open
+ON inventory_sync_checkpoints (source, updated_at DESC)
+WHERE status IN ('in_progress', 'failed');
+
+-- Enable RLS on the new table
+ALTER TABLE inventory_sync_checkpoints ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies for service role access
+CREATE POLICY "Service role can manage inventory_sync_checkpoints"
+ON inventory_sync_checkpoints FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON inventory_sync_checkpoints TO service_role;
+GRANT ALL ON SEQUENCE inventory_sync_checkpoints_id_seq TO service_role;
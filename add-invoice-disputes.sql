@@ -0,0 +1,58 @@
+-- Add dispute management for unpaid invoices
+-- Run this in your Supabase SQL Editor
+
+-- One row per dispute raised on an order. The history is kept after the invoice settles
+-- (and leaves cached_invoices) for the dispute aging report.
+CREATE TABLE IF NOT EXISTS invoice_disputes (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL,
+    billing_contact_id INTEGER,
+    reason_category VARCHAR(30) NOT NULL CHECK (reason_category IN (
+        'pricing', 'quantity', 'damaged', 'not_received', 'duplicate', 'quality', 'other'
+    )),
+    description TEXT,
+    disputed_amount NUMERIC(12,2) CHECK (disputed_amount IS NULL OR disputed_amount > 0),
+    owner_id BIGINT REFERENCES app_users(id) ON DELETE SET NULL,
+    sla_due_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+    resolution VARCHAR(30) CHECK (resolution IN ('credit_note', 'partial_write_off', 'resolved')),
+    resolution_amount NUMERIC(12,2),            -- Credit note or write-off amount
+    resolution_notes TEXT,
+    opened_by BIGINT REFERENCES app_users(id) ON DELETE SET NULL,
+    opened_at TIMESTAMPTZ DEFAULT NOW(),
+    resolved_by BIGINT REFERENCES app_users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+    CONSTRAINT invoice_dispute_resolution CHECK (
+        (status = 'open' AND resolution IS NULL) OR
+        (status = 'resolved' AND resolution IS NOT NULL)
+    )
+);
+
+-- At most one open dispute per order
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoice_disputes_open_order ON invoice_disputes (order_id) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_invoice_disputes_status ON invoice_disputes (status, opened_at);
+
+-- Dispute state on the cached invoice: the open dispute, cleared when it is resolved.
+-- The invoice sync upserts only its own columns, so this survives cache refreshes.
+ALTER TABLE cached_invoices
+ADD COLUMN IF NOT EXISTS dispute_id INTEGER REFERENCES invoice_disputes(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_cached_invoices_dispute_id ON cached_invoices (dispute_id) WHERE dispute_id IS NOT NULL;
+
+-- Notes linked to a dispute
+ALTER TABLE order_notes
+ADD COLUMN IF NOT EXISTS dispute_id INTEGER REFERENCES invoice_disputes(id) ON DELETE SET NULL;
+
+-- Enable RLS on the new table
+ALTER TABLE invoice_disputes ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies for service role access
+CREATE POLICY "Service role can manage invoice_disputes"
+ON invoice_disputes FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON invoice_disputes TO service_role;
+GRANT ALL ON SEQUENCE invoice_disputes_id_seq TO service_role;
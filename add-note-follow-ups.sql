@@ -0,0 +1,20 @@
+-- Add follow-up tasks to order notes: assignee and done flag next to the follow-up date
+-- Run this in your Supabase SQL Editor
+
+ALTER TABLE order_notes
+ADD COLUMN IF NOT EXISTS follow_up_date DATE,
+ADD COLUMN IF NOT EXISTS follow_up_assigned_to BIGINT REFERENCES app_users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS follow_up_done BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS follow_up_done_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS follow_up_done_by BIGINT REFERENCES app_users(id) ON DELETE SET NULL;
+
+-- Follow-ups set before assignees existed belong to the note's author
+UPDATE order_notes
+SET follow_up_assigned_to = created_by
+WHERE follow_up_date IS NOT NULL AND follow_up_assigned_to IS NULL;
+
+-- Open tasks per assignee (task counter, daily digest)
+CREATE INDEX IF NOT EXISTS idx_order_notes_open_follow_ups
+ON order_notes (follow_up_assigned_to, follow_up_date)
+WHERE follow_up_date IS NOT NULL AND NOT follow_up_done;
+
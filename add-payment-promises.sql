@@ -0,0 +1,42 @@
+-- Add promise-to-pay tracking for unpaid orders
+-- Run this in your Supabase SQL Editor
+
+-- A customer's commitment to pay an amount by a date. Automated reminders for the order are
+-- skipped while the promise is open; the scheduler's promise check marks it kept or broken
+-- from the Brightpearl payment data once payment arrives or the promised date has passed.
+CREATE TABLE IF NOT EXISTS payment_promises (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL,
+    billing_contact_id INTEGER,
+    promised_amount NUMERIC(12,2) NOT NULL CHECK (promised_amount > 0),
+    promised_date DATE NOT NULL,
+    contact_name VARCHAR(255),                  -- Who made the promise
+    contact_method VARCHAR(50),                 -- phone, email, portal, ...
+    notes TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'kept', 'broken', 'cancelled')),
+    amount_paid_at_promise NUMERIC(12,2) NOT NULL DEFAULT 0,   -- Brightpearl amount paid when the promise was recorded
+    amount_received NUMERIC(12,2),              -- Paid since the promise, as of the last check
+    resolved_at TIMESTAMPTZ,
+    created_by BIGINT REFERENCES app_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    cancelled_by BIGINT REFERENCES app_users(id) ON DELETE SET NULL
+);
+
+-- Create indexes for fast lookups
+CREATE INDEX IF NOT EXISTS idx_payment_promises_order_id ON payment_promises (order_id);
+CREATE INDEX IF NOT EXISTS idx_payment_promises_billing_contact_id ON payment_promises (billing_contact_id);
+CREATE INDEX IF NOT EXISTS idx_payment_promises_open ON payment_promises (promised_date) WHERE status = 'open';
+
+-- Enable RLS on the new table
+ALTER TABLE payment_promises ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies for service role access
+CREATE POLICY "Service role can manage payment_promises"
+ON payment_promises FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON payment_promises TO service_role;
+GRANT ALL ON SEQUENCE payment_promises_id_seq TO service_role;
@@ -0,0 +1,61 @@
+-- Add blackout calendar and customer/order holds for automated reminder emails
+-- Run this in your Supabase SQL Editor
+
+-- Company-wide dates when no automated reminders are sent (holidays, month-end close)
+CREATE TABLE IF NOT EXISTS email_blackout_dates (
+    id SERIAL PRIMARY KEY,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    reason VARCHAR(255) NOT NULL,
+    repeats_annually BOOLEAN DEFAULT false,     -- e.g. Christmas: matched on month/day every year
+    created_by BIGINT REFERENCES app_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT email_blackout_date_range CHECK (end_date >= start_date)
+);
+
+-- Holds on a single order or on every order of a customer (Brightpearl billing contact),
+-- e.g. a dispute freeze. A hold without expires_at lasts until it is released.
+CREATE TABLE IF NOT EXISTS email_holds (
+    id SERIAL PRIMARY KEY,
+    hold_type VARCHAR(20) NOT NULL CHECK (hold_type IN ('order', 'customer')),
+    order_id INTEGER,
+    billing_contact_id INTEGER,
+    reason TEXT NOT NULL,
+    expires_at TIMESTAMPTZ,
+    created_by BIGINT REFERENCES app_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    released_at TIMESTAMPTZ,
+    released_by BIGINT REFERENCES app_users(id) ON DELETE SET NULL,
+    CONSTRAINT email_hold_target CHECK (
+        (hold_type = 'order' AND order_id IS NOT NULL) OR
+        (hold_type = 'customer' AND billing_contact_id IS NOT NULL)
+    )
+);
+
+-- Create indexes for fast lookups
+CREATE INDEX IF NOT EXISTS idx_email_blackout_dates_range ON email_blackout_dates (start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_email_holds_order_id ON email_holds (order_id) WHERE released_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_email_holds_billing_contact_id ON email_holds (billing_contact_id) WHERE released_at IS NULL;
+
+-- Enable RLS on the new tables
+ALTER TABLE email_blackout_dates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE email_holds ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies for service role access
+CREATE POLICY "Service role can manage email_blackout_dates"
+ON email_blackout_dates FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+CREATE POLICY "Service role can manage email_holds"
+ON email_holds FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON email_blackout_dates TO service_role;
+GRANT ALL ON SEQUENCE email_blackout_dates_id_seq TO service_role;
+GRANT ALL ON email_holds TO service_role;
+GRANT ALL ON SEQUENCE email_holds_id_seq TO service_role;
@@ -0,0 +1,99 @@
+-- Add per-customer consolidation for automated reminder campaigns
+-- Run this in your Supabase SQL Editor (after add-customer-statements.sql)
+
+-- When enabled, all of a customer's scheduled orders for the campaign go out as one email
+-- (grouped by billing contact email) with a combined statement attached.
+-- Each order is still logged individually in automated_email_schedule.
+ALTER TABLE automated_email_campaigns
+ADD COLUMN IF NOT EXISTS consolidate_by_customer BOOLEAN DEFAULT false;
+
+-- Consolidated templates are looked up as <campaign template_type>_consolidated.
+-- {#INVOICES}...{/INVOICES} repeats once per invoice; inside it {INVOICE_NUMBER}, {ORDER_REFERENCE},
+-- {TOTAL_AMOUNT}, {AMOUNT_DUE}, {DAYS_OUTSTANDING}, {TAX_DATE} and {PAYMENT_LINK} refer to that invoice.
+-- Outside the loop {AMOUNT_DUE} is the combined balance and {INVOICE_COUNT} the number of invoices.
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM email_templates WHERE template_type = 'overdue_31_60_consolidated') THEN
+        INSERT INTO email_templates (template_type, template_name, subject_template, body_template, is_active, is_default, created_at)
+        VALUES (
+            'overdue_31_60_consolidated',
+            '31-60 Day Overdue Reminder (Consolidated)',
+            'Payment Reminder: {INVOICE_COUNT} Invoices - ${AMOUNT_DUE} Outstanding',
+            'Dear {CUSTOMER_NAME},
+
+We hope this message finds you well. We wanted to reach out regarding outstanding balances on your account.
+
+=== OUTSTANDING INVOICES ===
+{#INVOICES}Invoice {INVOICE_NUMBER} (Order {ORDER_REFERENCE}) - ${AMOUNT_DUE} due, {DAYS_OUTSTANDING} days outstanding
+Pay online: {PAYMENT_LINK}
+
+{/INVOICES}Total Outstanding: ${AMOUNT_DUE}
+
+A statement of your account is attached. If you have already sent payment, please disregard this message and we apologize for any inconvenience.
+
+We value your business relationship and want to work with you to resolve this matter promptly.
+
+Best regards,
+{SENDER_NAME}
+{COMPANY_NAME}
+
+If you have questions about these invoices, please contact us immediately.',
+            true,
+            true,
+            NOW()
+        );
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM email_templates WHERE template_type = 'overdue_61_90_consolidated') THEN
+        INSERT INTO email_templates (template_type, template_name, subject_template, body_template, is_active, is_default, created_at)
+        VALUES (
+            'overdue_61_90_consolidated',
+            '61-90 Day Collections Notice (Consolidated)',
+            'URGENT: Collections Notice for {INVOICE_COUNT} Invoices - ${AMOUNT_DUE} Past Due',
+            'Dear {CUSTOMER_NAME},
+
+This is an urgent notice regarding significantly past due balances on your account that require immediate attention.
+
+=== PAST DUE INVOICES ===
+{#INVOICES}Invoice {INVOICE_NUMBER} (Order {ORDER_REFERENCE}) - ${AMOUNT_DUE} due, {DAYS_OUTSTANDING} days outstanding
+Pay online: {PAYMENT_LINK}
+
+{/INVOICES}Total Past Due: ${AMOUNT_DUE}
+
+A statement of your account is attached. Please remit payment immediately or contact us to arrange payment terms.
+
+Best regards,
+{SENDER_NAME}
+{COMPANY_NAME}',
+            true,
+            true,
+            NOW()
+        );
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM email_templates WHERE template_type = 'overdue_91_plus_consolidated') THEN
+        INSERT INTO email_templates (template_type, template_name, subject_template, body_template, is_active, is_default, created_at)
+        VALUES (
+            'overdue_91_plus_consolidated',
+            '91+ Day Final Notice (Consolidated)',
+            'FINAL NOTICE: {INVOICE_COUNT} Invoices - ${AMOUNT_DUE} Seriously Past Due',
+            'Dear {CUSTOMER_NAME},
+
+This is a FINAL NOTICE regarding your seriously delinquent account. The following invoices are now over 90 days past due and require immediate resolution.
+
+=== FINAL NOTICE ===
+{#INVOICES}Invoice {INVOICE_NUMBER} (Order {ORDER_REFERENCE}) - ${AMOUNT_DUE} due, {DAYS_OUTSTANDING} days outstanding
+Pay online: {PAYMENT_LINK}
+
+{/INVOICES}Total Past Due: ${AMOUNT_DUE}
+
+A statement of your account is attached. Please contact us immediately to resolve this balance.
+
+{SENDER_NAME}
+{COMPANY_NAME}',
+            true,
+            true,
+            NOW()
+        );
+    END IF;
+END $$;
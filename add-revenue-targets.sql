@@ -0,0 +1,57 @@
+-- Add revenue targets and customer segments for Revenue vs Target analytics
+-- Run this in your Supabase SQL Editor
+
+-- Monthly revenue (collections) targets, optionally scoped to a customer segment.
+-- The 'all' segment holds the company-wide target for a month.
+CREATE TABLE IF NOT EXISTS revenue_targets (
+    id SERIAL PRIMARY KEY,
+    target_month DATE NOT NULL,                 -- Always the first day of the month
+    segment VARCHAR(100) NOT NULL DEFAULT 'all',
+    target_amount DECIMAL(12,2) NOT NULL CHECK (target_amount >= 0),
+    notes TEXT,
+    created_by BIGINT REFERENCES app_users(id) ON DELETE SET NULL,
+    updated_by BIGINT REFERENCES app_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT unique_revenue_target_month_segment UNIQUE (target_month, segment),
+    CONSTRAINT revenue_target_first_of_month CHECK (EXTRACT(DAY FROM target_month) = 1)
+);
+
+-- Assigns Brightpearl billing contacts to a named customer segment
+CREATE TABLE IF NOT EXISTS customer_segments (
+    id SERIAL PRIMARY KEY,
+    billing_contact_id BIGINT NOT NULL UNIQUE,
+    segment VARCHAR(100) NOT NULL CHECK (segment <> 'all'),
+    contact_name VARCHAR(255),
+    created_by BIGINT REFERENCES app_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create indexes for fast lookups
+CREATE INDEX IF NOT EXISTS idx_revenue_targets_month ON revenue_targets (target_month);
+CREATE INDEX IF NOT EXISTS idx_revenue_targets_segment ON revenue_targets (segment);
+CREATE INDEX IF NOT EXISTS idx_customer_segments_segment ON customer_segments (segment);
+
+-- Enable RLS on the new tables
+ALTER TABLE revenue_targets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE customer_segments ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies for service role access
+CREATE POLICY "Service role can manage revenue_targets"
+ON revenue_targets FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+CREATE POLICY "Service role can manage customer_segments"
+ON customer_segments FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON revenue_targets TO service_role;
+GRANT ALL ON SEQUENCE revenue_targets_id_seq TO service_role;
+GRANT ALL ON customer_segments TO service_role;
+GRANT ALL ON SEQUENCE customer_segments_id_seq TO service_role;
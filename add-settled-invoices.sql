@@ -0,0 +1,60 @@
+-- Add settled invoice history so paid invoices are archived instead of lost during sync
+-- Run this in your Supabase SQL Editor
+
+-- One row per order that has left the unpaid invoice cache
+CREATE TABLE IF NOT EXISTS settled_invoices (
+    id BIGINT PRIMARY KEY,                      -- Brightpearl order ID (same as cached_invoices.id)
+    order_reference VARCHAR(255),
+    invoice_number VARCHAR(255),
+    order_date DATE,
+    tax_date DATE,
+    billing_contact_id BIGINT,
+    billing_contact_name VARCHAR(255),
+    billing_contact_email VARCHAR(255),
+    billing_company_name VARCHAR(255),
+    total_amount DECIMAL(12,2) DEFAULT 0,
+    final_paid_amount DECIMAL(12,2) DEFAULT 0,
+    outstanding_at_settlement DECIMAL(12,2) DEFAULT 0,
+    -- 'paid' = fully paid in Brightpearl; 'removed' = left the unpaid set for another reason
+    -- (cancelled, deleted, moved to an ignored order status)
+    settlement_type VARCHAR(20) NOT NULL DEFAULT 'paid' CHECK (settlement_type IN ('paid', 'removed')),
+    settled_at TIMESTAMPTZ NOT NULL,
+    days_to_pay INTEGER,                        -- Days from tax date (or order date) to settlement
+    reminders_sent_count INTEGER DEFAULT 0,
+    reminders_sent JSONB DEFAULT '[]'::jsonb,   -- [{ email_type, sent_at, email_log_id }]
+    last_reminder_at TIMESTAMPTZ,
+    payment_link_url TEXT,
+    archived_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create indexes for analytics lookups
+CREATE INDEX IF NOT EXISTS idx_settled_invoices_settled_at ON settled_invoices (settled_at);
+CREATE INDEX IF NOT EXISTS idx_settled_invoices_billing_contact_id ON settled_invoices (billing_contact_id);
+CREATE INDEX IF NOT EXISTS idx_settled_invoices_settlement_type ON settled_invoices (settlement_type);
+
+-- Enable RLS on the new table
+ALTER TABLE settled_invoices ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies for service role access
+CREATE POLICY "Service role can read settled_invoices"
+ON settled_invoices FOR SELECT
+TO service_role
+USING (true);
+
+CREATE POLICY "Service role can insert settled_invoices"
+ON settled_invoices FOR INSERT
+TO service_role
+WITH CHECK (true);
+
+CREATE POLICY "Service role can update settled_invoices"
+ON settled_invoices FOR UPDATE
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON settled_invoices TO service_role;
+
+-- Record how many invoices each sync archived
+ALTER TABLE sync_logs
+ADD COLUMN IF NOT EXISTS records_settled INTEGER DEFAULT 0;
@@ -0,0 +1,41 @@
+-- Add explicit Brightpearl → Infoplus SKU mappings for the inventory comparison
+-- Run this in your Supabase SQL Editor
+
+-- One row per Brightpearl SKU / Infoplus SKU pair. A Brightpearl SKU with several rows is a
+-- kit or bundle: its Infoplus-equivalent stock is the number of complete kits the
+-- components can make.
+CREATE TABLE IF NOT EXISTS sku_mappings (
+    id SERIAL PRIMARY KEY,
+    brightpearl_sku VARCHAR(255) NOT NULL,
+    infoplus_sku VARCHAR(255) NOT NULL,
+    quantity_multiplier NUMERIC(12, 4) NOT NULL DEFAULT 1,  -- Infoplus units per one Brightpearl unit
+    notes TEXT,
+    created_by BIGINT REFERENCES app_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT sku_mappings_multiplier_positive CHECK (quantity_multiplier > 0),
+    CONSTRAINT sku_mappings_unique_pair UNIQUE (brightpearl_sku, infoplus_sku)
+);
+
+-- Create indexes for lookups by either side
+CREATE INDEX IF NOT EXISTS idx_sku_mappings_brightpearl_sku ON sku_mappings (LOWER(brightpearl_sku));
+CREATE INDEX IF NOT EXISTS idx_sku_mappings_infoplus_sku ON sku_mappings (LOWER(infoplus_sku));
+
+-- Matches made by the normalization heuristics (case or separator differences) in each run,
+-- so they can be reviewed and confirmed into sku_mappings
+ALTER TABLE inventory_reports
+ADD COLUMN IF NOT EXISTS heuristic_matches JSONB;
+
+-- Enable RLS on the new table
+ALTER TABLE sku_mappings ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies for service role access
+CREATE POLICY "Service role can manage sku_mappings"
+ON sku_mappings FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON sku_mappings TO service_role;
+GRANT ALL ON SEQUENCE sku_mappings_id_seq TO service_role;
@@ -0,0 +1,44 @@
+-- Add A/B testing of campaign templates: template variants with a traffic split
+-- Run this in your Supabase SQL Editor
+
+-- Variants of a campaign's email. Each send picks an active variant at random, weighted by
+-- `weight`; a campaign without active variants sends its regular template.
+-- A variant without content (subject_template NULL) is the control: it sends the campaign's
+-- live template from email_templates.
+CREATE TABLE IF NOT EXISTS email_template_variants (
+    id SERIAL PRIMARY KEY,
+    campaign_id INTEGER NOT NULL REFERENCES automated_email_campaigns(id) ON DELETE CASCADE,
+    variant_name VARCHAR(100) NOT NULL,
+    weight INTEGER NOT NULL DEFAULT 50 CHECK (weight >= 0 AND weight <= 100),
+    subject_template TEXT,
+    body_template TEXT,
+    html_body_template TEXT,
+    use_layout BOOLEAN NOT NULL DEFAULT TRUE,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by BIGINT REFERENCES app_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (campaign_id, variant_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_template_variants_campaign ON email_template_variants (campaign_id, is_active);
+
+-- Variant each scheduled email was sent with (kept on retries so a send is attributed once)
+ALTER TABLE automated_email_schedule
+ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES email_template_variants(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_automated_email_schedule_variant_id ON automated_email_schedule (variant_id) WHERE variant_id IS NOT NULL;
+
+-- Enable RLS on the new table
+ALTER TABLE email_template_variants ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies for service role access
+CREATE POLICY "Service role can manage email_template_variants"
+ON email_template_variants FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON email_template_variants TO service_role;
+GRANT ALL ON SEQUENCE email_template_variants_id_seq TO service_role;
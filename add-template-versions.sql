@@ -0,0 +1,72 @@
+-- Add email template versioning: every save is kept as an immutable version
+-- Run this in your Supabase SQL Editor
+
+-- One row per saved template. email_templates holds the active version's content
+-- (what automated and manual sends use); drafts wait here until they are approved.
+CREATE TABLE IF NOT EXISTS email_template_versions (
+    id SERIAL PRIMARY KEY,
+    template_type VARCHAR(50) NOT NULL,
+    version_number INTEGER NOT NULL,
+    subject_template TEXT NOT NULL,
+    body_template TEXT NOT NULL,
+    html_body_template TEXT,
+    use_layout BOOLEAN NOT NULL DEFAULT TRUE,
+    change_note TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'approved' CHECK (status IN ('draft', 'approved')),
+    restored_from_version_id INTEGER REFERENCES email_template_versions(id) ON DELETE SET NULL,
+    created_by BIGINT REFERENCES app_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    approved_by BIGINT REFERENCES app_users(id) ON DELETE SET NULL,
+    approved_at TIMESTAMPTZ,
+    UNIQUE (template_type, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_template_versions_type ON email_template_versions (template_type, version_number DESC);
+
+-- Version that is live in email_templates
+ALTER TABLE email_templates
+ADD COLUMN IF NOT EXISTS active_version_id INTEGER REFERENCES email_template_versions(id) ON DELETE SET NULL;
+
+-- Versions are immutable: only a draft's approval may be recorded, and nothing is deleted
+CREATE OR REPLACE FUNCTION prevent_email_template_version_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        RAISE EXCEPTION 'Email template versions cannot be deleted';
+    END IF;
+
+    IF NEW.template_type IS DISTINCT FROM OLD.template_type
+        OR NEW.version_number IS DISTINCT FROM OLD.version_number
+        OR NEW.subject_template IS DISTINCT FROM OLD.subject_template
+        OR NEW.body_template IS DISTINCT FROM OLD.body_template
+        OR NEW.html_body_template IS DISTINCT FROM OLD.html_body_template
+        OR NEW.use_layout IS DISTINCT FROM OLD.use_layout
+        OR NEW.change_note IS DISTINCT FROM OLD.change_note
+        OR NEW.created_by IS DISTINCT FROM OLD.created_by
+        OR NEW.created_at IS DISTINCT FROM OLD.created_at
+        OR OLD.status = 'approved' THEN
+        RAISE EXCEPTION 'Email template versions cannot be changed once saved';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS email_template_versions_immutable ON email_template_versions;
+CREATE TRIGGER email_template_versions_immutable
+BEFORE UPDATE OR DELETE ON email_template_versions
+FOR EACH ROW EXECUTE FUNCTION prevent_email_template_version_changes();
+
+-- Enable RLS on the new table
+ALTER TABLE email_template_versions ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies for service role access
+CREATE POLICY "Service role can manage email_template_versions"
+ON email_template_versions FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON email_template_versions TO service_role;
+GRANT ALL ON SEQUENCE email_template_versions_id_seq TO service_role;
@@ -0,0 +1,16 @@
+-- Add role-based permissions (viewer, collector, finance_manager, admin)
+-- Run this in your Supabase SQL Editor
+-- Permissions for each role are defined in permissions.js
+
+-- Migrate roles used before the permission model
+UPDATE app_users SET role = 'collector' WHERE role = 'user' OR role IS NULL;
+UPDATE app_users SET role = 'finance_manager' WHERE role = 'manager';
+
+ALTER TABLE app_users
+ALTER COLUMN role SET DEFAULT 'collector';
+
+ALTER TABLE app_users
+DROP CONSTRAINT IF EXISTS app_users_role_valid;
+
+ALTER TABLE app_users
+ADD CONSTRAINT app_users_role_valid CHECK (role IN ('viewer', 'collector', 'finance_manager', 'admin'));
@@ -0,0 +1,32 @@
+-- Add warehouse-level inventory comparison (Brightpearl warehouse ↔ Infoplus warehouse)
+-- Run this in your Supabase SQL Editor
+
+-- Each row pairs one Brightpearl warehouse with one Infoplus warehouse. Stock in
+-- warehouses without a mapping is still counted in the SKU totals, but not compared per location.
+CREATE TABLE IF NOT EXISTS warehouse_mappings (
+    id SERIAL PRIMARY KEY,
+    brightpearl_warehouse_id INTEGER NOT NULL UNIQUE,
+    brightpearl_warehouse_name VARCHAR(255),
+    infoplus_warehouse_id INTEGER NOT NULL UNIQUE,
+    infoplus_warehouse_name VARCHAR(255),
+    created_by BIGINT REFERENCES app_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Per-warehouse on-hand/allocated/available discrepancies for each comparison run
+ALTER TABLE inventory_reports
+ADD COLUMN IF NOT EXISTS warehouse_discrepancies JSONB;
+
+-- Enable RLS on the new table
+ALTER TABLE warehouse_mappings ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies for service role access
+CREATE POLICY "Service role can manage warehouse_mappings"
+ON warehouse_mappings FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON warehouse_mappings TO service_role;
+GRANT ALL ON SEQUENCE warehouse_mappings_id_seq TO service_role;
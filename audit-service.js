@@ -0,0 +1,425 @@
+const { createClient } = require('@supabase/supabase-js');
+
+const API_PREFIX = '/texon-invoicing-portal/api';
+
+// Requests that are never audited (no signed-in user, public customer pages, or the
+// template preview the editor calls while typing)
+const EXCLUDED_ROUTES = [/^\/auth\//, /^\/public\//, /^\/automated-emails\/templates\/preview$/];
+
+// Request/response fields that must never be stored
+const SENSITIVE_FIELD_PATTERN = /password|token|secret|api_key/i;
+
+// app_settings keys the general Settings page saves through POST /settings
+const GENERAL_SETTINGS_KEYS = ['ignored_order_statuses', 'invoices_per_page'];
+
+const USER_COLUMNS = 'id, username, email, first_name, last_name, role, is_active';
+// Sender backends without their encrypted credentials
+const EMAIL_SENDER_COLUMNS = 'id, name, backend_type, config, from_address, from_name, is_default, is_active';
+
+/**
+ * Audited routes: action name, target and how to snapshot the target before/after the change.
+ * Routes not listed here are still recorded, with the request body as the "after" state.
+ *   table/idParam  - row looked up by a route parameter
+ *   table/idBody   - row looked up by a request body field
+ *   settings       - app_settings keys (function of the request)
+ *   table/all      - every row of a table (bulk updates)
+ */
+const AUDITED_ROUTES = [
+    { method: 'POST', path: '/users', action: 'user.create', targetType: 'user' },
+    { method: 'PUT', path: '/users/:id', action: 'user.update', targetType: 'user', table: 'app_users', idParam: 'id', select: USER_COLUMNS },
+    { method: 'DELETE', path: '/users/:id', action: 'user.delete', targetType: 'user', table: 'app_users', idParam: 'id', select: USER_COLUMNS },
+    { method: 'POST', path: '/users/:id/reset-password', action: 'user.reset_password', targetType: 'user', idParam: 'id' },
+
+    { method: 'POST', path: '/orders/:orderId/notes', action: 'note.create', targetType: 'order', idParam: 'orderId' },
+    { method: 'PUT', path: '/orders/notes/:noteId', action: 'note.update', targetType: 'note', table: 'order_notes', idParam: 'noteId' },
+    { method: 'DELETE', path: '/orders/notes/:noteId', action: 'note.delete', targetType: 'note', table: 'order_notes', idParam: 'noteId' },
+    { method: 'PUT', path: '/follow-ups/:noteId', action: 'follow_up.update', targetType: 'note', table: 'order_notes', idParam: 'noteId' },
+    { method: 'POST', path: '/follow-ups/digest/send', action: 'follow_up.send_digest', targetType: 'note' },
+    { method: 'POST', path: '/orders/:orderId/holds', action: 'hold.create', targetType: 'order', idParam: 'orderId' },
+    { method: 'DELETE', path: '/email-holds/:holdId', action: 'hold.release', targetType: 'hold', table: 'email_holds', idParam: 'holdId' },
+    { method: 'POST', path: '/orders/:orderId/promises', action: 'promise.create', targetType: 'order', idParam: 'orderId' },
+    { method: 'DELETE', path: '/payment-promises/:id', action: 'promise.cancel', targetType: 'promise', table: 'payment_promises', idParam: 'id' },
+    { method: 'POST', path: '/payment-promises/check', action: 'promise.check', targetType: 'promise' },
+    { method: 'POST', path: '/orders/:orderId/disputes', action: 'dispute.open', targetType: 'order', idParam: 'orderId' },
+    { method: 'PUT', path: '/disputes/:id', action: 'dispute.update', targetType: 'dispute', table: 'invoice_disputes', idParam: 'id' },
+    { method: 'POST', path: '/disputes/:id/resolve', action: 'dispute.resolve', targetType: 'dispute', table: 'invoice_disputes', idParam: 'id' },
+    { method: 'PUT', path: '/customers/:billingContactId/collector', action: 'collector.assign', targetType: 'collector_assignment', table: 'collector_assignments', idParam: 'billingContactId', idColumn: 'billing_contact_id' },
+    { method: 'POST', path: '/collector-assignment-rules', action: 'assignment_rule.create', targetType: 'assignment_rule' },
+    { method: 'PUT', path: '/collector-assignment-rules/:id', action: 'assignment_rule.update', targetType: 'assignment_rule', table: 'collector_assignment_rules', idParam: 'id' },
+    { method: 'DELETE', path: '/collector-assignment-rules/:id', action: 'assignment_rule.delete', targetType: 'assignment_rule', table: 'collector_assignment_rules', idParam: 'id' },
+    { method: 'POST', path: '/collector-assignments/apply', action: 'collector.apply_rules', targetType: 'collector_assignment' },
+    { method: 'POST', path: '/orders/:orderId/payment-link', action: 'payment_link.generate', targetType: 'order', table: 'cached_invoices', idParam: 'orderId', select: 'id, payment_link_url' },
+    { method: 'POST', path: '/payment-links/bulk-generate', action: 'payment_link.bulk_generate', targetType: 'order' },
+
+    { method: 'POST', path: '/settings', action: 'settings.update', targetType: 'app_settings', settings: req => Object.keys(req.body || {}).filter(key => GENERAL_SETTINGS_KEYS.includes(key)) },
+    { method: 'POST', path: '/user/email-settings', action: 'email_settings.update', targetType: 'user_email_settings' },
+    { method: 'POST', path: '/email-senders', action: 'email_sender.create', targetType: 'email_sender' },
+    { method: 'PUT', path: '/email-senders/:id', action: 'email_sender.update', targetType: 'email_sender', table: 'email_sender_backends', idParam: 'id', select: EMAIL_SENDER_COLUMNS },
+    { method: 'DELETE', path: '/email-senders/:id', action: 'email_sender.delete', targetType: 'email_sender', table: 'email_sender_backends', idParam: 'id', select: EMAIL_SENDER_COLUMNS },
+    { method: 'POST', path: '/email-senders/:id/verify', action: 'email_sender.verify', targetType: 'email_sender', idParam: 'id' },
+    { method: 'POST', path: '/cache/sync', action: 'cache.sync', targetType: 'cache' },
+    { method: 'POST', path: '/run-comparison', action: 'inventory.run_comparison', targetType: 'inventory' },
+    { method: 'POST', path: '/sku-mappings', action: 'sku_mapping.create', targetType: 'sku_mapping' },
+    { method: 'POST', path: '/sku-mappings/import', action: 'sku_mapping.import', targetType: 'sku_mapping' },
+    { method: 'PUT', path: '/sku-mappings/:id', action: 'sku_mapping.update', targetType: 'sku_mapping', table: 'sku_mappings', idParam: 'id' },
+    { method: 'DELETE', path: '/sku-mappings/:id', action: 'sku_mapping.delete', targetType: 'sku_mapping', table: 'sku_mappings', idParam: 'id' },
+    { method: 'POST', path: '/inventory-alert-rules', action: 'inventory_alert_rule.create', targetType: 'inventory_alert_rule' },
+    { method: 'PUT', path: '/inventory-alert-rules/:id', action: 'inventory_alert_rule.update', targetType: 'inventory_alert_rule', table: 'inventory_alert_rules', idParam: 'id' },
+    { method: 'DELETE', path: '/inventory-alert-rules/:id', action: 'inventory_alert_rule.delete', targetType: 'inventory_alert_rule', table: 'inventory_alert_rules', idParam: 'id' },
+    { method: 'POST', path: '/warehouse-mappings', action: 'warehouse_mapping.create', targetType: 'warehouse_mapping' },
+    { method: 'DELETE', path: '/warehouse-mappings/:id', action: 'warehouse_mapping.delete', targetType: 'warehouse_mapping', table: 'warehouse_mappings', idParam: 'id' },
+
+    { method: 'POST', path: '/send-email', action: 'email.send', targetType: 'order', idBody: 'orderId' },
+    { method: 'POST', path: '/send-invoice-email', action: 'email.send_invoice', targetType: 'order', idBody: 'orderId' },
+    { method: 'POST', path: '/test-email', action: 'email.send_test', targetType: 'user_email_settings' },
+
+    { method: 'POST', path: '/automated-emails/run', action: 'automation.run', targetType: 'automation' },
+    { method: 'POST', path: '/automated-emails/system/toggle', action: 'automation.toggle', targetType: 'automation', table: 'automated_email_campaigns', all: true, select: 'id, campaign_name, is_active' },
+    { method: 'PUT', path: '/automated-emails/campaigns/:id', action: 'campaign.update', targetType: 'campaign', table: 'automated_email_campaigns', idParam: 'id' },
+    { method: 'PUT', path: '/automated-emails/campaigns/:id/template', action: 'template.update', targetType: 'campaign', table: 'automated_email_campaigns', idParam: 'id', select: 'id, campaign_name, template_type' },
+    { method: 'POST', path: '/automated-emails/campaigns/:id/template/versions/:versionId/approve', action: 'template.approve', targetType: 'template_version', table: 'email_template_versions', idParam: 'versionId', select: 'id, template_type, version_number, status, approved_by, approved_at' },
+    { method: 'POST', path: '/automated-emails/campaigns/:id/template/versions/:versionId/restore', action: 'template.rollback', targetType: 'template_version', idParam: 'versionId' },
+    { method: 'POST', path: '/automated-emails/campaigns/:id/variants', action: 'template_variant.create', targetType: 'template_variant' },
+    { method: 'PUT', path: '/automated-emails/campaigns/:id/variants/:variantId', action: 'template_variant.update', targetType: 'template_variant', table: 'email_template_variants', idParam: 'variantId' },
+    { method: 'PUT', path: '/automated-emails/template-approval', action: 'template.approval_setting', targetType: 'app_settings', settings: () => ['template_approval_required'] },
+    { method: 'POST', path: '/automated-emails/campaigns/:id/test', action: 'template.send_test', targetType: 'campaign', idParam: 'id' },
+    { method: 'POST', path: '/automated-emails/global-test-mode', action: 'automation.global_test_mode', targetType: 'app_settings', settings: () => ['automation_global_test_mode'] },
+    { method: 'POST', path: '/automated-emails/global-test-email', action: 'automation.global_test_email', targetType: 'app_settings', settings: () => ['automation_global_test_email'] },
+    { method: 'POST', path: '/automated-emails/sender-email', action: 'automation.sender_email', targetType: 'app_settings', settings: () => ['automation_sender_email'] },
+    { method: 'POST', path: '/automated-emails/opt-out', action: 'opt_out.add', targetType: 'email_preferences', table: 'customer_email_preferences', idBody: 'email_address', idColumn: 'email_address' },
+    { method: 'DELETE', path: '/automated-emails/opt-out', action: 'opt_out.remove', targetType: 'email_preferences', table: 'customer_email_preferences', idBody: 'email_address', idColumn: 'email_address' },
+    { method: 'PUT', path: '/automated-emails/scheduler/config', action: 'scheduler.update_config', targetType: 'app_settings', settings: () => ['email_schedule_main_automation', 'email_schedule_weekly_stats', 'email_schedule_cleanup', 'email_schedule_promise_check', 'email_schedule_follow_up_digest', 'email_schedule_timezone', 'email_schedule_business_days'] },
+    { method: 'POST', path: '/automated-emails/scheduler/start', action: 'scheduler.start', targetType: 'scheduler' },
+    { method: 'POST', path: '/automated-emails/scheduler/stop', action: 'scheduler.stop', targetType: 'scheduler' },
+    { method: 'POST', path: '/automated-emails/blackouts', action: 'blackout.create', targetType: 'blackout' },
+    { method: 'DELETE', path: '/automated-emails/blackouts/:id', action: 'blackout.delete', targetType: 'blackout', table: 'email_blackout_dates', idParam: 'id' },
+
+    { method: 'PUT', path: '/analytics/revenue-targets', action: 'revenue_target.save', targetType: 'revenue_target' },
+    { method: 'DELETE', path: '/analytics/revenue-targets/:id', action: 'revenue_target.delete', targetType: 'revenue_target', table: 'revenue_targets', idParam: 'id' },
+    { method: 'PUT', path: '/analytics/customer-segments', action: 'segment.assign', targetType: 'customer_segment', table: 'customer_segments', idBody: 'billingContactId', idColumn: 'billing_contact_id' },
+    { method: 'DELETE', path: '/analytics/customer-segments/:billingContactId', action: 'segment.remove', targetType: 'customer_segment', table: 'customer_segments', idParam: 'billingContactId', idColumn: 'billing_contact_id' }
+];
+
+/**
+ * Audit Service
+ * Records who changed what (with a before/after diff) for every POST/PUT/DELETE API request
+ * and serves the Audit Log view.
+ */
+class AuditService {
+    constructor() {
+        this.supabase = createClient(
+            process.env.SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_KEY,
+            {
+                auth: {
+                    autoRefreshToken: false,
+                    persistSession: false
+                }
+            }
+        );
+
+        this.routes = AUDITED_ROUTES.map(route => ({
+            ...route,
+            paramNames: (route.path.match(/:[a-zA-Z]+/g) || []).map(name => name.slice(1)),
+            pattern: new RegExp('^' + route.path.replace(/:[a-zA-Z]+/g, '([^/]+)') + '/?$')
+        }));
+    }
+
+    /**
+     * Express middleware - run by authenticateToken once the user is verified, so
+     * unauthenticated requests never trigger snapshot reads. The event is written
+     * once the response has finished and the status code is known.
+     */
+    middleware() {
+        return async (req, res, next) => {
+            if (!['POST', 'PUT', 'DELETE'].includes(req.method) || !req.path.startsWith(API_PREFIX)) {
+                return next();
+            }
+
+            const path = req.path.slice(API_PREFIX.length);
+            if (EXCLUDED_ROUTES.some(pattern => pattern.test(path)) || !req.user) {
+                return next();
+            }
+
+            const match = this.matchRoute(req.method, path);
+
+            let before = null;
+            if (match) {
+                try {
+                    before = await this.snapshot(match.route, match.params, req);
+                } catch (error) {
+                    console.error(`⚠️ Audit snapshot failed for ${req.method} ${path}:`, error.message);
+                }
+            }
+
+            // Keep the response body so created records can be captured
+            let responseBody = null;
+            const originalJson = res.json.bind(res);
+            res.json = (body) => {
+                responseBody = body;
+                return originalJson(body);
+            };
+
+            res.on('finish', () => {
+                this.recordEvent({ req, res, path, match, before, responseBody })
+                    .catch(error => console.error('❌ Failed to write audit event:', error.message));
+            });
+
+            next();
+        };
+    }
+
+    matchRoute(method, path) {
+        for (const route of this.routes) {
+            if (route.method !== method) continue;
+            const result = route.pattern.exec(path);
+            if (result) {
+                const params = {};
+                route.paramNames.forEach((name, index) => {
+                    params[name] = decodeURIComponent(result[index + 1]);
+                });
+                return { route, params };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Current state of the route's target, or null when it has no snapshot source
+     */
+    async snapshot(route, params, req) {
+        if (route.settings) {
+            const keys = route.settings(req).filter(key => !SENSITIVE_FIELD_PATTERN.test(key));
+            if (keys.length === 0) return null;
+
+            const { data, error } = await this.supabase
+                .from('app_settings')
+                .select('key, value')
+                .in('key', keys);
+
+            if (error) throw error;
+
+            const state = {};
+            keys.forEach(key => { state[key] = null; });
+            (data || []).forEach(setting => { state[setting.key] = setting.value; });
+            return state;
+        }
+
+        if (!route.table) return null;
+
+        let query = this.supabase.from(route.table).select(route.select || '*');
+
+        if (route.all) {
+            const { data, error } = await query.order('id', { ascending: true });
+            if (error) throw error;
+
+            const state = {};
+            (data || []).forEach(row => { state[row.id] = row; });
+            return state;
+        }
+
+        const id = route.idParam ? params[route.idParam] : req.body?.[route.idBody];
+        if (id === undefined || id === null || id === '') return null;
+
+        const idColumn = route.idColumn || 'id';
+        const { data, error } = await query
+            .eq(idColumn, idColumn === 'email_address' ? String(id).toLowerCase() : id)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data ? this.sanitize(data) : null;
+    }
+
+    async recordEvent({ req, res, path, match, before, responseBody }) {
+        if (!req.user) return; // Rejected before authentication - nothing to attribute
+
+        const route = match?.route;
+        const success = res.statusCode < 400 && responseBody?.success !== false;
+
+        let after = null;
+        if (route && (route.table || route.settings)) {
+            after = await this.snapshot(route, match.params, req);
+        }
+
+        // Newly created records come back in the response (e.g. { success, note: {...} })
+        const createdRecord = !before && responseBody && typeof responseBody === 'object'
+            ? Object.values(responseBody).find(value => value && typeof value === 'object' && !Array.isArray(value) && value.id !== undefined)
+            : null;
+
+        if (!after && createdRecord) {
+            after = this.sanitize(createdRecord);
+        }
+
+        let targetId = null;
+        if (route?.idParam) targetId = match.params[route.idParam];
+        else if (route?.idBody) targetId = req.body?.[route.idBody];
+        else if (createdRecord) targetId = createdRecord.id;
+
+        const event = {
+            user_id: req.user.id,
+            username: req.user.username,
+            action: route?.action || `${req.method.toLowerCase()} ${req.route?.path?.replace(API_PREFIX, '') || path}`,
+            method: req.method,
+            route: req.route?.path?.replace(API_PREFIX, '') || path,
+            target_type: route?.targetType || null,
+            target_id: targetId !== null && targetId !== undefined ? String(targetId) : null,
+            before_state: before,
+            after_state: after,
+            changes: this.diff(before, after),
+            // Raw uploads (e.g. CSV imports) are summarized rather than stored
+            request_body: typeof req.body === 'string' ? { upload_bytes: req.body.length } : this.sanitize(req.body),
+            status_code: res.statusCode,
+            success,
+            ip_address: this.getClientIp(req),
+            user_agent: req.headers['user-agent'] || null
+        };
+
+        const { error } = await this.supabase
+            .from('audit_events')
+            .insert(event);
+
+        if (error) throw error;
+    }
+
+    /**
+     * Field-level changes between two states: { field: { from, to } }
+     */
+    diff(before, after) {
+        if (!before && !after) return null;
+
+        const changes = {};
+        const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+        for (const key of keys) {
+            if (key === 'updated_at') continue;
+
+            const from = before ? before[key] : undefined;
+            const to = after ? after[key] : undefined;
+
+            if (JSON.stringify(from) !== JSON.stringify(to)) {
+                changes[key] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+            }
+        }
+
+        return Object.keys(changes).length > 0 ? changes : null;
+    }
+
+    /**
+     * Deep copy with passwords, tokens and secrets redacted
+     */
+    sanitize(value) {
+        if (Array.isArray(value)) return value.map(item => this.sanitize(item));
+        if (!value || typeof value !== 'object') return value ?? null;
+
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = SENSITIVE_FIELD_PATTERN.test(key) ? '[REDACTED]' : this.sanitize(item);
+        }
+        return result;
+    }
+
+    /**
+     * Client address as resolved by Express from the trusted proxies only (`trust proxy`
+     * in server.js) - X-Forwarded-For itself is client-controlled
+     */
+    getClientIp(req) {
+        return req.ip || req.socket?.remoteAddress || null;
+    }
+
+    /**
+     * Query audit events for the Audit Log view
+     * @param {Object} filters - { userId, action, targetType, targetId, startDate, endDate, search, page, limit }
+     */
+    async getEvents(filters = {}) {
+        try {
+            const page = Math.max(parseInt(filters.page) || 1, 1);
+            const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), 1000);
+            const offset = (page - 1) * limit;
+
+            let query = this.buildQuery(filters, { count: 'exact' })
+                .range(offset, offset + limit - 1);
+
+            const { data, error, count } = await query;
+
+            if (error) {
+                console.error('❌ Error fetching audit events:', error);
+                return { success: false, error: error.message };
+            }
+
+            return {
+                success: true,
+                events: data || [],
+                pagination: {
+                    page,
+                    limit,
+                    total: count || 0,
+                    totalPages: Math.ceil((count || 0) / limit)
+                }
+            };
+        } catch (error) {
+            console.error('❌ Error in getEvents:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    buildQuery(filters, options = {}) {
+        let query = this.supabase
+            .from('audit_events')
+            .select('*', options)
+            .order('created_at', { ascending: false });
+
+        if (filters.userId) query = query.eq('user_id', filters.userId);
+        if (filters.action) query = query.ilike('action', `${filters.action}%`);
+        if (filters.targetType) query = query.eq('target_type', filters.targetType);
+        if (filters.targetId) query = query.eq('target_id', String(filters.targetId));
+        if (filters.startDate) query = query.gte('created_at', filters.startDate);
+        if (filters.endDate) query = query.lte('created_at', `${filters.endDate}T23:59:59.999Z`);
+        if (filters.search) {
+            const term = filters.search.replace(/[,()]/g, ' ');
+            query = query.or(`username.ilike.%${term}%,action.ilike.%${term}%,route.ilike.%${term}%,target_id.ilike.%${term}%`);
+        }
+
+        return query;
+    }
+
+    /**
+     * Export matching events as CSV (paged through PostgREST's 1000-row limit)
+     */
+    async exportCsv(filters = {}, maxRows = 50000) {
+        const pageSize = 1000;
+        const rows = [];
+
+        for (let offset = 0; offset < maxRows; offset += pageSize) {
+            const { data, error } = await this.buildQuery(filters).range(offset, offset + pageSize - 1);
+            if (error) throw error;
+
+            rows.push(...(data || []));
+            if (!data || data.length < pageSize) break;
+        }
+
+        const columns = ['created_at', 'username', 'action', 'method', 'route', 'target_type', 'target_id', 'status_code', 'success', 'ip_address', 'changes'];
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            // Keep spreadsheets from running user-entered values as formulas
+            if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [columns.join(',')];
+        rows.forEach(row => {
+            lines.push(columns.map(column => escape(row[column])).join(','));
+        });
+
+        return { csv: lines.join('\n'), count: rows.length };
+    }
+
+    /**
+     * Distinct action names for the filter dropdown
+     */
+    getKnownActions() {
+        return Array.from(new Set(AUDITED_ROUTES.map(route => route.action))).sort();
+    }
+}
+
+module.exports = AuditService;
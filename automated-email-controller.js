@@ -1,5 +1,48 @@
 const AutomatedEmailService = require('./automated-email-service');
 const EnhancedPDFService = require('./enhanced-pdf-service');
+const TemplateEngine = require('./template-engine');
+const TemplateVersionService = require('./template-version-service');
+const TemplateVariantService = require('./template-variant-service');
+const { buildPaymentVariables } = TemplateEngine;
+
+// Made-up invoice for template previews
+const SAMPLE_TEMPLATE_VARIABLES = {
+    ORDER_ID: '123456',
+    CUSTOMER_NAME: 'Jane Smith',
+    COMPANY_NAME: 'Texon Towel',
+    SENDER_NAME: 'Accounts Receivable',
+    ORDER_REFERENCE: 'PO-7781',
+    INVOICE_NUMBER: 'INV-10234',
+    TOTAL_AMOUNT: '1250.00',
+    TOTAL_PAID: '250.00',
+    AMOUNT_DUE: '1000.00',
+    PAYMENT_STATUS: 'PARTIALLY PAID',
+    ...buildPaymentVariables([{ paymentdate: '2026-01-15', amountpaid: '250.00', paymentmethodcode: 'CHECK' }]),
+    DAYS_OUTSTANDING: '45',
+    TAX_DATE: '2026-01-02',
+    PAYMENT_LINK: 'https://payment.texontowel.com/sample-link',
+    OPT_OUT_LINK: 'https://example.com/opt-out',
+    PREFERENCES_LINK: 'https://example.com/preferences',
+    INVOICE_COUNT: '2',
+    INVOICES: [
+        { INVOICE_NUMBER: 'INV-10234', ORDER_REFERENCE: 'PO-7781', TOTAL_AMOUNT: '1250.00', AMOUNT_DUE: '1000.00', DAYS_OUTSTANDING: '45', TAX_DATE: '2026-01-02', PAYMENT_LINK: 'https://payment.texontowel.com/sample-link' },
+        { INVOICE_NUMBER: 'INV-10301', ORDER_REFERENCE: 'PO-7802', TOTAL_AMOUNT: '480.00', AMOUNT_DUE: '480.00', DAYS_OUTSTANDING: '38', TAX_DATE: '2026-01-09', PAYMENT_LINK: '' }
+    ],
+    LINE_ITEMS: [
+        { SKU: 'TWL-2240-WH', PRODUCT_NAME: 'Bath Towel 24x40 White', QUANTITY: '120', UNIT_PRICE: '8.50', LINE_TOTAL: '1020.00' },
+        { SKU: 'WSH-1212-WH', PRODUCT_NAME: 'Washcloth 12x12 White', QUANTITY: '240', UNIT_PRICE: '0.95', LINE_TOTAL: '230.00' }
+    ]
+};
+
+/**
+ * Whether every body of a variant loops over {#INVOICES} - required in campaigns that
+ * consolidate by customer, whose emails list several invoices
+ */
+const listsInvoices = (template) => [template.body_template, template.html_body_template]
+    .filter(Boolean)
+    .every(body => body.includes('{#INVOICES}'));
+
+const CONSOLIDATED_VARIANT_ERROR = 'This campaign sends one email per customer: the variant body must list the invoices with {#INVOICES}...{/INVOICES}';
 
 /**
  * Automated Email Controller - Handles API endpoints for automated email system
@@ -8,6 +51,9 @@ class AutomatedEmailController {
     constructor() {
         this.automatedEmailService = new AutomatedEmailService();
         this.enhancedPdfService = new EnhancedPDFService();
+        this.templateEngine = new TemplateEngine();
+        this.templateVersionService = new TemplateVersionService();
+        this.templateVariantService = new TemplateVariantService();
         console.log('✅ Automated Email Controller initialized');
     }
 
@@ -146,7 +192,7 @@ class AutomatedEmailController {
 
                 const { data: invoices, error: invoiceError } = await this.automatedEmailService.supabase
                     .from('cached_invoices')
-                    .select('id, invoice_number, billing_contact_name, billing_contact_email')
+                    .select('id, invoice_number, billing_contact_id, billing_contact_name, billing_contact_email')
                     .in('id', orderIds);
 
                 if (!invoiceError && invoices) {
@@ -205,40 +251,74 @@ class AutomatedEmailController {
     }
 
     /**
-     * Update campaign status (enable/disable)
+     * Update campaign status (enable/disable), attachment type or consolidation mode
      * PUT /api/automated-emails/campaigns/:id
      */
     async updateCampaign(req, res) {
         try {
             const { id } = req.params;
-            const { is_active } = req.body;
+            const { is_active, attachment_type, consolidate_by_customer } = req.body;
             const userId = req.user?.userId;
 
             if (!userId) {
                 return res.status(401).json({ error: 'Unauthorized' });
             }
 
-            if (typeof is_active !== 'boolean') {
+            if (is_active === undefined && attachment_type === undefined && consolidate_by_customer === undefined) {
+                return res.status(400).json({ error: 'is_active, attachment_type or consolidate_by_customer is required' });
+            }
+
+            if (is_active !== undefined && typeof is_active !== 'boolean') {
                 return res.status(400).json({ error: 'is_active must be a boolean' });
             }
 
+            if (attachment_type !== undefined && !['invoice', 'statement', 'both'].includes(attachment_type)) {
+                return res.status(400).json({ error: "attachment_type must be 'invoice', 'statement' or 'both'" });
+            }
+
+            if (consolidate_by_customer !== undefined && typeof consolidate_by_customer !== 'boolean') {
+                return res.status(400).json({ error: 'consolidate_by_customer must be a boolean' });
+            }
+
+            // Variants with a single-invoice body would replace the consolidated template
+            if (consolidate_by_customer === true) {
+                const variantsResult = await this.templateVariantService.listVariants(id);
+                if (!variantsResult.success) throw new Error(variantsResult.error);
+
+                const singleInvoiceVariants = variantsResult.variants
+                    .filter(variant => variant.is_active && variant.subject_template && !listsInvoices(variant));
+                if (singleInvoiceVariants.length > 0) {
+                    return res.status(409).json({
+                        error: `Update or retire these A/B test variants first - their bodies do not list the invoices with {#INVOICES}...{/INVOICES}: ${singleInvoiceVariants.map(variant => variant.variant_name).join(', ')}`
+                    });
+                }
+            }
+
+            const updates = { updated_at: new Date().toISOString() };
+            if (is_active !== undefined) updates.is_active = is_active;
+            if (attachment_type !== undefined) updates.attachment_type = attachment_type;
+            if (consolidate_by_customer !== undefined) updates.consolidate_by_customer = consolidate_by_customer;
+
             const { data, error } = await this.automatedEmailService.supabase
                 .from('automated_email_campaigns')
-                .update({
-                    is_active: is_active,
-                    updated_at: new Date().toISOString()
-                })
+                .update(updates)
                 .eq('id', id)
                 .select()
                 .single();
 
             if (error) throw error;
 
-            console.log(`📧 Campaign "${data.campaign_name}" ${is_active ? 'enabled' : 'disabled'} by user ${userId}`);
+            const changes = [];
+            if (is_active !== undefined) changes.push(is_active ? 'enabled' : 'disabled');
+            if (attachment_type !== undefined) changes.push(`attachment set to ${attachment_type}`);
+            if (consolidate_by_customer !== undefined) changes.push(`consolidation ${consolidate_by_customer ? 'on' : 'off'}`);
+            console.log(`📧 Campaign "${data.campaign_name}" ${changes.join(', ')} by user ${userId}`);
 
             res.json({
                 success: true,
-                message: `Campaign ${is_active ? 'enabled' : 'disabled'} successfully`,
+                message: is_active !== undefined
+                    ? `Campaign ${is_active ? 'enabled' : 'disabled'} successfully`
+                    : 'Campaign updated successfully',
                 campaign: data
             });
         } catch (error) {
@@ -267,7 +347,8 @@ class AutomatedEmailController {
             const updateData = {
                 email_address: email_address.toLowerCase(),
                 opt_out_date: new Date().toISOString(),
-                opt_out_reason: reason || 'Manual opt-out'
+                opt_out_reason: reason || 'Manual opt-out',
+                updated_via: 'portal_user'
             };
 
             // Set the appropriate opt-out flags
@@ -490,42 +571,60 @@ class AutomatedEmailController {
     }
 
     /**
-     * Update email template for a campaign
+     * Save the template of a campaign (its template type) as a new version. The version is
+     * live right away, or a draft awaiting approval when template approval is required.
      * PUT /api/automated-emails/campaigns/:id/template
      */
     async updateTemplate(req, res) {
         try {
             const { id } = req.params;
-            const { subject_template, body_template } = req.body;
+            const { subject_template, html_body_template = '', use_layout = true, change_note } = req.body;
+            let { body_template = '' } = req.body;
             const userId = req.user?.userId;
 
             if (!userId) {
                 return res.status(401).json({ error: 'Unauthorized' });
             }
 
-            if (!subject_template || !body_template) {
-                return res.status(400).json({ error: 'Subject and body templates are required' });
+            if (!subject_template || (!body_template && !html_body_template)) {
+                return res.status(400).json({ error: 'A subject and an HTML or plain-text body are required' });
             }
 
-            const { data, error } = await this.automatedEmailService.supabase
-                .from('automated_email_campaigns')
-                .update({
-                    subject_template: subject_template,
-                    body_template: body_template,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', id)
-                .select()
-                .single();
+            const validation = this.validateTemplate(subject_template, body_template, html_body_template);
+            if (!validation.valid) {
+                return res.status(400).json({ error: 'Template has errors', ...validation });
+            }
 
-            if (error) throw error;
+            // The plain-text alternative defaults to the HTML body with its markup stripped
+            if (!body_template) {
+                body_template = this.automatedEmailService.emailService.emailLayout.htmlToText(html_body_template);
+            }
+
+            const campaign = await this.getCampaign(id);
+            if (!campaign) {
+                return res.status(404).json({ error: 'Campaign not found' });
+            }
 
-            console.log(`📝 Template updated for campaign "${data.campaign_name}" by user ${userId}`);
+            const result = await this.templateVersionService.saveVersion(
+                campaign.template_type,
+                campaign.campaign_name,
+                { subject_template, body_template, html_body_template, use_layout },
+                userId,
+                { changeNote: change_note }
+            );
+
+            if (!result.success) {
+                return res.status(500).json({ error: result.error });
+            }
 
             res.json({
                 success: true,
-                message: 'Template updated successfully',
-                campaign: data
+                message: result.activated
+                    ? 'Template updated successfully'
+                    : `Saved as draft version ${result.version.version_number} - it goes live once approved`,
+                campaign,
+                version: result.version,
+                activated: result.activated
             });
         } catch (error) {
             console.error('❌ Error updating template:', error);
@@ -533,6 +632,379 @@ class AutomatedEmailController {
         }
     }
 
+    /**
+     * Version history of a campaign's template
+     * GET /api/automated-emails/campaigns/:id/template/versions
+     */
+    async getTemplateVersions(req, res) {
+        try {
+            const campaign = await this.getCampaign(req.params.id);
+            if (!campaign) {
+                return res.status(404).json({ error: 'Campaign not found' });
+            }
+
+            const result = await this.templateVersionService.listVersions(campaign.template_type);
+            if (!result.success) {
+                return res.status(500).json({ error: result.error });
+            }
+
+            res.json(result);
+        } catch (error) {
+            console.error('❌ Error getting template versions:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * Line diff between two versions of a campaign's template
+     * GET /api/automated-emails/campaigns/:id/template/versions/diff?from=&to=
+     */
+    async diffTemplateVersions(req, res) {
+        try {
+            const from = parseInt(req.query.from);
+            const to = parseInt(req.query.to);
+            if (!from || !to) {
+                return res.status(400).json({ error: 'from and to version IDs are required' });
+            }
+
+            const campaign = await this.getCampaign(req.params.id);
+            if (!campaign) {
+                return res.status(404).json({ error: 'Campaign not found' });
+            }
+
+            const result = await this.templateVersionService.diffVersions(campaign.template_type, from, to);
+            if (!result.success) {
+                return res.status(result.notFound ? 404 : 500).json({ error: result.error });
+            }
+
+            res.json(result);
+        } catch (error) {
+            console.error('❌ Error diffing template versions:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * Approve a draft version and make it live
+     * POST /api/automated-emails/campaigns/:id/template/versions/:versionId/approve
+     */
+    async approveTemplateVersion(req, res) {
+        await this.changeTemplateVersion(req, res, 'approveVersion');
+    }
+
+    /**
+     * Roll back to an earlier version (saved as a new version)
+     * POST /api/automated-emails/campaigns/:id/template/versions/:versionId/restore
+     */
+    async restoreTemplateVersion(req, res) {
+        await this.changeTemplateVersion(req, res, 'restoreVersion');
+    }
+
+    async changeTemplateVersion(req, res, method) {
+        try {
+            const userId = req.user?.userId;
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const campaign = await this.getCampaign(req.params.id);
+            if (!campaign) {
+                return res.status(404).json({ error: 'Campaign not found' });
+            }
+
+            const result = await this.templateVersionService[method](
+                campaign.template_type,
+                parseInt(req.params.versionId),
+                campaign.campaign_name,
+                userId
+            );
+
+            if (!result.success) {
+                return res.status(result.notFound ? 404 : 400).json({ error: result.error });
+            }
+
+            res.json(result);
+        } catch (error) {
+            console.error(`❌ Error in ${method}:`, error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * Turn the draft -> approved step for template changes on or off
+     * PUT /api/automated-emails/template-approval
+     */
+    async setTemplateApproval(req, res) {
+        try {
+            const { required } = req.body;
+            if (typeof required !== 'boolean') {
+                return res.status(400).json({ error: 'required must be a boolean' });
+            }
+
+            const result = await this.templateVersionService.setApprovalRequired(required);
+            if (!result.success) {
+                return res.status(500).json({ error: result.error });
+            }
+
+            res.json(result);
+        } catch (error) {
+            console.error('❌ Error setting template approval:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * A/B test variants of a campaign's template
+     * GET /api/automated-emails/campaigns/:id/variants
+     */
+    async getTemplateVariants(req, res) {
+        try {
+            const campaign = await this.getCampaign(req.params.id);
+            if (!campaign) {
+                return res.status(404).json({ error: 'Campaign not found' });
+            }
+
+            const result = await this.templateVariantService.listVariants(campaign.id);
+            if (!result.success) {
+                return res.status(500).json({ error: result.error });
+            }
+
+            res.json(result);
+        } catch (error) {
+            console.error('❌ Error getting template variants:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * Add a variant to a campaign's A/B test
+     * POST /api/automated-emails/campaigns/:id/variants
+     */
+    async createTemplateVariant(req, res) {
+        try {
+            const userId = req.user?.userId;
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const campaign = await this.getCampaign(req.params.id);
+            if (!campaign) {
+                return res.status(404).json({ error: 'Campaign not found' });
+            }
+
+            const { fields, error, validation } = this.buildVariantFields(req.body, { creating: true });
+            if (error) {
+                return res.status(400).json({ error, ...validation });
+            }
+
+            if (campaign.consolidate_by_customer && fields.subject_template && !listsInvoices(fields)) {
+                return res.status(400).json({ error: CONSOLIDATED_VARIANT_ERROR });
+            }
+
+            const result = await this.templateVariantService.createVariant(campaign.id, fields, userId);
+            if (!result.success) {
+                return res.status(result.conflict ? 409 : 500).json({ error: result.error });
+            }
+
+            res.json(result);
+        } catch (error) {
+            console.error('❌ Error creating template variant:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * Change a variant's content, traffic share or active flag
+     * PUT /api/automated-emails/campaigns/:id/variants/:variantId
+     */
+    async updateTemplateVariant(req, res) {
+        try {
+            const campaign = await this.getCampaign(req.params.id);
+            if (!campaign) {
+                return res.status(404).json({ error: 'Campaign not found' });
+            }
+
+            const { fields, error, validation } = this.buildVariantFields(req.body);
+            if (error) {
+                return res.status(400).json({ error, ...validation });
+            }
+
+            // Check the variant as it will be after the change (content and active flag may change separately)
+            if (campaign.consolidate_by_customer) {
+                const variantsResult = await this.templateVariantService.listVariants(campaign.id);
+                if (!variantsResult.success) throw new Error(variantsResult.error);
+
+                const existing = variantsResult.variants.find(variant => variant.id === parseInt(req.params.variantId));
+                const updated = { ...existing, ...fields };
+                if (existing && updated.is_active && updated.subject_template && !listsInvoices(updated)) {
+                    return res.status(400).json({ error: CONSOLIDATED_VARIANT_ERROR });
+                }
+            }
+
+            const result = await this.templateVariantService.updateVariant(campaign.id, parseInt(req.params.variantId), fields);
+            if (!result.success) {
+                return res.status(result.notFound ? 404 : result.conflict ? 409 : 500).json({ error: result.error });
+            }
+
+            res.json(result);
+        } catch (error) {
+            console.error('❌ Error updating template variant:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * Payment conversion of each variant within 7 and 14 days of the email
+     * GET /api/automated-emails/campaigns/:id/variants/report
+     */
+    async getTemplateVariantReport(req, res) {
+        try {
+            const campaign = await this.getCampaign(req.params.id);
+            if (!campaign) {
+                return res.status(404).json({ error: 'Campaign not found' });
+            }
+
+            const result = await this.templateVariantService.getConversionReport(campaign.id);
+            if (!result.success) {
+                return res.status(500).json({ error: result.error });
+            }
+
+            res.json(result);
+        } catch (error) {
+            console.error('❌ Error getting template variant report:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * Validate a variant request body into table columns. A control variant (is_control)
+     * stores no content and sends the campaign's live template.
+     * @returns {{ fields?: Object, error?: string, validation?: Object }}
+     */
+    buildVariantFields(body, { creating = false } = {}) {
+        const fields = {};
+
+        if (creating || body.variant_name !== undefined) {
+            const name = String(body.variant_name || '').trim();
+            if (!name || name.length > 100) {
+                return { error: 'A variant name of up to 100 characters is required' };
+            }
+            fields.variant_name = name;
+        }
+
+        if (creating || body.weight !== undefined) {
+            const weight = Number(body.weight ?? 50);
+            if (!Number.isInteger(weight) || weight < 0 || weight > 100) {
+                return { error: 'The traffic share must be a whole number from 0 to 100' };
+            }
+            fields.weight = weight;
+        }
+
+        if (body.is_active !== undefined) {
+            fields.is_active = body.is_active === true;
+        }
+
+        if (body.is_control === true) {
+            Object.assign(fields, { subject_template: null, body_template: null, html_body_template: null, use_layout: true });
+        } else if (creating || body.subject_template !== undefined) {
+            const { subject_template, html_body_template = '', use_layout = true } = body;
+            let { body_template = '' } = body;
+
+            if (!subject_template || (!body_template && !html_body_template)) {
+                return { error: 'A subject and an HTML or plain-text body are required' };
+            }
+
+            const validation = this.validateTemplate(subject_template, body_template, html_body_template);
+            if (!validation.valid) {
+                return { error: 'Template has errors', validation };
+            }
+
+            if (!body_template) {
+                body_template = this.automatedEmailService.emailService.emailLayout.htmlToText(html_body_template);
+            }
+
+            Object.assign(fields, {
+                subject_template,
+                body_template,
+                html_body_template: html_body_template || null,
+                use_layout: use_layout !== false
+            });
+        }
+
+        return { fields };
+    }
+
+    async getCampaign(id) {
+        const { data, error } = await this.automatedEmailService.supabase
+            .from('automated_email_campaigns')
+            .select('id, campaign_name, template_type, consolidate_by_customer')
+            .eq('id', id)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Check subject and bodies against the template engine; errors are prefixed with the field
+     */
+    validateTemplate(subjectTemplate, bodyTemplate, htmlBodyTemplate = '') {
+        const results = [
+            ['Subject', this.templateEngine.validate(subjectTemplate)],
+            ['Body', this.templateEngine.validate(bodyTemplate)],
+            ['HTML body', this.templateEngine.validate(htmlBodyTemplate)]
+        ];
+
+        return {
+            valid: results.every(([, result]) => result.valid),
+            errors: results.flatMap(([field, result]) => result.errors.map(error => `${field}: ${error}`)),
+            unknownVariables: [...new Set(results.flatMap(([, result]) => result.unknownVariables))]
+        };
+    }
+
+    /**
+     * Render a template being edited with sample data, inside the branded layout
+     * POST /api/automated-emails/templates/preview
+     */
+    async previewTemplate(req, res) {
+        try {
+            const { subject_template = '', body_template = '', html_body_template = '', use_layout = true } = req.body;
+            const { emailLayout } = this.automatedEmailService.emailService;
+
+            const subject = this.templateEngine.render(subject_template, SAMPLE_TEMPLATE_VARIABLES);
+            let html = html_body_template
+                ? this.templateEngine.render(html_body_template, SAMPLE_TEMPLATE_VARIABLES, { format: 'html' })
+                : null;
+            const text = body_template
+                ? this.templateEngine.render(body_template, SAMPLE_TEMPLATE_VARIABLES)
+                : emailLayout.htmlToText(html);
+
+            if (!html && use_layout !== false) {
+                html = emailLayout.textToHtml(text);
+            }
+
+            if (html) {
+                if (use_layout !== false) {
+                    html = emailLayout.wrap(html, { ...SAMPLE_TEMPLATE_VARIABLES, SUBJECT: subject }, { embedLogo: false }).html;
+                } else {
+                    const inlined = emailLayout.inlineCss(html);
+                    html = inlined.styleBlock + inlined.html;
+                }
+            }
+
+            res.json({
+                success: true,
+                subject,
+                text,
+                html,
+                ...this.validateTemplate(subject_template, body_template, html_body_template)
+            });
+        } catch (error) {
+            console.error('❌ Error previewing template:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
     /**
      * Send test email using campaign template
      * POST /api/automated-emails/campaigns/:id/test
@@ -667,7 +1139,7 @@ class AutomatedEmailController {
             console.log(`🔍 Test email: Sender name will be: "${senderName}"`);
 
             // If we have a real invoice, get its payment history and payment link
-            let paymentHistory = 'No payments recorded.';
+            let paymentVariables = buildPaymentVariables([]);
             let paymentLink = sampleInvoice?.payment_link_url || 'https://payment.texontowel.com/sample-link';
 
             if (sampleInvoice) {
@@ -679,14 +1151,7 @@ class AutomatedEmailController {
                         .eq('orderid', sampleInvoice.id)
                         .order('paymentdate', { ascending: false });
 
-                    if (payments && payments.length > 0) {
-                        paymentHistory = payments.map(payment => {
-                            const date = new Date(payment.paymentdate).toLocaleDateString();
-                            const amount = parseFloat(payment.amountpaid || 0).toFixed(2);
-                            const method = payment.paymentmethodcode || 'Other';
-                            return `• ${date}: $${amount} (${method})`;
-                        }).join('\n');
-                    }
+                    paymentVariables = buildPaymentVariables(payments);
 
                     // Use the existing payment link from the cached_invoices table
                     paymentLink = sampleInvoice.payment_link_url || `https://payment.texontowel.com/pay/${sampleInvoice.id}`;
@@ -705,16 +1170,29 @@ class AutomatedEmailController {
                 AMOUNT_DUE: (sampleInvoice?.outstanding_amount || 150.00).toFixed(2),
                 DAYS_OUTSTANDING: sampleInvoice?.days_outstanding?.toString() || '45',
                 TAX_DATE: sampleInvoice?.tax_date || new Date().toISOString().split('T')[0],
-                PAYMENT_HISTORY: paymentHistory,
+                ...paymentVariables,
                 PAYMENT_LINK: paymentLink,
                 SENDER_NAME: senderName,
-                COMPANY_NAME: 'Texon Towel'
+                COMPANY_NAME: 'Texon Towel',
+                OPT_OUT_LINK: this.automatedEmailService.emailPreferencesService.getOptOutLink(test_email_address, campaign.campaign_type),
+                PREFERENCES_LINK: this.automatedEmailService.emailPreferencesService.getPreferencesLink(test_email_address, campaign.campaign_type)
             };
+            // Consolidated templates loop over INVOICES; the test email has the one sample invoice
+            templateVars.INVOICE_COUNT = '1';
+            templateVars.INVOICES = [{
+                INVOICE_NUMBER: templateVars.INVOICE_NUMBER,
+                ORDER_REFERENCE: templateVars.ORDER_REFERENCE,
+                TOTAL_AMOUNT: templateVars.TOTAL_AMOUNT,
+                AMOUNT_DUE: templateVars.AMOUNT_DUE,
+                DAYS_OUTSTANDING: templateVars.DAYS_OUTSTANDING,
+                TAX_DATE: templateVars.TAX_DATE,
+                PAYMENT_LINK: templateVars.PAYMENT_LINK
+            }];
 
             // Get the actual email template
             const { data: emailTemplate, error: templateError } = await this.automatedEmailService.supabase
                 .from('email_templates')
-                .select('subject_template, body_template')
+                .select('*')
                 .eq('template_type', campaign.template_type)
                 .single();
 
@@ -725,13 +1203,15 @@ class AutomatedEmailController {
                 emailTemplate.subject_template,
                 templateVars
             );
-            const processedBody = this.automatedEmailService.replaceTemplateVariables(
-                emailTemplate.body_template,
-                templateVars
-            );
-
-            // Generate PDF attachment for test email
-            console.log(`📄 Generating PDF invoice for test email...`);
+            const processedHtmlBody = emailTemplate.html_body_template
+                ? this.templateEngine.render(emailTemplate.html_body_template, templateVars, { format: 'html' })
+                : null;
+            const processedBody = emailTemplate.body_template
+                ? this.automatedEmailService.replaceTemplateVariables(emailTemplate.body_template, templateVars)
+                : this.automatedEmailService.emailService.emailLayout.htmlToText(processedHtmlBody);
+
+            // Generate PDF attachment(s) for test email
+            console.log(`📄 Generating PDF attachment(s) for test email...`);
             let attachments = [];
             if (sampleInvoice) {
                 try {
@@ -749,15 +1229,17 @@ class AutomatedEmailController {
                         paymentLink: templateVars.PAYMENT_LINK || ''
                     };
 
-                    const pdfResult = await this.enhancedPdfService.generateInvoicePDF(pdfOrderData);
-                    if (pdfResult.success) {
-                        attachments = [
-                            this.enhancedPdfService.createEmailAttachment(pdfResult.buffer, pdfResult.filename)
-                        ];
-                        console.log(`✅ Test PDF generated successfully: ${pdfResult.filename}`);
+                    const attachmentResult = await this.enhancedPdfService.generateEmailAttachments(
+                        campaign.attachment_type || 'invoice',
+                        pdfOrderData,
+                        sampleInvoice.billing_contact_id
+                    );
+                    attachments = attachmentResult.attachments;
+                    if (attachmentResult.errors.length === 0) {
+                        console.log(`✅ Test PDF attachment(s) generated successfully: ${attachments.map(a => a.filename).join(', ')}`);
                     } else {
-                        console.log(`⚠️ Test PDF generation failed: ${pdfResult.error}`);
-                        // Continue without attachment if PDF generation fails
+                        console.log(`⚠️ Test PDF generation failed: ${attachmentResult.errors.join('; ')}`);
+                        // Continue without the failed attachment(s)
                     }
                 } catch (pdfError) {
                     console.log(`❌ Test PDF generation error:`, pdfError);
@@ -773,6 +1255,8 @@ class AutomatedEmailController {
                 emailType: 'invoice', // Use 'invoice' type so it doesn't try to load another template
                 customSubject: processedSubject,
                 customBody: processedBody,
+                customHtmlBody: processedHtmlBody,
+                useLayout: emailTemplate.use_layout !== false,
                 attachments: attachments,
                 senderName: senderName
             });
@@ -1047,8 +1531,9 @@ class AutomatedEmailController {
                 return res.status(400).json({ error: 'Invalid email format' });
             }
 
-            // Verify that a user exists with this email in their email settings
-            const { data: userData, error: userError } = await this.automatedEmailService.supabase
+            // Verify that a user exists with this email in their email settings (and an App
+            // Password, unless emails go out through the organization sender)
+            let userQuery = this.automatedEmailService.supabase
                 .from('app_users')
                 .select(`
                     id,
@@ -1057,10 +1542,11 @@ class AutomatedEmailController {
                     user_email_settings!inner(email_address)
                 `)
                 .eq('is_active', true)
-                .eq('user_email_settings.email_address', email)
-                .not('user_email_settings.google_app_password', 'is', null)
-                .limit(1)
-                .single();
+                .eq('user_email_settings.email_address', email);
+            if (!(await this.automatedEmailService.emailService.getOrganizationSender())) {
+                userQuery = userQuery.not('user_email_settings.google_app_password', 'is', null);
+            }
+            const { data: userData, error: userError } = await userQuery.limit(1).single();
 
             if (userError || !userData) {
                 return res.status(400).json({
@@ -2,6 +2,13 @@ const { createClient } = require('@supabase/supabase-js');
 const EmailService = require('./email-service');
 const SafetyMechanisms = require('./safety-mechanisms');
 const EnhancedPDFService = require('./enhanced-pdf-service');
+const EmailPreferencesService = require('./email-preferences-service');
+const ReminderCalendarService = require('./reminder-calendar-service');
+const PaymentPromiseService = require('./payment-promise-service');
+const TemplateVariantService = require('./template-variant-service');
+
+// Campaign types from least to most severe; a consolidated email takes the template of its most severe campaign
+const CAMPAIGN_SEVERITY = ['overdue_31_60', 'overdue_61_90', 'overdue_91_plus', 'overdue_91_plus_recurring'];
 
 /**
  * Automated Email Service for overdue invoice notifications
@@ -36,6 +43,10 @@ class AutomatedEmailService {
         this.emailService = new EmailService();
         this.safetyMechanisms = new SafetyMechanisms();
         this.enhancedPdfService = new EnhancedPDFService();
+        this.emailPreferencesService = new EmailPreferencesService();
+        this.reminderCalendarService = new ReminderCalendarService();
+        this.paymentPromiseService = new PaymentPromiseService();
+        this.templateVariantService = new TemplateVariantService();
         console.log('✅ Automated Email Service initialized');
     }
 
@@ -183,6 +194,7 @@ class AutomatedEmailService {
                     total_amount,
                     paid_amount,
                     outstanding_amount,
+                    billing_contact_id,
                     billing_contact_email,
                     billing_contact_name,
                     billing_company_name,
@@ -191,6 +203,7 @@ class AutomatedEmailService {
                 .gte('days_outstanding', 30) // Only overdue invoices (30+ days)
                 .gt('outstanding_amount', 0) // Only invoices with outstanding balance
                 .not('billing_contact_email', 'is', null) // Must have email
+                .is('dispute_id', null) // Disputed invoices get no reminders until resolved
                 .order('days_outstanding', { ascending: true });
 
             if (error) throw error;
@@ -205,6 +218,15 @@ class AutomatedEmailService {
             let scheduled = 0;
             let skipped = 0;
 
+            // Company blackout (holiday, month-end close) and customer/order holds
+            const today = await this.reminderCalendarService.getLocalDate();
+            const blackout = await this.reminderCalendarService.getBlackoutForDate(today);
+            if (blackout) {
+                console.log(`   📅 ${today} is a blackout date (${blackout.reason}) - no reminders will be scheduled`);
+            }
+            const activeHolds = await this.reminderCalendarService.getActiveHolds();
+            const activePromises = await this.paymentPromiseService.getActivePromises();
+
             for (const invoice of overdueInvoices) {
                 processed++;
 
@@ -232,17 +254,63 @@ class AutomatedEmailService {
                     continue;
                 }
 
-                // Check customer opt-out preferences
-                const isOptedOut = await this.isCustomerOptedOut(invoice.billing_contact_email);
-                if (isOptedOut) {
-                    console.log(`   🚫 Skipping order ${invoice.order_reference} - customer opted out`);
+                if (blackout) {
+                    await this.scheduleEmail({
+                        campaignId: campaign.id,
+                        orderId: invoice.id,
+                        recipientEmail: invoice.billing_contact_email,
+                        scheduledDate: new Date(),
+                        status: 'skipped',
+                        skipReason: 'blackout',
+                        isTest: testMode
+                    });
+                    skipped++;
+                    continue;
+                }
+
+                const hold = await this.reminderCalendarService.getHoldForOrder(invoice.id, invoice.billing_contact_id, activeHolds);
+                if (hold) {
+                    console.log(`   ⏸️ Skipping order ${invoice.order_reference} - ${hold.hold_type} on hold (${hold.reason})`);
                     await this.scheduleEmail({
                         campaignId: campaign.id,
                         orderId: invoice.id,
                         recipientEmail: invoice.billing_contact_email,
                         scheduledDate: new Date(),
                         status: 'skipped',
-                        skipReason: 'customer_opted_out',
+                        skipReason: 'on_hold',
+                        isTest: testMode
+                    });
+                    skipped++;
+                    continue;
+                }
+
+                const promise = await this.paymentPromiseService.getPromiseForOrder(invoice.id, activePromises);
+                if (promise) {
+                    console.log(`   🤝 Skipping order ${invoice.order_reference} - promise to pay by ${promise.promised_date}`);
+                    await this.scheduleEmail({
+                        campaignId: campaign.id,
+                        orderId: invoice.id,
+                        recipientEmail: invoice.billing_contact_email,
+                        scheduledDate: new Date(),
+                        status: 'skipped',
+                        skipReason: 'promise_to_pay',
+                        isTest: testMode
+                    });
+                    skipped++;
+                    continue;
+                }
+
+                // Check customer opt-out preferences (global, per-campaign and paused)
+                const optOutStatus = await this.emailPreferencesService.getOptOutStatus(invoice.billing_contact_email, campaign.campaign_type);
+                if (optOutStatus.optedOut) {
+                    console.log(`   🚫 Skipping order ${invoice.order_reference} - ${optOutStatus.reason}`);
+                    await this.scheduleEmail({
+                        campaignId: campaign.id,
+                        orderId: invoice.id,
+                        recipientEmail: invoice.billing_contact_email,
+                        scheduledDate: new Date(),
+                        status: 'skipped',
+                        skipReason: optOutStatus.reason,
                         isTest: testMode
                     });
                     skipped++;
@@ -316,7 +384,10 @@ class AutomatedEmailService {
                     *,
                     automated_email_campaigns!inner (
                         campaign_name,
-                        template_type
+                        campaign_type,
+                        template_type,
+                        attachment_type,
+                        consolidate_by_customer
                     )
                 `)
                 .eq('scheduled_date', today)
@@ -339,6 +410,16 @@ class AutomatedEmailService {
             let failed = 0;
             let skipped = 0;
 
+            // Nothing goes out on a blackout date - pending emails are skipped and rescheduled on the next run
+            const blackout = await this.reminderCalendarService.getBlackoutForDate(await this.reminderCalendarService.getLocalDate());
+            if (blackout) {
+                console.log(`📅 Today is a blackout date (${blackout.reason}) - skipping ${scheduledEmails.length} scheduled emails`);
+                for (const scheduledEmail of scheduledEmails) {
+                    await this.updateScheduledEmailStatus(scheduledEmail.id, 'skipped', 'blackout');
+                }
+                return { sent: 0, failed: 0, skipped: scheduledEmails.length };
+            }
+
             // Get a default user for sending emails (you may want to make this configurable)
             const defaultUser = await this.getDefaultEmailUser();
             if (!defaultUser) {
@@ -346,6 +427,19 @@ class AutomatedEmailService {
                 return { sent: 0, failed: scheduledEmails.length, skipped: 0 };
             }
 
+            // A/B test variants of the campaigns being sent
+            let variantsByCampaign = new Map();
+            try {
+                variantsByCampaign = await this.templateVariantService.getActiveVariantsByCampaign(
+                    [...new Set(scheduledEmails.map(scheduledEmail => scheduledEmail.campaign_id))]
+                );
+            } catch (variantError) {
+                console.warn('⚠️ Could not load template variants - sending regular templates:', variantError.message);
+            }
+
+            // Consolidated campaigns: emails that pass every check are grouped per customer email, across campaigns
+            const consolidatedBatches = new Map();
+
             for (const scheduledEmail of scheduledEmails) {
                 try {
                     // Update attempt count
@@ -368,13 +462,39 @@ class AutomatedEmailService {
                         continue;
                     }
 
+                    // Check for disputes opened after the email was scheduled
+                    if (invoiceData.dispute_id) {
+                        console.log(`⚖️ Invoice ${invoiceData.order_reference} is disputed - skipping email`);
+                        await this.updateScheduledEmailStatus(scheduledEmail.id, 'skipped', 'disputed');
+                        skipped++;
+                        continue;
+                    }
+
+                    // Check for holds placed after the email was scheduled
+                    const hold = await this.reminderCalendarService.getHoldForOrder(scheduledEmail.order_id, invoiceData.billing_contact_id);
+                    if (hold) {
+                        console.log(`⏸️ Skipping order ${invoiceData.order_reference} - ${hold.hold_type} on hold (${hold.reason})`);
+                        await this.updateScheduledEmailStatus(scheduledEmail.id, 'skipped', 'on_hold');
+                        skipped++;
+                        continue;
+                    }
+
+                    const promise = await this.paymentPromiseService.getPromiseForOrder(scheduledEmail.order_id);
+                    if (promise) {
+                        console.log(`🤝 Skipping order ${invoiceData.order_reference} - promise to pay by ${promise.promised_date}`);
+                        await this.updateScheduledEmailStatus(scheduledEmail.id, 'skipped', 'promise_to_pay');
+                        skipped++;
+                        continue;
+                    }
+
                     // Check if customer has opted out (check before sending, not just during scheduling)
                     console.log(`🔍 Checking opt-out status for ${scheduledEmail.recipient_email}...`);
-                    const isOptedOut = await this.isCustomerOptedOut(scheduledEmail.recipient_email);
-                    console.log(`   Opted out: ${isOptedOut}`);
-                    if (isOptedOut) {
-                        console.log(`🚫 Skipping order ${invoiceData.order_reference} - customer opted out after scheduling`);
-                        await this.updateScheduledEmailStatus(scheduledEmail.id, 'skipped', 'customer_opted_out');
+                    const campaignType = scheduledEmail.automated_email_campaigns.campaign_type;
+                    const optOutStatus = await this.emailPreferencesService.getOptOutStatus(scheduledEmail.recipient_email, campaignType);
+                    console.log(`   Opted out: ${optOutStatus.optedOut}${optOutStatus.reason ? ` (${optOutStatus.reason})` : ''}`);
+                    if (optOutStatus.optedOut) {
+                        console.log(`🚫 Skipping order ${invoiceData.order_reference} - ${optOutStatus.reason} after scheduling`);
+                        await this.updateScheduledEmailStatus(scheduledEmail.id, 'skipped', optOutStatus.reason);
                         skipped++;
                         continue;
                     }
@@ -394,7 +514,7 @@ class AutomatedEmailService {
 
                         // ALSO check if the test email recipient has opted out
                         console.log(`🔍 Checking opt-out status for test recipient ${recipientEmail}...`);
-                        const testRecipientOptedOut = await this.isCustomerOptedOut(recipientEmail);
+                        const testRecipientOptedOut = await this.isCustomerOptedOut(recipientEmail, campaignType);
                         console.log(`   Test recipient opted out: ${testRecipientOptedOut}`);
                         if (testRecipientOptedOut) {
                             console.log(`🚫 Skipping order ${invoiceData.order_reference} - test recipient opted out`);
@@ -404,8 +524,19 @@ class AutomatedEmailService {
                         }
                     }
 
-                    // Generate PDF attachment for the invoice
-                    console.log(`📄 Generating PDF invoice for automated email...`);
+                    if (scheduledEmail.automated_email_campaigns.consolidate_by_customer) {
+                        const batchKey = scheduledEmail.recipient_email.trim().toLowerCase();
+                        if (!consolidatedBatches.has(batchKey)) {
+                            consolidatedBatches.set(batchKey, []);
+                        }
+                        consolidatedBatches.get(batchKey).push({ scheduledEmail, invoiceData, recipientEmail, globalTestMode });
+                        continue;
+                    }
+
+                    const variant = await this.assignVariant([scheduledEmail], variantsByCampaign);
+
+                    // Generate PDF attachment(s) for the invoice / customer statement
+                    console.log(`📄 Generating PDF attachment(s) for automated email...`);
                     const pdfOrderData = {
                         id: scheduledEmail.order_id,
                         customerName: invoiceData.billing_contact_name,
@@ -417,20 +548,24 @@ class AutomatedEmailService {
                         daysOutstanding: invoiceData.days_outstanding,
                         taxDate: new Date(invoiceData.tax_date).toLocaleDateString(),
                         payments: [], // You may want to fetch payment history
-                        paymentLink: invoiceData.payment_link_url || ''
+                        paymentLink: invoiceData.payment_link_url || '',
+                        lineItems: await this.enhancedPdfService.getOrderRows(scheduledEmail.order_id)
                     };
 
                     let attachments = [];
                     try {
-                        const pdfResult = await this.enhancedPdfService.generateInvoicePDF(pdfOrderData);
-                        if (pdfResult.success) {
-                            attachments = [
-                                this.enhancedPdfService.createEmailAttachment(pdfResult.buffer, pdfResult.filename)
-                            ];
-                            console.log(`✅ PDF generated successfully: ${pdfResult.filename}`);
+                        const attachmentType = scheduledEmail.automated_email_campaigns.attachment_type || 'invoice';
+                        const attachmentResult = await this.enhancedPdfService.generateEmailAttachments(
+                            attachmentType,
+                            pdfOrderData,
+                            invoiceData.billing_contact_id
+                        );
+                        attachments = attachmentResult.attachments;
+                        if (attachmentResult.errors.length === 0) {
+                            console.log(`✅ PDF attachment(s) generated successfully: ${attachments.map(a => a.filename).join(', ') || 'none'}`);
                         } else {
-                            console.log(`⚠️ PDF generation failed: ${pdfResult.error}`);
-                            // Continue without attachment if PDF generation fails
+                            console.log(`⚠️ PDF generation failed: ${attachmentResult.errors.join('; ')}`);
+                            // Continue without the failed attachment(s)
                         }
                     } catch (pdfError) {
                         console.log(`❌ PDF generation error:`, pdfError);
@@ -443,6 +578,8 @@ class AutomatedEmailService {
                         orderId: scheduledEmail.order_id,
                         recipientEmail: recipientEmail,
                         emailType: scheduledEmail.automated_email_campaigns.template_type,
+                        campaignType: campaignType,
+                        templateOverride: this.templateVariantService.getTemplateOverride(variant),
                         orderData: pdfOrderData,
                         attachments: attachments,
                         senderName: defaultUser.first_name ? `${defaultUser.first_name} ${defaultUser.last_name}` : 'Texon Towel',
@@ -459,7 +596,7 @@ class AutomatedEmailService {
                             emailResult.logId
                         );
 
-                        console.log(`✅ Sent automated email for order ${invoiceData.order_reference}`);
+                        console.log(`✅ Sent automated email for order ${invoiceData.order_reference}${variant ? ` (variant "${variant.variant_name}")` : ''}`);
                         sent++;
                     } else {
                         throw new Error(emailResult.error);
@@ -486,6 +623,21 @@ class AutomatedEmailService {
                 }
             }
 
+            // One email per customer for consolidated campaigns
+            for (const batch of consolidatedBatches.values()) {
+                if (testMode && sent >= 5) {
+                    console.log(`🧪 Test mode: limiting to ${sent} sent emails`);
+                    break;
+                }
+
+                const batchSent = await this.sendConsolidatedEmail(batch, defaultUser, variantsByCampaign);
+                if (batchSent) {
+                    sent++;
+                } else {
+                    failed += batch.length;
+                }
+            }
+
             return { sent, failed, skipped };
 
         } catch (error) {
@@ -494,6 +646,136 @@ class AutomatedEmailService {
         }
     }
 
+    /**
+     * Send a single email covering several scheduled orders for the same customer, possibly
+     * from several campaigns. The most severe campaign sets the template, tone and variant;
+     * an order scheduled by more than one campaign is listed once. Every schedule row is
+     * marked sent (or failed) with the shared email log ID.
+     */
+    async sendConsolidatedEmail(batch, defaultUser, variantsByCampaign = new Map()) {
+        const severity = item => CAMPAIGN_SEVERITY.indexOf(item.scheduledEmail.automated_email_campaigns.campaign_type);
+        const lead = batch.reduce((mostSevere, item) => severity(item) > severity(mostSevere) ? item : mostSevere);
+        const { scheduledEmail: firstEmail, recipientEmail, globalTestMode } = lead;
+        const campaign = firstEmail.automated_email_campaigns;
+        const scheduleIds = batch.map(item => item.scheduledEmail.id);
+
+        try {
+            const invoiceBatch = [...new Map(batch.map(item => [item.invoiceData.id, item])).values()];
+            const invoices = invoiceBatch.map(({ invoiceData }) => ({
+                id: invoiceData.id,
+                reference: invoiceData.order_reference,
+                invoiceNumber: invoiceData.invoice_number,
+                totalAmount: parseFloat(invoiceData.total_amount || 0),
+                totalPaid: parseFloat(invoiceData.paid_amount || 0),
+                amountDue: parseFloat(invoiceData.outstanding_amount || 0),
+                daysOutstanding: invoiceData.days_outstanding,
+                taxDate: new Date(invoiceData.tax_date).toLocaleDateString(),
+                paymentLink: invoiceData.payment_link_url || '',
+                billingContactId: invoiceData.billing_contact_id
+            }));
+
+            const orderData = {
+                id: firstEmail.order_id,
+                customerName: lead.invoiceData.billing_contact_name,
+                reference: invoices.map(invoice => invoice.reference).filter(Boolean).join(', '),
+                invoiceNumber: invoices.map(invoice => invoice.invoiceNumber).filter(Boolean).join(', '),
+                totalAmount: invoices.reduce((sum, invoice) => sum + invoice.totalAmount, 0),
+                totalPaid: invoices.reduce((sum, invoice) => sum + invoice.totalPaid, 0),
+                amountDue: invoices.reduce((sum, invoice) => sum + invoice.amountDue, 0),
+                daysOutstanding: Math.max(...invoices.map(invoice => invoice.daysOutstanding || 0)),
+                taxDate: invoices[0].taxDate,
+                payments: [],
+                paymentLink: invoices.length === 1 ? invoices[0].paymentLink : '',
+                invoices
+            };
+
+            console.log(`📦 Consolidating ${invoices.length} invoice(s) into one email for ${firstEmail.recipient_email}`);
+
+            const variant = await this.assignVariant(
+                batch.map(item => item.scheduledEmail).filter(scheduledEmail => scheduledEmail.campaign_id === firstEmail.campaign_id),
+                variantsByCampaign
+            );
+
+            // Combined statement for each billing contact, plus the individual invoices when the campaign asks for them
+            let attachments = [];
+            try {
+                const billingContactIds = [...new Set(invoices.map(invoice => invoice.billingContactId).filter(Boolean))];
+                for (const billingContactId of billingContactIds) {
+                    const { attachments: statement, errors } = await this.enhancedPdfService.generateEmailAttachments('statement', orderData, billingContactId);
+                    attachments.push(...statement);
+                    if (errors.length > 0) console.log(`⚠️ PDF generation failed: ${errors.join('; ')}`);
+                }
+
+                if (campaign.attachment_type === 'both') {
+                    for (const invoice of invoices) {
+                        const { attachments: invoicePdf, errors } = await this.enhancedPdfService.generateEmailAttachments('invoice', { ...invoice, customerName: orderData.customerName });
+                        attachments.push(...invoicePdf);
+                        if (errors.length > 0) console.log(`⚠️ PDF generation failed: ${errors.join('; ')}`);
+                    }
+                }
+            } catch (pdfError) {
+                console.log(`❌ PDF generation error:`, pdfError);
+                // Continue without attachment if PDF generation fails
+            }
+
+            const emailResult = await this.emailService.sendEmail({
+                userId: defaultUser.id,
+                orderId: firstEmail.order_id,
+                recipientEmail: recipientEmail,
+                emailType: `${campaign.template_type}_consolidated`,
+                campaignType: campaign.campaign_type,
+                templateOverride: this.templateVariantService.getTemplateOverride(variant),
+                orderData: orderData,
+                attachments: attachments,
+                senderName: defaultUser.first_name ? `${defaultUser.first_name} ${defaultUser.last_name}` : 'Texon Towel',
+                bypassPersonalTestMode: globalTestMode
+            });
+
+            if (!emailResult.success) {
+                throw new Error(emailResult.error);
+            }
+
+            const sentAt = new Date();
+            for (const scheduleId of scheduleIds) {
+                await this.updateScheduledEmailStatus(scheduleId, 'sent', null, sentAt, emailResult.logId);
+            }
+
+            console.log(`✅ Sent consolidated email for ${invoices.length} order(s) to ${firstEmail.recipient_email}`);
+            return true;
+
+        } catch (error) {
+            console.error(`❌ Failed to send consolidated email to ${firstEmail.recipient_email}:`, error);
+
+            for (const scheduleId of scheduleIds) {
+                await this.updateScheduledEmailStatus(scheduleId, 'failed', null, null, null, error.message);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * A/B test variant for a send (one email, so one variant for every schedule row in it).
+     * A retry keeps the variant already recorded on the row while it is still active;
+     * otherwise a weighted pick among the campaign's active variants is recorded before
+     * sending. Returns null when the campaign is not A/B testing.
+     */
+    async assignVariant(scheduledEmails, variantsByCampaign) {
+        const candidates = variantsByCampaign.get(scheduledEmails[0].campaign_id) || [];
+        if (candidates.length === 0) return null;
+
+        const recordedId = scheduledEmails[0].variant_id;
+        const recorded = recordedId && candidates.find(variant => variant.id === recordedId);
+        if (recorded && scheduledEmails.every(scheduledEmail => scheduledEmail.variant_id === recordedId)) {
+            return recorded;
+        }
+
+        const variant = recorded || this.templateVariantService.pickVariant(candidates);
+        if (variant) {
+            await this.templateVariantService.assignVariant(scheduledEmails.map(scheduledEmail => scheduledEmail.id), variant.id);
+        }
+        return variant;
+    }
+
     /**
      * Get active email campaigns
      */
@@ -573,25 +855,37 @@ class AutomatedEmailService {
     }
 
     /**
-     * Check if customer has opted out of automated emails
+     * Schedule an email. A skip for the same reason as the order's latest row in the campaign
+     * (e.g. a hold lasting several runs) moves that row's date forward instead of adding a row.
      */
-    async isCustomerOptedOut(email) {
-        const { data, error } = await this.supabase
-            .from('customer_email_preferences')
-            .select('opted_out_all, opted_out_reminders')
-            .eq('email_address', email.toLowerCase())
-            .single();
+    async scheduleEmail({ campaignId, orderId, recipientEmail, scheduledDate, status = 'pending', skipReason = null, isTest = false }) {
+        if (status === 'skipped') {
+            const { data: latest, error: latestError } = await this.supabase
+                .from('automated_email_schedule')
+                .select('id, status, skip_reason')
+                .eq('campaign_id', campaignId)
+                .eq('order_id', orderId)
+                .eq('is_test', isTest)
+                .order('created_at', { ascending: false })
+                .limit(1)
+                .maybeSingle();
 
-        if (error && error.code !== 'PGRST116') throw error;
+            if (latestError) throw latestError;
 
-        if (!data) return false;
-        return data.opted_out_all || data.opted_out_reminders;
-    }
+            if (latest && latest.status === 'skipped' && latest.skip_reason === skipReason) {
+                const { error: updateError } = await this.supabase
+                    .from('automated_email_schedule')
+                    .update({
+                        scheduled_date: scheduledDate.toISOString().split('T')[0],
+                        updated_at: new Date().toISOString()
+                    })
+                    .eq('id', latest.id);
+
+                if (updateError) throw updateError;
+                return;
+            }
+        }
 
-    /**
-     * Schedule an email
-     */
-    async scheduleEmail({ campaignId, orderId, recipientEmail, scheduledDate, status = 'pending', skipReason = null, isTest = false }) {
         const { error } = await this.supabase
             .from('automated_email_schedule')
             .insert({
@@ -672,9 +966,12 @@ class AutomatedEmailService {
      * Get default user for sending automated emails
      * First checks for a configured default sender in app_settings
      * Falls back to the first active user who has email settings configured
+     * (with an App Password, unless emails go out through the organization sender)
      */
     async getDefaultEmailUser() {
         try {
+            const needsAppPassword = !(await this.emailService.getOrganizationSender());
+
             // Check for configured default sender email
             const { data: settingData, error: settingError } = await this.supabase
                 .from('app_settings')
@@ -684,7 +981,7 @@ class AutomatedEmailService {
 
             if (!settingError && settingData?.value) {
                 // Find user by email address in their email settings
-                const { data: userData, error: userError } = await this.supabase
+                let userQuery = this.supabase
                     .from('app_users')
                     .select(`
                         id,
@@ -694,10 +991,11 @@ class AutomatedEmailService {
                         user_email_settings!inner(id, email_address, google_app_password)
                     `)
                     .eq('is_active', true)
-                    .eq('user_email_settings.email_address', settingData.value)
-                    .not('user_email_settings.google_app_password', 'is', null)
-                    .limit(1)
-                    .single();
+                    .eq('user_email_settings.email_address', settingData.value);
+                if (needsAppPassword) {
+                    userQuery = userQuery.not('user_email_settings.google_app_password', 'is', null);
+                }
+                const { data: userData, error: userError } = await userQuery.limit(1).single();
 
                 if (!userError && userData) {
                     console.log(`📧 Using configured automation sender: ${settingData.value}`);
@@ -706,7 +1004,7 @@ class AutomatedEmailService {
             }
 
             // Fallback to first active user with email settings
-            const { data, error } = await this.supabase
+            let query = this.supabase
                 .from('app_users')
                 .select(`
                     id,
@@ -715,10 +1013,11 @@ class AutomatedEmailService {
                     email,
                     user_email_settings!inner(id, email_address, google_app_password)
                 `)
-                .eq('is_active', true)
-                .not('user_email_settings.google_app_password', 'is', null)
-                .limit(1)
-                .single();
+                .eq('is_active', true);
+            if (needsAppPassword) {
+                query = query.not('user_email_settings.google_app_password', 'is', null);
+            }
+            const { data, error } = await query.limit(1).single();
 
             if (error) {
                 console.error('❌ Error getting default email user:', error);
@@ -860,47 +1159,20 @@ class AutomatedEmailService {
     }
 
     /**
-     * Replace template variables with actual values
+     * Render a template with the given variables (same engine as EmailService)
      */
     replaceTemplateVariables(template, variables) {
-        if (!template) return '';
-
-        let result = template;
-        Object.keys(variables).forEach(key => {
-            // Handle both {KEY} and {{KEY}} formats
-            const singleBracePlaceholder = `{${key}}`;
-            const doubleBracePlaceholder = `{{${key}}}`;
-            const value = variables[key] || '';
-
-            result = result.replace(new RegExp(singleBracePlaceholder.replace(/[{}]/g, '\\$&'), 'g'), value);
-            result = result.replace(new RegExp(doubleBracePlaceholder.replace(/[{}]/g, '\\$&'), 'g'), value);
-        });
-
-        return result;
+        return this.emailService.replaceTemplateVariables(template, variables);
     }
 
 
 
     /**
-     * Check if customer is opted out
+     * Check if customer is opted out (globally, of this campaign, or paused)
      */
-    async isCustomerOptedOut(emailAddress) {
-        if (!emailAddress) return true;
-
-        const { data, error } = await this.supabase
-            .from('customer_email_preferences')
-            .select('*')
-            .eq('email_address', emailAddress.toLowerCase())
-            .single();
-
-        if (error && error.code !== 'PGRST116') { // Not found is ok
-            throw error;
-        }
-
-        if (!data) return false; // No record means not opted out
-
-        // Check if opted out of all emails or relevant type
-        return data.opted_out_all || data.opted_out_reminders || data.opted_out_collections;
+    async isCustomerOptedOut(emailAddress, campaignType = null) {
+        const status = await this.emailPreferencesService.getOptOutStatus(emailAddress, campaignType);
+        return status.optedOut;
     }
 }
 
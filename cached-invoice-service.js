@@ -100,6 +100,20 @@ class CachedInvoiceService {
                 }
             }
             
+            // Dispute filter: only disputed invoices, or hide them
+            if (filterOptions.disputeFilter === 'disputed') {
+                query = query.not('dispute_id', 'is', null);
+            } else if (filterOptions.disputeFilter === 'undisputed') {
+                query = query.is('dispute_id', null);
+            }
+            
+            // Collector filter: a user ID, or 'unassigned' (the route resolves 'me' to the caller)
+            if (filterOptions.assignedTo === 'unassigned') {
+                query = query.is('assigned_to', null);
+            } else if (filterOptions.assignedTo) {
+                query = query.eq('assigned_to', parseInt(filterOptions.assignedTo));
+            }
+            
             // Apply sorting - all database-level now!
             const ascending = sortOrder.toLowerCase() === 'asc';
             const sortColumn = this.mapSortColumn(sortBy);
@@ -287,6 +301,63 @@ class CachedInvoiceService {
         }
     }
 
+    /**
+     * Get archived settled invoices whose settle date falls within a date range
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD
+     * @param {Object} options - { settlementType: 'paid'|'removed'|null }
+     */
+    async getSettledInvoices(startDate, endDate, options = {}) {
+        try {
+            const { settlementType = 'paid' } = options;
+            const batchSize = 1000;
+            let offset = 0;
+            let hasMoreData = true;
+            const settled = [];
+
+            while (hasMoreData) {
+                let query = this.supabase
+                    .from('settled_invoices')
+                    .select('*')
+                    .order('settled_at', { ascending: true })
+                    .range(offset, offset + batchSize - 1);
+
+                if (startDate) query = query.gte('settled_at', startDate);
+                if (endDate) query = query.lte('settled_at', `${endDate}T23:59:59`);
+                if (settlementType) query = query.eq('settlement_type', settlementType);
+
+                const { data, error } = await query;
+
+                if (error) throw error;
+
+                if (data && data.length > 0) {
+                    settled.push(...data);
+                    hasMoreData = data.length === batchSize;
+                    offset += batchSize;
+                } else {
+                    hasMoreData = false;
+                }
+            }
+
+            return {
+                success: true,
+                data: settled.map(invoice => ({
+                    ...invoice,
+                    total_amount: parseFloat(invoice.total_amount || 0),
+                    final_paid_amount: parseFloat(invoice.final_paid_amount || 0),
+                    outstanding_at_settlement: parseFloat(invoice.outstanding_at_settlement || 0)
+                }))
+            };
+
+        } catch (error) {
+            console.error('❌ Error fetching settled invoices:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Map frontend sort columns to database columns
      */
@@ -363,6 +434,8 @@ class CachedInvoiceService {
             brightpearlNotesCount: brightpearlNotes.length, // Use actual count of cached notes
             paymentLink: invoice.payment_link_url,
             hasPaymentLink: !!(invoice.payment_link_url && invoice.payment_link_url.trim()),
+            disputeId: invoice.dispute_id || null,
+            assignedTo: invoice.assigned_to || null,
             // Add cached Brightpearl notes
             brightpearlNotes: brightpearlNotes
         };
@@ -5,6 +5,14 @@ import './InvoiceDashboard.css';
 import EmailSettings from './EmailSettings';
 import AutomatedEmailSettings from './AutomatedEmailSettings';
 import AutomatedEmailReports from './AutomatedEmailReports';
+import RevenueTargets from './RevenueTargets';
+import EmailSenders from './EmailSenders';
+import AuditLog from './AuditLog';
+import InventoryReports from './InventoryReports';
+import DisputeAgingReport from './DisputeAgingReport';
+import Worklist from './Worklist';
+import CustomerAccount from './CustomerAccount';
+import { PERMISSIONS, hasPermission } from './permissions';
 import Footer from './Footer';
 
 // Chart.js imports for analytics
@@ -119,13 +127,13 @@ function Login({ onLogin }) {
 }
 
 // Dashboard Component - Now using InvoiceDashboard
-function Dashboard({ token }) {
-  return <InvoiceDashboard token={token} />;
+function Dashboard({ token, user, onFollowUpsChanged, onOpenCustomer }) {
+  return <InvoiceDashboard token={token} user={user} onFollowUpsChanged={onFollowUpsChanged} onOpenCustomer={onOpenCustomer} />;
 }
 
 // Enhanced Settings Component - Replace your existing Settings component with this:
 
-function Settings({ token, user }) {
+function Settings({ token, user, onOpenCustomer }) {
   const [settings, setSettings] = useState({});
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -164,7 +172,7 @@ function Settings({ token, user }) {
   };
 
   const loadOrderStatuses = async () => {
-    if (user.role !== 'admin') return;
+    if (!hasPermission(user, PERMISSIONS.MANAGE_SETTINGS)) return;
     
     setLoadingOrderStatuses(true);
     try {
@@ -242,7 +250,7 @@ function Settings({ token, user }) {
     }));
   };
 
-  if (user.role !== 'admin') {
+  if (!hasPermission(user, PERMISSIONS.MANAGE_SETTINGS)) {
     return (
       <div className="settings">
         <h2>Settings</h2>
@@ -400,6 +408,12 @@ function Settings({ token, user }) {
         </div>
       </div>
 
+      {/* Organization email sender (saved independently of the settings above) */}
+      <EmailSenders token={token} />
+
+      {/* Revenue Targets (saved independently of the settings above) */}
+      <RevenueTargets token={token} onOpenCustomer={onOpenCustomer} />
+
       {/* Save Button at Bottom */}
       <div className="settings-footer">
         <button
@@ -418,7 +432,7 @@ function Settings({ token, user }) {
 }
 
 // Analytics Component - Advanced Dashboard & Financial Analytics
-function Analytics({ token, user }) {
+function Analytics({ token, user, onOpenCustomer }) {
   const [loading, setLoading] = useState(true);
   const [dateRange, setDateRange] = useState({
     start: '2024-01-01', // January 1, 2024 (same as dashboard default)
@@ -428,7 +442,11 @@ function Analytics({ token, user }) {
   const [cashFlowData, setCashFlowData] = useState({});
   const [agingData, setAgingData] = useState({});
   const [trendData, setTrendData] = useState({});
+  const [paymentTrendData, setPaymentTrendData] = useState({});
   const [cashFlowGranularity, setCashFlowGranularity] = useState('weekly');
+  const [revenueTargetData, setRevenueTargetData] = useState({});
+  const [revenueSegment, setRevenueSegment] = useState('all');
+  const [revenueSegments, setRevenueSegments] = useState(['all']);
 
   useEffect(() => {
     loadAnalytics();
@@ -438,6 +456,10 @@ function Analytics({ token, user }) {
     loadCashFlowData();
   }, [cashFlowGranularity]);
 
+  useEffect(() => {
+    loadRevenueVsTarget();
+  }, [revenueSegment]);
+
   const loadAnalytics = async () => {
     setLoading(true);
     try {
@@ -447,6 +469,7 @@ function Analytics({ token, user }) {
         loadCashFlowData(), 
         loadAgingAnalysis(),
         loadTrendData(),
+        loadRevenueVsTarget(),
       ]);
     } catch (error) {
       console.error('Error loading analytics:', error);
@@ -499,18 +522,49 @@ function Analytics({ token, user }) {
 
   const loadTrendData = async () => {
     try {
-      const response = await fetch(`${API_BASE}/analytics/trends?startDate=${dateRange.start}&endDate=${dateRange.end}`, {
+      const response = await fetch(`${API_BASE}/analytics/trends?startDate=${dateRange.start}&endDate=${dateRange.end}&metric=collection_rate&granularity=monthly`, {
         headers: { 'Authorization': `Bearer ${token}` }
       });
       if (response.ok) {
         const result = await response.json();
         setTrendData(result.success ? result.data : {});
       }
+
+      // Last 8 weeks of actual days-to-pay, ending at the selected end date
+      const eightWeeksBack = new Date(new Date(dateRange.end).getTime() - 55 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      const paymentResponse = await fetch(`${API_BASE}/analytics/trends?startDate=${eightWeeksBack}&endDate=${dateRange.end}&metric=average_days_to_pay&granularity=weekly`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (paymentResponse.ok) {
+        const result = await paymentResponse.json();
+        setPaymentTrendData(result.success ? result.data : {});
+      }
     } catch (error) {
       console.error('Error loading trend data:', error);
     }
   };
 
+  const loadRevenueVsTarget = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/analytics/revenue-vs-target?startDate=${dateRange.start}&endDate=${dateRange.end}&segment=${encodeURIComponent(revenueSegment)}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (response.ok) {
+        const result = await response.json();
+        setRevenueTargetData(result.success ? result.data : {});
+      }
+
+      const segmentsResponse = await fetch(`${API_BASE}/analytics/revenue-targets?startDate=${dateRange.start}&endDate=${dateRange.end}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (segmentsResponse.ok) {
+        const result = await segmentsResponse.json();
+        if (result.success) setRevenueSegments(result.segments);
+      }
+    } catch (error) {
+      console.error('Error loading revenue vs target:', error);
+    }
+  };
 
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
@@ -809,27 +863,27 @@ function Analytics({ token, user }) {
           <div className="chart-header">
             <div>
               <h3 className="chart-title">🔮 Collection Performance</h3>
-              <p className="chart-subtitle">Monthly collection rates and targets</p>
+              <p className="chart-subtitle">Share of settled invoices paid within 30 days, by month</p>
             </div>
           </div>
           {trendData.dataPoints && trendData.dataPoints.length > 0 ? (
             <div style={{ height: '300px' }}>
               <Bar 
                 data={{
-                  labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'].slice(0, new Date().getMonth() + 1),
+                  labels: trendData.dataPoints.map(point =>
+                    new Date(`${point.date}-01T00:00:00`).toLocaleString('default', { month: 'short', year: '2-digit' })
+                  ),
                   datasets: [
                     {
                       label: 'Actual Collection Rate',
-                      data: Array.from({length: new Date().getMonth() + 1}, (_, i) => 
-                        Math.round(85 + Math.random() * 10 + (i * 2)) // Simulate improving trend
-                      ),
+                      data: trendData.dataPoints.map(point => point.value),
                       backgroundColor: 'rgba(59, 130, 246, 0.8)',
                       borderColor: 'rgba(59, 130, 246, 1)',
                       borderWidth: 2,
                     },
                     {
-                      label: 'Target (90%)',
-                      data: Array.from({length: new Date().getMonth() + 1}, () => 90),
+                      label: `Target (${trendData.benchmarks?.company_target || 90}%)`,
+                      data: trendData.dataPoints.map(() => trendData.benchmarks?.company_target || 90),
                       backgroundColor: 'rgba(16, 185, 129, 0.3)',
                       borderColor: 'rgba(16, 185, 129, 1)',
                       borderWidth: 2,
@@ -877,22 +931,18 @@ function Analytics({ token, user }) {
               <p className="chart-subtitle">Last 8 weeks of payment performance (from {dateRange.end})</p>
             </div>
           </div>
-          {agingData.buckets && agingData.buckets.length > 0 ? (
+          {paymentTrendData.dataPoints && paymentTrendData.dataPoints.some(point => point.value !== null) ? (
             <div style={{ height: '300px' }}>
               <Line 
                 data={{
                   labels: (() => {
-                    // Generate actual week labels based on the selected date range
-                    const end = new Date(dateRange.end);
+                    // Week labels come from the Monday-based weeks returned by the trends API
                     const labels = [];
                     
-                    // Get the last 8 weeks from the end date
-                    for (let i = 7; i >= 0; i--) {
-                      const weekEnd = new Date(end);
-                      weekEnd.setDate(end.getDate() - (i * 7));
-                      
-                      const weekStart = new Date(weekEnd);
-                      weekStart.setDate(weekEnd.getDate() - 6);
+                    paymentTrendData.dataPoints.slice(-8).forEach(point => {
+                      const weekStart = new Date(`${point.date}T00:00:00`);
+                      const weekEnd = new Date(weekStart);
+                      weekEnd.setDate(weekStart.getDate() + 6);
                       
                       // Format as "Mar 15-21" or "Dec 26-Jan 1" for year crossing
                       const formatWeek = (start, end) => {
@@ -909,14 +959,14 @@ function Analytics({ token, user }) {
                       };
                       
                       labels.push(formatWeek(weekStart, weekEnd));
-                    }
+                    });
                     
                     return labels;
                   })(),
                   datasets: [
                     {
                       label: 'Average Days to Payment',
-                      data: [32, 29, 31, 28, 26, 24, 25, 23], // Simulated improvement trend
+                      data: paymentTrendData.dataPoints.slice(-8).map(point => point.value),
                       backgroundColor: 'rgba(245, 158, 11, 0.2)',
                       borderColor: 'rgba(245, 158, 11, 1)',
                       borderWidth: 3,
@@ -925,7 +975,7 @@ function Analytics({ token, user }) {
                     },
                     {
                       label: 'Industry Average (30 days)',
-                      data: Array(8).fill(30),
+                      data: paymentTrendData.dataPoints.slice(-8).map(() => 30),
                       backgroundColor: 'rgba(107, 114, 128, 0.1)',
                       borderColor: 'rgba(107, 114, 128, 1)',
                       borderWidth: 2,
@@ -968,6 +1018,91 @@ function Analytics({ token, user }) {
           )}
         </div>
 
+        <div className="chart-card">
+          <div className="chart-header">
+            <div>
+              <h3 className="chart-title">🎯 Revenue vs Target</h3>
+              <p className="chart-subtitle">
+                Monthly collections against targets
+                {revenueTargetData.summary?.monthsWithTargets > 0 && (
+                  <> · {revenueTargetData.summary.averageAchievement}% achieved · trend: {revenueTargetData.summary.trend}</>
+                )}
+              </p>
+            </div>
+            <select
+              value={revenueSegment}
+              onChange={(e) => setRevenueSegment(e.target.value)}
+              style={{
+                padding: '6px 12px',
+                borderRadius: '6px',
+                border: '2px solid #e2e8f0',
+                backgroundColor: 'white',
+                fontSize: '0.85rem',
+                fontWeight: '500',
+                color: '#374151',
+                cursor: 'pointer'
+              }}
+            >
+              {revenueSegments.map(name => (
+                <option key={name} value={name}>{name === 'all' ? 'All Customers' : name}</option>
+              ))}
+            </select>
+          </div>
+          {revenueTargetData.months && revenueTargetData.months.length > 0 ? (
+            <div style={{ height: '300px' }}>
+              <Bar
+                data={{
+                  labels: revenueTargetData.months.map(m => m.month),
+                  datasets: [
+                    {
+                      label: 'Actual Collections',
+                      data: revenueTargetData.months.map(m => m.actual),
+                      backgroundColor: revenueTargetData.months.map(m =>
+                        m.status === 'exceeded' ? 'rgba(16, 185, 129, 0.8)' :
+                        m.status === 'met' ? 'rgba(245, 158, 11, 0.8)' :
+                        m.status === 'missed' ? 'rgba(220, 38, 38, 0.8)' :
+                        'rgba(59, 130, 246, 0.8)'
+                      ),
+                      borderWidth: 0,
+                    },
+                    {
+                      label: 'Target',
+                      data: revenueTargetData.months.map(m => m.target),
+                      backgroundColor: 'rgba(107, 114, 128, 0.1)',
+                      borderColor: 'rgba(107, 114, 128, 1)',
+                      borderWidth: 2,
+                      borderDash: [5, 5],
+                      type: 'line',
+                      spanGaps: false
+                    }
+                  ]
+                }}
+                options={{
+                  ...chartOptions,
+                  plugins: {
+                    ...chartOptions.plugins,
+                    tooltip: {
+                      callbacks: {
+                        label: function(context) {
+                          return `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`;
+                        },
+                        afterBody: function(items) {
+                          const month = revenueTargetData.months[items[0].dataIndex];
+                          return month.achievement !== null ? `Achievement: ${month.achievement}%` : 'No target set';
+                        }
+                      }
+                    }
+                  }
+                }}
+              />
+            </div>
+          ) : (
+            <div className="chart-placeholder">
+              Revenue vs target data will appear here once available
+            </div>
+          )}
+        </div>
+
       </div>
 
       {/* Summary Stats */}
@@ -995,9 +1130,29 @@ function Analytics({ token, user }) {
               </div>
               <div style={{ color: '#64748b', fontWeight: 500 }}>Avg Daily Collection</div>
             </div>
+            {agingData.collectionOutcomes && (
+              <>
+                <div style={{ textAlign: 'center' }}>
+                  <div style={{ fontSize: '2rem', fontWeight: 'bold', color: agingData.collectionOutcomes.averageDaysToPay <= 30 ? '#059669' : '#f59e0b' }}>
+                    {agingData.collectionOutcomes.averageDaysToPay} days
+                  </div>
+                  <div style={{ color: '#64748b', fontWeight: 500 }}>
+                    Avg Days to Pay ({agingData.collectionOutcomes.settledCount} settled)
+                  </div>
+                </div>
+                <div style={{ textAlign: 'center' }}>
+                  <div style={{ fontSize: '2rem', fontWeight: 'bold', color: '#6366f1' }}>
+                    {agingData.collectionOutcomes.averageRemindersBeforePayment}
+                  </div>
+                  <div style={{ color: '#64748b', fontWeight: 500 }}>Avg Reminders Before Payment</div>
+                </div>
+              </>
+            )}
           </div>
         </div>
       )}
+
+      <DisputeAgingReport token={token} onOpenCustomer={onOpenCustomer} />
     </div>
   );
 }
@@ -1009,11 +1164,27 @@ function Users({ token, user }) {
   const [editingUser, setEditingUser] = useState(null);
   const [showAddUser, setShowAddUser] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [roles, setRoles] = useState([]);
 
   useEffect(() => {
     loadUsers();
+    loadRoles();
   }, []);
 
+  const loadRoles = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/roles`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+      setRoles(data.roles || []);
+    } catch (error) {
+      console.error('Error loading roles:', error);
+    }
+  };
+
+  const getRoleLabel = (role) => roles.find(r => r.role === role)?.label || role;
+
   const loadUsers = async () => {
     try {
       const response = await fetch(`${API_BASE}/users`, {
@@ -1036,7 +1207,7 @@ function Users({ token, user }) {
       last_name: '',
       password: '',
       confirmPassword: '',
-      role: 'user',
+      role: 'collector',
       is_active: true
     });
     setShowAddUser(true);
@@ -1179,14 +1350,16 @@ function Users({ token, user }) {
     setShowAddUser(false);
   };
 
-  if (user.role !== 'admin') {
-    return <div>Access denied. Admin privileges required.</div>;
+  if (!hasPermission(user, PERMISSIONS.MANAGE_USERS)) {
+    return <div>Access denied. User management permission required.</div>;
   }
 
   if (loading) {
     return <div>Loading users...</div>;
   }
 
+  const selectedRole = editingUser ? roles.find(r => r.role === editingUser.role) : null;
+
   return (
     <div className="users">
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
@@ -1267,9 +1440,18 @@ function Users({ token, user }) {
                     value={editingUser.role}
                     onChange={(e) => setEditingUser({...editingUser, role: e.target.value})}
                   >
-                    <option value="user">User</option>
-                    <option value="admin">Admin</option>
+                    {roles.map(r => (
+                      <option key={r.role} value={r.role}>{r.label}</option>
+                    ))}
                   </select>
+                  {selectedRole && (
+                    <small style={{ display: 'block', color: '#666', marginTop: '4px' }}>
+                      {selectedRole.description}
+                      {selectedRole.permissions.length > 0 && (
+                        <> — {selectedRole.permissions.map(p => p.replace(/_/g, ' ')).join(', ')}</>
+                      )}
+                    </small>
+                  )}
                 </div>
                 
                 <div className="form-group">
@@ -1352,7 +1534,7 @@ function Users({ token, user }) {
             <div className="user-info">
               <div className="user-header">
                 <strong>{u.first_name} {u.last_name}</strong>
-                <span className={`user-role ${u.role}`}>{u.role}</span>
+                <span className={`user-role ${u.role}`}>{getRoleLabel(u.role)}</span>
                 {!u.is_active && <span className="user-status inactive">Inactive</span>}
               </div>
               
@@ -1412,6 +1594,9 @@ function App() {
   const [token, setToken] = useState(null);
   const [currentTab, setCurrentTab] = useState('dashboard');
   const [isLoading, setIsLoading] = useState(true);
+  const [followUpCounts, setFollowUpCounts] = useState(null);
+  // Billing contact whose account view is open (clicking a customer name anywhere opens it)
+  const [customerAccountId, setCustomerAccountId] = useState(null);
 
   useEffect(() => {
     // Check for existing authentication
@@ -1424,6 +1609,7 @@ function App() {
         setToken(savedToken);
         setUser(userData);
         setIsAuthenticated(true);
+        refreshUser(savedToken);
       } catch (error) {
         // If there's an error parsing the saved user data, clear it
         localStorage.removeItem('token');
@@ -1434,6 +1620,53 @@ function App() {
     setIsLoading(false);
   }, []);
 
+  // Open follow-up tasks for the header badge, refreshed every 5 minutes
+  useEffect(() => {
+    if (!token) return;
+
+    loadFollowUpCounts();
+    const interval = setInterval(loadFollowUpCounts, 5 * 60 * 1000);
+    return () => clearInterval(interval);
+  }, [token]);
+
+  const loadFollowUpCounts = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/follow-ups/counts`, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        if (data.success) {
+          setFollowUpCounts(data.counts);
+        }
+      }
+    } catch (error) {
+      console.error('Error loading follow-up counts:', error);
+    }
+  };
+
+  // Reload role and permissions so changes made in User Management apply without re-login
+  const refreshUser = async (userToken) => {
+    try {
+      const response = await fetch(`${API_BASE}/auth/verify`, {
+        headers: { 'Authorization': `Bearer ${userToken}` }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        if (data.valid && data.user) {
+          setUser(data.user);
+          localStorage.setItem('user', JSON.stringify(data.user));
+        }
+      } else if (response.status === 401 || response.status === 403) {
+        handleLogout();
+      }
+    } catch (error) {
+      console.error('Error refreshing user:', error);
+    }
+  };
+
   const handleLogin = (userData, userToken) => {
     setUser(userData);
     setToken(userToken);
@@ -1450,6 +1683,8 @@ function App() {
     setIsAuthenticated(false);
     setUser(null);
     setToken(null);
+    setFollowUpCounts(null);
+    setCustomerAccountId(null);
   };
 
   if (isLoading) {
@@ -1473,6 +1708,15 @@ function App() {
           <h1>Texon Invoicing Portal</h1>
           <div className="user-info">
             <span>Welcome, {user.first_name || user.username}</span>
+            {followUpCounts && followUpCounts.due + followUpCounts.upcoming > 0 && (
+              <button
+                className={`follow-up-badge ${followUpCounts.overdue > 0 ? 'overdue' : followUpCounts.due > 0 ? 'due' : ''}`}
+                onClick={() => setCurrentTab('worklist')}
+                title={`${followUpCounts.overdue} overdue, ${followUpCounts.dueToday} due today, ${followUpCounts.upcoming} upcoming`}
+              >
+                ✅ {followUpCounts.due > 0 ? `${followUpCounts.due} due` : `${followUpCounts.upcoming} open`}
+              </button>
+            )}
             <button onClick={handleLogout} className="btn-logout">
               Logout
             </button>
@@ -1485,6 +1729,14 @@ function App() {
           >
             Dashboard
           </button>
+          {(hasPermission(user, PERMISSIONS.MANAGE_COLLECTIONS) || hasPermission(user, PERMISSIONS.ASSIGN_ACCOUNTS)) && (
+            <button
+              className={currentTab === 'worklist' ? 'active' : ''}
+              onClick={() => setCurrentTab('worklist')}
+            >
+              📋 My Worklist
+            </button>
+          )}
           <button 
             className={currentTab === 'settings' ? 'active' : ''} 
             onClick={() => setCurrentTab('settings')}
@@ -1497,7 +1749,7 @@ function App() {
           >
             📧 Email Settings
           </button>
-          {user.role === 'admin' && (
+          {(hasPermission(user, PERMISSIONS.TOGGLE_AUTOMATION) || hasPermission(user, PERMISSIONS.EDIT_TEMPLATES)) && (
             <button
               className={currentTab === 'automated-emails' ? 'active' : ''}
               onClick={() => setCurrentTab('automated-emails')}
@@ -1505,21 +1757,25 @@ function App() {
               🤖 Automated Emails
             </button>
           )}
-          {user.role === 'admin' && (
-            <button
-              className={currentTab === 'email-reports' ? 'active' : ''}
-              onClick={() => setCurrentTab('email-reports')}
-            >
-              📊 Email Reports
-            </button>
-          )}
+          <button
+            className={currentTab === 'email-reports' ? 'active' : ''}
+            onClick={() => setCurrentTab('email-reports')}
+          >
+            📊 Email Reports
+          </button>
           <button
             className={currentTab === 'analytics' ? 'active' : ''}
             onClick={() => setCurrentTab('analytics')}
           >
             📈 Analytics
           </button>
-          {user.role === 'admin' && (
+          <button
+            className={currentTab === 'inventory' ? 'active' : ''}
+            onClick={() => setCurrentTab('inventory')}
+          >
+            📦 Inventory
+          </button>
+          {hasPermission(user, PERMISSIONS.MANAGE_USERS) && (
             <button 
               className={currentTab === 'users' ? 'active' : ''} 
               onClick={() => setCurrentTab('users')}
@@ -1527,18 +1783,38 @@ function App() {
               Users
             </button>
           )}
+          {hasPermission(user, PERMISSIONS.VIEW_AUDIT_LOG) && (
+            <button
+              className={currentTab === 'audit-log' ? 'active' : ''}
+              onClick={() => setCurrentTab('audit-log')}
+            >
+              🛡️ Audit Log
+            </button>
+          )}
         </nav>
       </header>
 
       <main className="main-content">
-        {currentTab === 'dashboard' && <Dashboard token={token} />}
-        {currentTab === 'settings' && <Settings token={token} user={user} />}
+        {currentTab === 'dashboard' && <Dashboard token={token} user={user} onFollowUpsChanged={loadFollowUpCounts} onOpenCustomer={setCustomerAccountId} />}
+        {currentTab === 'worklist' && <Worklist token={token} user={user} onFollowUpsChanged={loadFollowUpCounts} onOpenCustomer={setCustomerAccountId} />}
+        {currentTab === 'settings' && <Settings token={token} user={user} onOpenCustomer={setCustomerAccountId} />}
         {currentTab === 'email-settings' && <EmailSettings token={token} user={user} />}
         {currentTab === 'automated-emails' && <AutomatedEmailSettings token={token} user={user} setCurrentTab={setCurrentTab} />}
-        {currentTab === 'email-reports' && <AutomatedEmailReports token={token} user={user} />}
-        {currentTab === 'analytics' && <Analytics token={token} user={user} />}
+        {currentTab === 'email-reports' && <AutomatedEmailReports token={token} user={user} onOpenCustomer={setCustomerAccountId} />}
+        {currentTab === 'analytics' && <Analytics token={token} user={user} onOpenCustomer={setCustomerAccountId} />}
+        {currentTab === 'inventory' && <InventoryReports token={token} user={user} />}
         {currentTab === 'users' && <Users token={token} user={user} />}
+        {currentTab === 'audit-log' && hasPermission(user, PERMISSIONS.VIEW_AUDIT_LOG) && <AuditLog token={token} />}
       </main>
+
+      {customerAccountId && (
+        <CustomerAccount
+          key={customerAccountId}
+          token={token}
+          billingContactId={customerAccountId}
+          onClose={() => setCustomerAccountId(null)}
+        />
+      )}
       
       <Footer />
     </div>
@@ -0,0 +1,338 @@
+import React, { useState, useEffect } from 'react';
+import './AuditLog.css';
+
+const API_BASE = '/texon-invoicing-portal/api';
+
+const TARGET_TYPES = [
+    { value: 'user', label: 'Users' },
+    { value: 'order', label: 'Orders' },
+    { value: 'note', label: 'Notes' },
+    { value: 'hold', label: 'Reminder Holds' },
+    { value: 'promise', label: 'Payment Promises' },
+    { value: 'dispute', label: 'Disputes' },
+    { value: 'collector_assignment', label: 'Collector Assignments' },
+    { value: 'assignment_rule', label: 'Assignment Rules' },
+    { value: 'campaign', label: 'Campaigns & Templates' },
+    { value: 'automation', label: 'Automation' },
+    { value: 'scheduler', label: 'Scheduler' },
+    { value: 'blackout', label: 'Blackout Dates' },
+    { value: 'email_preferences', label: 'Email Preferences' },
+    { value: 'app_settings', label: 'Settings' },
+    { value: 'user_email_settings', label: 'Email Settings' },
+    { value: 'revenue_target', label: 'Revenue Targets' },
+    { value: 'customer_segment', label: 'Customer Segments' },
+    { value: 'cache', label: 'Cache' },
+    { value: 'inventory', label: 'Inventory' },
+    { value: 'sku_mapping', label: 'SKU Mappings' },
+    { value: 'warehouse_mapping', label: 'Warehouse Mappings' },
+    { value: 'inventory_alert_rule', label: 'Inventory Alert Rules' }
+];
+
+const EMPTY_FILTERS = {
+    userId: '',
+    action: '',
+    targetType: '',
+    startDate: '',
+    endDate: '',
+    search: ''
+};
+
+const AuditLog = ({ token }) => {
+    const [events, setEvents] = useState([]);
+    const [actions, setActions] = useState([]);
+    const [users, setUsers] = useState([]);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+    const [pagination, setPagination] = useState({ page: 1, limit: 50, total: 0, totalPages: 0 });
+    const [expandedId, setExpandedId] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [exporting, setExporting] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        loadUsers();
+    }, []);
+
+    useEffect(() => {
+        loadEvents(1);
+    }, [appliedFilters]);
+
+    const buildQuery = (extra = {}) => {
+        const params = new URLSearchParams();
+        Object.entries({ ...appliedFilters, ...extra }).forEach(([key, value]) => {
+            if (value !== '' && value !== null && value !== undefined) {
+                params.append(key, value);
+            }
+        });
+        return params.toString();
+    };
+
+    const loadUsers = async () => {
+        try {
+            const response = await fetch(`${API_BASE}/users`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            if (response.ok) {
+                const result = await response.json();
+                setUsers(result.users || []);
+            }
+        } catch (error) {
+            console.error('Error loading users:', error);
+        }
+    };
+
+    const loadEvents = async (page) => {
+        setLoading(true);
+        setError(null);
+        try {
+            const response = await fetch(`${API_BASE}/audit-events?${buildQuery({ page, limit: pagination.limit })}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                setEvents(result.events || []);
+                setActions(result.actions || []);
+                setPagination(result.pagination);
+            } else {
+                setError(result.error || result.message || 'Failed to load audit log');
+            }
+        } catch (error) {
+            console.error('Error loading audit events:', error);
+            setError('Failed to load audit log');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleExport = async () => {
+        setExporting(true);
+        try {
+            const response = await fetch(`${API_BASE}/audit-events/export?${buildQuery()}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                alert(`Export failed: ${result.error || response.statusText}`);
+                return;
+            }
+
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error exporting audit log:', error);
+            alert('Export failed');
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    const handleFilterChange = (field, value) => {
+        setFilters(prev => ({ ...prev, [field]: value }));
+    };
+
+    const applyFilters = (e) => {
+        e.preventDefault();
+        setAppliedFilters(filters);
+    };
+
+    const clearFilters = () => {
+        setFilters(EMPTY_FILTERS);
+        setAppliedFilters(EMPTY_FILTERS);
+    };
+
+    const formatValue = (value) => {
+        if (value === null || value === undefined) return '—';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    };
+
+    const renderChanges = (event) => {
+        const changes = event.changes || {};
+        const fields = Object.keys(changes);
+
+        return (
+            <div className="audit-details">
+                {fields.length > 0 ? (
+                    <table className="audit-diff">
+                        <thead>
+                            <tr>
+                                <th>Field</th>
+                                <th>Before</th>
+                                <th>After</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {fields.map(field => (
+                                <tr key={field}>
+                                    <td className="diff-field">{field}</td>
+                                    <td className="diff-before">{formatValue(changes[field].from)}</td>
+                                    <td className="diff-after">{formatValue(changes[field].to)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                ) : (
+                    <p className="no-changes">No field-level changes recorded for this action.</p>
+                )}
+
+                {event.request_body && Object.keys(event.request_body).length > 0 && (
+                    <div className="audit-request">
+                        <strong>Request:</strong>
+                        <pre>{JSON.stringify(event.request_body, null, 2)}</pre>
+                    </div>
+                )}
+
+                <div className="audit-meta">
+                    <span>{event.method} {event.route}</span>
+                    <span>IP: {event.ip_address || 'unknown'}</span>
+                    {event.user_agent && <span title={event.user_agent}>{event.user_agent.slice(0, 60)}</span>}
+                </div>
+            </div>
+        );
+    };
+
+    return (
+        <div className="audit-log">
+            <div className="audit-log-header">
+                <div>
+                    <h2>🛡️ Audit Log</h2>
+                    <p className="audit-log-description">
+                        Every change made through the portal: who made it, when, from where, and what changed.
+                    </p>
+                </div>
+                <button className="btn-secondary" onClick={handleExport} disabled={exporting}>
+                    {exporting ? 'Exporting...' : '⬇️ Export CSV'}
+                </button>
+            </div>
+
+            <form className="audit-filters" onSubmit={applyFilters}>
+                <div className="filter-group">
+                    <label>User</label>
+                    <select value={filters.userId} onChange={(e) => handleFilterChange('userId', e.target.value)}>
+                        <option value="">All users</option>
+                        {users.map(user => (
+                            <option key={user.id} value={user.id}>
+                                {user.first_name || user.last_name ? `${user.first_name || ''} ${user.last_name || ''}`.trim() : user.username}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+                <div className="filter-group">
+                    <label>Action</label>
+                    <select value={filters.action} onChange={(e) => handleFilterChange('action', e.target.value)}>
+                        <option value="">All actions</option>
+                        {actions.map(action => (
+                            <option key={action} value={action}>{action}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="filter-group">
+                    <label>Target</label>
+                    <select value={filters.targetType} onChange={(e) => handleFilterChange('targetType', e.target.value)}>
+                        <option value="">All targets</option>
+                        {TARGET_TYPES.map(type => (
+                            <option key={type.value} value={type.value}>{type.label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="filter-group">
+                    <label>From</label>
+                    <input type="date" value={filters.startDate} onChange={(e) => handleFilterChange('startDate', e.target.value)} />
+                </div>
+                <div className="filter-group">
+                    <label>To</label>
+                    <input type="date" value={filters.endDate} onChange={(e) => handleFilterChange('endDate', e.target.value)} />
+                </div>
+                <div className="filter-group filter-search">
+                    <label>Search</label>
+                    <input
+                        type="text"
+                        value={filters.search}
+                        placeholder="Username, action, route or ID"
+                        onChange={(e) => handleFilterChange('search', e.target.value)}
+                    />
+                </div>
+                <div className="filter-actions">
+                    <button type="submit" className="btn-apply">Apply</button>
+                    <button type="button" className="btn-clear" onClick={clearFilters}>Clear</button>
+                </div>
+            </form>
+
+            {error && <div className="error-message">{error}</div>}
+
+            {loading ? (
+                <div className="audit-loading">Loading audit events...</div>
+            ) : events.length === 0 ? (
+                <div className="no-data">No audit events match these filters.</div>
+            ) : (
+                <div className="audit-table">
+                    <div className="audit-row audit-row-header">
+                        <div className="col-time">When</div>
+                        <div className="col-user">User</div>
+                        <div className="col-action">Action</div>
+                        <div className="col-target">Target</div>
+                        <div className="col-changes">Changes</div>
+                        <div className="col-result">Result</div>
+                    </div>
+                    {events.map(event => (
+                        <React.Fragment key={event.id}>
+                            <div
+                                className={`audit-row ${event.success ? '' : 'failed'} ${expandedId === event.id ? 'expanded' : ''}`}
+                                onClick={() => setExpandedId(expandedId === event.id ? null : event.id)}
+                            >
+                                <div className="col-time">{new Date(event.created_at).toLocaleString()}</div>
+                                <div className="col-user">{event.username || `User ${event.user_id}`}</div>
+                                <div className="col-action"><code>{event.action}</code></div>
+                                <div className="col-target">
+                                    {event.target_type || '—'}{event.target_id ? ` #${event.target_id}` : ''}
+                                </div>
+                                <div className="col-changes">
+                                    {event.changes ? Object.keys(event.changes).join(', ') : '—'}
+                                </div>
+                                <div className="col-result">
+                                    <span className={`result-badge ${event.success ? 'success' : 'failed'}`}>
+                                        {event.success ? '✅' : '❌'} {event.status_code}
+                                    </span>
+                                </div>
+                            </div>
+                            {expandedId === event.id && renderChanges(event)}
+                        </React.Fragment>
+                    ))}
+                </div>
+            )}
+
+            {pagination.totalPages > 1 && (
+                <div className="audit-pagination">
+                    <button
+                        className="btn-secondary"
+                        disabled={pagination.page <= 1 || loading}
+                        onClick={() => loadEvents(pagination.page - 1)}
+                    >
+                        ← Previous
+                    </button>
+                    <span>
+                        Page {pagination.page} of {pagination.totalPages} ({pagination.total} events)
+                    </span>
+                    <button
+                        className="btn-secondary"
+                        disabled={pagination.page >= pagination.totalPages || loading}
+                        onClick={() => loadEvents(pagination.page + 1)}
+                    >
+                        Next →
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AuditLog;
@@ -3,7 +3,7 @@ import './AutomatedEmailReports.css';
 
 const API_BASE = '/texon-invoicing-portal/api';
 
-const AutomatedEmailReports = ({ token }) => {
+const AutomatedEmailReports = ({ token, onOpenCustomer }) => {
     const [activeTab, setActiveTab] = useState('overview');
     const [dateRange, setDateRange] = useState({
         start: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0], // 30 days ago
@@ -186,6 +186,7 @@ const AutomatedEmailReports = ({ token }) => {
                         scheduled={data.scheduled}
                         dateRange={dateRange}
                         onReload={loadScheduledEmails}
+                        onOpenCustomer={onOpenCustomer}
                     />
                 )}
 
@@ -417,7 +418,7 @@ const ActivityReport = ({ logs, onReload }) => {
 };
 
 // Email Schedule Report Component
-const EmailScheduleReport = ({ scheduled, dateRange, onReload }) => {
+const EmailScheduleReport = ({ scheduled, dateRange, onReload, onOpenCustomer }) => {
     const [filter, setFilter] = useState('all');
     const [sortConfig, setSortConfig] = useState({ key: 'sent_at', direction: 'desc' });
 
@@ -563,7 +564,13 @@ const EmailScheduleReport = ({ scheduled, dateRange, onReload }) => {
                                 </div>
                                 <div className="col-customer">
                                     <div className="customer-info">
-                                        <div className="customer-name">{email.cached_invoices?.billing_contact_name || 'Unknown'}</div>
+                                        <div className="customer-name">
+                                            {email.cached_invoices?.billing_contact_id && onOpenCustomer ? (
+                                                <button className="customer-link" onClick={() => onOpenCustomer(email.cached_invoices.billing_contact_id)}>
+                                                    {email.cached_invoices.billing_contact_name || 'Unknown'}
+                                                </button>
+                                            ) : email.cached_invoices?.billing_contact_name || 'Unknown'}
+                                        </div>
                                         <div className="customer-email">{email.recipient_email || email.cached_invoices?.billing_contact_email || 'N/A'}</div>
                                     </div>
                                 </div>
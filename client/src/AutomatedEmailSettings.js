@@ -1,8 +1,40 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import './AutomatedEmailSettings.css';
+import { PERMISSIONS, hasPermission } from './permissions';
+import TemplateVersionHistory from './TemplateVersionHistory';
+import TemplateVariants from './TemplateVariants';
 
 const API_BASE = '/texon-invoicing-portal/api';
 
+// Variables offered by the template editor's "Insert variable" menu (see template-engine.js)
+const TEMPLATE_VARIABLE_NAMES = [
+    'CUSTOMER_NAME', 'ORDER_ID', 'ORDER_REFERENCE', 'INVOICE_NUMBER', 'TOTAL_AMOUNT|currency',
+    'TOTAL_PAID|currency', 'AMOUNT_DUE|currency', 'PAYMENT_STATUS', 'DAYS_OUTSTANDING', 'TAX_DATE|date',
+    'PAYMENT_LINK', 'SENDER_NAME', 'COMPANY_NAME', 'INVOICE_COUNT', 'OPT_OUT_LINK', 'PREFERENCES_LINK'
+];
+
+// Elements and URL schemes that could run script when template HTML is loaded into the visual editor
+const UNSAFE_ELEMENTS = 'script, iframe, frame, frameset, object, embed, applet, link, meta, base, form, style';
+const UNSAFE_URL_PATTERN = /^\s*(javascript|vbscript|data):/i;
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href', 'background', 'poster'];
+
+// Stored templates are editable by other users, so strip anything executable before it
+// reaches the live (contentEditable) DOM. DOMParser documents are inert: nothing loads or runs.
+const sanitizeTemplateHtml = (html) => {
+    const doc = new DOMParser().parseFromString(html || '', 'text/html');
+    doc.body.querySelectorAll(UNSAFE_ELEMENTS).forEach(element => element.remove());
+    doc.body.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes).forEach(({ name, value }) => {
+            const attribute = name.toLowerCase();
+            if (attribute.startsWith('on') || attribute === 'srcdoc' ||
+                (URL_ATTRIBUTES.includes(attribute) && UNSAFE_URL_PATTERN.test(value))) {
+                element.removeAttribute(name);
+            }
+        });
+    });
+    return doc.body.innerHTML;
+};
+
 const AutomatedEmailSettings = ({ token, user, setCurrentTab }) => {
     const [activeTab, setActiveTab] = useState('overview');
     const [systemStatus, setSystemStatus] = useState(null);
@@ -122,6 +154,31 @@ const AutomatedEmailSettings = ({ token, user, setCurrentTab }) => {
         }
     };
 
+    // Attachment type and consolidation mode
+    const updateCampaignOptions = async (campaignId, options) => {
+        try {
+            const response = await fetch(`${API_BASE}/automated-emails/campaigns/${campaignId}`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(options)
+            });
+
+            if (response.ok) {
+                setMessage({ text: 'Campaign updated successfully', type: 'success' });
+                await loadCampaigns();
+            } else {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || 'Failed to update campaign');
+            }
+        } catch (error) {
+            console.error('Error updating campaign:', error);
+            setMessage({ text: `Error updating campaign: ${error.message}`, type: 'error' });
+        }
+    };
+
     const runManualTest = async () => {
         if (testRunning) return; // Prevent multiple clicks
 
@@ -155,12 +212,12 @@ const AutomatedEmailSettings = ({ token, user, setCurrentTab }) => {
         }
     };
 
-    if (user.role !== 'admin') {
+    if (!hasPermission(user, PERMISSIONS.TOGGLE_AUTOMATION) && !hasPermission(user, PERMISSIONS.EDIT_TEMPLATES)) {
         return (
             <div className="automated-email-settings">
                 <div className="access-denied">
-                    <h2>🔒 Admin Access Required</h2>
-                    <p>You need administrator privileges to manage automated email settings.</p>
+                    <h2>🔒 Access Required</h2>
+                    <p>You need automation or template permissions to manage automated email settings.</p>
                 </div>
             </div>
         );
@@ -299,6 +356,7 @@ const AutomatedEmailSettings = ({ token, user, setCurrentTab }) => {
                     <CampaignsTab
                         campaigns={campaigns}
                         onToggleCampaign={toggleCampaign}
+                        onUpdateOptions={updateCampaignOptions}
                         onReload={loadCampaigns}
                         token={token}
                         setMessage={setMessage}
@@ -486,7 +544,7 @@ const OverviewTab = ({ campaigns, systemStatus, onToggleCampaign, token }) => {
 };
 
 // Campaigns Tab Component
-const CampaignsTab = ({ campaigns, onToggleCampaign, onReload, token, setMessage, onEditTemplate }) => {
+const CampaignsTab = ({ campaigns, onToggleCampaign, onUpdateOptions, onReload, token, setMessage, onEditTemplate }) => {
     const formatDays = (days) => {
         if (days === 31) return "31-60 days";
         if (days === 61) return "61-90 days";
@@ -553,6 +611,29 @@ const CampaignsTab = ({ campaigns, onToggleCampaign, onReload, token, setMessage
                                 <span className="detail-label">Template:</span>
                                 <span className="detail-value">{campaign.template_type}</span>
                             </div>
+                            <div className="detail-row">
+                                <span className="detail-label">Attachment:</span>
+                                <select
+                                    className="detail-value"
+                                    value={campaign.attachment_type || 'invoice'}
+                                    onChange={(e) => onUpdateOptions(campaign.id, { attachment_type: e.target.value })}
+                                >
+                                    <option value="invoice">Invoice PDF</option>
+                                    <option value="statement">Customer statement</option>
+                                    <option value="both">Invoice + statement</option>
+                                </select>
+                            </div>
+                            <div className="detail-row">
+                                <span className="detail-label">One email per customer:</span>
+                                <span className="detail-value">
+                                    <input
+                                        type="checkbox"
+                                        checked={!!campaign.consolidate_by_customer}
+                                        onChange={(e) => onUpdateOptions(campaign.id, { consolidate_by_customer: e.target.checked })}
+                                        title="Combine all of a customer's due invoices into one email with a statement attached"
+                                    />
+                                </span>
+                            </div>
                             <div className="detail-row">
                                 <span className="detail-label">Last updated:</span>
                                 <span className="detail-value">
@@ -587,7 +668,15 @@ const CampaignsTab = ({ campaigns, onToggleCampaign, onReload, token, setMessage
 const TemplatesTab = ({ campaigns, onReload, token, setMessage, user, initialCampaign, onCampaignSelected }) => {
     const [selectedCampaign, setSelectedCampaign] = useState(null);
     const [editingTemplate, setEditingTemplate] = useState(false);
-    const [templateData, setTemplateData] = useState({ subject: '', body: '' });
+    const [templateData, setTemplateData] = useState({ subject: '', body: '', html: '', useLayout: true });
+    const [changeNote, setChangeNote] = useState('');
+    const [versionsRefreshKey, setVersionsRefreshKey] = useState(0);
+    const [templateErrors, setTemplateErrors] = useState([]);
+    const [editorMode, setEditorMode] = useState('visual');
+    const [preview, setPreview] = useState(null);
+    const [previewMode, setPreviewMode] = useState('html');
+    const visualEditorRef = useRef(null);
+    const sourceEditorRef = useRef(null);
     const [testEmail, setTestEmail] = useState('');
     const [sending, setSending] = useState(false);
 
@@ -633,20 +722,110 @@ const TemplatesTab = ({ campaigns, onReload, token, setMessage, user, initialCam
                 const templateData = await response.json();
                 setTemplateData({
                     subject: templateData.subject_template || '',
-                    body: templateData.body_template || ''
+                    body: templateData.body_template || '',
+                    html: templateData.html_body_template || '',
+                    useLayout: templateData.use_layout !== false
                 });
             } else {
                 // Fallback to empty template
-                setTemplateData({ subject: '', body: '' });
+                setTemplateData({ subject: '', body: '', html: '', useLayout: true });
             }
         } catch (error) {
             console.error('Error loading template:', error);
-            setTemplateData({ subject: '', body: '' });
+            setTemplateData({ subject: '', body: '', html: '', useLayout: true });
         }
 
+        setTemplateErrors([]);
+        setChangeNote('');
         setEditingTemplate(false);
     };
 
+    // Load a saved version (e.g. a draft awaiting approval) into the editor
+    const openVersion = (version) => {
+        setTemplateData({
+            subject: version.subject_template || '',
+            body: version.body_template || '',
+            html: version.html_body_template || '',
+            useLayout: version.use_layout !== false
+        });
+        setChangeNote('');
+        setTemplateErrors([]);
+        setEditingTemplate(true);
+    };
+
+    // Live preview with sample data, refreshed shortly after the last change
+    useEffect(() => {
+        if (!selectedCampaign) return;
+
+        const timer = setTimeout(async () => {
+            try {
+                const response = await fetch(`${API_BASE}/automated-emails/templates/preview`, {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Bearer ${token}`,
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        subject_template: templateData.subject,
+                        body_template: templateData.body,
+                        html_body_template: templateData.html,
+                        use_layout: templateData.useLayout
+                    })
+                });
+
+                if (response.ok) {
+                    const data = await response.json();
+                    setPreview(data);
+                    if (editingTemplate) {
+                        setTemplateErrors(data.errors || []);
+                    }
+                }
+            } catch (error) {
+                console.error('Error loading template preview:', error);
+            }
+        }, 500);
+
+        return () => clearTimeout(timer);
+    }, [templateData, selectedCampaign, editingTemplate, token]);
+
+    // The visual editor is uncontrolled: load the HTML when it is shown, then read it back on input
+    useEffect(() => {
+        if (editingTemplate && editorMode === 'visual' && visualEditorRef.current) {
+            visualEditorRef.current.innerHTML = sanitizeTemplateHtml(templateData.html);
+        }
+    }, [editingTemplate, editorMode]);
+
+    const syncVisualEditor = () => {
+        const html = visualEditorRef.current?.innerHTML || '';
+        setTemplateData(prev => ({ ...prev, html }));
+    };
+
+    const formatText = (command, value = null) => {
+        visualEditorRef.current?.focus();
+        document.execCommand(command, false, value);
+        syncVisualEditor();
+    };
+
+    const insertLink = () => {
+        const url = window.prompt('Link URL (or a variable such as {PAYMENT_LINK})');
+        if (url) formatText('createLink', url);
+    };
+
+    const insertVariable = (variable) => {
+        if (!variable) return;
+        const tag = `{${variable}}`;
+
+        if (editorMode === 'visual') {
+            formatText('insertText', tag);
+            return;
+        }
+
+        const textarea = sourceEditorRef.current;
+        const start = textarea ? textarea.selectionStart : templateData.html.length;
+        const end = textarea ? textarea.selectionEnd : templateData.html.length;
+        setTemplateData(prev => ({ ...prev, html: prev.html.slice(0, start) + tag + prev.html.slice(end) }));
+    };
+
     const saveTemplate = async () => {
         if (!selectedCampaign) return;
 
@@ -659,16 +838,29 @@ const TemplatesTab = ({ campaigns, onReload, token, setMessage, user, initialCam
                 },
                 body: JSON.stringify({
                     subject_template: templateData.subject,
-                    body_template: templateData.body
+                    body_template: templateData.body,
+                    html_body_template: templateData.html,
+                    use_layout: templateData.useLayout,
+                    change_note: changeNote
                 })
             });
 
             if (response.ok) {
-                setMessage({ text: 'Template saved successfully!', type: 'success' });
-                setEditingTemplate(false);
+                const data = await response.json();
+                setMessage({ text: data.message || 'Template saved successfully!', type: 'success' });
+                setTemplateErrors([]);
+                setVersionsRefreshKey(key => key + 1);
+                // Reload what is live - a draft stays in the version history until approved
+                selectCampaign(selectedCampaign);
                 onReload();
             } else {
-                throw new Error('Failed to save template');
+                const data = await response.json().catch(() => ({}));
+                if (data.errors?.length) {
+                    setTemplateErrors(data.errors);
+                    setMessage({ text: 'Template not saved - fix the errors below', type: 'error' });
+                    return;
+                }
+                throw new Error(data.error || 'Failed to save template');
             }
         } catch (error) {
             console.error('Error saving template:', error);
@@ -764,6 +956,17 @@ const TemplatesTab = ({ campaigns, onReload, token, setMessage, user, initialCam
                                 </div>
                             </div>
 
+                            {templateErrors.length > 0 && (
+                                <div className="template-errors">
+                                    <strong>⚠️ Template errors</strong>
+                                    <ul>
+                                        {templateErrors.map((error, index) => (
+                                            <li key={index}>{error}</li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
+
                             <div className="template-fields">
                                 <div className="field-group">
                                     <label>Email Subject</label>
@@ -782,26 +985,171 @@ const TemplatesTab = ({ campaigns, onReload, token, setMessage, user, initialCam
                                 </div>
 
                                 <div className="field-group">
-                                    <label>Email Body</label>
+                                    <label>HTML Body</label>
+                                    {editingTemplate ? (
+                                        <div className="html-editor">
+                                            <div className="html-editor-toolbar">
+                                                <div className="html-editor-modes">
+                                                    <button
+                                                        className={editorMode === 'visual' ? 'active' : ''}
+                                                        onClick={() => setEditorMode('visual')}
+                                                    >
+                                                        Visual
+                                                    </button>
+                                                    <button
+                                                        className={editorMode === 'source' ? 'active' : ''}
+                                                        onClick={() => setEditorMode('source')}
+                                                    >
+                                                        Source
+                                                    </button>
+                                                </div>
+                                                {editorMode === 'visual' && (
+                                                    <div className="html-editor-format">
+                                                        <button onMouseDown={(e) => e.preventDefault()} onClick={() => formatText('bold')} title="Bold"><strong>B</strong></button>
+                                                        <button onMouseDown={(e) => e.preventDefault()} onClick={() => formatText('italic')} title="Italic"><em>I</em></button>
+                                                        <button onMouseDown={(e) => e.preventDefault()} onClick={() => formatText('underline')} title="Underline"><u>U</u></button>
+                                                        <button onMouseDown={(e) => e.preventDefault()} onClick={() => formatText('formatBlock', 'h3')} title="Heading">H</button>
+                                                        <button onMouseDown={(e) => e.preventDefault()} onClick={() => formatText('formatBlock', 'p')} title="Paragraph">¶</button>
+                                                        <button onMouseDown={(e) => e.preventDefault()} onClick={() => formatText('insertUnorderedList')} title="Bulleted list">• List</button>
+                                                        <button onMouseDown={(e) => e.preventDefault()} onClick={insertLink} title="Link">🔗 Link</button>
+                                                    </div>
+                                                )}
+                                                <select value="" onChange={(e) => insertVariable(e.target.value)}>
+                                                    <option value="">Insert variable...</option>
+                                                    {TEMPLATE_VARIABLE_NAMES.map(name => (
+                                                        <option key={name} value={name}>{name}</option>
+                                                    ))}
+                                                </select>
+                                            </div>
+                                            {editorMode === 'visual' ? (
+                                                <div
+                                                    ref={visualEditorRef}
+                                                    className="html-editor-visual"
+                                                    contentEditable
+                                                    suppressContentEditableWarning
+                                                    onInput={syncVisualEditor}
+                                                    onBlur={syncVisualEditor}
+                                                />
+                                            ) : (
+                                                <textarea
+                                                    ref={sourceEditorRef}
+                                                    value={templateData.html}
+                                                    onChange={(e) => setTemplateData({...templateData, html: e.target.value})}
+                                                    placeholder="<p>Dear {CUSTOMER_NAME},</p>"
+                                                    rows={15}
+                                                />
+                                            )}
+                                            <p className="field-hint">
+                                                Use Source for loops that repeat table rows, e.g. <code>{'{#PAYMENTS}<tr>...</tr>{/PAYMENTS}'}</code> - the visual editor cannot place tags between rows.
+                                            </p>
+                                        </div>
+                                    ) : (
+                                        <div className="template-preview">
+                                            {templateData.html ? 'HTML body set - see the preview below' : 'No HTML body - the plain-text body is sent inside the branded layout'}
+                                        </div>
+                                    )}
+                                </div>
+
+                                <div className="field-group">
+                                    <label className="checkbox-label">
+                                        <input
+                                            type="checkbox"
+                                            checked={templateData.useLayout}
+                                            onChange={(e) => setTemplateData({...templateData, useLayout: e.target.checked})}
+                                            disabled={!editingTemplate}
+                                        />
+                                        Wrap in the branded layout (logo header, company footer, unsubscribe links)
+                                    </label>
+                                </div>
+
+                                <div className="field-group">
+                                    <label>Plain-Text Body</label>
                                     {editingTemplate ? (
                                         <textarea
                                             value={templateData.body}
                                             onChange={(e) => setTemplateData({...templateData, body: e.target.value})}
-                                            placeholder="Enter email body template..."
-                                            rows={15}
+                                            placeholder="Plain-text alternative for email clients that do not show HTML. Leave empty to generate it from the HTML body."
+                                            rows={10}
                                         />
                                     ) : (
                                         <div className="template-preview body-preview">
                                             {templateData.body ? (
                                                 <pre>{templateData.body}</pre>
                                             ) : (
-                                                'No body template set'
+                                                'No plain-text body set'
                                             )}
                                         </div>
                                     )}
                                 </div>
                             </div>
 
+                            {/* Live Preview */}
+                            {preview && (
+                                <div className="template-live-preview">
+                                    <div className="template-live-preview-header">
+                                        <h4>👁️ Preview <small>(sample data)</small></h4>
+                                        <div className="html-editor-modes">
+                                            <button
+                                                className={previewMode === 'html' ? 'active' : ''}
+                                                onClick={() => setPreviewMode('html')}
+                                                disabled={!preview.html}
+                                            >
+                                                HTML
+                                            </button>
+                                            <button
+                                                className={previewMode === 'text' ? 'active' : ''}
+                                                onClick={() => setPreviewMode('text')}
+                                            >
+                                                Plain text
+                                            </button>
+                                        </div>
+                                    </div>
+                                    <div className="template-live-preview-subject">
+                                        <strong>Subject:</strong> {preview.subject}
+                                    </div>
+                                    {previewMode === 'html' && preview.html ? (
+                                        <iframe
+                                            title="Email preview"
+                                            className="template-live-preview-frame"
+                                            srcDoc={preview.html}
+                                            sandbox=""
+                                        />
+                                    ) : (
+                                        <pre className="template-live-preview-text">{preview.text}</pre>
+                                    )}
+                                </div>
+                            )}
+
+                            {editingTemplate && (
+                                <div className="field-group">
+                                    <label>What changed?</label>
+                                    <input
+                                        type="text"
+                                        value={changeNote}
+                                        onChange={(e) => setChangeNote(e.target.value)}
+                                        placeholder="Optional note shown in the version history"
+                                    />
+                                </div>
+                            )}
+
+                            <TemplateVersionHistory
+                                campaign={selectedCampaign}
+                                token={token}
+                                user={user}
+                                setMessage={setMessage}
+                                refreshKey={versionsRefreshKey}
+                                onTemplateChanged={() => selectCampaign(selectedCampaign)}
+                                onOpenVersion={openVersion}
+                            />
+
+                            <TemplateVariants
+                                campaign={selectedCampaign}
+                                token={token}
+                                user={user}
+                                setMessage={setMessage}
+                                liveTemplate={templateData}
+                            />
+
                             {/* Test Email */}
                             <div className="test-email-section">
                                 <h4>🧪 Test Email</h4>
@@ -873,6 +1221,70 @@ const TemplatesTab = ({ campaigns, onReload, token, setMessage, user, initialCam
                                         <code>{'{COMPANY_NAME}'}</code>
                                         <span>Company name</span>
                                     </div>
+                                    <div className="variable-item">
+                                        <code>{'{OPT_OUT_LINK}'}</code>
+                                        <span>One-click opt-out link (this campaign)</span>
+                                    </div>
+                                    <div className="variable-item">
+                                        <code>{'{PREFERENCES_LINK}'}</code>
+                                        <span>Email preferences page link</span>
+                                    </div>
+                                    <div className="variable-item">
+                                        <code>{'{INVOICE_COUNT}'}</code>
+                                        <span>Number of invoices in the email</span>
+                                    </div>
+                                    <div className="variable-item">
+                                        <code>{'{#INVOICES}...{/INVOICES}'}</code>
+                                        <span>Repeat per invoice (consolidated emails)</span>
+                                    </div>
+                                    <div className="variable-item">
+                                        <code>{'{#PAYMENTS}...{/PAYMENTS}'}</code>
+                                        <span>Repeat per payment: PAYMENT_DATE, PAYMENT_AMOUNT, PAYMENT_METHOD</span>
+                                    </div>
+                                    <div className="variable-item">
+                                        <code>{'{#LINE_ITEMS}...{/LINE_ITEMS}'}</code>
+                                        <span>Repeat per order line: SKU, PRODUCT_NAME, QUANTITY, UNIT_PRICE, LINE_TOTAL</span>
+                                    </div>
+                                    <div className="variable-item">
+                                        <code>{'{#HAS_PAYMENTS}...{/HAS_PAYMENTS}'}</code>
+                                        <span>Only shown when a payment was received</span>
+                                    </div>
+                                </div>
+
+                                <h4>🔧 Template Syntax</h4>
+                                <div className="variables-grid">
+                                    <div className="variable-item">
+                                        <code>{'{#KEY}...{/KEY}'}</code>
+                                        <span>Shown only when KEY has a value; repeated for lists</span>
+                                    </div>
+                                    <div className="variable-item">
+                                        <code>{'{^KEY}...{/KEY}'}</code>
+                                        <span>Shown only when KEY is empty or zero</span>
+                                    </div>
+                                    <div className="variable-item">
+                                        <code>{'{AMOUNT_DUE|currency}'}</code>
+                                        <span>Format as money ($1,234.50)</span>
+                                    </div>
+                                    <div className="variable-item">
+                                        <code>{'{TAX_DATE|date:long}'}</code>
+                                        <span>Format a date (default, long or iso)</span>
+                                    </div>
+                                    <div className="variable-item">
+                                        <code>{'{QUANTITY|number:2}'}</code>
+                                        <span>Number with fixed decimals</span>
+                                    </div>
+                                    <div className="variable-item">
+                                        <code>{'{CUSTOMER_NAME|default:"Customer"}'}</code>
+                                        <span>Fallback when empty</span>
+                                    </div>
+                                    <div className="variable-item">
+                                        <code>{'|upper  |lower'}</code>
+                                        <span>Change case</span>
+                                    </div>
+                                    <div className="variable-item">
+                                        <code>{'|escape  |nl2br  |raw'}</code>
+                                        <span>HTML escaping (automatic in HTML emails), line breaks, or no escaping</span>
+                                    </div>
                                 </div>
                             </div>
                         </>
@@ -942,21 +1354,320 @@ const ReportsTab = ({ token, setMessage }) => {
     );
 };
 
+// Automation schedule editor (schedules, timezone and business days stored in app_settings)
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const ScheduleSettings = ({ token, setMessage }) => {
+    const [config, setConfig] = useState(null);
+    const [jobs, setJobs] = useState([]);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        loadScheduleConfig();
+    }, []);
+
+    const loadScheduleConfig = async () => {
+        try {
+            const response = await fetch(`${API_BASE}/automated-emails/scheduler/config`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+
+            if (response.ok) {
+                const data = await response.json();
+                setConfig(data.config);
+                setJobs(data.scheduler?.jobs || []);
+            }
+        } catch (error) {
+            console.error('Error loading schedule config:', error);
+        }
+    };
+
+    const updateSchedule = (jobName, expression) => {
+        setConfig(prev => ({ ...prev, schedules: { ...prev.schedules, [jobName]: expression } }));
+    };
+
+    const toggleBusinessDay = (day) => {
+        setConfig(prev => ({
+            ...prev,
+            businessDays: prev.businessDays.includes(day)
+                ? prev.businessDays.filter(d => d !== day)
+                : [...prev.businessDays, day].sort((a, b) => a - b)
+        }));
+    };
+
+    const saveSchedule = async () => {
+        setSaving(true);
+        try {
+            const response = await fetch(`${API_BASE}/automated-emails/scheduler/config`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(config)
+            });
+
+            const data = await response.json();
+            if (response.ok && data.success) {
+                setConfig(data.config);
+                setJobs(data.scheduler?.jobs || []);
+                setMessage({ text: 'Automation schedule updated successfully', type: 'success' });
+            } else {
+                throw new Error(data.error || data.message || 'Failed to update schedule');
+            }
+        } catch (error) {
+            console.error('Error saving schedule config:', error);
+            setMessage({ text: error.message, type: 'error' });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!config) {
+        return (
+            <div className="settings-section">
+                <h4>🔧 Automation Schedule</h4>
+                <p>Loading schedule...</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="settings-section">
+            <h4>🔧 Automation Schedule</h4>
+            <p>Cron expressions use five fields: minute, hour, day of month, month, day of week. Changes apply immediately.</p>
+
+            <div className="safety-info">
+                {jobs.map(job => (
+                    <div className="safety-item" key={job.name}>
+                        <strong>{job.description}:</strong>
+                        <input
+                            type="text"
+                            value={config.schedules[job.name] || ''}
+                            onChange={(e) => updateSchedule(job.name, e.target.value)}
+                            style={{
+                                marginLeft: '10px',
+                                padding: '4px 8px',
+                                border: '1px solid #ccc',
+                                borderRadius: '4px',
+                                fontSize: '14px',
+                                fontFamily: 'monospace',
+                                width: '160px'
+                            }}
+                        />
+                        <small style={{ display: 'block', color: '#666', marginTop: '4px' }}>
+                            Next run: {job.nextRun ? new Date(job.nextRun).toLocaleString() : 'Scheduler not running'}
+                            {job.businessDaysOnly && ' · Day of week is taken from the business days below; day of month must be *'}
+                        </small>
+                    </div>
+                ))}
+
+                <div className="safety-item">
+                    <strong>Timezone:</strong>
+                    <input
+                        type="text"
+                        value={config.timezone}
+                        onChange={(e) => setConfig(prev => ({ ...prev, timezone: e.target.value }))}
+                        placeholder="America/New_York"
+                        style={{
+                            marginLeft: '10px',
+                            padding: '4px 8px',
+                            border: '1px solid #ccc',
+                            borderRadius: '4px',
+                            fontSize: '14px',
+                            width: '200px'
+                        }}
+                    />
+                    <small style={{ display: 'block', color: '#666', marginTop: '4px' }}>
+                        IANA timezone name used for all scheduled jobs
+                    </small>
+                </div>
+
+                <div className="safety-item">
+                    <strong>Business Days:</strong>
+                    <span style={{ marginLeft: '10px' }}>
+                        {WEEKDAYS.map((label, day) => (
+                            <label key={day} style={{ marginRight: '12px' }}>
+                                <input
+                                    type="checkbox"
+                                    checked={config.businessDays.includes(day)}
+                                    onChange={() => toggleBusinessDay(day)}
+                                />
+                                {' '}{label}
+                            </label>
+                        ))}
+                    </span>
+                    <small style={{ display: 'block', color: '#666', marginTop: '4px' }}>
+                        Automated reminder emails are only sent on these days
+                    </small>
+                </div>
+            </div>
+
+            <div style={{ marginTop: '15px' }}>
+                <button className="btn-primary" onClick={saveSchedule} disabled={saving}>
+                    {saving ? 'Saving...' : '💾 Save Schedule'}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// Blackout calendar - company-wide dates when no automated reminders are sent
+const BlackoutCalendar = ({ token, setMessage }) => {
+    const [blackouts, setBlackouts] = useState([]);
+    const [form, setForm] = useState({ startDate: '', endDate: '', reason: '', repeatsAnnually: false });
+
+    useEffect(() => {
+        loadBlackouts();
+    }, []);
+
+    const loadBlackouts = async () => {
+        try {
+            const today = new Date().toISOString().split('T')[0];
+            const response = await fetch(`${API_BASE}/automated-emails/blackouts?from=${today}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+
+            if (response.ok) {
+                const data = await response.json();
+                setBlackouts(data.blackouts || []);
+            }
+        } catch (error) {
+            console.error('Error loading blackout dates:', error);
+        }
+    };
+
+    const addBlackout = async () => {
+        try {
+            const response = await fetch(`${API_BASE}/automated-emails/blackouts`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(form)
+            });
+
+            const data = await response.json();
+            if (response.ok && data.success) {
+                setForm({ startDate: '', endDate: '', reason: '', repeatsAnnually: false });
+                setMessage({ text: 'Blackout date added', type: 'success' });
+                loadBlackouts();
+            } else {
+                throw new Error(data.error || data.message || 'Failed to add blackout date');
+            }
+        } catch (error) {
+            console.error('Error adding blackout date:', error);
+            setMessage({ text: error.message, type: 'error' });
+        }
+    };
+
+    const deleteBlackout = async (id) => {
+        try {
+            const response = await fetch(`${API_BASE}/automated-emails/blackouts/${id}`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+
+            if (response.ok) {
+                setBlackouts(prev => prev.filter(blackout => blackout.id !== id));
+            }
+        } catch (error) {
+            console.error('Error deleting blackout date:', error);
+        }
+    };
+
+    const inputStyle = {
+        padding: '4px 8px',
+        border: '1px solid #ccc',
+        borderRadius: '4px',
+        fontSize: '14px'
+    };
+
+    return (
+        <div className="settings-section">
+            <h4>📅 Blackout Calendar</h4>
+            <p>No automated reminders are scheduled or sent on these dates (holidays, month-end close). Pending emails are skipped and picked up on the next run.</p>
+
+            <div className="safety-info">
+                {blackouts.length === 0 ? (
+                    <div className="safety-item">No upcoming blackout dates.</div>
+                ) : (
+                    blackouts.map(blackout => (
+                        <div className="safety-item" key={blackout.id}>
+                            <strong>{blackout.reason}:</strong>{' '}
+                            {blackout.start_date === blackout.end_date
+                                ? blackout.start_date
+                                : `${blackout.start_date} → ${blackout.end_date}`}
+                            {blackout.repeats_annually && ' (every year)'}
+                            <button
+                                className="btn-secondary"
+                                style={{ marginLeft: '10px', padding: '4px 10px' }}
+                                onClick={() => deleteBlackout(blackout.id)}
+                            >
+                                Remove
+                            </button>
+                        </div>
+                    ))
+                )}
+
+                <div className="safety-item">
+                    <strong>Add:</strong>
+                    <input
+                        type="date"
+                        value={form.startDate}
+                        onChange={(e) => setForm(prev => ({ ...prev, startDate: e.target.value }))}
+                        style={{ ...inputStyle, marginLeft: '10px' }}
+                    />
+                    {' → '}
+                    <input
+                        type="date"
+                        value={form.endDate}
+                        min={form.startDate}
+                        onChange={(e) => setForm(prev => ({ ...prev, endDate: e.target.value }))}
+                        style={inputStyle}
+                    />
+                    <input
+                        type="text"
+                        value={form.reason}
+                        onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+                        placeholder="Reason (e.g. Thanksgiving)"
+                        style={{ ...inputStyle, marginLeft: '10px', width: '200px' }}
+                    />
+                    <label style={{ marginLeft: '10px' }}>
+                        <input
+                            type="checkbox"
+                            checked={form.repeatsAnnually}
+                            onChange={(e) => setForm(prev => ({ ...prev, repeatsAnnually: e.target.checked }))}
+                        />
+                        {' '}Every year
+                    </label>
+                    <button
+                        className="btn-primary"
+                        style={{ marginLeft: '10px', padding: '6px 14px' }}
+                        onClick={addBlackout}
+                        disabled={!form.startDate || !form.reason.trim()}
+                    >
+                        Add
+                    </button>
+                    <small style={{ display: 'block', color: '#666', marginTop: '4px' }}>
+                        Leave the end date empty for a single day
+                    </small>
+                </div>
+            </div>
+        </div>
+    );
+};
+
 // Settings Tab Component
 const SettingsTab = ({ systemStatus, onReload, token, setMessage, globalTestEmail, setGlobalTestEmail, automationSenderEmail, setAutomationSenderEmail, setSystemStatus, setCurrentTab }) => {
     return (
         <div className="settings-tab">
             <h3>⚙️ System Settings</h3>
 
-            <div className="settings-section">
-                <h4>🔧 Automation Schedule</h4>
-                <p>The automated email system runs twice daily:</p>
-                <ul>
-                    <li>9:00 AM (weekdays)</li>
-                    <li>2:00 PM (weekdays)</li>
-                </ul>
-                <p>Weekend runs are disabled to avoid sending emails outside business hours.</p>
-            </div>
+            <ScheduleSettings token={token} setMessage={setMessage} />
+
+            <BlackoutCalendar token={token} setMessage={setMessage} />
 
             <div className="settings-section">
                 <h4>🛡️ Safety Settings</h4>
@@ -0,0 +1,391 @@
+import React, { useState, useEffect } from 'react';
+import './CollectorAssignmentRules.css';
+
+const API_BASE = '/texon-invoicing-portal/api';
+
+const RULE_TYPES = {
+    name_range: 'Customer name range',
+    balance_band: 'Balance band',
+    region: 'Region'
+};
+
+const EMPTY_RULE = {
+    name: '',
+    userId: '',
+    ruleType: 'name_range',
+    priority: 100,
+    nameFrom: '',
+    nameTo: '',
+    minBalance: '',
+    maxBalance: '',
+    regions: '',
+    isActive: true
+};
+
+const ruleToForm = (rule) => ({
+    name: rule.name,
+    userId: rule.user_id,
+    ruleType: rule.rule_type,
+    priority: rule.priority,
+    nameFrom: rule.name_from || '',
+    nameTo: rule.name_to || '',
+    minBalance: rule.min_balance ?? '',
+    maxBalance: rule.max_balance ?? '',
+    regions: (rule.regions || []).join(', '),
+    isActive: rule.is_active
+});
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }).format(amount || 0);
+
+const describeRule = (rule) => {
+    switch (rule.rule_type) {
+        case 'name_range':
+            return `Names ${rule.name_from} – ${rule.name_to}`;
+        case 'balance_band':
+            if (rule.min_balance === null) return `Balance under ${formatCurrency(rule.max_balance)}`;
+            if (rule.max_balance === null) return `Balance ${formatCurrency(rule.min_balance)} and over`;
+            return `Balance ${formatCurrency(rule.min_balance)} – ${formatCurrency(rule.max_balance)}`;
+        case 'region':
+            return `Region: ${(rule.regions || []).join(', ')}`;
+        default:
+            return rule.rule_type;
+    }
+};
+
+const collectorName = (collector) => (collector?.first_name && collector?.last_name
+    ? `${collector.first_name} ${collector.last_name}`
+    : collector?.email || 'Unknown');
+
+const CollectorAssignmentRules = ({ token, collectors }) => {
+    const [rules, setRules] = useState([]);
+    const [assignments, setAssignments] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [form, setForm] = useState(EMPTY_RULE);
+    const [editingId, setEditingId] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [applyResult, setApplyResult] = useState(null);
+
+    useEffect(() => {
+        loadData();
+    }, []);
+
+    const loadData = async () => {
+        setLoading(true);
+        try {
+            const [rulesResponse, assignmentsResponse] = await Promise.all([
+                fetch(`${API_BASE}/collector-assignment-rules`, { headers: { 'Authorization': `Bearer ${token}` } }),
+                fetch(`${API_BASE}/collector-assignments`, { headers: { 'Authorization': `Bearer ${token}` } })
+            ]);
+            const rulesResult = await rulesResponse.json();
+            const assignmentsResult = await assignmentsResponse.json();
+
+            if (rulesResponse.ok && rulesResult.success) {
+                setRules(rulesResult.rules || []);
+            }
+            if (assignmentsResponse.ok && assignmentsResult.success) {
+                setAssignments(assignmentsResult.assignments || []);
+            }
+        } catch (error) {
+            console.error('Error loading collector assignments:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const saveRule = async (ruleId, rule) => {
+        setSaving(true);
+        try {
+            const response = await fetch(ruleId ? `${API_BASE}/collector-assignment-rules/${ruleId}` : `${API_BASE}/collector-assignment-rules`, {
+                method: ruleId ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify(rule)
+            });
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                await loadData();
+                return true;
+            }
+
+            alert(`Failed to save assignment rule: ${result.error || result.message}`);
+            return false;
+        } catch (error) {
+            console.error('Error saving assignment rule:', error);
+            alert('Failed to save assignment rule');
+            return false;
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (await saveRule(editingId, form)) {
+            resetForm();
+        }
+    };
+
+    const resetForm = () => {
+        setForm(EMPTY_RULE);
+        setEditingId(null);
+    };
+
+    const editRule = (rule) => {
+        setForm(ruleToForm(rule));
+        setEditingId(rule.id);
+    };
+
+    const toggleRule = (rule) => saveRule(rule.id, { ...ruleToForm(rule), isActive: !rule.is_active });
+
+    const deleteRule = async (rule) => {
+        if (!window.confirm(`Delete the assignment rule "${rule.name}"? Its accounts go to the next matching rule.`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE}/collector-assignment-rules/${rule.id}`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                if (editingId === rule.id) resetForm();
+                await loadData();
+            } else {
+                alert(`Failed to delete assignment rule: ${result.error || result.message}`);
+            }
+        } catch (error) {
+            console.error('Error deleting assignment rule:', error);
+            alert('Failed to delete assignment rule');
+        }
+    };
+
+    const removeAssignment = async (assignment) => {
+        try {
+            const response = await fetch(`${API_BASE}/customers/${assignment.billing_contact_id}/collector`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ userId: null })
+            });
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                await loadData();
+            } else {
+                alert(`Failed to remove assignment: ${result.error || result.message}`);
+            }
+        } catch (error) {
+            console.error('Error removing collector assignment:', error);
+            alert('Failed to remove assignment');
+        }
+    };
+
+    const applyRules = async () => {
+        setSaving(true);
+        try {
+            const response = await fetch(`${API_BASE}/collector-assignments/apply`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                setApplyResult(result);
+            } else {
+                alert(`Failed to apply assignments: ${result.error || result.message}`);
+            }
+        } catch (error) {
+            console.error('Error applying collector assignments:', error);
+            alert('Failed to apply assignments');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (loading) {
+        return <div className="loading-state">Loading assignment rules...</div>;
+    }
+
+    return (
+        <div className="collector-assignment-rules">
+            <h3>👥 Account Assignment</h3>
+            <p className="assignment-rules-description">
+                Accounts assigned by hand (from the Notes window on the dashboard) keep their collector. Every other
+                account goes to the first active rule it matches, lowest priority number first. Balance bands use the
+                account's total outstanding. Assignments are re-applied after every invoice sync.
+            </p>
+
+            <form className="assignment-rule-form" onSubmit={handleSubmit}>
+                <h4>{editingId ? 'Edit rule' : 'New rule'}</h4>
+                <div className="assignment-rule-grid">
+                    <div className="filter-group">
+                        <label>Name</label>
+                        <input
+                            type="text"
+                            value={form.name}
+                            placeholder="Key accounts"
+                            onChange={(e) => setForm({ ...form, name: e.target.value })}
+                            required
+                        />
+                    </div>
+                    <div className="filter-group">
+                        <label>Collector</label>
+                        <select value={form.userId} onChange={(e) => setForm({ ...form, userId: e.target.value })} required>
+                            <option value="">Select a collector</option>
+                            {collectors.map(collector => (
+                                <option key={collector.id} value={collector.id}>{collectorName(collector)}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="filter-group">
+                        <label>Rule type</label>
+                        <select value={form.ruleType} onChange={(e) => setForm({ ...form, ruleType: e.target.value })}>
+                            {Object.entries(RULE_TYPES).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="filter-group">
+                        <label>Priority (lowest applies first)</label>
+                        <input
+                            type="number"
+                            value={form.priority}
+                            onChange={(e) => setForm({ ...form, priority: e.target.value })}
+                        />
+                    </div>
+
+                    {form.ruleType === 'name_range' && (
+                        <>
+                            <div className="filter-group">
+                                <label>Names from</label>
+                                <input type="text" value={form.nameFrom} placeholder="A" onChange={(e) => setForm({ ...form, nameFrom: e.target.value })} required />
+                            </div>
+                            <div className="filter-group">
+                                <label>Names to (inclusive)</label>
+                                <input type="text" value={form.nameTo} placeholder="F" onChange={(e) => setForm({ ...form, nameTo: e.target.value })} required />
+                            </div>
+                        </>
+                    )}
+                    {form.ruleType === 'balance_band' && (
+                        <>
+                            <div className="filter-group">
+                                <label>Balance from ($)</label>
+                                <input type="number" min="0" step="any" value={form.minBalance} onChange={(e) => setForm({ ...form, minBalance: e.target.value })} />
+                            </div>
+                            <div className="filter-group">
+                                <label>Balance under ($)</label>
+                                <input type="number" min="0" step="any" value={form.maxBalance} onChange={(e) => setForm({ ...form, maxBalance: e.target.value })} />
+                            </div>
+                        </>
+                    )}
+                    {form.ruleType === 'region' && (
+                        <div className="filter-group">
+                            <label>States or countries (comma-separated)</label>
+                            <input type="text" value={form.regions} placeholder="TX, OK, Canada" onChange={(e) => setForm({ ...form, regions: e.target.value })} required />
+                        </div>
+                    )}
+                </div>
+
+                <div className="assignment-rule-actions">
+                    <label className="checkbox-label">
+                        <input
+                            type="checkbox"
+                            checked={form.isActive}
+                            onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+                        />
+                        Active
+                    </label>
+                    <button type="submit" className="btn-primary" disabled={saving}>
+                        {saving ? 'Saving...' : editingId ? 'Save Rule' : '+ Add Rule'}
+                    </button>
+                    {editingId && (
+                        <button type="button" className="btn-secondary" onClick={resetForm}>
+                            Cancel
+                        </button>
+                    )}
+                    <button type="button" className="btn-secondary" disabled={saving} onClick={applyRules}>
+                        🔄 Re-apply now
+                    </button>
+                    {applyResult && (
+                        <span className="apply-result">
+                            {applyResult.assignedAccounts} of {applyResult.accounts} accounts assigned, {applyResult.updated} invoices changed
+                        </span>
+                    )}
+                </div>
+            </form>
+
+            {rules.length === 0 ? (
+                <div className="no-data">No assignment rules yet.</div>
+            ) : (
+                <table className="assignment-table">
+                    <thead>
+                        <tr>
+                            <th>Priority</th>
+                            <th>Rule</th>
+                            <th>Matches</th>
+                            <th>Collector</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rules.map(rule => (
+                            <tr key={rule.id} className={rule.is_active ? '' : 'inactive-rule'}>
+                                <td>{rule.priority}</td>
+                                <td>
+                                    <strong>{rule.name}</strong>
+                                    {!rule.is_active && <span className="paused-tag">paused</span>}
+                                </td>
+                                <td>{describeRule(rule)}</td>
+                                <td>{collectorName(rule.collector)}</td>
+                                <td className="assignment-actions">
+                                    <button className="btn-small" onClick={() => editRule(rule)}>Edit</button>
+                                    <button className="btn-small" disabled={saving} onClick={() => toggleRule(rule)}>
+                                        {rule.is_active ? 'Pause' : 'Resume'}
+                                    </button>
+                                    <button className="btn-small" onClick={() => deleteRule(rule)}>Delete</button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            <h4>Manual assignments</h4>
+            {assignments.length === 0 ? (
+                <div className="no-data">No accounts assigned by hand.</div>
+            ) : (
+                <table className="assignment-table">
+                    <thead>
+                        <tr>
+                            <th>Account</th>
+                            <th>Collector</th>
+                            <th>Assigned</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {assignments.map(assignment => (
+                            <tr key={assignment.id}>
+                                <td>{assignment.account_name || `Contact #${assignment.billing_contact_id}`}</td>
+                                <td>{collectorName(assignment.collector)}</td>
+                                <td>{new Date(assignment.created_at).toLocaleDateString()}</td>
+                                <td className="assignment-actions">
+                                    <button className="btn-small" onClick={() => removeAssignment(assignment)}>Use rules</button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+export default CollectorAssignmentRules;
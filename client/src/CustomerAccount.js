@@ -0,0 +1,431 @@
+import React, { useState, useEffect } from 'react';
+import './CustomerAccount.css';
+
+const API_BASE = '/texon-invoicing-portal/api';
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount || 0);
+
+const formatDate = (date) => (date ? new Date(date.length === 10 ? `${date}T00:00:00` : date).toLocaleDateString() : '–');
+
+const formatDateTime = (date) => (date ? new Date(date).toLocaleString() : '–');
+
+const userName = (appUser) => (appUser?.first_name && appUser?.last_name
+    ? `${appUser.first_name} ${appUser.last_name}`
+    : appUser?.email || 'Unknown');
+
+const OPT_OUT_REASONS = {
+    customer_opted_out: 'Opted out of all automated emails',
+    customer_paused: 'Reminders paused',
+    no_email: 'No email address',
+    unknown: 'Unknown (preferences could not be loaded)'
+};
+
+const SETTLED_WINDOWS = [30, 90, 180, 365];
+
+const TABS = [
+    { key: 'invoices', label: '🧾 Invoices' },
+    { key: 'emails', label: '📧 Emails' },
+    { key: 'notes', label: '📝 Notes' },
+    { key: 'payments', label: '🔗 Payment Links' }
+];
+
+/**
+ * Account view of one customer (Brightpearl billing contact), opened by clicking a
+ * customer name anywhere in the portal
+ */
+const CustomerAccount = ({ token, billingContactId, onClose }) => {
+    const [account, setAccount] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [settledDays, setSettledDays] = useState(90);
+    const [activeTab, setActiveTab] = useState('invoices');
+
+    useEffect(() => {
+        loadAccount();
+    }, [billingContactId, settledDays]);
+
+    const loadAccount = async () => {
+        setLoading(true);
+        try {
+            const response = await fetch(`${API_BASE}/customers/${billingContactId}/account?settled_days=${settledDays}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                setAccount(data.account);
+                setError(null);
+            } else {
+                setError(data.error || 'Failed to load customer account');
+            }
+        } catch (err) {
+            console.error('Error loading customer account:', err);
+            setError('Failed to load customer account');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const openStatement = async () => {
+        // Open the window before the request so it isn't treated as a popup
+        const statementWindow = window.open('', '_blank');
+        try {
+            const response = await fetch(`${API_BASE}/customers/${billingContactId}/statement`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                if (statementWindow) statementWindow.close();
+                alert('Failed to generate statement: ' + (result.error || response.statusText));
+                return;
+            }
+
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            if (statementWindow) {
+                statementWindow.location.href = url;
+            } else {
+                window.open(url, '_blank');
+            }
+        } catch (err) {
+            if (statementWindow) statementWindow.close();
+            console.error('Error generating statement:', err);
+            alert('Error generating statement. Please try again.');
+        }
+    };
+
+    const orderLabel = (orderId) => {
+        const invoice = [...(account?.openInvoices || []), ...(account?.settledInvoices || [])]
+            .find(inv => inv.id === orderId);
+        return invoice?.order_reference || invoice?.invoice_number || `#${orderId}`;
+    };
+
+    const renderInvoices = () => (
+        <>
+            <h4>Open invoices ({account.openInvoices.length})</h4>
+            {account.openInvoices.length === 0 ? (
+                <div className="no-data">No open invoices.</div>
+            ) : (
+                <table className="customer-account-table">
+                    <thead>
+                        <tr>
+                            <th>Order</th>
+                            <th>Invoice</th>
+                            <th>Invoice date</th>
+                            <th>Total</th>
+                            <th>Outstanding</th>
+                            <th>Days</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {account.openInvoices.map(invoice => (
+                            <tr key={invoice.id} className={invoice.days_outstanding > 30 ? 'overdue' : ''}>
+                                <td>
+                                    {invoice.order_reference || `#${invoice.id}`}
+                                    {invoice.dispute_id && <span className="customer-account-flag" title="Disputed">⚖️</span>}
+                                </td>
+                                <td>{invoice.invoice_number || '–'}</td>
+                                <td>{formatDate(invoice.tax_date || invoice.order_date)}</td>
+                                <td>{formatCurrency(invoice.total_amount)}</td>
+                                <td>{formatCurrency(invoice.outstanding_amount)}</td>
+                                <td>{invoice.days_outstanding}</td>
+                                <td>
+                                    <span className="status-badge" style={{ backgroundColor: invoice.order_status_color }}>
+                                        {invoice.order_status_name || '–'}
+                                    </span>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            <h4>Settled in the last {account.settledDays} days ({account.settledInvoices.length})</h4>
+            {account.settledInvoices.length === 0 ? (
+                <div className="no-data">No invoices settled in this period.</div>
+            ) : (
+                <table className="customer-account-table">
+                    <thead>
+                        <tr>
+                            <th>Order</th>
+                            <th>Invoice</th>
+                            <th>Total</th>
+                            <th>Paid</th>
+                            <th>Settled</th>
+                            <th>Days to pay</th>
+                            <th>Reminders</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {account.settledInvoices.map(invoice => (
+                            <tr key={invoice.id}>
+                                <td>{invoice.order_reference || `#${invoice.id}`}</td>
+                                <td>{invoice.invoice_number || '–'}</td>
+                                <td>{formatCurrency(invoice.total_amount)}</td>
+                                <td>{invoice.settlement_type === 'paid' ? formatCurrency(invoice.final_paid_amount) : 'Removed'}</td>
+                                <td>{formatDate(invoice.settled_at)}</td>
+                                <td>{invoice.days_to_pay ?? '–'}</td>
+                                <td>{invoice.reminders_sent_count || 0}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </>
+    );
+
+    const renderEmails = () => (
+        <>
+            <h4>Sent emails ({account.emailLogs.length})</h4>
+            {account.emailLogs.length === 0 ? (
+                <div className="no-data">No emails sent to this customer.</div>
+            ) : (
+                <table className="customer-account-table">
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Order</th>
+                            <th>Type</th>
+                            <th>Recipient</th>
+                            <th>Subject</th>
+                            <th>Sent by</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {account.emailLogs.map(log => (
+                            <tr key={log.id}>
+                                <td>{formatDateTime(log.sent_at || log.created_at)}</td>
+                                <td>{orderLabel(log.order_id)}</td>
+                                <td>{log.email_type || '–'}</td>
+                                <td>{log.recipient_email}</td>
+                                <td>{log.subject}{log.payment_link_included && <span className="customer-account-flag" title="Payment link included">🔗</span>}</td>
+                                <td>{log.app_users ? userName(log.app_users) : log.sender_email || '–'}</td>
+                                <td className={log.send_status === 'failed' ? 'overdue' : ''} title={log.error_message || ''}>{log.send_status}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            <h4>Automated email schedule ({account.scheduledEmails.length})</h4>
+            {account.scheduledEmails.length === 0 ? (
+                <div className="no-data">No automated emails scheduled.</div>
+            ) : (
+                <table className="customer-account-table">
+                    <thead>
+                        <tr>
+                            <th>Scheduled</th>
+                            <th>Order</th>
+                            <th>Campaign</th>
+                            <th>Recipient</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {account.scheduledEmails.map(entry => (
+                            <tr key={entry.id}>
+                                <td>{formatDate(entry.scheduled_date)}</td>
+                                <td>{orderLabel(entry.order_id)}</td>
+                                <td>{entry.automated_email_campaigns?.campaign_name || '–'}</td>
+                                <td>{entry.recipient_email}</td>
+                                <td title={entry.error_message || ''}>
+                                    {entry.status}
+                                    {entry.skip_reason && <small> ({entry.skip_reason})</small>}
+                                    {entry.sent_at && <small> {formatDateTime(entry.sent_at)}</small>}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </>
+    );
+
+    const renderNotes = () => (
+        <div className="customer-account-notes">
+            <div>
+                <h4>Portal notes ({account.notes.length})</h4>
+                {account.notes.length === 0 ? (
+                    <div className="no-data">No portal notes.</div>
+                ) : account.notes.map(note => (
+                    <div key={`user-${note.id}`} className="customer-account-note">
+                        <div>{note.note}</div>
+                        <small>
+                            {orderLabel(note.order_id)} · {userName(note.app_users)} · {formatDateTime(note.created_at)}
+                            {note.follow_up_date && ` · 📅 Follow up ${formatDate(note.follow_up_date)}${note.follow_up_done ? ' (done)' : ''}`}
+                        </small>
+                    </div>
+                ))}
+            </div>
+            <div>
+                <h4>Brightpearl notes ({account.brightpearlNotes.length})</h4>
+                {account.brightpearlNotes.length === 0 ? (
+                    <div className="no-data">No Brightpearl notes.</div>
+                ) : account.brightpearlNotes.map(note => (
+                    <div key={`bp-${note.orderId}-${note.id}`} className="customer-account-note">
+                        <div>{note.text}</div>
+                        <small>{orderLabel(note.orderId)} · {note.addedBy} · {formatDateTime(note.createdOn)}</small>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+
+    const renderPaymentLinks = () => (
+        account.paymentLinks.length === 0 ? (
+            <div className="no-data">No payment links generated for this customer.</div>
+        ) : (
+            <table className="customer-account-table">
+                <thead>
+                    <tr>
+                        <th>Order</th>
+                        <th>Invoice</th>
+                        <th>Created</th>
+                        <th>Link</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {account.paymentLinks.map(link => (
+                        <tr key={link.order_id}>
+                            <td>{orderLabel(link.order_id)}</td>
+                            <td>{link.invoice_reference || '–'}</td>
+                            <td>{formatDate(link.created_at)}</td>
+                            <td>
+                                <a href={link.payment_link} target="_blank" rel="noopener noreferrer">Open</a>
+                                <button
+                                    className="btn-small"
+                                    onClick={() => navigator.clipboard.writeText(link.payment_link)}
+                                    title="Copy link"
+                                >
+                                    📋 Copy
+                                </button>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        )
+    );
+
+    return (
+        <div className="customer-account-overlay" onClick={onClose}>
+            <div className="customer-account" onClick={(e) => e.stopPropagation()}>
+                <div className="customer-account-header">
+                    <div>
+                        <h2>🏢 {account?.name || `Customer ${billingContactId}`}</h2>
+                        {account?.contact && (
+                            <p className="customer-account-contact">
+                                {account.contact.fullName}
+                                {account.contact.jobTitle && `, ${account.contact.jobTitle}`}
+                                {account.contact.companyName && account.contact.companyName !== account.name && ` · ${account.contact.companyName}`}
+                                {account.contact.email && <> · <a href={`mailto:${account.contact.email}`}>{account.contact.email}</a></>}
+                                <small> · Brightpearl contact {billingContactId}</small>
+                            </p>
+                        )}
+                    </div>
+                    <div className="customer-account-actions">
+                        <button className="btn-secondary" onClick={openStatement} disabled={!account?.openInvoices.length}>📄 Statement</button>
+                        <button className="modal-close" onClick={onClose}>×</button>
+                    </div>
+                </div>
+
+                {loading && !account ? (
+                    <div className="loading-state">Loading customer account...</div>
+                ) : error ? (
+                    <div className="no-data">{error}</div>
+                ) : (
+                    <>
+                        <div className="customer-account-opt-outs">
+                            {account.optOuts.map(status => (
+                                <span key={status.email} className={`opt-out-badge ${status.optedOut ? 'opted-out' : status.optedOutCampaigns.length > 0 ? 'partial' : ''}`}>
+                                    {status.email}:{' '}
+                                    {status.optedOut
+                                        ? (status.reason === 'customer_paused' && status.pausedUntil
+                                            ? `Reminders paused until ${formatDate(status.pausedUntil)}`
+                                            : OPT_OUT_REASONS[status.reason] || 'Opted out')
+                                        : status.optedOutCampaigns.length > 0
+                                            ? `Opted out of ${status.optedOutCampaigns.join(', ')}`
+                                            : 'Receiving emails'}
+                                </span>
+                            ))}
+                        </div>
+
+                        <div className="customer-account-summary">
+                            <div>
+                                <strong>{formatCurrency(account.exposure.totalOutstanding)}</strong>
+                                <span>Total exposure</span>
+                            </div>
+                            <div>
+                                <strong>{account.exposure.openInvoiceCount}</strong>
+                                <span>Open invoices</span>
+                            </div>
+                            <div className={account.exposure.overdueAmount > 0 ? 'overdue' : ''}>
+                                <strong>{formatCurrency(account.exposure.overdueAmount)}</strong>
+                                <span>Over 30 days</span>
+                            </div>
+                            <div>
+                                <strong>{account.exposure.oldestDaysOutstanding}</strong>
+                                <span>Oldest (days)</span>
+                            </div>
+                            {account.exposure.disputedAmount > 0 && (
+                                <div>
+                                    <strong>{formatCurrency(account.exposure.disputedAmount)}</strong>
+                                    <span>In dispute</span>
+                                </div>
+                            )}
+                            <div>
+                                <strong>{formatCurrency(account.exposure.collectedAmount)}</strong>
+                                <span>Collected ({account.settledDays} days)</span>
+                            </div>
+                            <div>
+                                <strong>{account.exposure.averageDaysToPay ?? '–'}</strong>
+                                <span>Avg days to pay</span>
+                            </div>
+                        </div>
+
+                        <div className="customer-account-aging">
+                            {account.aging.map(bucket => (
+                                <div key={bucket.key} className={`aging-bucket aging-${bucket.key.replace('+', 'plus')}`}>
+                                    <span>{bucket.label}</span>
+                                    <strong>{formatCurrency(bucket.amount)}</strong>
+                                    <small>{bucket.count} invoice{bucket.count === 1 ? '' : 's'}</small>
+                                </div>
+                            ))}
+                        </div>
+
+                        <div className="customer-account-tabs">
+                            {TABS.map(tab => (
+                                <button
+                                    key={tab.key}
+                                    className={activeTab === tab.key ? 'active' : ''}
+                                    onClick={() => setActiveTab(tab.key)}
+                                >
+                                    {tab.label}
+                                </button>
+                            ))}
+                            {activeTab === 'invoices' && (
+                                <select value={settledDays} onChange={(e) => setSettledDays(parseInt(e.target.value))}>
+                                    {SETTLED_WINDOWS.map(days => (
+                                        <option key={days} value={days}>Settled: last {days} days</option>
+                                    ))}
+                                </select>
+                            )}
+                        </div>
+
+                        <div className="customer-account-body">
+                            {activeTab === 'invoices' && renderInvoices()}
+                            {activeTab === 'emails' && renderEmails()}
+                            {activeTab === 'notes' && renderNotes()}
+                            {activeTab === 'payments' && renderPaymentLinks()}
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default CustomerAccount;
@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import './DisputeAgingReport.css';
+
+const API_BASE = '/texon-invoicing-portal/api';
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount || 0);
+
+const DisputeAgingReport = ({ token, onOpenCustomer }) => {
+    const [report, setReport] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        loadReport();
+    }, []);
+
+    const loadReport = async () => {
+        setLoading(true);
+        try {
+            const response = await fetch(`${API_BASE}/disputes/aging-report`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                setReport(data.report);
+                setError(null);
+            } else {
+                setError(data.error || 'Failed to load dispute aging report');
+            }
+        } catch (err) {
+            console.error('Error loading dispute aging report:', err);
+            setError('Failed to load dispute aging report');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="chart-card dispute-aging-report">
+            <div className="chart-header">
+                <h3 className="chart-title">⚖️ Dispute Aging</h3>
+                <button className="btn-small" onClick={loadReport} disabled={loading}>🔄 Refresh</button>
+            </div>
+
+            {loading ? (
+                <div className="loading-state">Loading disputes...</div>
+            ) : error ? (
+                <div className="no-data">{error}</div>
+            ) : (
+                <>
+                    <div className="dispute-summary">
+                        <div>
+                            <strong>{report.summary.openCount}</strong>
+                            <span>Open disputes</span>
+                        </div>
+                        <div>
+                            <strong>{formatCurrency(report.summary.openAmount)}</strong>
+                            <span>Amount in dispute</span>
+                        </div>
+                        <div className={report.summary.slaOverdueCount > 0 ? 'overdue' : ''}>
+                            <strong>{report.summary.slaOverdueCount}</strong>
+                            <span>Past SLA</span>
+                        </div>
+                        <div>
+                            <strong>{report.summary.averageAgeDays} days</strong>
+                            <span>Average age</span>
+                        </div>
+                        <div>
+                            <strong>{report.summary.averageDaysToResolve ?? '–'}{report.summary.averageDaysToResolve !== null && ' days'}</strong>
+                            <span>To resolve ({report.summary.resolvedCount} in {report.summary.resolvedDays} days)</span>
+                        </div>
+                    </div>
+
+                    <div className="dispute-breakdowns">
+                        <table>
+                            <thead>
+                                <tr><th>Age</th><th>Disputes</th><th>Amount</th></tr>
+                            </thead>
+                            <tbody>
+                                {report.buckets.map(bucket => (
+                                    <tr key={bucket.key}>
+                                        <td>{bucket.label}</td>
+                                        <td>{bucket.count}</td>
+                                        <td>{formatCurrency(bucket.amount)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+
+                        <table>
+                            <thead>
+                                <tr><th>Reason</th><th>Disputes</th><th>Amount</th></tr>
+                            </thead>
+                            <tbody>
+                                {report.byCategory.length === 0 ? (
+                                    <tr><td colSpan="3">No open disputes</td></tr>
+                                ) : report.byCategory.map(entry => (
+                                    <tr key={entry.category}>
+                                        <td>{entry.label}</td>
+                                        <td>{entry.count}</td>
+                                        <td>{formatCurrency(entry.amount)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+
+                        <table>
+                            <thead>
+                                <tr><th>Owner</th><th>Open</th><th>Past SLA</th></tr>
+                            </thead>
+                            <tbody>
+                                {report.byOwner.length === 0 ? (
+                                    <tr><td colSpan="3">No open disputes</td></tr>
+                                ) : report.byOwner.map(entry => (
+                                    <tr key={entry.owner}>
+                                        <td>{entry.owner}</td>
+                                        <td>{entry.count}</td>
+                                        <td className={entry.overdue > 0 ? 'overdue' : ''}>{entry.overdue}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+
+                        <table>
+                            <thead>
+                                <tr><th>Resolution</th><th>Disputes</th><th>Amount</th></tr>
+                            </thead>
+                            <tbody>
+                                {report.byResolution.length === 0 ? (
+                                    <tr><td colSpan="3">None in the last {report.summary.resolvedDays} days</td></tr>
+                                ) : report.byResolution.map(entry => (
+                                    <tr key={entry.resolution}>
+                                        <td>{entry.label}</td>
+                                        <td>{entry.count}</td>
+                                        <td>{formatCurrency(entry.amount)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {report.disputes.length > 0 && (
+                        <table className="dispute-list">
+                            <thead>
+                                <tr>
+                                    <th>Order</th>
+                                    <th>Customer</th>
+                                    <th>Reason</th>
+                                    <th>Owner</th>
+                                    <th>Age</th>
+                                    <th>SLA due</th>
+                                    <th>Amount</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {report.disputes.map(dispute => (
+                                    <tr key={dispute.id} className={dispute.slaOverdue ? 'overdue' : ''}>
+                                        <td>{dispute.invoice?.order_reference || `#${dispute.order_id}`}</td>
+                                        <td>
+                                            {dispute.invoice?.billing_contact_id && onOpenCustomer ? (
+                                                <button className="customer-link" onClick={() => onOpenCustomer(dispute.invoice.billing_contact_id)}>
+                                                    {dispute.invoice.billing_contact_name || dispute.invoice.billing_company_name || 'Unknown'}
+                                                </button>
+                                            ) : dispute.invoice?.billing_contact_name || dispute.invoice?.billing_company_name || '–'}
+                                        </td>
+                                        <td>{report.byCategory.find(entry => entry.category === dispute.reason_category)?.label || dispute.reason_category}</td>
+                                        <td>{dispute.ownerName}</td>
+                                        <td>{dispute.ageDays} days</td>
+                                        <td>{new Date(`${dispute.sla_due_date}T00:00:00`).toLocaleDateString()}</td>
+                                        <td>{formatCurrency(dispute.amount)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default DisputeAgingReport;
@@ -10,6 +10,7 @@ const EmailModal = ({ isOpen, invoice, emailType, onClose, onSend, token }) => {
         body: '',
         emailType: emailType
     });
+    const [attachmentType, setAttachmentType] = useState('invoice');
     const [isLoading, setIsLoading] = useState(false);
     const [lastSent, setLastSent] = useState(null);
     const [emailHistory, setEmailHistory] = useState([]);
@@ -132,7 +133,8 @@ const EmailModal = ({ isOpen, invoice, emailType, onClose, onSend, token }) => {
                 to: emailData.to,
                 subject: emailData.subject,
                 body: emailData.body,
-                emailType: emailType
+                emailType: emailType,
+                attachmentType: attachmentType
             });
             
             if (success) {
@@ -283,6 +285,18 @@ const EmailModal = ({ isOpen, invoice, emailType, onClose, onSend, token }) => {
                             />
                         </div>
                         
+                        <div className="form-group">
+                            <label>Attachment:</label>
+                            <select
+                                value={attachmentType}
+                                onChange={(e) => setAttachmentType(e.target.value)}
+                            >
+                                <option value="invoice">Invoice PDF</option>
+                                <option value="statement" disabled={!orderData.billingContact?.id}>Customer statement (all open invoices)</option>
+                                <option value="both" disabled={!orderData.billingContact?.id}>Invoice PDF + customer statement</option>
+                            </select>
+                        </div>
+
                         <div className="form-group">
                             <label>Message: *</label>
                             <textarea
@@ -0,0 +1,407 @@
+import React, { useState, useEffect } from 'react';
+import './EmailSenders.css';
+
+const API_BASE = '/texon-invoicing-portal/api';
+
+// Form labels for each backend setting (the server lists which ones a type uses)
+const FIELD_LABELS = {
+    host: 'SMTP host',
+    port: 'Port',
+    secure: 'Use TLS from the start (port 465)',
+    username: 'Username (empty for an IP-allowlisted relay)',
+    password: 'Password',
+    user: 'Mailbox (sends as)',
+    client_id: 'OAuth2 client ID',
+    tenant_id: 'Directory (tenant) ID',
+    client_secret: 'OAuth2 client secret',
+    refresh_token: 'OAuth2 refresh token',
+    provider: 'Provider',
+    api_key: 'API key'
+};
+
+const EMPTY_SENDER = {
+    name: '',
+    backendType: 'smtp',
+    fromAddress: '',
+    fromName: '',
+    config: { port: 587 },
+    secrets: {},
+    isDefault: false,
+    isActive: true
+};
+
+const senderToForm = (sender) => ({
+    name: sender.name,
+    backendType: sender.backend_type,
+    fromAddress: sender.from_address,
+    fromName: sender.from_name || '',
+    config: { ...sender.config },
+    secrets: {},
+    isDefault: sender.is_default,
+    isActive: sender.is_active
+});
+
+/**
+ * Organization sender backends: when a default sender is active, every email goes out
+ * through it instead of each user's Gmail App Password
+ */
+const EmailSenders = ({ token }) => {
+    const [senders, setSenders] = useState([]);
+    const [backendTypes, setBackendTypes] = useState({});
+    const [apiProviders, setApiProviders] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [form, setForm] = useState(EMPTY_SENDER);
+    const [editing, setEditing] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [verifyingId, setVerifyingId] = useState(null);
+
+    useEffect(() => {
+        loadSenders();
+    }, []);
+
+    const loadSenders = async () => {
+        try {
+            const response = await fetch(`${API_BASE}/email-senders`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                setSenders(result.backends || []);
+                setBackendTypes(result.backendTypes || {});
+                setApiProviders(result.apiProviders || {});
+            }
+        } catch (error) {
+            console.error('Error loading email senders:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const saveSender = async (senderId, sender) => {
+        setSaving(true);
+        try {
+            const response = await fetch(senderId ? `${API_BASE}/email-senders/${senderId}` : `${API_BASE}/email-senders`, {
+                method: senderId ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify(sender)
+            });
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                await loadSenders();
+                return true;
+            }
+
+            alert(`Failed to save email sender: ${result.error || result.message}`);
+            return false;
+        } catch (error) {
+            console.error('Error saving email sender:', error);
+            alert('Failed to save email sender');
+            return false;
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const saved = await saveSender(editing?.id, {
+            name: form.name,
+            backend_type: form.backendType,
+            from_address: form.fromAddress,
+            from_name: form.fromName,
+            config: form.config,
+            secrets: form.secrets,
+            is_default: form.isDefault,
+            is_active: form.isActive
+        });
+        if (saved) {
+            resetForm();
+        }
+    };
+
+    const resetForm = () => {
+        setForm(EMPTY_SENDER);
+        setEditing(null);
+    };
+
+    const editSender = (sender) => {
+        setForm(senderToForm(sender));
+        setEditing(sender);
+    };
+
+    const makeDefault = (sender) => saveSender(sender.id, { is_default: true, is_active: true });
+
+    const stopDefault = (sender) => {
+        if (!window.confirm(`Stop sending through "${sender.name}"? Users will send with their own Gmail App Passwords again.`)) {
+            return;
+        }
+        saveSender(sender.id, { is_default: false });
+    };
+
+    const deleteSender = async (sender) => {
+        const warning = sender.is_default
+            ? `Delete "${sender.name}"? It is the default sender - users will send with their own Gmail App Passwords again.`
+            : `Delete the email sender "${sender.name}"?`;
+        if (!window.confirm(warning)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE}/email-senders/${sender.id}`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                if (editing?.id === sender.id) resetForm();
+                await loadSenders();
+            } else {
+                alert(`Failed to delete email sender: ${result.error || result.message}`);
+            }
+        } catch (error) {
+            console.error('Error deleting email sender:', error);
+            alert('Failed to delete email sender');
+        }
+    };
+
+    const verifySender = async (sender) => {
+        setVerifyingId(sender.id);
+        try {
+            const response = await fetch(`${API_BASE}/email-senders/${sender.id}/verify`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                alert(`Failed to check email sender: ${result.error || result.message}`);
+            }
+            await loadSenders();
+        } catch (error) {
+            console.error('Error verifying email sender:', error);
+            alert('Failed to check email sender');
+        } finally {
+            setVerifyingId(null);
+        }
+    };
+
+    const setConfig = (key, value) => setForm({ ...form, config: { ...form.config, [key]: value } });
+    const setSecret = (key, value) => setForm({ ...form, secrets: { ...form.secrets, [key]: value } });
+
+    const renderConfigField = (key) => {
+        if (key === 'secure') {
+            return (
+                <label key={key} className="checkbox-label">
+                    <input
+                        type="checkbox"
+                        checked={form.config.secure === true}
+                        onChange={(e) => setConfig('secure', e.target.checked)}
+                    />
+                    {FIELD_LABELS.secure}
+                </label>
+            );
+        }
+
+        if (key === 'provider') {
+            return (
+                <div key={key} className="filter-group">
+                    <label>{FIELD_LABELS.provider}</label>
+                    <select value={form.config.provider || ''} onChange={(e) => setConfig('provider', e.target.value)} required>
+                        <option value="">Select a provider</option>
+                        {Object.entries(apiProviders).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </div>
+            );
+        }
+
+        return (
+            <div key={key} className="filter-group">
+                <label>{FIELD_LABELS[key] || key}</label>
+                <input
+                    type={key === 'port' ? 'number' : 'text'}
+                    value={form.config[key] ?? ''}
+                    onChange={(e) => setConfig(key, e.target.value)}
+                    required={backendTypes[form.backendType]?.required.includes(key)}
+                />
+            </div>
+        );
+    };
+
+    const renderSecretField = (key) => {
+        // Stored secrets are never sent back - leave the field empty to keep them
+        const stored = editing?.backend_type === form.backendType && editing.secrets_set.includes(key);
+        return (
+            <div key={key} className="filter-group">
+                <label>{FIELD_LABELS[key] || key}</label>
+                <input
+                    type="password"
+                    autoComplete="new-password"
+                    value={form.secrets[key] || ''}
+                    placeholder={stored ? '•••••••• stored - leave empty to keep' : ''}
+                    onChange={(e) => setSecret(key, e.target.value)}
+                    required={!stored && backendTypes[form.backendType]?.required.includes(key)}
+                />
+            </div>
+        );
+    };
+
+    const describeStatus = (sender) => {
+        if (sender.secrets_error) return <span className="sender-status error">⚠️ Credentials unreadable - re-enter them</span>;
+        if (!sender.last_verified_at) return <span className="sender-status">Not checked</span>;
+        if (sender.last_error) return <span className="sender-status error" title={sender.last_error}>❌ {sender.last_error}</span>;
+        return <span className="sender-status ok">✅ Checked {new Date(sender.last_verified_at).toLocaleString()}</span>;
+    };
+
+    if (loading) {
+        return <div className="loading-state">Loading email senders...</div>;
+    }
+
+    const definition = backendTypes[form.backendType];
+    const defaultSender = senders.find(sender => sender.is_default && sender.is_active);
+
+    return (
+        <div className="settings-section email-senders">
+            <h3>📮 Organization Email Sender</h3>
+            <p className="email-senders-description">
+                {defaultSender
+                    ? `All emails are sent through "${defaultSender.name}" from ${defaultSender.from_address}; replies go to the user who sent them.`
+                    : 'No default sender - each user sends from their own Gmail account with a Google App Password (Email Settings).'}
+                {' '}Credentials are stored encrypted and are never shown again after saving.
+            </p>
+
+            {senders.length > 0 && (
+                <table className="email-senders-table">
+                    <thead>
+                        <tr>
+                            <th>Sender</th>
+                            <th>Type</th>
+                            <th>From</th>
+                            <th>Status</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {senders.map(sender => (
+                            <tr key={sender.id} className={sender.is_active ? '' : 'inactive-sender'}>
+                                <td>
+                                    <strong>{sender.name}</strong>
+                                    {sender.is_default && <span className="default-tag">default</span>}
+                                    {!sender.is_active && <span className="paused-tag">disabled</span>}
+                                </td>
+                                <td>{backendTypes[sender.backend_type]?.label || sender.backend_type}</td>
+                                <td>{sender.from_name ? `${sender.from_name} <${sender.from_address}>` : sender.from_address}</td>
+                                <td>{describeStatus(sender)}</td>
+                                <td className="email-sender-actions">
+                                    <button className="btn-small" disabled={verifyingId === sender.id} onClick={() => verifySender(sender)}>
+                                        {verifyingId === sender.id ? 'Checking...' : 'Check'}
+                                    </button>
+                                    <button className="btn-small" onClick={() => editSender(sender)}>Edit</button>
+                                    {sender.is_default ? (
+                                        <button className="btn-small" disabled={saving} onClick={() => stopDefault(sender)}>Unset default</button>
+                                    ) : (
+                                        <button className="btn-small" disabled={saving} onClick={() => makeDefault(sender)}>Make default</button>
+                                    )}
+                                    <button className="btn-small" onClick={() => deleteSender(sender)}>Delete</button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            <form className="email-sender-form" onSubmit={handleSubmit}>
+                <h4>{editing ? `Edit "${editing.name}"` : 'New sender'}</h4>
+                <div className="email-sender-grid">
+                    <div className="filter-group">
+                        <label>Name</label>
+                        <input
+                            type="text"
+                            value={form.name}
+                            placeholder="Office 365 accounts mailbox"
+                            onChange={(e) => setForm({ ...form, name: e.target.value })}
+                            required
+                        />
+                    </div>
+                    <div className="filter-group">
+                        <label>Type</label>
+                        <select value={form.backendType} onChange={(e) => setForm({ ...form, backendType: e.target.value, config: e.target.value === 'smtp' ? { port: 587 } : {}, secrets: {} })}>
+                            {Object.entries(backendTypes).map(([value, type]) => (
+                                <option key={value} value={value}>{type.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="filter-group">
+                        <label>From address</label>
+                        <input
+                            type="email"
+                            value={form.fromAddress}
+                            placeholder="accounts@texontowel.com"
+                            onChange={(e) => setForm({ ...form, fromAddress: e.target.value })}
+                            required
+                        />
+                    </div>
+                    <div className="filter-group">
+                        <label>From name (empty for the sending user's name)</label>
+                        <input
+                            type="text"
+                            value={form.fromName}
+                            placeholder="Texon Towel Accounts"
+                            onChange={(e) => setForm({ ...form, fromName: e.target.value })}
+                        />
+                    </div>
+
+                    {definition?.config.map(renderConfigField)}
+                    {definition?.secrets.map(renderSecretField)}
+                </div>
+
+                {form.backendType === 'microsoft365_oauth2' && (
+                    <p className="email-sender-hint">
+                        The app registration needs the SMTP.Send delegated permission, and SMTP AUTH must be enabled for the mailbox.
+                    </p>
+                )}
+                {form.backendType === 'gmail_oauth2' && (
+                    <p className="email-sender-hint">
+                        The refresh token must be issued for the https://mail.google.com/ scope to the mailbox above.
+                    </p>
+                )}
+
+                <div className="email-sender-form-actions">
+                    <label className="checkbox-label">
+                        <input
+                            type="checkbox"
+                            checked={form.isDefault}
+                            onChange={(e) => setForm({ ...form, isDefault: e.target.checked })}
+                        />
+                        Send all emails through this sender
+                    </label>
+                    <label className="checkbox-label">
+                        <input
+                            type="checkbox"
+                            checked={form.isActive}
+                            onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+                        />
+                        Enabled
+                    </label>
+                    <button type="submit" className="btn-primary" disabled={saving}>
+                        {saving ? 'Saving...' : editing ? 'Save Sender' : '+ Add Sender'}
+                    </button>
+                    {editing && (
+                        <button type="button" className="btn-secondary" onClick={resetForm}>
+                            Cancel
+                        </button>
+                    )}
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default EmailSenders;
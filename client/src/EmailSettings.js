@@ -12,6 +12,7 @@ const EmailSettings = () => {
     });
     
     const [currentSettings, setCurrentSettings] = useState(null);
+    const [organizationSender, setOrganizationSender] = useState(null);
     const [isLoading, setIsLoading] = useState(false);
     const [isSaving, setIsSaving] = useState(false);
     const [message, setMessage] = useState({ text: '', type: '' });
@@ -32,7 +33,8 @@ const EmailSettings = () => {
 
             if (response.ok) {
                 const data = await response.json();
-                if (data.success) {
+                setOrganizationSender(data.organizationSender || null);
+                if (data.success && data.settings) {
                     setCurrentSettings(data.settings);
                     setEmailSettings({
                         email_address: data.settings.email_address || '',
@@ -71,7 +73,7 @@ const EmailSettings = () => {
     };
 
     const handleSave = async () => {
-        if (!emailSettings.email_address || !emailSettings.google_app_password) {
+        if (!emailSettings.email_address || (!emailSettings.google_app_password && !organizationSender)) {
             setMessage({ text: 'Please fill in email address and Google App Password', type: 'error' });
             return;
         }
@@ -125,7 +127,12 @@ const EmailSettings = () => {
             const data = await response.json();
             
             if (response.ok && data.success) {
-                setMessage({ text: `Test email sent successfully to ${emailSettings.test_mode ? emailSettings.test_mode_recipient : emailSettings.email_address}!`, type: 'success' });
+                setMessage({
+                    text: currentSettings
+                        ? `Test email sent successfully to ${emailSettings.test_mode ? emailSettings.test_mode_recipient : emailSettings.email_address}!`
+                        : data.message,
+                    type: 'success'
+                });
             } else {
                 throw new Error(data.error || 'Failed to send test email');
             }
@@ -154,6 +161,14 @@ const EmailSettings = () => {
                 </p>
             </div>
 
+            {organizationSender && (
+                <div className="organization-sender-notice">
+                    📮 Emails are sent through the organization sender from{' '}
+                    <strong>{organizationSender.from_name ? `${organizationSender.from_name} <${organizationSender.from_address}>` : organizationSender.from_address}</strong>.
+                    Customer replies go to your email address below - a Google App Password is not needed.
+                </div>
+            )}
+
             {message.text && (
                 <div className={`message ${message.type}`}>
                     {message.text}
@@ -163,9 +178,9 @@ const EmailSettings = () => {
             <div className="email-settings-form">
                 {/* Gmail Configuration Section */}
                 <div className="settings-section">
-                    <h3>Gmail Configuration</h3>
+                    <h3>{organizationSender ? 'Your Email Address' : 'Gmail Configuration'}</h3>
                     <div className="form-group">
-                        <label>Gmail Address: *</label>
+                        <label>{organizationSender ? 'Email Address (Reply-To): *' : 'Gmail Address: *'}</label>
                         <input
                             type="email"
                             value={emailSettings.email_address}
@@ -173,34 +188,40 @@ const EmailSettings = () => {
                             placeholder="your.email@gmail.com"
                             required
                         />
-                        <small>This will be used as the "From" address for all emails</small>
-                    </div>
-
-                    <div className="form-group">
-                        <label>Google App Password: *</label>
-                        <div className="password-input-group">
-                            <input
-                                type={showPassword ? 'text' : 'password'}
-                                value={emailSettings.google_app_password}
-                                onChange={(e) => handleInputChange('google_app_password', e.target.value)}
-                                placeholder="16-character app password"
-                                required={!emailSettings.google_app_password}
-                            />
-                            <button 
-                                type="button" 
-                                className="password-toggle"
-                                onClick={() => setShowPassword(!showPassword)}
-                            >
-                                {showPassword ? '👁️' : '🔒'}
-                            </button>
-                        </div>
                         <small>
-                            Generate this in your Google Account → Security → App Passwords. 
-                            <a href="https://support.google.com/accounts/answer/185833" target="_blank" rel="noopener noreferrer">
-                                Learn more
-                            </a>
+                            {organizationSender
+                                ? 'Replies to the emails you send will go to this address'
+                                : 'This will be used as the "From" address for all emails'}
                         </small>
                     </div>
+
+                    {!organizationSender && (
+                        <div className="form-group">
+                            <label>Google App Password: *</label>
+                            <div className="password-input-group">
+                                <input
+                                    type={showPassword ? 'text' : 'password'}
+                                    value={emailSettings.google_app_password}
+                                    onChange={(e) => handleInputChange('google_app_password', e.target.value)}
+                                    placeholder="16-character app password"
+                                    required={!emailSettings.google_app_password}
+                                />
+                                <button 
+                                    type="button" 
+                                    className="password-toggle"
+                                    onClick={() => setShowPassword(!showPassword)}
+                                >
+                                    {showPassword ? '👁️' : '🔒'}
+                                </button>
+                            </div>
+                            <small>
+                                Generate this in your Google Account → Security → App Passwords. 
+                                <a href="https://support.google.com/accounts/answer/185833" target="_blank" rel="noopener noreferrer">
+                                    Learn more
+                                </a>
+                            </small>
+                        </div>
+                    )}
                 </div>
 
                 {/* Test Mode Section */}
@@ -257,12 +278,14 @@ const EmailSettings = () => {
                                 <span className="setting-label">Email Address:</span>
                                 <span className="setting-value">{currentSettings.email_address}</span>
                             </div>
-                            <div className="setting-item">
-                                <span className="setting-label">Password:</span>
-                                <span className="setting-value">
-                                    {currentSettings.google_app_password ? '✅ Configured' : '❌ Not set'}
-                                </span>
-                            </div>
+                            {!organizationSender && (
+                                <div className="setting-item">
+                                    <span className="setting-label">Password:</span>
+                                    <span className="setting-value">
+                                        {currentSettings.google_app_password ? '✅ Configured' : '❌ Not set'}
+                                    </span>
+                                </div>
+                            )}
                             <div className="setting-item">
                                 <span className="setting-label">Mode:</span>
                                 <span className={`setting-value mode-badge ${currentSettings.test_mode ? 'test' : 'live'}`}>
@@ -295,7 +318,7 @@ const EmailSettings = () => {
                         {isSaving ? 'Saving...' : '💾 Save Email Settings'}
                     </button>
                     
-                    {currentSettings?.google_app_password && (
+                    {(currentSettings?.google_app_password || organizationSender) && (
                         <button 
                             className="btn-secondary"
                             onClick={handleTestEmail}
@@ -308,7 +331,7 @@ const EmailSettings = () => {
             </div>
 
             {/* Setup Instructions - Only show if email not configured */}
-            {!currentSettings?.google_app_password && (
+            {!currentSettings?.google_app_password && !organizationSender && (
                 <div className="setup-instructions">
                 <h3>📋 Setup Instructions</h3>
                 <ol>
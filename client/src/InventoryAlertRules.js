@@ -0,0 +1,342 @@
+import React, { useState, useEffect } from 'react';
+import './InventoryAlertRules.css';
+
+const API_BASE = '/texon-invoicing-portal/api';
+
+const EMPTY_RULE = {
+    name: '',
+    minAbsDifference: '',
+    minPercentageDifference: '',
+    skuPatterns: '',
+    brands: '',
+    recipients: '',
+    onlyNewOrWorsening: false,
+    isActive: true
+};
+
+const ruleToForm = (rule) => ({
+    name: rule.name,
+    minAbsDifference: rule.min_abs_difference ?? '',
+    minPercentageDifference: rule.min_percentage_difference ?? '',
+    skuPatterns: rule.sku_patterns || '',
+    brands: rule.brands || '',
+    recipients: rule.recipients,
+    onlyNewOrWorsening: rule.only_new_or_worsening,
+    isActive: rule.is_active
+});
+
+const describeRule = (rule) => {
+    const conditions = [];
+    if (rule.min_abs_difference !== null) conditions.push(`≥ ${rule.min_abs_difference} units`);
+    if (rule.min_percentage_difference !== null) conditions.push(`≥ ${rule.min_percentage_difference}%`);
+    if (rule.sku_patterns) conditions.push(`SKUs: ${rule.sku_patterns.split('\n').join(', ')}`);
+    if (rule.brands) conditions.push(`Brands: ${rule.brands.split('\n').join(', ')}`);
+    if (rule.only_new_or_worsening) conditions.push('new or worsening only');
+    return conditions.length > 0 ? conditions.join(' · ') : 'Every discrepancy';
+};
+
+const InventoryAlertRules = ({ token, canManage }) => {
+    const [rules, setRules] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [form, setForm] = useState(EMPTY_RULE);
+    const [editingId, setEditingId] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [preview, setPreview] = useState(null);
+    const [previewing, setPreviewing] = useState(false);
+
+    useEffect(() => {
+        loadRules();
+    }, []);
+
+    const loadRules = async () => {
+        setLoading(true);
+        try {
+            const response = await fetch(`${API_BASE}/inventory-alert-rules`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const result = await response.json();
+            if (response.ok && result.success) {
+                setRules(result.rules || []);
+            }
+        } catch (error) {
+            console.error('Error loading inventory alert rules:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const saveRule = async (ruleId, rule) => {
+        setSaving(true);
+        try {
+            const response = await fetch(ruleId ? `${API_BASE}/inventory-alert-rules/${ruleId}` : `${API_BASE}/inventory-alert-rules`, {
+                method: ruleId ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify(rule)
+            });
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                await loadRules();
+                return true;
+            }
+
+            alert(`Failed to save alert rule: ${result.error || result.message}`);
+            return false;
+        } catch (error) {
+            console.error('Error saving inventory alert rule:', error);
+            alert('Failed to save alert rule');
+            return false;
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (await saveRule(editingId, form)) {
+            resetForm();
+        }
+    };
+
+    const resetForm = () => {
+        setForm(EMPTY_RULE);
+        setEditingId(null);
+        setPreview(null);
+    };
+
+    const editRule = (rule) => {
+        setForm(ruleToForm(rule));
+        setEditingId(rule.id);
+        setPreview(null);
+    };
+
+    const toggleRule = (rule) => saveRule(rule.id, { ...ruleToForm(rule), isActive: !rule.is_active });
+
+    const deleteRule = async (rule) => {
+        if (!window.confirm(`Delete the alert rule "${rule.name}"?`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE}/inventory-alert-rules/${rule.id}`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                if (editingId === rule.id) resetForm();
+                await loadRules();
+            } else {
+                alert(`Failed to delete alert rule: ${result.error || result.message}`);
+            }
+        } catch (error) {
+            console.error('Error deleting inventory alert rule:', error);
+            alert('Failed to delete alert rule');
+        }
+    };
+
+    const previewRule = async () => {
+        setPreviewing(true);
+        try {
+            const response = await fetch(`${API_BASE}/inventory-alert-rules/preview`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ ...form, name: form.name || 'Preview' })
+            });
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                setPreview(result);
+            } else {
+                alert(`Preview failed: ${result.error || result.message}`);
+            }
+        } catch (error) {
+            console.error('Error previewing inventory alert rule:', error);
+            alert('Preview failed');
+        } finally {
+            setPreviewing(false);
+        }
+    };
+
+    if (loading) {
+        return <div className="loading-state">Loading alert rules...</div>;
+    }
+
+    return (
+        <div className="inventory-alert-rules">
+            <p className="alert-rules-description">
+                After every comparison run, each active rule emails its recipients only the discrepancies it matches.
+                Thresholds that are set must all be met; leave a field empty to ignore it. The full report still goes to
+                the report recipients in Settings.
+            </p>
+
+            {canManage && (
+                <form className="alert-rule-form" onSubmit={handleSubmit}>
+                    <h3>{editingId ? 'Edit alert rule' : 'New alert rule'}</h3>
+                    <div className="alert-rule-grid">
+                        <div className="filter-group">
+                            <label>Name</label>
+                            <input
+                                type="text"
+                                value={form.name}
+                                placeholder="Top sellers - large gaps"
+                                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                                required
+                            />
+                        </div>
+                        <div className="filter-group">
+                            <label>Recipients (comma-separated)</label>
+                            <input
+                                type="text"
+                                value={form.recipients}
+                                placeholder="ops@example.com, warehouse@example.com"
+                                onChange={(e) => setForm({ ...form, recipients: e.target.value })}
+                                required
+                            />
+                        </div>
+                        <div className="filter-group">
+                            <label>Minimum difference (units)</label>
+                            <input
+                                type="number"
+                                min="0"
+                                value={form.minAbsDifference}
+                                onChange={(e) => setForm({ ...form, minAbsDifference: e.target.value })}
+                            />
+                        </div>
+                        <div className="filter-group">
+                            <label>Minimum difference (%)</label>
+                            <input
+                                type="number"
+                                min="0"
+                                step="any"
+                                value={form.minPercentageDifference}
+                                onChange={(e) => setForm({ ...form, minPercentageDifference: e.target.value })}
+                            />
+                        </div>
+                        <div className="filter-group">
+                            <label>SKUs (one per line, * wildcard)</label>
+                            <textarea
+                                rows="3"
+                                value={form.skuPatterns}
+                                placeholder={'ZIP1519BLK\nQB-*'}
+                                onChange={(e) => setForm({ ...form, skuPatterns: e.target.value })}
+                            />
+                        </div>
+                        <div className="filter-group">
+                            <label>Brands (one per line)</label>
+                            <textarea
+                                rows="3"
+                                value={form.brands}
+                                onChange={(e) => setForm({ ...form, brands: e.target.value })}
+                            />
+                        </div>
+                    </div>
+
+                    <div className="alert-rule-options">
+                        <label className="checkbox-label">
+                            <input
+                                type="checkbox"
+                                checked={form.onlyNewOrWorsening}
+                                onChange={(e) => setForm({ ...form, onlyNewOrWorsening: e.target.checked })}
+                            />
+                            Only notify on new or worsening discrepancies (compared with the previous run)
+                        </label>
+                        <label className="checkbox-label">
+                            <input
+                                type="checkbox"
+                                checked={form.isActive}
+                                onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+                            />
+                            Active
+                        </label>
+                    </div>
+
+                    <div className="alert-rule-actions">
+                        <button type="submit" className="btn-primary" disabled={saving}>
+                            {saving ? 'Saving...' : editingId ? 'Save Rule' : '+ Add Rule'}
+                        </button>
+                        <button type="button" className="btn-secondary" disabled={previewing} onClick={previewRule}>
+                            {previewing ? 'Checking...' : '👁️ Preview against latest run'}
+                        </button>
+                        {editingId && (
+                            <button type="button" className="btn-secondary" onClick={resetForm}>
+                                Cancel
+                            </button>
+                        )}
+                    </div>
+
+                    {preview && (
+                        <div className="alert-rule-preview">
+                            <strong>
+                                {preview.matches.length} of {preview.totalDiscrepancies} discrepancies in the run of{' '}
+                                {new Date(preview.reportCreatedAt).toLocaleString()} would be alerted.
+                            </strong>
+                            {preview.matches.length > 0 && (
+                                <ul>
+                                    {preview.matches.slice(0, 10).map(item => (
+                                        <li key={item.sku}>
+                                            <code>{item.sku}</code> {item.difference > 0 ? '+' : ''}{item.difference}
+                                            {item.alertReason && <span className={`trend-badge ${item.alertReason}`}>{item.alertReason}</span>}
+                                        </li>
+                                    ))}
+                                    {preview.matches.length > 10 && <li>…and {preview.matches.length - 10} more</li>}
+                                </ul>
+                            )}
+                        </div>
+                    )}
+                </form>
+            )}
+
+            {rules.length === 0 ? (
+                <div className="no-data">No alert rules yet - only the full report is emailed.</div>
+            ) : (
+                <table className="inventory-table">
+                    <thead>
+                        <tr>
+                            <th>Rule</th>
+                            <th>Conditions</th>
+                            <th>Recipients</th>
+                            <th>Last alert</th>
+                            {canManage && <th></th>}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rules.map(rule => (
+                            <tr key={rule.id} className={rule.is_active ? '' : 'inactive-rule'}>
+                                <td>
+                                    <strong>{rule.name}</strong>
+                                    {!rule.is_active && <span className="trend-badge">paused</span>}
+                                </td>
+                                <td>{describeRule(rule)}</td>
+                                <td>{rule.recipients}</td>
+                                <td>
+                                    {rule.last_triggered_at
+                                        ? `${new Date(rule.last_triggered_at).toLocaleString()} (${rule.last_match_count})`
+                                        : 'Never'}
+                                </td>
+                                {canManage && (
+                                    <td className="report-actions">
+                                        <button className="btn-small" onClick={() => editRule(rule)}>Edit</button>
+                                        <button className="btn-small" disabled={saving} onClick={() => toggleRule(rule)}>
+                                            {rule.is_active ? 'Pause' : 'Resume'}
+                                        </button>
+                                        <button className="btn-small" onClick={() => deleteRule(rule)}>Delete</button>
+                                    </td>
+                                )}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+export default InventoryAlertRules;
@@ -0,0 +1,754 @@
+import React, { useState, useEffect } from 'react';
+import { Line } from 'react-chartjs-2';
+import { PERMISSIONS, hasPermission } from './permissions';
+import SkuMappings from './SkuMappings';
+import WarehouseMappings from './WarehouseMappings';
+import InventoryAlertRules from './InventoryAlertRules';
+import './InventoryReports.css';
+
+const API_BASE = '/texon-invoicing-portal/api';
+
+const formatNumber = (value) => (value === null || value === undefined ? '—' : Number(value).toLocaleString());
+
+const formatDifference = (value) => {
+    if (value === null || value === undefined) return '—';
+    return value > 0 ? `+${formatNumber(value)}` : formatNumber(value);
+};
+
+const InventoryReports = ({ token, user }) => {
+    const [activeTab, setActiveTab] = useState('history');
+    const [reports, setReports] = useState([]);
+    const [pagination, setPagination] = useState({ page: 1, limit: 25, total: 0, totalPages: 0 });
+    const [loading, setLoading] = useState(true);
+    const [running, setRunning] = useState(false);
+    const [checkpoint, setCheckpoint] = useState(null);
+    const [error, setError] = useState(null);
+
+    const [selectedReport, setSelectedReport] = useState(null);
+    const [baseId, setBaseId] = useState('');
+    const [compareId, setCompareId] = useState('');
+    const [diff, setDiff] = useState(null);
+    const [diffLoading, setDiffLoading] = useState(false);
+
+    const [chronic, setChronic] = useState({ runs: 0, chronic: [] });
+    const [chronicRuns, setChronicRuns] = useState(10);
+
+    const [skuInput, setSkuInput] = useState('');
+    const [skuHistory, setSkuHistory] = useState(null);
+    const [skuLoading, setSkuLoading] = useState(false);
+
+    const canRunComparison = hasPermission(user, PERMISSIONS.RUN_INVENTORY_COMPARISON);
+    const canManageSettings = hasPermission(user, PERMISSIONS.MANAGE_SETTINGS);
+
+    useEffect(() => {
+        loadReports(1);
+        loadCheckpoint();
+    }, []);
+
+    useEffect(() => {
+        if (activeTab === 'chronic') {
+            loadChronic();
+        }
+    }, [activeTab, chronicRuns]);
+
+    const authHeaders = { 'Authorization': `Bearer ${token}` };
+
+    const loadReports = async (page) => {
+        setLoading(true);
+        setError(null);
+        try {
+            const response = await fetch(`${API_BASE}/inventory-reports?page=${page}&limit=${pagination.limit}`, {
+                headers: authHeaders
+            });
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                setReports(result.reports || []);
+                setPagination(result.pagination);
+            } else {
+                setError(result.error || 'Failed to load inventory reports');
+            }
+        } catch (error) {
+            console.error('Error loading inventory reports:', error);
+            setError('Failed to load inventory reports');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const loadCheckpoint = async () => {
+        try {
+            const response = await fetch(`${API_BASE}/inventory-comparison/checkpoint`, {
+                headers: authHeaders
+            });
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                setCheckpoint(result.checkpoint);
+            }
+        } catch (error) {
+            console.error('Error loading inventory checkpoint:', error);
+        }
+    };
+
+    const runComparison = async (resume = true) => {
+        const prompt = resume && checkpoint && checkpoint.resumable
+            ? 'Resume the unfinished Brightpearl vs Infoplus inventory comparison?'
+            : 'Run a new Brightpearl vs Infoplus inventory comparison now? This can take several minutes.';
+        if (!window.confirm(prompt)) {
+            return;
+        }
+
+        setRunning(true);
+        try {
+            const response = await fetch(`${API_BASE}/run-comparison`, {
+                method: 'POST',
+                headers: {
+                    ...authHeaders,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ resume })
+            });
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                alert(result.message);
+                await loadReports(1);
+            } else {
+                alert(`Comparison failed: ${result.error || result.message || 'Unknown error'}`);
+            }
+        } catch (error) {
+            console.error('Error running inventory comparison:', error);
+            alert('Comparison failed');
+        } finally {
+            setRunning(false);
+            loadCheckpoint();
+        }
+    };
+
+    // Same workbook the report email attaches, including one sheet per mapped warehouse
+    const downloadExcel = async (report) => {
+        try {
+            const response = await fetch(`${API_BASE}/inventory-reports/${report.id}/excel`, {
+                headers: authHeaders
+            });
+
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                alert(`Download failed: ${result.error || response.statusText}`);
+                return;
+            }
+
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `inventory-report-${report.date}-${report.id}.xlsx`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error downloading inventory report:', error);
+            alert('Download failed');
+        }
+    };
+
+    const viewReport = async (reportId) => {
+        if (selectedReport && selectedReport.id === reportId) {
+            setSelectedReport(null);
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE}/inventory-reports/${reportId}`, {
+                headers: authHeaders
+            });
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                setSelectedReport(result.report);
+            } else {
+                alert(result.error || 'Failed to load report');
+            }
+        } catch (error) {
+            console.error('Error loading inventory report:', error);
+            alert('Failed to load report');
+        }
+    };
+
+    const loadDiff = async (base = baseId, compare = compareId) => {
+        setDiffLoading(true);
+        try {
+            const params = new URLSearchParams();
+            if (base && compare) {
+                params.append('base', base);
+                params.append('compare', compare);
+            }
+
+            const response = await fetch(`${API_BASE}/inventory-reports/compare?${params.toString()}`, {
+                headers: authHeaders
+            });
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                setDiff(result);
+                setBaseId(String(result.baseReport.id));
+                setCompareId(String(result.compareReport.id));
+            } else {
+                setDiff(null);
+                alert(result.error || 'Failed to compare reports');
+            }
+        } catch (error) {
+            console.error('Error comparing inventory reports:', error);
+            alert('Failed to compare reports');
+        } finally {
+            setDiffLoading(false);
+        }
+    };
+
+    const loadChronic = async () => {
+        try {
+            const response = await fetch(`${API_BASE}/inventory-reports/chronic?runs=${chronicRuns}`, {
+                headers: authHeaders
+            });
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                setChronic(result);
+            } else {
+                setError(result.error || 'Failed to load chronic discrepancies');
+            }
+        } catch (error) {
+            console.error('Error loading chronic discrepancies:', error);
+            setError('Failed to load chronic discrepancies');
+        }
+    };
+
+    const loadSkuHistory = async (sku) => {
+        if (!sku || !sku.trim()) return;
+
+        setSkuInput(sku);
+        setActiveTab('sku');
+        setSkuLoading(true);
+        try {
+            const response = await fetch(`${API_BASE}/inventory-reports/sku-history?sku=${encodeURIComponent(sku.trim())}&runs=60`, {
+                headers: authHeaders
+            });
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                setSkuHistory(result);
+            } else {
+                setSkuHistory(null);
+                alert(result.error || 'Failed to load SKU history');
+            }
+        } catch (error) {
+            console.error('Error loading SKU history:', error);
+            alert('Failed to load SKU history');
+        } finally {
+            setSkuLoading(false);
+        }
+    };
+
+    const openDiffTab = () => {
+        setActiveTab('diff');
+        if (!diff && reports.length >= 2) {
+            loadDiff('', '');
+        }
+    };
+
+    const reportLabel = (report) => `${new Date(report.created_at).toLocaleString()} — ${report.total_discrepancies} discrepancies`;
+
+    const renderSkuLink = (sku) => (
+        <button className="sku-link" onClick={() => loadSkuHistory(sku)} title="Show history for this SKU">
+            {sku}
+        </button>
+    );
+
+    const renderDiscrepancyTable = (items, options = {}) => {
+        if (!items || items.length === 0) {
+            return <div className="no-data">{options.emptyText || 'No discrepancies.'}</div>;
+        }
+
+        return (
+            <table className="inventory-table">
+                <thead>
+                    <tr>
+                        <th>SKU</th>
+                        <th>Product</th>
+                        <th>Brightpearl</th>
+                        <th>Infoplus</th>
+                        <th>Difference</th>
+                        {options.showChange && <th>Previous</th>}
+                        {options.showChange && <th>Trend</th>}
+                    </tr>
+                </thead>
+                <tbody>
+                    {items.map(item => (
+                        <tr key={item.sku}>
+                            <td>
+                                {renderSkuLink(item.sku)}
+                                {item.heuristicMatch && (
+                                    <span
+                                        className="heuristic-badge"
+                                        title={`Heuristic ${item.matchType} match: ${item.brightpearlSku} ↔ ${item.infoplusSku}. Confirm it under SKU Mappings.`}
+                                    >
+                                        ≈
+                                    </span>
+                                )}
+                                {item.matchType === 'mapped' && item.infoplusSku && (
+                                    <div className="mapped-components">→ {item.infoplusSku}</div>
+                                )}
+                            </td>
+                            <td>{item.productName}</td>
+                            <td>{formatNumber(item.brightpearl_stock)}</td>
+                            <td>{formatNumber(item.infoplus_stock)}</td>
+                            <td className={item.difference > 0 ? 'diff-positive' : 'diff-negative'}>{formatDifference(item.difference)}</td>
+                            {options.showChange && <td>{formatDifference(item.previous_difference)}</td>}
+                            {options.showChange && (
+                                <td>
+                                    <span className={`trend-badge ${item.trend}`}>
+                                        {item.trend === 'worsening' ? '▲' : item.trend === 'improving' ? '▼' : '='} {item.trend}
+                                    </span>
+                                </td>
+                            )}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        );
+    };
+
+    const renderWarehouseDiscrepancies = (items) => {
+        if (!items) return null;
+
+        const byWarehouse = items.reduce((groups, item) => {
+            if (!groups[item.warehouse]) groups[item.warehouse] = [];
+            groups[item.warehouse].push(item);
+            return groups;
+        }, {});
+
+        return (
+            <>
+                <h3>🏭 Warehouse discrepancies ({items.length})</h3>
+                {items.length === 0 ? (
+                    <div className="no-data">Every mapped warehouse matches.</div>
+                ) : Object.entries(byWarehouse).map(([warehouse, warehouseItems]) => (
+                    <div key={warehouse} className="warehouse-discrepancies">
+                        <h4>{warehouse} ({warehouseItems.length})</h4>
+                        <table className="inventory-table">
+                            <thead>
+                                <tr>
+                                    <th rowSpan="2">SKU</th>
+                                    <th colSpan="3">Brightpearl</th>
+                                    <th colSpan="3">Infoplus</th>
+                                    <th colSpan="2">Difference</th>
+                                </tr>
+                                <tr>
+                                    <th>On hand</th>
+                                    <th>Allocated</th>
+                                    <th>Available</th>
+                                    <th>On hand</th>
+                                    <th>Allocated</th>
+                                    <th>Available</th>
+                                    <th>On hand</th>
+                                    <th>Available</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {warehouseItems.map(item => (
+                                    <tr key={item.sku}>
+                                        <td>{renderSkuLink(item.sku)}</td>
+                                        <td>{formatNumber(item.brightpearl_on_hand)}</td>
+                                        <td>{formatNumber(item.brightpearl_allocated)}</td>
+                                        <td>{formatNumber(item.brightpearl_available)}</td>
+                                        <td>{formatNumber(item.infoplus_on_hand)}</td>
+                                        <td>{formatNumber(item.infoplus_allocated)}</td>
+                                        <td>{formatNumber(item.infoplus_available)}</td>
+                                        <td className={item.on_hand_difference > 0 ? 'diff-positive' : 'diff-negative'}>{formatDifference(item.on_hand_difference)}</td>
+                                        <td className={item.available_difference > 0 ? 'diff-positive' : 'diff-negative'}>{formatDifference(item.available_difference)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                ))}
+            </>
+        );
+    };
+
+    const renderHistory = () => (
+        <div className="tab-content">
+            {loading ? (
+                <div className="loading-state">Loading inventory reports...</div>
+            ) : reports.length === 0 ? (
+                <div className="no-data">No inventory comparisons have been run yet.</div>
+            ) : (
+                <>
+                    <table className="inventory-table">
+                        <thead>
+                            <tr>
+                                <th>Run</th>
+                                <th>Discrepancies</th>
+                                <th>Brightpearl SKUs</th>
+                                <th>Infoplus SKUs</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {reports.map((report, index) => (
+                                <React.Fragment key={report.id}>
+                                    <tr className={selectedReport && selectedReport.id === report.id ? 'selected' : ''}>
+                                        <td>{new Date(report.created_at).toLocaleString()}</td>
+                                        <td>{formatNumber(report.total_discrepancies)}</td>
+                                        <td>{formatNumber(report.brightpearl_total_items)}</td>
+                                        <td>{formatNumber(report.infoplus_total_items)}</td>
+                                        <td className="report-actions">
+                                            <button className="btn-small" onClick={() => viewReport(report.id)}>
+                                                {selectedReport && selectedReport.id === report.id ? 'Hide' : 'View'}
+                                            </button>
+                                            <button className="btn-small" onClick={() => downloadExcel(report)}>
+                                                ⬇️ Excel
+                                            </button>
+                                            {reports[index + 1] && (
+                                                <button
+                                                    className="btn-small"
+                                                    onClick={() => {
+                                                        setActiveTab('diff');
+                                                        loadDiff(String(reports[index + 1].id), String(report.id));
+                                                    }}
+                                                >
+                                                    Diff vs previous
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                    {selectedReport && selectedReport.id === report.id && (
+                                        <tr className="report-details">
+                                            <td colSpan="5">
+                                                {renderDiscrepancyTable(selectedReport.discrepancies, { emptyText: 'No discrepancies in this run.' })}
+                                                {renderWarehouseDiscrepancies(selectedReport.warehouse_discrepancies)}
+                                            </td>
+                                        </tr>
+                                    )}
+                                </React.Fragment>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    {pagination.totalPages > 1 && (
+                        <div className="inventory-pagination">
+                            <button
+                                className="btn-secondary"
+                                disabled={pagination.page <= 1 || loading}
+                                onClick={() => loadReports(pagination.page - 1)}
+                            >
+                                ← Previous
+                            </button>
+                            <span>Page {pagination.page} of {pagination.totalPages} ({pagination.total} runs)</span>
+                            <button
+                                className="btn-secondary"
+                                disabled={pagination.page >= pagination.totalPages || loading}
+                                onClick={() => loadReports(pagination.page + 1)}
+                            >
+                                Next →
+                            </button>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+
+    const renderDiff = () => (
+        <div className="tab-content">
+            <div className="diff-controls">
+                <div className="filter-group">
+                    <label>Earlier run</label>
+                    <select value={baseId} onChange={(e) => setBaseId(e.target.value)}>
+                        <option value="">Select a run</option>
+                        {reports.map(report => (
+                            <option key={report.id} value={report.id}>{reportLabel(report)}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="filter-group">
+                    <label>Later run</label>
+                    <select value={compareId} onChange={(e) => setCompareId(e.target.value)}>
+                        <option value="">Select a run</option>
+                        {reports.map(report => (
+                            <option key={report.id} value={report.id}>{reportLabel(report)}</option>
+                        ))}
+                    </select>
+                </div>
+                <button
+                    className="btn-primary"
+                    disabled={!baseId || !compareId || baseId === compareId || diffLoading}
+                    onClick={() => loadDiff()}
+                >
+                    {diffLoading ? 'Comparing...' : 'Compare'}
+                </button>
+            </div>
+
+            {diffLoading ? (
+                <div className="loading-state">Comparing runs...</div>
+            ) : !diff ? (
+                <div className="no-data">Pick two runs to see which discrepancies are new, resolved or persisting.</div>
+            ) : (
+                <>
+                    <div className="diff-summary">
+                        <div className="summary-card new">
+                            <span className="summary-value">{diff.summary.new}</span>
+                            <span className="summary-label">New</span>
+                        </div>
+                        <div className="summary-card resolved">
+                            <span className="summary-value">{diff.summary.resolved}</span>
+                            <span className="summary-label">Resolved</span>
+                        </div>
+                        <div className="summary-card persisting">
+                            <span className="summary-value">{diff.summary.persisting}</span>
+                            <span className="summary-label">Persisting</span>
+                        </div>
+                        <div className="summary-card worsening">
+                            <span className="summary-value">{diff.summary.worsening}</span>
+                            <span className="summary-label">Worsening</span>
+                        </div>
+                    </div>
+
+                    <p className="diff-range">
+                        {new Date(diff.baseReport.created_at).toLocaleString()} → {new Date(diff.compareReport.created_at).toLocaleString()}
+                    </p>
+
+                    <h3>🆕 New discrepancies ({diff.newDiscrepancies.length})</h3>
+                    {renderDiscrepancyTable(diff.newDiscrepancies, { emptyText: 'No new discrepancies.' })}
+
+                    <h3>🔁 Persisting discrepancies ({diff.persisting.length})</h3>
+                    {renderDiscrepancyTable(diff.persisting, { showChange: true, emptyText: 'No persisting discrepancies.' })}
+
+                    <h3>✅ Resolved discrepancies ({diff.resolved.length})</h3>
+                    {renderDiscrepancyTable(diff.resolved, { emptyText: 'No discrepancies were resolved.' })}
+                </>
+            )}
+        </div>
+    );
+
+    const renderChronic = () => (
+        <div className="tab-content">
+            <div className="diff-controls">
+                <div className="filter-group">
+                    <label>Look back over</label>
+                    <select value={chronicRuns} onChange={(e) => setChronicRuns(parseInt(e.target.value))}>
+                        <option value={5}>Last 5 runs</option>
+                        <option value={10}>Last 10 runs</option>
+                        <option value={30}>Last 30 runs</option>
+                        <option value={90}>Last 90 runs</option>
+                    </select>
+                </div>
+            </div>
+
+            {chronic.chronic.length === 0 ? (
+                <div className="no-data">No SKUs have a discrepancy in more than one of the last {chronic.runs} runs.</div>
+            ) : (
+                <table className="inventory-table">
+                    <thead>
+                        <tr>
+                            <th>SKU</th>
+                            <th>Product</th>
+                            <th>Runs with discrepancy</th>
+                            <th>Avg. gap</th>
+                            <th>Latest difference</th>
+                            <th>In latest run</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {chronic.chronic.map(item => (
+                            <tr key={item.sku}>
+                                <td>{renderSkuLink(item.sku)}</td>
+                                <td>{item.productName}</td>
+                                <td>{item.occurrences} / {chronic.runs}</td>
+                                <td>{formatNumber(item.averageAbsDifference)}</td>
+                                <td>{formatDifference(item.latestDifference)}</td>
+                                <td>{item.inLatestRun ? '⚠️ Yes' : '✅ No'}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+
+    const renderSkuChart = () => {
+        const history = skuHistory ? skuHistory.history : [];
+        const chartData = {
+            labels: history.map(point => new Date(point.created_at).toLocaleDateString()),
+            datasets: [
+                {
+                    label: 'Brightpearl',
+                    data: history.map(point => point.brightpearl_stock),
+                    borderColor: 'rgba(0, 123, 255, 1)',
+                    backgroundColor: 'rgba(0, 123, 255, 0.1)',
+                    spanGaps: false
+                },
+                {
+                    label: 'Infoplus',
+                    data: history.map(point => point.infoplus_stock),
+                    borderColor: 'rgba(40, 167, 69, 1)',
+                    backgroundColor: 'rgba(40, 167, 69, 0.1)',
+                    spanGaps: false
+                },
+                {
+                    label: 'Difference (Brightpearl − Infoplus)',
+                    data: history.map(point => point.difference),
+                    borderColor: 'rgba(220, 53, 69, 1)',
+                    backgroundColor: 'rgba(220, 53, 69, 0.1)',
+                    borderDash: [5, 5]
+                }
+            ]
+        };
+
+        const chartOptions = {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { position: 'top' },
+                tooltip: {
+                    callbacks: {
+                        afterBody: (items) => {
+                            const point = history[items[0].dataIndex];
+                            return point && !point.hasDiscrepancy ? 'No discrepancy in this run' : '';
+                        }
+                    }
+                }
+            }
+        };
+
+        return (
+            <div className="tab-content">
+                <form
+                    className="diff-controls"
+                    onSubmit={(e) => {
+                        e.preventDefault();
+                        loadSkuHistory(skuInput);
+                    }}
+                >
+                    <div className="filter-group filter-search">
+                        <label>SKU</label>
+                        <input
+                            type="text"
+                            value={skuInput}
+                            placeholder="Enter a SKU"
+                            onChange={(e) => setSkuInput(e.target.value)}
+                        />
+                    </div>
+                    <button type="submit" className="btn-primary" disabled={!skuInput.trim() || skuLoading}>
+                        {skuLoading ? 'Loading...' : 'Show History'}
+                    </button>
+                </form>
+
+                {skuLoading ? (
+                    <div className="loading-state">Loading SKU history...</div>
+                ) : !skuHistory ? (
+                    <div className="no-data">Enter a SKU, or click one in the run history, diff or chronic lists.</div>
+                ) : (
+                    <>
+                        <div className="sku-history-header">
+                            <h3>{skuHistory.sku}{skuHistory.productName ? ` — ${skuHistory.productName}` : ''}</h3>
+                            <p>
+                                Discrepancy in {skuHistory.discrepancyRuns} of the last {skuHistory.runs} runs.
+                                Runs with no discrepancy are plotted with a difference of 0.
+                            </p>
+                        </div>
+                        <div className="sku-chart">
+                            <Line data={chartData} options={chartOptions} />
+                        </div>
+                    </>
+                )}
+            </div>
+        );
+    };
+
+    return (
+        <div className="inventory-reports">
+            <div className="inventory-reports-header">
+                <div>
+                    <h2>📦 Inventory Reports</h2>
+                    <p className="inventory-reports-description">
+                        Brightpearl vs Infoplus comparison runs: browse past reports, diff two runs and track chronic mismatches.
+                    </p>
+                </div>
+                {canRunComparison && (
+                    <button className="btn-primary" onClick={() => runComparison(true)} disabled={running}>
+                        {running ? 'Running comparison...' : checkpoint && checkpoint.resumable ? '⏩ Resume Comparison' : '🔄 Run Comparison'}
+                    </button>
+                )}
+            </div>
+
+            {checkpoint && !running && (
+                <div className={`checkpoint-notice ${checkpoint.status}`}>
+                    <span>
+                        {checkpoint.status === 'failed' ? '⚠️ The last comparison stopped' : '⏳ A comparison is in progress'} while fetching
+                        Brightpearl {checkpoint.stage === 'products' ? 'products' : 'stock levels'}
+                        {checkpoint.total_products ? ` (${checkpoint.processed_products || 0} of ${checkpoint.total_products} products)` : ''}
+                        {' '}— last update {new Date(checkpoint.updated_at).toLocaleString()}.
+                        {checkpoint.error && <em> {checkpoint.error}</em>}
+                        {checkpoint.resumable ? ' The next run continues from here.' : ' It is too old to resume; the next run starts over.'}
+                    </span>
+                    {canRunComparison && checkpoint.resumable && (
+                        <button className="btn-small" onClick={() => runComparison(false)}>
+                            Start over
+                        </button>
+                    )}
+                </div>
+            )}
+
+            <div className="reports-tabs">
+                <button className={activeTab === 'history' ? 'active' : ''} onClick={() => setActiveTab('history')}>
+                    📋 Run History
+                </button>
+                <button className={activeTab === 'diff' ? 'active' : ''} onClick={openDiffTab}>
+                    🔀 Compare Runs
+                </button>
+                <button className={activeTab === 'chronic' ? 'active' : ''} onClick={() => setActiveTab('chronic')}>
+                    🔥 Chronic Discrepancies
+                </button>
+                <button className={activeTab === 'sku' ? 'active' : ''} onClick={() => setActiveTab('sku')}>
+                    📈 SKU Trend
+                </button>
+                <button className={activeTab === 'mappings' ? 'active' : ''} onClick={() => setActiveTab('mappings')}>
+                    🔗 SKU Mappings
+                </button>
+                <button className={activeTab === 'warehouses' ? 'active' : ''} onClick={() => setActiveTab('warehouses')}>
+                    🏭 Warehouses
+                </button>
+                <button className={activeTab === 'alerts' ? 'active' : ''} onClick={() => setActiveTab('alerts')}>
+                    🔔 Alert Rules
+                </button>
+            </div>
+
+            {error && <div className="error-message">{error}</div>}
+
+            {activeTab === 'history' && renderHistory()}
+            {activeTab === 'diff' && renderDiff()}
+            {activeTab === 'chronic' && renderChronic()}
+            {activeTab === 'sku' && renderSkuChart()}
+            {activeTab === 'mappings' && (
+                <div className="tab-content">
+                    <SkuMappings token={token} canManage={canManageSettings} />
+                </div>
+            )}
+            {activeTab === 'warehouses' && (
+                <div className="tab-content">
+                    <WarehouseMappings token={token} canManage={canManageSettings} />
+                </div>
+            )}
+            {activeTab === 'alerts' && (
+                <div className="tab-content">
+                    <InventoryAlertRules token={token} canManage={canManageSettings} />
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default InventoryReports;
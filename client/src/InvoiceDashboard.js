@@ -1,9 +1,38 @@
 import React, { useState, useEffect } from 'react';
 import EmailModal from './EmailModal';
+import { PERMISSIONS, hasPermission } from './permissions';
 
 const API_BASE = '/texon-invoicing-portal/api';
 
-function InvoiceDashboard({ token }) {
+const EMPTY_PROMISE_FORM = { promisedAmount: '', promisedDate: '', contactName: '', contactMethod: 'phone', notes: '' };
+
+const DISPUTE_REASONS = {
+  pricing: 'Pricing',
+  quantity: 'Quantity / short shipment',
+  damaged: 'Damaged goods',
+  not_received: 'Not received',
+  duplicate: 'Duplicate billing',
+  quality: 'Quality issue',
+  other: 'Other'
+};
+
+const DISPUTE_RESOLUTIONS = {
+  credit_note: 'Credit note',
+  partial_write_off: 'Partial write-off',
+  resolved: 'Resolved'
+};
+
+const EMPTY_DISPUTE_FORM = { reasonCategory: 'pricing', disputedAmount: '', ownerId: '', slaDueDate: '', description: '' };
+const EMPTY_RESOLVE_FORM = { resolution: 'resolved', resolutionAmount: '', resolutionNotes: '' };
+
+const userName = (appUser) => (appUser?.first_name && appUser?.last_name
+  ? `${appUser.first_name} ${appUser.last_name}`
+  : appUser?.email || 'Unassigned');
+
+function InvoiceDashboard({ token, user, onFollowUpsChanged, onOpenCustomer }) {
+  const canSendEmail = hasPermission(user, PERMISSIONS.SEND_EMAIL);
+  const canManageCollections = hasPermission(user, PERMISSIONS.MANAGE_COLLECTIONS);
+  const canAssignAccounts = hasPermission(user, PERMISSIONS.ASSIGN_ACCOUNTS);
   const [statistics, setStatistics] = useState(null);
   const [unpaidInvoices, setUnpaidInvoices] = useState([]);
   const [pagination, setPagination] = useState(null);
@@ -22,6 +51,8 @@ function InvoiceDashboard({ token }) {
   const [settings, setSettings] = useState({});
   const [filters, setFilters] = useState({
     daysOutstanding: 'all', // all, over90, 60to90, 30to60, under30
+    dispute: 'all', // all, disputed, undisputed
+    assignedTo: 'all', // all, me, unassigned or a collector's user ID
     searchTerm: '',
     searchType: 'all' // all, order_number, customer
   });
@@ -32,8 +63,21 @@ function InvoiceDashboard({ token }) {
     brightpearlNotes: [],
     isLoading: false,
     newNote: '',
-    error: null
+    error: null,
+    holds: [],
+    holdForm: { holdType: 'order', reason: '', expiresAt: '' },
+    promises: [],
+    promiseForm: EMPTY_PROMISE_FORM,
+    disputes: [],
+    disputeForm: EMPTY_DISPUTE_FORM,
+    resolveForm: EMPTY_RESOLVE_FORM,
+    linkNoteToDispute: true,
+    newNoteFollowUp: '',
+    newNoteFollowUpAssignee: '',
+    accountCollector: null
   });
+  const [brokenPromises, setBrokenPromises] = useState([]);
+  const [collectors, setCollectors] = useState([]);
 
   // Email functionality state
   const [emailModal, setEmailModal] = useState({
@@ -42,6 +86,7 @@ function InvoiceDashboard({ token }) {
     emailType: 'invoice' // 'invoice' or 'reminder'
   });
   const [userEmailSettings, setUserEmailSettings] = useState(null);
+  const [organizationSender, setOrganizationSender] = useState(null);
 
   // Load invoice statistics
   const loadStatistics = async () => {
@@ -92,6 +137,14 @@ function InvoiceDashboard({ token }) {
       if (currentFilters.daysOutstanding !== 'all') {
         params.append('days_outstanding_filter', currentFilters.daysOutstanding);
       }
+
+      if (currentFilters.dispute !== 'all') {
+        params.append('dispute_filter', currentFilters.dispute);
+      }
+
+      if (currentFilters.assignedTo !== 'all') {
+        params.append('assigned_to', currentFilters.assignedTo);
+      }
       
       if (currentFilters.searchTerm.trim()) {
         params.append('search_term', currentFilters.searchTerm.trim());
@@ -222,6 +275,8 @@ function InvoiceDashboard({ token }) {
   const clearFilters = () => {
     setFilters({
       daysOutstanding: 'all',
+      dispute: 'all',
+      assignedTo: 'all',
       searchTerm: '',
       searchType: 'all'
     });
@@ -238,9 +293,25 @@ function InvoiceDashboard({ token }) {
       userNotes: [],
       brightpearlNotes: invoice.brightpearlNotes || [], // Use cached Brightpearl notes
       newNote: '',
-      error: null // Clear any previous errors
+      error: null, // Clear any previous errors
+      holds: [],
+      holdForm: { holdType: 'order', reason: '', expiresAt: '' },
+      promises: [],
+      promiseForm: EMPTY_PROMISE_FORM,
+      disputes: [],
+      disputeForm: EMPTY_DISPUTE_FORM,
+      resolveForm: EMPTY_RESOLVE_FORM,
+      linkNoteToDispute: true,
+      newNoteFollowUp: '',
+      newNoteFollowUpAssignee: '',
+      accountCollector: null
     }));
 
+    loadHolds(invoice);
+    loadPromises(invoice);
+    loadDisputes(invoice);
+    loadAccountCollector(invoice);
+
     // Only load user notes via API (Brightpearl notes are already cached)
     try {
       // Add timeout to prevent hanging requests
@@ -303,10 +374,373 @@ function InvoiceDashboard({ token }) {
       brightpearlNotes: [],
       isLoading: false,
       newNote: '',
-      error: null
+      error: null,
+      holds: [],
+      holdForm: { holdType: 'order', reason: '', expiresAt: '' },
+      promises: [],
+      promiseForm: EMPTY_PROMISE_FORM,
+      disputes: [],
+      disputeForm: EMPTY_DISPUTE_FORM,
+      resolveForm: EMPTY_RESOLVE_FORM,
+      linkNoteToDispute: true,
+      newNoteFollowUp: '',
+      newNoteFollowUpAssignee: '',
+      accountCollector: null
     });
   };
 
+  // Reminder holds (stop automated reminders for this order or customer)
+  const loadHolds = async (invoice) => {
+    try {
+      const contactId = invoice.billingContact?.id;
+      const response = await fetch(
+        `${API_BASE}/orders/${invoice.id}/holds${contactId ? `?billing_contact_id=${contactId}` : ''}`,
+        { headers: { 'Authorization': `Bearer ${token}` } }
+      );
+
+      if (response.ok) {
+        const data = await response.json();
+        if (data.success) {
+          setNotesModal(prev => (
+            prev.isOpen && prev.invoice?.id === invoice.id ? { ...prev, holds: data.holds } : prev
+          ));
+        }
+      }
+    } catch (error) {
+      console.error('Error loading reminder holds:', error);
+    }
+  };
+
+  const addHold = async () => {
+    const { holdType, reason, expiresAt } = notesModal.holdForm;
+    if (!reason.trim()) return;
+
+    try {
+      const response = await fetch(`${API_BASE}/orders/${notesModal.invoice.id}/holds`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          holdType,
+          billingContactId: notesModal.invoice.billingContact?.id,
+          reason: reason.trim(),
+          // Hold lasts through the end of the chosen day
+          expiresAt: expiresAt ? new Date(`${expiresAt}T23:59:59`).toISOString() : null
+        })
+      });
+
+      const data = await response.json();
+      if (response.ok && data.success) {
+        setNotesModal(prev => ({
+          ...prev,
+          holdForm: { holdType: 'order', reason: '', expiresAt: '' }
+        }));
+        loadHolds(notesModal.invoice);
+      } else {
+        alert(`Failed to place hold: ${data.error || 'Unknown error'}`);
+      }
+    } catch (error) {
+      console.error('Error adding reminder hold:', error);
+      alert('Failed to place hold');
+    }
+  };
+
+  const releaseHold = async (holdId) => {
+    try {
+      const response = await fetch(`${API_BASE}/email-holds/${holdId}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+
+      if (response.ok) {
+        setNotesModal(prev => ({
+          ...prev,
+          holds: prev.holds.filter(hold => hold.id !== holdId)
+        }));
+      }
+    } catch (error) {
+      console.error('Error releasing reminder hold:', error);
+    }
+  };
+
+  // Promises to pay (reminders pause until the promised date; missed promises are flagged)
+  const loadPromises = async (invoice) => {
+    try {
+      const response = await fetch(`${API_BASE}/orders/${invoice.id}/promises`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        if (data.success) {
+          setNotesModal(prev => (
+            prev.isOpen && prev.invoice?.id === invoice.id ? { ...prev, promises: data.promises } : prev
+          ));
+        }
+      }
+    } catch (error) {
+      console.error('Error loading payment promises:', error);
+    }
+  };
+
+  const addPromise = async () => {
+    const { promisedAmount, promisedDate, contactName, contactMethod, notes } = notesModal.promiseForm;
+    if (!promisedAmount || !promisedDate) return;
+
+    try {
+      const response = await fetch(`${API_BASE}/orders/${notesModal.invoice.id}/promises`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ promisedAmount, promisedDate, contactName, contactMethod, notes })
+      });
+
+      const data = await response.json();
+      if (response.ok && data.success) {
+        setNotesModal(prev => ({ ...prev, promiseForm: EMPTY_PROMISE_FORM }));
+        loadPromises(notesModal.invoice);
+        loadBrokenPromises();
+        loadUnpaidInvoices(currentPage, sortConfig, filters);
+      } else {
+        alert(`Failed to record promise: ${data.error || 'Unknown error'}`);
+      }
+    } catch (error) {
+      console.error('Error recording payment promise:', error);
+      alert('Failed to record promise');
+    }
+  };
+
+  const cancelPromise = async (promiseId) => {
+    if (!window.confirm('Cancel this promise? Automated reminders will resume on the next run.')) return;
+
+    try {
+      const response = await fetch(`${API_BASE}/payment-promises/${promiseId}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+
+      if (response.ok) {
+        loadPromises(notesModal.invoice);
+        loadUnpaidInvoices(currentPage, sortConfig, filters);
+      }
+    } catch (error) {
+      console.error('Error cancelling payment promise:', error);
+    }
+  };
+
+  // Disputes (disputed invoices are left out of automated campaigns until resolved)
+  const loadDisputes = async (invoice) => {
+    try {
+      const response = await fetch(`${API_BASE}/orders/${invoice.id}/disputes`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        if (data.success) {
+          setNotesModal(prev => (
+            prev.isOpen && prev.invoice?.id === invoice.id ? { ...prev, disputes: data.disputes } : prev
+          ));
+        }
+      }
+    } catch (error) {
+      console.error('Error loading disputes:', error);
+    }
+  };
+
+  const loadCollectors = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/collectors`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        if (data.success) {
+          setCollectors(data.collectors || []);
+        }
+      }
+    } catch (error) {
+      console.error('Error loading collectors:', error);
+    }
+  };
+
+  // Collector assignment of the invoice's customer account
+  const loadAccountCollector = async (invoice) => {
+    const contactId = invoice.billingContact?.id;
+    if (!contactId) return;
+
+    try {
+      const response = await fetch(`${API_BASE}/customers/${contactId}/collector`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        if (data.success) {
+          setNotesModal(prev => (
+            prev.isOpen && prev.invoice?.id === invoice.id ? { ...prev, accountCollector: data.assignment } : prev
+          ));
+        }
+      }
+    } catch (error) {
+      console.error('Error loading account collector:', error);
+    }
+  };
+
+  const assignAccountCollector = async (userId) => {
+    const invoice = notesModal.invoice;
+    try {
+      const response = await fetch(`${API_BASE}/customers/${invoice.billingContact.id}/collector`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ userId: userId || null })
+      });
+
+      const data = await response.json();
+      if (response.ok && data.success) {
+        loadAccountCollector(invoice);
+        loadUnpaidInvoices(currentPage, sortConfig, filters);
+      } else {
+        alert(data.error || 'Failed to assign account');
+      }
+    } catch (error) {
+      console.error('Error assigning account:', error);
+      alert('Failed to assign account');
+    }
+  };
+
+  const openDispute = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/orders/${notesModal.invoice.id}/disputes`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(notesModal.disputeForm)
+      });
+
+      const data = await response.json();
+      if (response.ok && data.success) {
+        setNotesModal(prev => ({ ...prev, disputeForm: EMPTY_DISPUTE_FORM }));
+        loadDisputes(notesModal.invoice);
+        loadUnpaidInvoices(currentPage, sortConfig, filters);
+      } else {
+        alert(`Failed to open dispute: ${data.error || 'Unknown error'}`);
+      }
+    } catch (error) {
+      console.error('Error opening dispute:', error);
+      alert('Failed to open dispute');
+    }
+  };
+
+  const updateDispute = async (disputeId, changes) => {
+    try {
+      const response = await fetch(`${API_BASE}/disputes/${disputeId}`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(changes)
+      });
+
+      const data = await response.json();
+      if (response.ok && data.success) {
+        loadDisputes(notesModal.invoice);
+      } else {
+        alert(`Failed to update dispute: ${data.error || 'Unknown error'}`);
+      }
+    } catch (error) {
+      console.error('Error updating dispute:', error);
+      alert('Failed to update dispute');
+    }
+  };
+
+  const resolveDispute = async (disputeId) => {
+    try {
+      const response = await fetch(`${API_BASE}/disputes/${disputeId}/resolve`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(notesModal.resolveForm)
+      });
+
+      const data = await response.json();
+      if (response.ok && data.success) {
+        setNotesModal(prev => ({ ...prev, resolveForm: EMPTY_RESOLVE_FORM }));
+        loadDisputes(notesModal.invoice);
+        loadUnpaidInvoices(currentPage, sortConfig, filters);
+      } else {
+        alert(`Failed to resolve dispute: ${data.error || 'Unknown error'}`);
+      }
+    } catch (error) {
+      console.error('Error resolving dispute:', error);
+      alert('Failed to resolve dispute');
+    }
+  };
+
+  const renderDisputeBadge = (dispute) => {
+    if (!dispute) return null;
+    const overdue = dispute.sla_due_date < new Date().toISOString().split('T')[0];
+    return (
+      <span
+        className={`dispute-badge${overdue ? ' sla-overdue' : ''}`}
+        title={`${DISPUTE_REASONS[dispute.reason_category] || dispute.reason_category} · Owner: ${userName(dispute.owner)} · SLA ${formatDate(`${dispute.sla_due_date}T00:00:00`)}`}
+      >
+        ⚖️ Disputed{overdue ? ' (SLA overdue)' : ''}
+      </span>
+    );
+  };
+
+  const loadBrokenPromises = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/payment-promises/broken`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        if (data.success) {
+          setBrokenPromises(data.promises || []);
+        }
+      }
+    } catch (error) {
+      console.error('Error loading broken promises:', error);
+    }
+  };
+
+  const renderPromiseBadge = (promise) => {
+    if (!promise) return null;
+    if (promise.status === 'open') {
+      return (
+        <span className="promise-badge open" title="Automated reminders are paused until the promised date">
+          🤝 {formatCurrency(promise.promised_amount)} by {formatDate(`${promise.promised_date}T00:00:00`)}
+        </span>
+      );
+    }
+    if (promise.status === 'broken') {
+      return (
+        <span className="promise-badge broken" title={`Promised ${formatCurrency(promise.promised_amount)} by ${formatDate(`${promise.promised_date}T00:00:00`)}`}>
+          💔 Broken promise
+        </span>
+      );
+    }
+    return null;
+  };
+
+  const openDisputeForModal = () => notesModal.disputes.find(dispute => dispute.status === 'open');
+
   const addNote = async () => {
     if (!notesModal.newNote.trim()) return;
 
@@ -317,7 +751,12 @@ function InvoiceDashboard({ token }) {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ note: notesModal.newNote.trim() })
+        body: JSON.stringify({
+          note: notesModal.newNote.trim(),
+          disputeId: notesModal.linkNoteToDispute ? openDisputeForModal()?.id : null,
+          followUpDate: notesModal.newNoteFollowUp || null,
+          followUpAssignedTo: notesModal.newNoteFollowUp ? notesModal.newNoteFollowUpAssignee || null : null
+        })
       });
 
       if (response.ok) {
@@ -327,11 +766,15 @@ function InvoiceDashboard({ token }) {
           setNotesModal(prev => ({
             ...prev,
             userNotes: [data.note, ...prev.userNotes],
-            newNote: ''
+            newNote: '',
+            newNoteFollowUp: '',
+            newNoteFollowUpAssignee: ''
           }));
           
           // Refresh the invoices to update the notes count
           loadUnpaidInvoices(currentPage, sortConfig, filters);
+          if (data.note.dispute_id) loadDisputes(notesModal.invoice);
+          if (data.note.follow_up_date && onFollowUpsChanged) onFollowUpsChanged();
         }
       }
     } catch (error) {
@@ -339,6 +782,37 @@ function InvoiceDashboard({ token }) {
     }
   };
 
+  // Reassign, complete or reopen the follow-up task on a note
+  const updateFollowUp = async (noteId, changes) => {
+    try {
+      const response = await fetch(`${API_BASE}/follow-ups/${noteId}`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(changes)
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        const { follow_up_date, follow_up_assigned_to, follow_up_done } = data.task;
+        setNotesModal(prev => ({
+          ...prev,
+          userNotes: prev.userNotes.map(note => note.id === noteId
+            ? { ...note, follow_up_date, follow_up_assigned_to, follow_up_done }
+            : note)
+        }));
+        if (onFollowUpsChanged) onFollowUpsChanged();
+      } else {
+        alert(data.error || 'Failed to update follow-up');
+      }
+    } catch (error) {
+      console.error('Error updating follow-up:', error);
+      alert('Failed to update follow-up');
+    }
+  };
+
   const deleteNote = async (noteId) => {
     try {
       const response = await fetch(`${API_BASE}/orders/notes/${noteId}`, {
@@ -397,6 +871,36 @@ function InvoiceDashboard({ token }) {
     }
   };
 
+  // Customer statement (all open invoices for the billing contact)
+  const openStatement = async (billingContactId) => {
+    // Open the window before the request so it isn't treated as a popup
+    const statementWindow = window.open('', '_blank');
+    try {
+      const response = await fetch(`${API_BASE}/customers/${billingContactId}/statement`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        if (statementWindow) statementWindow.close();
+        alert('Failed to generate statement: ' + (result.error || response.statusText));
+        return;
+      }
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      if (statementWindow) {
+        statementWindow.location.href = url;
+      } else {
+        window.open(url, '_blank');
+      }
+    } catch (error) {
+      if (statementWindow) statementWindow.close();
+      console.error('Error generating statement:', error);
+      alert('Error generating statement. Please try again.');
+    }
+  };
+
   // Email functionality
   const loadUserEmailSettings = async () => {
     try {
@@ -408,6 +912,7 @@ function InvoiceDashboard({ token }) {
         const data = await response.json();
         if (data.success) {
           setUserEmailSettings(data.settings);
+          setOrganizationSender(data.organizationSender || null);
         }
       } else if (response.status === 404) {
         // No email settings found
@@ -445,6 +950,7 @@ function InvoiceDashboard({ token }) {
         body: JSON.stringify({
           orderId: emailData.orderId,
           emailType: emailData.emailType,
+          attachmentType: emailData.attachmentType,
           to: emailData.to,
           subject: emailData.subject,
           body: emailData.body
@@ -468,9 +974,11 @@ function InvoiceDashboard({ token }) {
     }
   };
 
-  // Load email settings when component mounts
+  // Load email settings, broken promises and dispute owners when component mounts
   useEffect(() => {
     loadUserEmailSettings();
+    loadBrokenPromises();
+    loadCollectors();
   }, [token]);
 
   // Get sort indicator for column headers
@@ -682,6 +1190,35 @@ function InvoiceDashboard({ token }) {
               <option value="under30">Under 30 Days</option>
             </select>
           </div>
+
+          <div className="filter-group">
+            <label>Disputes:</label>
+            <select
+              value={filters.dispute}
+              onChange={(e) => handleFilterChange('dispute', e.target.value)}
+              className="filter-select"
+            >
+              <option value="all">All Invoices</option>
+              <option value="disputed">Disputed Only</option>
+              <option value="undisputed">Hide Disputed</option>
+            </select>
+          </div>
+
+          <div className="filter-group">
+            <label>Collector:</label>
+            <select
+              value={filters.assignedTo}
+              onChange={(e) => handleFilterChange('assignedTo', e.target.value)}
+              className="filter-select"
+            >
+              <option value="all">All Collectors</option>
+              <option value="me">Assigned to Me</option>
+              <option value="unassigned">Unassigned</option>
+              {collectors.map(collector => (
+                <option key={collector.id} value={collector.id}>{userName(collector)}</option>
+              ))}
+            </select>
+          </div>
           
           <div className="filter-group">
             <label>Search:</label>
@@ -709,7 +1246,7 @@ function InvoiceDashboard({ token }) {
             <button 
               onClick={clearFilters}
               className="btn-secondary clear-filters-btn"
-              disabled={filters.daysOutstanding === 'all' && !filters.searchTerm.trim()}
+              disabled={filters.daysOutstanding === 'all' && filters.dispute === 'all' && filters.assignedTo === 'all' && !filters.searchTerm.trim()}
             >
               🗑️ Clear Filters
             </button>
@@ -717,7 +1254,7 @@ function InvoiceDashboard({ token }) {
         </div>
         
         {/* Active Filters Display */}
-        {(filters.daysOutstanding !== 'all' || filters.searchTerm.trim()) && (
+        {(filters.daysOutstanding !== 'all' || filters.dispute !== 'all' || filters.assignedTo !== 'all' || filters.searchTerm.trim()) && (
           <div className="active-filters">
             <h4>Active Filters:</h4>
             <div className="filter-tags">
@@ -739,6 +1276,34 @@ function InvoiceDashboard({ token }) {
                 </span>
               )}
               
+              {filters.dispute !== 'all' && (
+                <span className="filter-tag">
+                  {filters.dispute === 'disputed' ? 'Disputed Only' : 'Hide Disputed'}
+                  <button
+                    onClick={() => handleFilterChange('dispute', 'all')}
+                    className="remove-filter"
+                  >
+                    ×
+                  </button>
+                </span>
+              )}
+
+              {filters.assignedTo !== 'all' && (
+                <span className="filter-tag">
+                  Collector: {
+                    filters.assignedTo === 'me' ? 'Me' :
+                    filters.assignedTo === 'unassigned' ? 'Unassigned' :
+                    userName(collectors.find(collector => String(collector.id) === filters.assignedTo))
+                  }
+                  <button
+                    onClick={() => handleFilterChange('assignedTo', 'all')}
+                    className="remove-filter"
+                  >
+                    ×
+                  </button>
+                </span>
+              )}
+
               {filters.searchTerm.trim() && (
                 <span className="filter-tag">
                   Search: "{filters.searchTerm}" in {
@@ -759,6 +1324,55 @@ function InvoiceDashboard({ token }) {
         )}
       </div>
 
+      {/* Broken promises to pay on invoices that are still unpaid */}
+      {brokenPromises.length > 0 && (
+        <div className="broken-promises-section">
+          <h3>💔 Broken Promises ({brokenPromises.length})</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Order</th>
+                <th>Customer</th>
+                <th>Promised</th>
+                <th>Due</th>
+                <th>Received</th>
+                <th>Outstanding</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {brokenPromises.map((promise) => (
+                <tr key={promise.id}>
+                  <td><strong>{promise.invoice.order_reference || `#${promise.order_id}`}</strong></td>
+                  <td>
+                    {promise.invoice.billing_contact_id && onOpenCustomer ? (
+                      <button className="customer-link" onClick={() => onOpenCustomer(promise.invoice.billing_contact_id)}>
+                        {promise.invoice.billing_contact_name || promise.invoice.billing_company_name || 'Unknown'}
+                      </button>
+                    ) : promise.invoice.billing_contact_name || promise.invoice.billing_company_name || 'Unknown'}
+                  </td>
+                  <td>{formatCurrency(promise.promised_amount)}</td>
+                  <td>{formatDate(`${promise.promised_date}T00:00:00`)}</td>
+                  <td>{formatCurrency(promise.amount_received)}</td>
+                  <td>{formatCurrency(promise.invoice.outstanding_amount)}</td>
+                  <td>
+                    <button
+                      className="statement-button"
+                      onClick={() => openNotesModal({
+                        id: promise.order_id,
+                        billingContact: { id: promise.invoice.billing_contact_id, name: promise.invoice.billing_contact_name }
+                      })}
+                    >
+                      📝 Follow up
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
       {/* Unpaid Invoices Table */}
       <div className="unpaid-invoices-section">
         <h3>📋 Unpaid Invoices</h3>
@@ -908,9 +1522,31 @@ function InvoiceDashboard({ token }) {
                           </td>
                           <td>
                             <div>
-                              <strong>{invoice.billingContact?.name || invoice.customer.name}</strong>
+                              <strong>
+                                {invoice.billingContact?.id && onOpenCustomer ? (
+                                  <button
+                                    className="customer-link"
+                                    onClick={() => onOpenCustomer(invoice.billingContact.id)}
+                                    title="Open customer account"
+                                  >
+                                    {invoice.billingContact.name || invoice.customer.name}
+                                  </button>
+                                ) : invoice.billingContact?.name || invoice.customer.name}
+                              </strong>
                               <br />
                               <small>{invoice.billingContact?.email || invoice.customer.email}</small>
+                              {invoice.billingContact?.id && (
+                                <>
+                                  <br />
+                                  <button
+                                    className="statement-button"
+                                    onClick={() => openStatement(invoice.billingContact.id)}
+                                    title="Statement of all open invoices for this customer"
+                                  >
+                                    📄 Statement
+                                  </button>
+                                </>
+                              )}
                             </div>
                           </td>
                           <td>
@@ -983,6 +1619,8 @@ function InvoiceDashboard({ token }) {
                             <span className={invoice.days_outstanding > 30 ? 'overdue-days' : 'normal-days'}>
                               {invoice.days_outstanding} days
                             </span>
+                            {renderPromiseBadge(invoice.paymentPromise)}
+                            {renderDisputeBadge(invoice.dispute)}
                           </td>
                           <td>
                             <button 
@@ -1021,7 +1659,7 @@ function InvoiceDashboard({ token }) {
                               >
                                 💳 Pay Now
                               </a>
-                            ) : (
+                            ) : canManageCollections ? (
                               <button 
                                 className="generate-payment-link-button"
                                 onClick={() => generatePaymentLink(invoice.id)}
@@ -1029,11 +1667,17 @@ function InvoiceDashboard({ token }) {
                               >
                                 🔗 Generate Link
                               </button>
+                            ) : (
+                              <small>No link</small>
                             )}
                           </td>
                           <td>
                             <div className="email-actions">
-                              {userEmailSettings?.google_app_password ? (
+                              {!canSendEmail ? (
+                                <div className="email-not-configured">
+                                  <small>View only</small>
+                                </div>
+                              ) : (userEmailSettings?.google_app_password || organizationSender) ? (
                                 <>
                                   <button 
                                     className="email-button invoice-btn"
@@ -1159,21 +1803,402 @@ function InvoiceDashboard({ token }) {
             
             <div className="modal-body">
               {/* Add new note */}
-              <div className="add-note-section">
-                <textarea
-                  value={notesModal.newNote}
-                  onChange={(e) => setNotesModal(prev => ({ ...prev, newNote: e.target.value }))}
-                  placeholder="Add a note for this order..."
-                  className="note-textarea"
-                  rows="3"
-                />
-                <button 
-                  onClick={addNote}
-                  className="btn-primary add-note-btn"
-                  disabled={!notesModal.newNote.trim()}
-                >
-                  Add Note
-                </button>
+              {canManageCollections && (
+                <div className="add-note-section">
+                  <textarea
+                    value={notesModal.newNote}
+                    onChange={(e) => setNotesModal(prev => ({ ...prev, newNote: e.target.value }))}
+                    placeholder="Add a note for this order..."
+                    className="note-textarea"
+                    rows="3"
+                  />
+                  {openDisputeForModal() && (
+                    <label className="link-dispute-option">
+                      <input
+                        type="checkbox"
+                        checked={notesModal.linkNoteToDispute}
+                        onChange={(e) => setNotesModal(prev => ({ ...prev, linkNoteToDispute: e.target.checked }))}
+                      />
+                      Link to the open dispute
+                    </label>
+                  )}
+                  <label className="follow-up-option">
+                    Follow up by
+                    <input
+                      type="date"
+                      value={notesModal.newNoteFollowUp}
+                      onChange={(e) => setNotesModal(prev => ({ ...prev, newNoteFollowUp: e.target.value }))}
+                    />
+                    {notesModal.newNoteFollowUp && (
+                      <select
+                        value={notesModal.newNoteFollowUpAssignee}
+                        onChange={(e) => setNotesModal(prev => ({ ...prev, newNoteFollowUpAssignee: e.target.value }))}
+                      >
+                        <option value="">Assign to me</option>
+                        {collectors.filter(collector => collector.id !== user.id).map(collector => (
+                          <option key={collector.id} value={collector.id}>{userName(collector)}</option>
+                        ))}
+                      </select>
+                    )}
+                  </label>
+                  <button 
+                    onClick={addNote}
+                    className="btn-primary add-note-btn"
+                    disabled={!notesModal.newNote.trim()}
+                  >
+                    Add Note
+                  </button>
+                </div>
+              )}
+
+              {/* Collector assignment of the customer account */}
+              {notesModal.invoice?.billingContact?.id && (
+                <div className="notes-section collector-section">
+                  <h4 className="notes-section-title">
+                    👤 Collector
+                    <small>
+                      Applies to every invoice of{' '}
+                      {onOpenCustomer ? (
+                        <button className="customer-link" onClick={() => onOpenCustomer(notesModal.invoice.billingContact.id)}>
+                          {notesModal.invoice.companyName || notesModal.invoice.billingContact.name || 'this customer'}
+                        </button>
+                      ) : notesModal.invoice.companyName || notesModal.invoice.billingContact.name || 'this customer'}
+                    </small>
+                  </h4>
+                  <div className="collector-assignment">
+                    <span>
+                      {notesModal.accountCollector
+                        ? <>{userName(notesModal.accountCollector.collector)} <small>({notesModal.accountCollector.source === 'manual' ? 'assigned manually' : 'by assignment rule'})</small></>
+                        : 'Unassigned'}
+                    </span>
+                    {canAssignAccounts && (
+                      <select
+                        value={notesModal.accountCollector?.source === 'manual' ? notesModal.accountCollector.collector?.id || '' : ''}
+                        onChange={(e) => assignAccountCollector(e.target.value)}
+                      >
+                        <option value="">Use assignment rules</option>
+                        {collectors.map(collector => (
+                          <option key={collector.id} value={collector.id}>{userName(collector)}</option>
+                        ))}
+                      </select>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {/* Dispute */}
+              <div className="notes-section dispute-section">
+                <h4 className="notes-section-title">
+                  ⚖️ Dispute
+                  <small>Disputed invoices are left out of automated campaigns until resolved</small>
+                </h4>
+                {(() => {
+                  const openDisputeEntry = openDisputeForModal();
+                  const pastDisputes = notesModal.disputes.filter(dispute => dispute.status !== 'open');
+                  return (
+                    <>
+                      {openDisputeEntry ? (
+                        <div className="note-item dispute-item open">
+                          <div className="note-content">
+                            <strong>{DISPUTE_REASONS[openDisputeEntry.reason_category] || openDisputeEntry.reason_category}</strong>
+                            {openDisputeEntry.disputed_amount && <> · {formatCurrency(openDisputeEntry.disputed_amount)} disputed</>}
+                            {openDisputeEntry.description && <><br />{openDisputeEntry.description}</>}
+                          </div>
+                          <div className="dispute-fields">
+                            <label>
+                              Owner
+                              <select
+                                value={openDisputeEntry.owner_id || ''}
+                                disabled={!canManageCollections}
+                                onChange={(e) => updateDispute(openDisputeEntry.id, { ownerId: e.target.value || null })}
+                              >
+                                <option value="">Unassigned</option>
+                                {collectors.map(collector => (
+                                  <option key={collector.id} value={collector.id}>{userName(collector)}</option>
+                                ))}
+                              </select>
+                            </label>
+                            <label>
+                              SLA due
+                              <input
+                                type="date"
+                                value={openDisputeEntry.sla_due_date}
+                                disabled={!canManageCollections}
+                                onChange={(e) => e.target.value && updateDispute(openDisputeEntry.id, { slaDueDate: e.target.value })}
+                              />
+                            </label>
+                            <span className="note-date">
+                              Opened {new Date(openDisputeEntry.opened_at).toLocaleDateString()} by {userName(openDisputeEntry.opener)}
+                            </span>
+                          </div>
+                          {openDisputeEntry.notes?.length > 0 && (
+                            <ul className="dispute-notes">
+                              {openDisputeEntry.notes.map(note => (
+                                <li key={note.id}>
+                                  <span className="note-date">{new Date(note.created_at).toLocaleDateString()}</span> {note.note}
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                          {canManageCollections && (
+                            <div className="add-hold-form">
+                              <select
+                                value={notesModal.resolveForm.resolution}
+                                onChange={(e) => setNotesModal(prev => ({ ...prev, resolveForm: { ...prev.resolveForm, resolution: e.target.value } }))}
+                              >
+                                {Object.entries(DISPUTE_RESOLUTIONS).map(([value, label]) => (
+                                  <option key={value} value={value}>{label}</option>
+                                ))}
+                              </select>
+                              {notesModal.resolveForm.resolution !== 'resolved' && (
+                                <input
+                                  type="number"
+                                  min="0.01"
+                                  step="0.01"
+                                  value={notesModal.resolveForm.resolutionAmount}
+                                  onChange={(e) => setNotesModal(prev => ({ ...prev, resolveForm: { ...prev.resolveForm, resolutionAmount: e.target.value } }))}
+                                  placeholder="Amount"
+                                />
+                              )}
+                              <input
+                                type="text"
+                                value={notesModal.resolveForm.resolutionNotes}
+                                onChange={(e) => setNotesModal(prev => ({ ...prev, resolveForm: { ...prev.resolveForm, resolutionNotes: e.target.value } }))}
+                                placeholder="Resolution notes (e.g. credit note number)"
+                              />
+                              <button
+                                onClick={() => resolveDispute(openDisputeEntry.id)}
+                                className="btn-secondary"
+                                disabled={notesModal.resolveForm.resolution !== 'resolved' && !notesModal.resolveForm.resolutionAmount}
+                              >
+                                Resolve Dispute
+                              </button>
+                            </div>
+                          )}
+                        </div>
+                      ) : canManageCollections && (
+                        <div className="add-hold-form">
+                          <select
+                            value={notesModal.disputeForm.reasonCategory}
+                            onChange={(e) => setNotesModal(prev => ({ ...prev, disputeForm: { ...prev.disputeForm, reasonCategory: e.target.value } }))}
+                          >
+                            {Object.entries(DISPUTE_REASONS).map(([value, label]) => (
+                              <option key={value} value={value}>{label}</option>
+                            ))}
+                          </select>
+                          <input
+                            type="number"
+                            min="0.01"
+                            step="0.01"
+                            value={notesModal.disputeForm.disputedAmount}
+                            onChange={(e) => setNotesModal(prev => ({ ...prev, disputeForm: { ...prev.disputeForm, disputedAmount: e.target.value } }))}
+                            placeholder="Disputed amount"
+                            title="Leave empty if the whole invoice is disputed"
+                          />
+                          <select
+                            value={notesModal.disputeForm.ownerId}
+                            onChange={(e) => setNotesModal(prev => ({ ...prev, disputeForm: { ...prev.disputeForm, ownerId: e.target.value } }))}
+                          >
+                            <option value="">Owner: me</option>
+                            {collectors.map(collector => (
+                              <option key={collector.id} value={collector.id}>{userName(collector)}</option>
+                            ))}
+                          </select>
+                          <input
+                            type="date"
+                            value={notesModal.disputeForm.slaDueDate}
+                            min={new Date().toISOString().split('T')[0]}
+                            onChange={(e) => setNotesModal(prev => ({ ...prev, disputeForm: { ...prev.disputeForm, slaDueDate: e.target.value } }))}
+                            title="SLA due date (defaults to 14 days from today)"
+                          />
+                          <input
+                            type="text"
+                            value={notesModal.disputeForm.description}
+                            onChange={(e) => setNotesModal(prev => ({ ...prev, disputeForm: { ...prev.disputeForm, description: e.target.value } }))}
+                            placeholder="What is the customer disputing?"
+                          />
+                          <button onClick={openDispute} className="btn-secondary">
+                            Open Dispute
+                          </button>
+                        </div>
+                      )}
+                      {pastDisputes.length > 0 && (
+                        <div className="notes-list">
+                          {pastDisputes.map(dispute => (
+                            <div key={`dispute-${dispute.id}`} className="note-item dispute-item resolved">
+                              <div className="note-content">
+                                <strong>{DISPUTE_REASONS[dispute.reason_category] || dispute.reason_category}</strong>
+                                {' '}→ {DISPUTE_RESOLUTIONS[dispute.resolution] || dispute.resolution}
+                                {dispute.resolution_amount && <> ({formatCurrency(dispute.resolution_amount)})</>}
+                                {dispute.resolution_notes && <><br />{dispute.resolution_notes}</>}
+                              </div>
+                              <div className="note-meta">
+                                <span className="note-author">Owner: {userName(dispute.owner)}</span>
+                                <span className="note-date">
+                                  {new Date(dispute.opened_at).toLocaleDateString()} – {new Date(dispute.resolved_at).toLocaleDateString()}
+                                </span>
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </>
+                  );
+                })()}
+              </div>
+
+              {/* Reminder holds */}
+              <div className="notes-section reminder-holds-section">
+                <h4 className="notes-section-title">
+                  ⏸️ Reminder Holds ({notesModal.holds.length})
+                  <small>Automated reminders are skipped while a hold is active</small>
+                </h4>
+                {notesModal.holds.length > 0 && (
+                  <div className="notes-list">
+                    {notesModal.holds.map((hold) => (
+                      <div key={`hold-${hold.id}`} className="note-item reminder-hold">
+                        <div className="note-content">
+                          <strong>{hold.hold_type === 'customer' ? 'All orders for this customer' : 'This order'}:</strong> {hold.reason}
+                        </div>
+                        <div className="note-meta">
+                          <span className="note-author">
+                            by {hold.app_users?.first_name && hold.app_users?.last_name
+                                ? `${hold.app_users.first_name} ${hold.app_users.last_name}`
+                                : hold.app_users?.email || 'Unknown'}
+                          </span>
+                          <span className="note-date">
+                            {hold.expires_at ? `Until ${new Date(hold.expires_at).toLocaleDateString()}` : 'Until released'}
+                          </span>
+                          <button
+                            onClick={() => releaseHold(hold.id)}
+                            className="delete-note-btn"
+                            title="Release hold"
+                          >
+                            ▶️
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {canManageCollections && (
+                  <div className="add-hold-form">
+                    <select
+                      value={notesModal.holdForm.holdType}
+                      onChange={(e) => setNotesModal(prev => ({ ...prev, holdForm: { ...prev.holdForm, holdType: e.target.value } }))}
+                    >
+                      <option value="order">This order</option>
+                      <option value="customer" disabled={!notesModal.invoice?.billingContact?.id}>All orders for this customer</option>
+                    </select>
+                    <input
+                      type="text"
+                      value={notesModal.holdForm.reason}
+                      onChange={(e) => setNotesModal(prev => ({ ...prev, holdForm: { ...prev.holdForm, reason: e.target.value } }))}
+                      placeholder="Reason (e.g. disputed invoice)"
+                    />
+                    <input
+                      type="date"
+                      value={notesModal.holdForm.expiresAt}
+                      min={new Date().toISOString().split('T')[0]}
+                      onChange={(e) => setNotesModal(prev => ({ ...prev, holdForm: { ...prev.holdForm, expiresAt: e.target.value } }))}
+                      title="Hold expires after this date (leave empty to hold until released)"
+                    />
+                    <button
+                      onClick={addHold}
+                      className="btn-secondary"
+                      disabled={!notesModal.holdForm.reason.trim()}
+                    >
+                      Place Hold
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              {/* Promises to pay */}
+              <div className="notes-section payment-promises-section">
+                <h4 className="notes-section-title">
+                  🤝 Promises to Pay ({notesModal.promises.length})
+                  <small>Automated reminders are skipped until the promised date</small>
+                </h4>
+                {notesModal.promises.length > 0 && (
+                  <div className="notes-list">
+                    {notesModal.promises.map((promise) => (
+                      <div key={`promise-${promise.id}`} className={`note-item payment-promise ${promise.status}`}>
+                        <div className="note-content">
+                          <strong>{formatCurrency(promise.promised_amount)} by {formatDate(`${promise.promised_date}T00:00:00`)}</strong>
+                          {' '}<span className={`promise-status ${promise.status}`}>{promise.status}</span>
+                          {promise.contact_name && <> · {promise.contact_name}{promise.contact_method ? ` (${promise.contact_method})` : ''}</>}
+                          {promise.notes && <><br />{promise.notes}</>}
+                          {promise.amount_received > 0 && <><br /><small>{formatCurrency(promise.amount_received)} received since the promise</small></>}
+                        </div>
+                        <div className="note-meta">
+                          <span className="note-author">
+                            by {promise.app_users?.first_name && promise.app_users?.last_name
+                                ? `${promise.app_users.first_name} ${promise.app_users.last_name}`
+                                : promise.app_users?.email || 'Unknown'}
+                          </span>
+                          <span className="note-date">{new Date(promise.created_at).toLocaleDateString()}</span>
+                          {canManageCollections && promise.status === 'open' && (
+                            <button
+                              onClick={() => cancelPromise(promise.id)}
+                              className="delete-note-btn"
+                              title="Cancel promise"
+                            >
+                              🚫
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {canManageCollections && (
+                  <div className="add-hold-form">
+                    <input
+                      type="number"
+                      min="0.01"
+                      step="0.01"
+                      value={notesModal.promiseForm.promisedAmount}
+                      onChange={(e) => setNotesModal(prev => ({ ...prev, promiseForm: { ...prev.promiseForm, promisedAmount: e.target.value } }))}
+                      placeholder="Amount"
+                    />
+                    <input
+                      type="date"
+                      value={notesModal.promiseForm.promisedDate}
+                      min={new Date().toISOString().split('T')[0]}
+                      onChange={(e) => setNotesModal(prev => ({ ...prev, promiseForm: { ...prev.promiseForm, promisedDate: e.target.value } }))}
+                      title="Date the customer promised to pay by"
+                    />
+                    <input
+                      type="text"
+                      value={notesModal.promiseForm.contactName}
+                      onChange={(e) => setNotesModal(prev => ({ ...prev, promiseForm: { ...prev.promiseForm, contactName: e.target.value } }))}
+                      placeholder="Promised by (contact name)"
+                    />
+                    <select
+                      value={notesModal.promiseForm.contactMethod}
+                      onChange={(e) => setNotesModal(prev => ({ ...prev, promiseForm: { ...prev.promiseForm, contactMethod: e.target.value } }))}
+                    >
+                      <option value="phone">Phone</option>
+                      <option value="email">Email</option>
+                      <option value="in_person">In person</option>
+                      <option value="other">Other</option>
+                    </select>
+                    <input
+                      type="text"
+                      value={notesModal.promiseForm.notes}
+                      onChange={(e) => setNotesModal(prev => ({ ...prev, promiseForm: { ...prev.promiseForm, notes: e.target.value } }))}
+                      placeholder="Notes (optional)"
+                    />
+                    <button
+                      onClick={addPromise}
+                      className="btn-secondary"
+                      disabled={!notesModal.promiseForm.promisedAmount || !notesModal.promiseForm.promisedDate}
+                    >
+                      Record Promise
+                    </button>
+                  </div>
+                )}
               </div>
 
               {/* Notes sections */}
@@ -1259,7 +2284,26 @@ function InvoiceDashboard({ token }) {
                       ) : (
                         notesModal.userNotes.map((note) => (
                           <div key={`user-${note.id}`} className="note-item user-note">
-                            <div className="note-content">{note.note}</div>
+                            <div className="note-content">
+                              {note.dispute_id && <span className="dispute-note-tag" title="Linked to a dispute">⚖️</span>}
+                              {note.note}
+                              {note.follow_up_date && (
+                                <span className={`follow-up-tag ${note.follow_up_done ? 'done' : ''}`}>
+                                  {canManageCollections && (
+                                    <input
+                                      type="checkbox"
+                                      checked={!!note.follow_up_done}
+                                      onChange={(e) => updateFollowUp(note.id, { done: e.target.checked })}
+                                      title={note.follow_up_done ? 'Reopen follow-up' : 'Mark follow-up done'}
+                                    />
+                                  )}
+                                  📅 Follow up {new Date(`${note.follow_up_date}T00:00:00`).toLocaleDateString()}
+                                  {note.follow_up_assigned_to && note.follow_up_assigned_to !== user.id && (
+                                    <> · {userName(collectors.find(collector => collector.id === note.follow_up_assigned_to))}</>
+                                  )}
+                                </span>
+                              )}
+                            </div>
                             <div className="note-meta">
                               <span className="note-author">
                                 by {note.app_users?.first_name && note.app_users?.last_name 
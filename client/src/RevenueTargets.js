@@ -0,0 +1,320 @@
+import React, { useState, useEffect } from 'react';
+
+const API_BASE = '/texon-invoicing-portal/api';
+
+const RevenueTargets = ({ token, onOpenCustomer }) => {
+    const [year, setYear] = useState(new Date().getFullYear());
+    const [segment, setSegment] = useState('all');
+    const [segments, setSegments] = useState(['all']);
+    const [targets, setTargets] = useState({});
+    const [assignments, setAssignments] = useState([]);
+    const [newAssignment, setNewAssignment] = useState({ billingContactId: '', contactName: '', segment: '' });
+    const [newSegmentName, setNewSegmentName] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const monthKeys = Array.from({ length: 12 }, (_, i) => `${year}-${String(i + 1).padStart(2, '0')}`);
+
+    useEffect(() => {
+        loadTargets();
+    }, [year, segment]);
+
+    useEffect(() => {
+        loadAssignments();
+    }, []);
+
+    const loadTargets = async () => {
+        setIsLoading(true);
+        try {
+            const params = new URLSearchParams({
+                startDate: `${year}-01-01`,
+                endDate: `${year}-12-31`,
+                segment: segment
+            });
+            const response = await fetch(`${API_BASE}/analytics/revenue-targets?${params}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                const byMonth = {};
+                data.targets.forEach(target => {
+                    byMonth[target.target_month.substring(0, 7)] = {
+                        id: target.id,
+                        amount: String(target.target_amount)
+                    };
+                });
+                setTargets(byMonth);
+                setSegments(prev => Array.from(new Set([...data.segments, ...prev])).sort());
+            } else {
+                throw new Error(data.error || 'Failed to load revenue targets');
+            }
+        } catch (error) {
+            console.error('Error loading revenue targets:', error);
+            alert(`Error loading revenue targets: ${error.message}`);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const loadAssignments = async () => {
+        try {
+            const response = await fetch(`${API_BASE}/analytics/customer-segments`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.success) {
+                setAssignments(data.assignments);
+            }
+        } catch (error) {
+            console.error('Error loading customer segments:', error);
+        }
+    };
+
+    const updateTargetAmount = (monthKey, amount) => {
+        setTargets(prev => ({
+            ...prev,
+            [monthKey]: { ...prev[monthKey], amount: amount }
+        }));
+    };
+
+    const saveTargets = async () => {
+        setIsSaving(true);
+        try {
+            for (const monthKey of monthKeys) {
+                const target = targets[monthKey];
+                if (!target) continue;
+
+                if (target.amount === '' && target.id) {
+                    const response = await fetch(`${API_BASE}/analytics/revenue-targets/${target.id}`, {
+                        method: 'DELETE',
+                        headers: { 'Authorization': `Bearer ${token}` }
+                    });
+                    if (!response.ok) {
+                        throw new Error(`Failed to clear target for ${monthKey}`);
+                    }
+                } else if (target.amount !== '') {
+                    const response = await fetch(`${API_BASE}/analytics/revenue-targets`, {
+                        method: 'PUT',
+                        headers: {
+                            'Authorization': `Bearer ${token}`,
+                            'Content-Type': 'application/json'
+                        },
+                        body: JSON.stringify({ month: monthKey, segment: segment, targetAmount: target.amount })
+                    });
+                    const data = await response.json();
+                    if (!data.success) {
+                        throw new Error(`${monthKey}: ${data.error || data.message}`);
+                    }
+                }
+            }
+
+            alert('Revenue targets saved successfully!');
+            await loadTargets();
+        } catch (error) {
+            console.error('Error saving revenue targets:', error);
+            alert(`Error saving revenue targets: ${error.message}`);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const addSegment = () => {
+        const name = newSegmentName.trim();
+        if (!name || name === 'all') {
+            alert("Please enter a segment name other than 'all'");
+            return;
+        }
+        setSegments(prev => Array.from(new Set([...prev, name])).sort());
+        setSegment(name);
+        setNewSegmentName('');
+    };
+
+    const saveAssignment = async () => {
+        try {
+            const response = await fetch(`${API_BASE}/analytics/customer-segments`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(newAssignment)
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setNewAssignment({ billingContactId: '', contactName: '', segment: '' });
+                loadAssignments();
+            } else {
+                throw new Error(data.error || data.message || 'Failed to assign segment');
+            }
+        } catch (error) {
+            console.error('Error assigning customer segment:', error);
+            alert(`Error assigning customer segment: ${error.message}`);
+        }
+    };
+
+    const removeAssignment = async (billingContactId) => {
+        if (!window.confirm('Remove this customer from its segment?')) return;
+
+        try {
+            const response = await fetch(`${API_BASE}/analytics/customer-segments/${billingContactId}`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            if (response.ok) {
+                loadAssignments();
+            } else {
+                throw new Error('Failed to remove segment assignment');
+            }
+        } catch (error) {
+            console.error('Error removing customer segment:', error);
+            alert(`Error removing customer segment: ${error.message}`);
+        }
+    };
+
+    return (
+        <div className="settings-section">
+            <h3>🎯 Revenue Targets</h3>
+            <div className="setting-group">
+                <div className="setting-item">
+                    <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap' }}>
+                        <label className="setting-label" style={{ margin: 0 }}>Year</label>
+                        <select value={year} onChange={(e) => setYear(parseInt(e.target.value))} className="setting-input" style={{ width: 'auto' }}>
+                            {[-1, 0, 1].map(offset => {
+                                const y = new Date().getFullYear() + offset;
+                                return <option key={y} value={y}>{y}</option>;
+                            })}
+                        </select>
+                        <label className="setting-label" style={{ margin: 0 }}>Segment</label>
+                        <select value={segment} onChange={(e) => setSegment(e.target.value)} className="setting-input" style={{ width: 'auto' }}>
+                            {segments.map(name => (
+                                <option key={name} value={name}>{name === 'all' ? 'All Customers' : name}</option>
+                            ))}
+                        </select>
+                        <input
+                            type="text"
+                            value={newSegmentName}
+                            onChange={(e) => setNewSegmentName(e.target.value)}
+                            placeholder="New segment name"
+                            className="setting-input"
+                            style={{ width: '180px' }}
+                        />
+                        <button onClick={addSegment} className="btn-secondary">➕ Add Segment</button>
+                    </div>
+
+                    {isLoading ? (
+                        <p>Loading targets...</p>
+                    ) : (
+                        <div style={{
+                            display: 'grid',
+                            gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+                            gap: '10px',
+                            margin: '15px 0'
+                        }}>
+                            {monthKeys.map(monthKey => (
+                                <label key={monthKey} style={{ display: 'flex', flexDirection: 'column', fontSize: '0.9em' }}>
+                                    {new Date(`${monthKey}-01T00:00:00`).toLocaleString('default', { month: 'long' })}
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="100"
+                                        value={targets[monthKey]?.amount ?? ''}
+                                        onChange={(e) => updateTargetAmount(monthKey, e.target.value)}
+                                        placeholder="No target"
+                                        className="setting-input"
+                                    />
+                                </label>
+                            ))}
+                        </div>
+                    )}
+
+                    <button onClick={saveTargets} disabled={isSaving || isLoading} className="btn-primary">
+                        {isSaving ? 'Saving...' : '💾 Save Targets'}
+                    </button>
+                    <p className="setting-description">
+                        Monthly collection targets used by the Revenue vs Target analytics. Leave a month empty
+                        to remove its target. Segment targets are compared against payments from the customers
+                        assigned to that segment below.
+                    </p>
+                </div>
+
+                <div className="setting-item">
+                    <label className="setting-label">Customer Segments</label>
+                    <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', marginBottom: '10px' }}>
+                        <input
+                            type="number"
+                            value={newAssignment.billingContactId}
+                            onChange={(e) => setNewAssignment(prev => ({ ...prev, billingContactId: e.target.value }))}
+                            placeholder="Billing contact ID"
+                            className="setting-input"
+                            style={{ width: '160px' }}
+                        />
+                        <input
+                            type="text"
+                            value={newAssignment.contactName}
+                            onChange={(e) => setNewAssignment(prev => ({ ...prev, contactName: e.target.value }))}
+                            placeholder="Customer name (optional)"
+                            className="setting-input"
+                            style={{ width: '220px' }}
+                        />
+                        <select
+                            value={newAssignment.segment}
+                            onChange={(e) => setNewAssignment(prev => ({ ...prev, segment: e.target.value }))}
+                            className="setting-input"
+                            style={{ width: 'auto' }}
+                        >
+                            <option value="">Select segment...</option>
+                            {segments.filter(name => name !== 'all').map(name => (
+                                <option key={name} value={name}>{name}</option>
+                            ))}
+                        </select>
+                        <button
+                            onClick={saveAssignment}
+                            disabled={!newAssignment.billingContactId || !newAssignment.segment}
+                            className="btn-secondary"
+                        >
+                            Assign
+                        </button>
+                    </div>
+                    {assignments.length === 0 ? (
+                        <p style={{ color: '#666', fontStyle: 'italic' }}>No customers have been assigned to a segment yet.</p>
+                    ) : (
+                        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                            <thead>
+                                <tr>
+                                    <th style={{ textAlign: 'left' }}>Contact ID</th>
+                                    <th style={{ textAlign: 'left' }}>Customer</th>
+                                    <th style={{ textAlign: 'left' }}>Segment</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {assignments.map(assignment => (
+                                    <tr key={assignment.billing_contact_id}>
+                                        <td>{assignment.billing_contact_id}</td>
+                                        <td>
+                                            {onOpenCustomer ? (
+                                                <button className="customer-link" onClick={() => onOpenCustomer(assignment.billing_contact_id)}>
+                                                    {assignment.contact_name || `Contact ${assignment.billing_contact_id}`}
+                                                </button>
+                                            ) : assignment.contact_name || '-'}
+                                        </td>
+                                        <td>{assignment.segment}</td>
+                                        <td>
+                                            <button onClick={() => removeAssignment(assignment.billing_contact_id)} className="btn-secondary">
+                                                🗑️
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RevenueTargets;
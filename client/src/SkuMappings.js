@@ -0,0 +1,355 @@
+import React, { useState, useEffect } from 'react';
+import './SkuMappings.css';
+
+const API_BASE = '/texon-invoicing-portal/api';
+
+const EMPTY_MAPPING = {
+    brightpearlSku: '',
+    infoplusSku: '',
+    quantityMultiplier: '1',
+    notes: ''
+};
+
+const SkuMappings = ({ token, canManage }) => {
+    const [mappings, setMappings] = useState([]);
+    const [heuristic, setHeuristic] = useState({ matches: [], reportCreatedAt: null });
+    const [loading, setLoading] = useState(true);
+    const [newMapping, setNewMapping] = useState(EMPTY_MAPPING);
+    const [saving, setSaving] = useState(false);
+    const [search, setSearch] = useState('');
+    const [csvFile, setCsvFile] = useState(null);
+    const [replaceExisting, setReplaceExisting] = useState(false);
+    const [importing, setImporting] = useState(false);
+    const [importResult, setImportResult] = useState(null);
+
+    useEffect(() => {
+        loadData();
+    }, []);
+
+    const loadData = async () => {
+        setLoading(true);
+        try {
+            await Promise.all([loadMappings(), loadHeuristicMatches()]);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const loadMappings = async () => {
+        try {
+            const response = await fetch(`${API_BASE}/sku-mappings`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const result = await response.json();
+            if (response.ok && result.success) {
+                setMappings(result.mappings || []);
+            }
+        } catch (error) {
+            console.error('Error loading SKU mappings:', error);
+        }
+    };
+
+    const loadHeuristicMatches = async () => {
+        try {
+            const response = await fetch(`${API_BASE}/sku-mappings/heuristic-matches`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const result = await response.json();
+            if (response.ok && result.success) {
+                setHeuristic(result);
+            }
+        } catch (error) {
+            console.error('Error loading heuristic SKU matches:', error);
+        }
+    };
+
+    const saveMapping = async (mapping) => {
+        setSaving(true);
+        try {
+            const response = await fetch(`${API_BASE}/sku-mappings`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify(mapping)
+            });
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                await loadData();
+                return true;
+            }
+
+            alert(`Failed to save mapping: ${result.error || result.message}`);
+            return false;
+        } catch (error) {
+            console.error('Error saving SKU mapping:', error);
+            alert('Failed to save mapping');
+            return false;
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        if (await saveMapping(newMapping)) {
+            setNewMapping(EMPTY_MAPPING);
+        }
+    };
+
+    const confirmMatch = (match) => saveMapping({
+        brightpearlSku: match.brightpearlSku,
+        infoplusSku: match.infoplusSku,
+        quantityMultiplier: 1,
+        notes: `Confirmed ${match.matchType} match`
+    });
+
+    const deleteMapping = async (mapping) => {
+        if (!window.confirm(`Remove the mapping ${mapping.brightpearl_sku} → ${mapping.infoplus_sku}?`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE}/sku-mappings/${mapping.id}`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                await loadData();
+            } else {
+                alert(`Failed to delete mapping: ${result.error || result.message}`);
+            }
+        } catch (error) {
+            console.error('Error deleting SKU mapping:', error);
+            alert('Failed to delete mapping');
+        }
+    };
+
+    const handleImport = async (e) => {
+        e.preventDefault();
+        if (!csvFile) return;
+
+        setImporting(true);
+        setImportResult(null);
+        try {
+            const csvText = await csvFile.text();
+            const response = await fetch(`${API_BASE}/sku-mappings/import?replaceExisting=${replaceExisting}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'text/csv',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: csvText
+            });
+            const result = await response.json();
+
+            setImportResult(result);
+            if (response.ok && result.success) {
+                await loadData();
+            }
+        } catch (error) {
+            console.error('Error importing SKU mappings:', error);
+            setImportResult({ success: false, error: 'Import failed' });
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    // Group rows so kits/bundles show all their components together
+    const searchTerm = search.trim().toLowerCase();
+    const groupedMappings = mappings
+        .filter(mapping => !searchTerm ||
+            mapping.brightpearl_sku.toLowerCase().includes(searchTerm) ||
+            mapping.infoplus_sku.toLowerCase().includes(searchTerm))
+        .reduce((groups, mapping) => {
+            const key = mapping.brightpearl_sku.toLowerCase();
+            if (!groups[key]) groups[key] = { brightpearlSku: mapping.brightpearl_sku, components: [] };
+            groups[key].components.push(mapping);
+            return groups;
+        }, {});
+
+    if (loading) {
+        return <div className="loading-state">Loading SKU mappings...</div>;
+    }
+
+    return (
+        <div className="sku-mappings">
+            <p className="sku-mappings-description">
+                Explicit Brightpearl → Infoplus SKU pairs are matched before the case/separator heuristics.
+                Map one Brightpearl SKU to several Infoplus SKUs for kits and bundles; the multiplier is the
+                number of Infoplus units in one Brightpearl unit.
+            </p>
+
+            {heuristic.matches.length > 0 && (
+                <div className="heuristic-matches">
+                    <h3>≈ Unconfirmed heuristic matches ({heuristic.matches.length})</h3>
+                    <p className="section-hint">
+                        Paired by SKU normalization in the run of {new Date(heuristic.reportCreatedAt).toLocaleString()}.
+                        Confirm correct pairs into the mapping table; add a mapping for wrong ones.
+                    </p>
+                    <table className="inventory-table">
+                        <thead>
+                            <tr>
+                                <th>Brightpearl SKU</th>
+                                <th>Infoplus SKU</th>
+                                <th>Product</th>
+                                <th>Match</th>
+                                {canManage && <th></th>}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {heuristic.matches.map(match => (
+                                <tr key={`${match.brightpearlSku}|${match.infoplusSku}`}>
+                                    <td><code>{match.brightpearlSku}</code></td>
+                                    <td><code>{match.infoplusSku}</code></td>
+                                    <td>{match.productName}</td>
+                                    <td>{match.matchType === 'loose' ? 'Separator difference' : 'Case difference'}</td>
+                                    {canManage && (
+                                        <td>
+                                            <button className="btn-small" disabled={saving} onClick={() => confirmMatch(match)}>
+                                                ✓ Confirm
+                                            </button>
+                                        </td>
+                                    )}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {canManage && (
+                <div className="sku-mapping-forms">
+                    <form className="diff-controls" onSubmit={handleAdd}>
+                        <div className="filter-group">
+                            <label>Brightpearl SKU</label>
+                            <input
+                                type="text"
+                                value={newMapping.brightpearlSku}
+                                onChange={(e) => setNewMapping({ ...newMapping, brightpearlSku: e.target.value })}
+                                required
+                            />
+                        </div>
+                        <div className="filter-group">
+                            <label>Infoplus SKU</label>
+                            <input
+                                type="text"
+                                value={newMapping.infoplusSku}
+                                onChange={(e) => setNewMapping({ ...newMapping, infoplusSku: e.target.value })}
+                                required
+                            />
+                        </div>
+                        <div className="filter-group multiplier-input">
+                            <label>Multiplier</label>
+                            <input
+                                type="number"
+                                min="0.0001"
+                                step="any"
+                                value={newMapping.quantityMultiplier}
+                                onChange={(e) => setNewMapping({ ...newMapping, quantityMultiplier: e.target.value })}
+                            />
+                        </div>
+                        <div className="filter-group filter-search">
+                            <label>Notes</label>
+                            <input
+                                type="text"
+                                value={newMapping.notes}
+                                onChange={(e) => setNewMapping({ ...newMapping, notes: e.target.value })}
+                            />
+                        </div>
+                        <button type="submit" className="btn-primary" disabled={saving}>
+                            {saving ? 'Saving...' : '+ Add Mapping'}
+                        </button>
+                    </form>
+
+                    <form className="diff-controls csv-import" onSubmit={handleImport}>
+                        <div className="filter-group">
+                            <label>Import CSV (brightpearl_sku, infoplus_sku, quantity_multiplier, notes)</label>
+                            <input type="file" accept=".csv,text/csv" onChange={(e) => setCsvFile(e.target.files[0] || null)} />
+                        </div>
+                        <label className="checkbox-label">
+                            <input
+                                type="checkbox"
+                                checked={replaceExisting}
+                                onChange={(e) => setReplaceExisting(e.target.checked)}
+                            />
+                            Replace existing mappings for SKUs in the file
+                        </label>
+                        <button type="submit" className="btn-secondary" disabled={!csvFile || importing}>
+                            {importing ? 'Importing...' : '⬆️ Import'}
+                        </button>
+                    </form>
+
+                    {importResult && (
+                        <div className={`import-result ${importResult.success ? 'success' : 'error'}`}>
+                            {importResult.success
+                                ? `Imported: ${importResult.added} added, ${importResult.updated} updated, ${importResult.removed} removed, ${importResult.skipped} rows skipped.`
+                                : `Import failed: ${importResult.error}`}
+                            {importResult.errors && importResult.errors.length > 0 && (
+                                <ul>
+                                    {importResult.errors.slice(0, 20).map(rowError => (
+                                        <li key={rowError.line}>Line {rowError.line}: {rowError.error}</li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            <div className="diff-controls">
+                <div className="filter-group filter-search">
+                    <label>Search mappings</label>
+                    <input
+                        type="text"
+                        value={search}
+                        placeholder="Brightpearl or Infoplus SKU"
+                        onChange={(e) => setSearch(e.target.value)}
+                    />
+                </div>
+            </div>
+
+            {Object.keys(groupedMappings).length === 0 ? (
+                <div className="no-data">No SKU mappings{searchTerm ? ' match this search' : ' yet'}.</div>
+            ) : (
+                <table className="inventory-table">
+                    <thead>
+                        <tr>
+                            <th>Brightpearl SKU</th>
+                            <th>Infoplus SKU</th>
+                            <th>Multiplier</th>
+                            <th>Notes</th>
+                            {canManage && <th></th>}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {Object.values(groupedMappings).map(group => group.components.map((mapping, index) => (
+                            <tr key={mapping.id} className={index > 0 ? 'kit-component' : ''}>
+                                <td>
+                                    {index === 0 && <code>{group.brightpearlSku}</code>}
+                                    {index === 0 && group.components.length > 1 && (
+                                        <span className="kit-badge">Kit · {group.components.length} components</span>
+                                    )}
+                                </td>
+                                <td><code>{mapping.infoplus_sku}</code></td>
+                                <td>×{Number(mapping.quantity_multiplier)}</td>
+                                <td>{mapping.notes}</td>
+                                {canManage && (
+                                    <td>
+                                        <button className="btn-small" onClick={() => deleteMapping(mapping)}>Remove</button>
+                                    </td>
+                                )}
+                            </tr>
+                        )))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+export default SkuMappings;
@@ -0,0 +1,340 @@
+import React, { useState, useEffect } from 'react';
+import './TemplateVariants.css';
+import { PERMISSIONS, hasPermission } from './permissions';
+
+const API_BASE = '/texon-invoicing-portal/api';
+
+const EMPTY_FORM = { id: null, name: '', weight: 50, isControl: false, subject: '', html: '', body: '', useLayout: true };
+
+const formatRate = (window) => {
+    if (!window || window.eligible === 0) return '—';
+    return `${window.rate}% (${window.paid}/${window.eligible})`;
+};
+
+/**
+ * A/B test of a campaign template: variants with a traffic split, and how many of each
+ * variant's invoices were paid within 7 and 14 days of the email
+ */
+const TemplateVariants = ({ campaign, token, user, setMessage, liveTemplate }) => {
+    const [variants, setVariants] = useState([]);
+    const [report, setReport] = useState({});
+    const [loading, setLoading] = useState(false);
+    const [form, setForm] = useState(null);
+    const [formErrors, setFormErrors] = useState([]);
+    const [saving, setSaving] = useState(false);
+
+    const canEdit = hasPermission(user, PERMISSIONS.EDIT_TEMPLATES);
+    const variantsUrl = `${API_BASE}/automated-emails/campaigns/${campaign.id}/variants`;
+
+    const loadVariants = async () => {
+        setLoading(true);
+        try {
+            const [variantsResponse, reportResponse] = await Promise.all([
+                fetch(variantsUrl, { headers: { 'Authorization': `Bearer ${token}` } }),
+                fetch(`${variantsUrl}/report`, { headers: { 'Authorization': `Bearer ${token}` } })
+            ]);
+
+            if (variantsResponse.ok) {
+                const data = await variantsResponse.json();
+                setVariants(data.variants || []);
+            } else {
+                setVariants([]);
+            }
+
+            if (reportResponse.ok) {
+                const data = await reportResponse.json();
+                setReport(Object.fromEntries((data.variants || []).map(variant => [variant.id, variant])));
+            } else {
+                setReport({});
+            }
+        } catch (error) {
+            console.error('Error loading template variants:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        setForm(null);
+        loadVariants();
+    }, [campaign.id]);
+
+    const activeWeight = variants
+        .filter(variant => variant.is_active)
+        .reduce((sum, variant) => sum + variant.weight, 0);
+
+    const trafficShare = (variant) => (variant.is_active && activeWeight > 0
+        ? `${Math.round((variant.weight / activeWeight) * 100)}%`
+        : '—');
+
+    const saveVariant = async (variantId, body) => {
+        const response = await fetch(variantId ? `${variantsUrl}/${variantId}` : variantsUrl, {
+            method: variantId ? 'PUT' : 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            const error = new Error(data.error || 'Failed to save variant');
+            error.details = data.errors || [];
+            throw error;
+        }
+
+        return data.variant;
+    };
+
+    const submitForm = async () => {
+        setSaving(true);
+        setFormErrors([]);
+        try {
+            const variant = await saveVariant(form.id, {
+                variant_name: form.name,
+                weight: parseInt(form.weight),
+                is_control: form.isControl,
+                ...(!form.isControl && {
+                    subject_template: form.subject,
+                    html_body_template: form.html,
+                    body_template: form.body,
+                    use_layout: form.useLayout
+                })
+            });
+
+            setMessage({ text: `Variant "${variant.variant_name}" saved`, type: 'success' });
+            setForm(null);
+            await loadVariants();
+        } catch (error) {
+            console.error('Error saving template variant:', error);
+            setFormErrors(error.details?.length ? error.details : [error.message]);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const toggleActive = async (variant) => {
+        if (variant.is_active && !window.confirm(`Stop sending variant "${variant.variant_name}"? Its results stay in the report.`)) {
+            return;
+        }
+
+        try {
+            await saveVariant(variant.id, { is_active: !variant.is_active });
+            setMessage({
+                text: variant.is_active ? `Variant "${variant.variant_name}" retired` : `Variant "${variant.variant_name}" is sending again`,
+                type: 'success'
+            });
+            await loadVariants();
+        } catch (error) {
+            console.error('Error updating template variant:', error);
+            setMessage({ text: error.message, type: 'error' });
+        }
+    };
+
+    const editVariant = (variant) => {
+        setFormErrors([]);
+        setForm({
+            id: variant.id,
+            name: variant.variant_name,
+            weight: variant.weight,
+            isControl: !variant.subject_template,
+            subject: variant.subject_template || '',
+            html: variant.html_body_template || '',
+            body: variant.body_template || '',
+            useLayout: variant.use_layout !== false
+        });
+    };
+
+    const newVariant = () => {
+        setFormErrors([]);
+        setForm({ ...EMPTY_FORM, isControl: !variants.some(variant => !variant.subject_template) });
+    };
+
+    const copyLiveTemplate = () => {
+        setForm(prev => ({
+            ...prev,
+            subject: liveTemplate.subject,
+            html: liveTemplate.html,
+            body: liveTemplate.body,
+            useLayout: liveTemplate.useLayout
+        }));
+    };
+
+    return (
+        <div className="template-variants">
+            <div className="template-variants-header">
+                <h4>🧪 A/B Test</h4>
+                {canEdit && !form && (
+                    <button className="template-variants-add" onClick={newVariant}>+ Add Variant</button>
+                )}
+            </div>
+            <p className="template-variants-hint">
+                Each email this campaign sends picks an active variant at random, in proportion to its traffic share.
+                Without active variants the regular template is sent. Paid rates count invoices paid within 7 and 14 days
+                of the email, once that many days have passed.
+            </p>
+
+            {loading ? (
+                <p className="template-variants-empty">Loading variants...</p>
+            ) : variants.length === 0 ? (
+                <p className="template-variants-empty">No variants - this campaign is not A/B testing.</p>
+            ) : (
+                <table className="template-variants-table">
+                    <thead>
+                        <tr>
+                            <th>Variant</th>
+                            <th>Traffic</th>
+                            <th>Sent</th>
+                            <th>Paid ≤ 7 days</th>
+                            <th>Paid ≤ 14 days</th>
+                            <th>Avg. days to pay</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {variants.map(variant => {
+                            const results = report[variant.id];
+                            const pending = results?.windows.find(window => window.days === 14)?.pending || 0;
+
+                            return (
+                                <tr key={variant.id} className={variant.is_active ? '' : 'retired'}>
+                                    <td>
+                                        {variant.variant_name}
+                                        <small>
+                                            {variant.subject_template ? 'Own template' : 'Live campaign template (control)'}
+                                            {!variant.is_active && ' · retired'}
+                                        </small>
+                                    </td>
+                                    <td>{trafficShare(variant)}</td>
+                                    <td>
+                                        {results?.sent || 0}
+                                        {pending > 0 && <small>{pending} still in 14-day window</small>}
+                                    </td>
+                                    <td>{formatRate(results?.windows.find(window => window.days === 7))}</td>
+                                    <td>{formatRate(results?.windows.find(window => window.days === 14))}</td>
+                                    <td>{results?.averageDaysToPay ?? '—'}</td>
+                                    <td className="template-variant-actions">
+                                        {canEdit && (
+                                            <>
+                                                <button onClick={() => editVariant(variant)}>Edit</button>
+                                                <button onClick={() => toggleActive(variant)}>
+                                                    {variant.is_active ? 'Retire' : 'Reactivate'}
+                                                </button>
+                                            </>
+                                        )}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            )}
+
+            {form && (
+                <div className="template-variant-form">
+                    <h5>{form.id ? `Edit Variant "${form.name}"` : 'New Variant'}</h5>
+
+                    {formErrors.length > 0 && (
+                        <div className="template-errors">
+                            <strong>⚠️ Variant not saved</strong>
+                            <ul>
+                                {formErrors.map((error, index) => (
+                                    <li key={index}>{error}</li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+
+                    <div className="template-variant-form-row">
+                        <label>
+                            Name
+                            <input
+                                type="text"
+                                value={form.name}
+                                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                                placeholder="e.g. Friendly tone"
+                                maxLength={100}
+                            />
+                        </label>
+                        <label>
+                            Traffic share
+                            <input
+                                type="number"
+                                min="0"
+                                max="100"
+                                value={form.weight}
+                                onChange={(e) => setForm({ ...form, weight: e.target.value })}
+                            />
+                        </label>
+                    </div>
+
+                    <label className="checkbox-label">
+                        <input
+                            type="checkbox"
+                            checked={form.isControl}
+                            onChange={(e) => setForm({ ...form, isControl: e.target.checked })}
+                        />
+                        Send the campaign's live template (control)
+                    </label>
+
+                    {!form.isControl && (
+                        <>
+                            <button className="template-variant-copy" onClick={copyLiveTemplate}>
+                                Copy live template
+                            </button>
+                            <label>
+                                Subject
+                                <input
+                                    type="text"
+                                    value={form.subject}
+                                    onChange={(e) => setForm({ ...form, subject: e.target.value })}
+                                />
+                            </label>
+                            <label>
+                                HTML Body
+                                <textarea
+                                    rows={10}
+                                    value={form.html}
+                                    onChange={(e) => setForm({ ...form, html: e.target.value })}
+                                />
+                            </label>
+                            <label>
+                                Plain-Text Body
+                                <textarea
+                                    rows={6}
+                                    value={form.body}
+                                    onChange={(e) => setForm({ ...form, body: e.target.value })}
+                                    placeholder="Leave empty to generate it from the HTML body"
+                                />
+                            </label>
+                            <label className="checkbox-label">
+                                <input
+                                    type="checkbox"
+                                    checked={form.useLayout}
+                                    onChange={(e) => setForm({ ...form, useLayout: e.target.checked })}
+                                />
+                                Wrap in the branded email layout
+                            </label>
+                            <p className="field-hint">
+                                Same variables and syntax as the template editor. Consolidated campaigns send every
+                                invoice through {'{#INVOICES}'}...{'{/INVOICES}'}.
+                            </p>
+                        </>
+                    )}
+
+                    <div className="template-variant-form-actions">
+                        <button className="btn-primary" onClick={submitForm} disabled={saving}>
+                            {saving ? 'Saving...' : 'Save Variant'}
+                        </button>
+                        <button className="btn-secondary" onClick={() => setForm(null)} disabled={saving}>
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TemplateVariants;
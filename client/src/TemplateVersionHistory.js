@@ -0,0 +1,280 @@
+import React, { useState, useEffect } from 'react';
+import './TemplateVersionHistory.css';
+import { PERMISSIONS, hasPermission } from './permissions';
+
+const API_BASE = '/texon-invoicing-portal/api';
+
+const authorName = (author) => (author?.first_name && author?.last_name
+    ? `${author.first_name} ${author.last_name}`
+    : author?.email || 'System');
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '');
+
+const DIFF_PREFIX = { added: '+', removed: '-', same: ' ' };
+
+/**
+ * Version history of a campaign template: every save, drafts awaiting approval,
+ * line diff between versions and rollback
+ */
+const TemplateVersionHistory = ({ campaign, token, user, setMessage, refreshKey, onTemplateChanged, onOpenVersion }) => {
+    const [versions, setVersions] = useState([]);
+    const [activeVersionId, setActiveVersionId] = useState(null);
+    const [approvalRequired, setApprovalRequired] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [comparison, setComparison] = useState({ from: '', to: '' });
+    const [diff, setDiff] = useState(null);
+    const [busyVersionId, setBusyVersionId] = useState(null);
+
+    const canEdit = hasPermission(user, PERMISSIONS.EDIT_TEMPLATES);
+    const canApprove = hasPermission(user, PERMISSIONS.APPROVE_TEMPLATES);
+    const versionsUrl = `${API_BASE}/automated-emails/campaigns/${campaign.id}/template/versions`;
+
+    const loadVersions = async () => {
+        setLoading(true);
+        try {
+            const response = await fetch(versionsUrl, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+
+            if (response.ok) {
+                const data = await response.json();
+                setVersions(data.versions || []);
+                setActiveVersionId(data.activeVersionId);
+                setApprovalRequired(data.approvalRequired);
+            } else {
+                setVersions([]);
+            }
+        } catch (error) {
+            console.error('Error loading template versions:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        setDiff(null);
+        setComparison({ from: '', to: '' });
+        loadVersions();
+    }, [campaign.id, refreshKey]);
+
+    const compare = async (fromId, toId) => {
+        setComparison({ from: fromId, to: toId });
+        if (!fromId || !toId) {
+            setDiff(null);
+            return;
+        }
+
+        try {
+            const response = await fetch(`${versionsUrl}/diff?from=${fromId}&to=${toId}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to compare versions');
+            }
+
+            setDiff(data);
+        } catch (error) {
+            console.error('Error comparing template versions:', error);
+            setMessage({ text: error.message, type: 'error' });
+        }
+    };
+
+    const compareWithPrevious = (version) => {
+        const previous = versions.find(v => v.version_number === version.version_number - 1);
+        if (previous) compare(previous.id, version.id);
+    };
+
+    const changeVersion = async (version, action) => {
+        if (action === 'restore' && !window.confirm(`Roll the template back to version ${version.version_number}?`)) {
+            return;
+        }
+
+        setBusyVersionId(version.id);
+        try {
+            const response = await fetch(`${versionsUrl}/${version.id}/${action}`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || `Failed to ${action} version`);
+            }
+
+            setMessage({
+                text: data.activated
+                    ? `Version ${data.version.version_number} is now live`
+                    : `Saved as draft version ${data.version.version_number} - it goes live once approved`,
+                type: 'success'
+            });
+            await loadVersions();
+            if (data.activated && onTemplateChanged) onTemplateChanged();
+        } catch (error) {
+            console.error(`Error on template version ${action}:`, error);
+            setMessage({ text: error.message, type: 'error' });
+        } finally {
+            setBusyVersionId(null);
+        }
+    };
+
+    const toggleApprovalRequired = async (required) => {
+        try {
+            const response = await fetch(`${API_BASE}/automated-emails/template-approval`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ required })
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to update approval setting');
+            }
+
+            setApprovalRequired(required);
+            setMessage({
+                text: required ? 'Template changes now need approval before they go live' : 'Template changes go live when saved',
+                type: 'success'
+            });
+        } catch (error) {
+            console.error('Error updating template approval setting:', error);
+            setMessage({ text: error.message, type: 'error' });
+        }
+    };
+
+    const versionLabel = (version) => `v${version.version_number} · ${formatDateTime(version.created_at)}`;
+
+    return (
+        <div className="template-versions">
+            <div className="template-versions-header">
+                <h4>🕘 Version History</h4>
+                <label className="template-approval-toggle" title={canApprove ? '' : 'Only users who can approve templates can change this'}>
+                    <input
+                        type="checkbox"
+                        checked={approvalRequired}
+                        onChange={(e) => toggleApprovalRequired(e.target.checked)}
+                        disabled={!canApprove}
+                    />
+                    Require approval before changes go live (applies to all templates)
+                </label>
+            </div>
+
+            {loading ? (
+                <p className="template-versions-empty">Loading versions...</p>
+            ) : versions.length === 0 ? (
+                <p className="template-versions-empty">No saved versions yet - the first save of this template creates one.</p>
+            ) : (
+                <table className="template-versions-table">
+                    <thead>
+                        <tr>
+                            <th>Version</th>
+                            <th>Status</th>
+                            <th>Saved by</th>
+                            <th>Saved</th>
+                            <th>Change</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {versions.map(version => (
+                            <tr key={version.id} className={version.id === activeVersionId ? 'live' : ''}>
+                                <td>v{version.version_number}</td>
+                                <td>
+                                    {version.id === activeVersionId ? (
+                                        <span className="version-status live">Live</span>
+                                    ) : (
+                                        <span className={`version-status ${version.status}`}>
+                                            {version.status === 'draft' ? 'Draft' : 'Approved'}
+                                        </span>
+                                    )}
+                                    {version.approver && authorName(version.approver) !== authorName(version.author) && (
+                                        <small>by {authorName(version.approver)}</small>
+                                    )}
+                                </td>
+                                <td>{authorName(version.author)}</td>
+                                <td>{formatDateTime(version.created_at)}</td>
+                                <td>{version.change_note || ''}</td>
+                                <td className="template-version-actions">
+                                    {version.version_number > 1 && (
+                                        <button onClick={() => compareWithPrevious(version)}>Diff</button>
+                                    )}
+                                    {canEdit && onOpenVersion && (
+                                        <button onClick={() => onOpenVersion(version)}>Open in editor</button>
+                                    )}
+                                    {canApprove && version.status === 'draft' && (
+                                        <button
+                                            className="approve"
+                                            onClick={() => changeVersion(version, 'approve')}
+                                            disabled={busyVersionId === version.id}
+                                        >
+                                            ✅ Approve
+                                        </button>
+                                    )}
+                                    {canEdit && version.id !== activeVersionId && (
+                                        <button
+                                            onClick={() => changeVersion(version, 'restore')}
+                                            disabled={busyVersionId === version.id}
+                                        >
+                                            ⏪ Roll back
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            {versions.length > 1 && (
+                <div className="template-diff">
+                    <div className="template-diff-controls">
+                        <span>Compare</span>
+                        <select value={comparison.from} onChange={(e) => compare(e.target.value, comparison.to)}>
+                            <option value="">Select version...</option>
+                            {versions.map(version => (
+                                <option key={version.id} value={version.id}>{versionLabel(version)}</option>
+                            ))}
+                        </select>
+                        <span>with</span>
+                        <select value={comparison.to} onChange={(e) => compare(comparison.from, e.target.value)}>
+                            <option value="">Select version...</option>
+                            {versions.map(version => (
+                                <option key={version.id} value={version.id}>{versionLabel(version)}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {diff && (
+                        <div className="template-diff-result">
+                            {diff.layoutChanged && (
+                                <p className="template-diff-note">
+                                    Branded layout: {diff.from.use_layout ? 'on' : 'off'} → {diff.to.use_layout ? 'on' : 'off'}
+                                </p>
+                            )}
+                            {diff.fields.filter(field => field.changed).length === 0 && !diff.layoutChanged && (
+                                <p className="template-diff-note">The two versions are identical.</p>
+                            )}
+                            {diff.fields.filter(field => field.changed).map(field => (
+                                <div key={field.field} className="template-diff-field">
+                                    <h5>{field.label}</h5>
+                                    <pre>
+                                        {field.lines.map((line, index) => (
+                                            <div key={index} className={`diff-line ${line.type}`}>
+                                                {DIFF_PREFIX[line.type]} {line.text}
+                                            </div>
+                                        ))}
+                                    </pre>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TemplateVersionHistory;
@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import './WarehouseMappings.css';
+
+const API_BASE = '/texon-invoicing-portal/api';
+
+const WarehouseMappings = ({ token, canManage }) => {
+    const [mappings, setMappings] = useState([]);
+    const [warehouses, setWarehouses] = useState({ brightpearl: [], infoplus: [], errors: {} });
+    const [loading, setLoading] = useState(true);
+    const [brightpearlId, setBrightpearlId] = useState('');
+    const [infoplusId, setInfoplusId] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        loadData();
+    }, []);
+
+    const loadData = async () => {
+        setLoading(true);
+        try {
+            await Promise.all([loadMappings(), canManage ? loadWarehouses() : null]);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const loadMappings = async () => {
+        try {
+            const response = await fetch(`${API_BASE}/warehouse-mappings`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const result = await response.json();
+            if (response.ok && result.success) {
+                setMappings(result.mappings || []);
+            }
+        } catch (error) {
+            console.error('Error loading warehouse mappings:', error);
+        }
+    };
+
+    // Live warehouse lists from both systems, only needed for adding pairs
+    const loadWarehouses = async () => {
+        try {
+            const response = await fetch(`${API_BASE}/warehouse-mappings/warehouses`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const result = await response.json();
+            if (response.ok && result.success) {
+                setWarehouses(result);
+            }
+        } catch (error) {
+            console.error('Error loading warehouses:', error);
+        }
+    };
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        const brightpearlWarehouse = warehouses.brightpearl.find(warehouse => String(warehouse.id) === brightpearlId);
+        const infoplusWarehouse = warehouses.infoplus.find(warehouse => String(warehouse.id) === infoplusId);
+
+        setSaving(true);
+        try {
+            const response = await fetch(`${API_BASE}/warehouse-mappings`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({
+                    brightpearlWarehouseId: brightpearlId,
+                    brightpearlWarehouseName: brightpearlWarehouse ? brightpearlWarehouse.name : null,
+                    infoplusWarehouseId: infoplusId,
+                    infoplusWarehouseName: infoplusWarehouse ? infoplusWarehouse.name : null
+                })
+            });
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                setBrightpearlId('');
+                setInfoplusId('');
+                await loadMappings();
+            } else {
+                alert(`Failed to save warehouse mapping: ${result.error || result.message}`);
+            }
+        } catch (error) {
+            console.error('Error saving warehouse mapping:', error);
+            alert('Failed to save warehouse mapping');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const deleteMapping = async (mapping) => {
+        if (!window.confirm(`Stop comparing ${mapping.brightpearl_warehouse_name || mapping.brightpearl_warehouse_id} ↔ ${mapping.infoplus_warehouse_name || mapping.infoplus_warehouse_id}?`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE}/warehouse-mappings/${mapping.id}`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                await loadMappings();
+            } else {
+                alert(`Failed to delete warehouse mapping: ${result.error || result.message}`);
+            }
+        } catch (error) {
+            console.error('Error deleting warehouse mapping:', error);
+            alert('Failed to delete warehouse mapping');
+        }
+    };
+
+    if (loading) {
+        return <div className="loading-state">Loading warehouse mappings...</div>;
+    }
+
+    const mappedBrightpearl = new Set(mappings.map(mapping => String(mapping.brightpearl_warehouse_id)));
+    const mappedInfoplus = new Set(mappings.map(mapping => String(mapping.infoplus_warehouse_id)));
+
+    return (
+        <div className="warehouse-mappings">
+            <p className="warehouse-mappings-description">
+                Pair each Brightpearl warehouse with the Infoplus warehouse that holds the same stock.
+                Mapped pairs get an on-hand / allocated / available comparison per location in every run
+                and their own sheet in the Excel report. Stock in unmapped warehouses only counts towards the SKU totals.
+            </p>
+
+            {canManage && (
+                <>
+                    {(warehouses.errors.brightpearl || warehouses.errors.infoplus) && (
+                        <div className="error-message">
+                            {warehouses.errors.brightpearl && <div>Brightpearl warehouses unavailable: {warehouses.errors.brightpearl}</div>}
+                            {warehouses.errors.infoplus && <div>Infoplus warehouses unavailable: {warehouses.errors.infoplus}</div>}
+                        </div>
+                    )}
+
+                    <form className="diff-controls" onSubmit={handleAdd}>
+                        <div className="filter-group">
+                            <label>Brightpearl warehouse</label>
+                            <select value={brightpearlId} onChange={(e) => setBrightpearlId(e.target.value)} required>
+                                <option value="">Select...</option>
+                                {warehouses.brightpearl
+                                    .filter(warehouse => !mappedBrightpearl.has(String(warehouse.id)))
+                                    .map(warehouse => (
+                                        <option key={warehouse.id} value={warehouse.id}>{warehouse.name} (#{warehouse.id})</option>
+                                    ))}
+                            </select>
+                        </div>
+                        <div className="filter-group">
+                            <label>Infoplus warehouse</label>
+                            <select value={infoplusId} onChange={(e) => setInfoplusId(e.target.value)} required>
+                                <option value="">Select...</option>
+                                {warehouses.infoplus
+                                    .filter(warehouse => !mappedInfoplus.has(String(warehouse.id)))
+                                    .map(warehouse => (
+                                        <option key={warehouse.id} value={warehouse.id}>{warehouse.name} (#{warehouse.id})</option>
+                                    ))}
+                            </select>
+                        </div>
+                        <button type="submit" className="btn-primary" disabled={saving}>
+                            {saving ? 'Saving...' : '+ Map Warehouses'}
+                        </button>
+                    </form>
+                </>
+            )}
+
+            {mappings.length === 0 ? (
+                <div className="no-data">No warehouses mapped yet - runs compare SKU totals only.</div>
+            ) : (
+                <table className="inventory-table">
+                    <thead>
+                        <tr>
+                            <th>Brightpearl warehouse</th>
+                            <th>Infoplus warehouse</th>
+                            <th>Mapped</th>
+                            {canManage && <th></th>}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {mappings.map(mapping => (
+                            <tr key={mapping.id}>
+                                <td>{mapping.brightpearl_warehouse_name || '—'} <span className="warehouse-id">#{mapping.brightpearl_warehouse_id}</span></td>
+                                <td>{mapping.infoplus_warehouse_name || '—'} <span className="warehouse-id">#{mapping.infoplus_warehouse_id}</span></td>
+                                <td>{new Date(mapping.created_at).toLocaleDateString()}</td>
+                                {canManage && (
+                                    <td>
+                                        <button className="btn-small" onClick={() => deleteMapping(mapping)}>Remove</button>
+                                    </td>
+                                )}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+export default WarehouseMappings;
@@ -0,0 +1,269 @@
+import React, { useState, useEffect } from 'react';
+import { PERMISSIONS, hasPermission } from './permissions';
+import CollectorAssignmentRules from './CollectorAssignmentRules';
+import './Worklist.css';
+
+const API_BASE = '/texon-invoicing-portal/api';
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount || 0);
+
+const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString();
+
+const collectorName = (collector) => (collector?.first_name && collector?.last_name
+    ? `${collector.first_name} ${collector.last_name}`
+    : collector?.email || 'Unknown');
+
+const Worklist = ({ token, user, onFollowUpsChanged, onOpenCustomer }) => {
+    const canAssignAccounts = hasPermission(user, PERMISSIONS.ASSIGN_ACCOUNTS);
+    const [worklist, setWorklist] = useState([]);
+    const [summary, setSummary] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [collectors, setCollectors] = useState([]);
+    const [selectedUserId, setSelectedUserId] = useState('');
+    const [followUps, setFollowUps] = useState([]);
+
+    useEffect(() => {
+        if (canAssignAccounts) loadCollectors();
+    }, []);
+
+    useEffect(() => {
+        loadWorklist();
+    }, [selectedUserId]);
+
+    useEffect(() => {
+        loadFollowUps();
+    }, []);
+
+    const loadWorklist = async () => {
+        setLoading(true);
+        try {
+            const response = await fetch(`${API_BASE}/worklist${selectedUserId ? `?user_id=${selectedUserId}` : ''}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                setWorklist(data.worklist || []);
+                setSummary(data.summary);
+                setError(null);
+            } else {
+                setError(data.error || 'Failed to load worklist');
+            }
+        } catch (err) {
+            console.error('Error loading worklist:', err);
+            setError('Failed to load worklist');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const loadFollowUps = async () => {
+        try {
+            const response = await fetch(`${API_BASE}/follow-ups`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (response.ok && data.success) {
+                setFollowUps(data.tasks || []);
+            }
+        } catch (err) {
+            console.error('Error loading follow-ups:', err);
+        }
+    };
+
+    const completeFollowUp = async (task) => {
+        try {
+            const response = await fetch(`${API_BASE}/follow-ups/${task.id}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ done: true })
+            });
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                setFollowUps(prev => prev.filter(t => t.id !== task.id));
+                if (onFollowUpsChanged) onFollowUpsChanged();
+                if (!selectedUserId) loadWorklist();
+            } else {
+                alert(data.error || 'Failed to complete follow-up');
+            }
+        } catch (err) {
+            console.error('Error completing follow-up:', err);
+            alert('Failed to complete follow-up');
+        }
+    };
+
+    const refresh = () => {
+        loadWorklist();
+        loadFollowUps();
+        if (onFollowUpsChanged) onFollowUpsChanged();
+    };
+
+    const loadCollectors = async () => {
+        try {
+            const response = await fetch(`${API_BASE}/collectors`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (response.ok && data.success) {
+                setCollectors(data.collectors || []);
+            }
+        } catch (err) {
+            console.error('Error loading collectors:', err);
+        }
+    };
+
+    return (
+        <div className="worklist">
+            <div className="worklist-header">
+                <div>
+                    <h2>📋 {selectedUserId ? `Worklist: ${collectorName(collectors.find(c => String(c.id) === selectedUserId))}` : 'My Worklist'}</h2>
+                    <p className="worklist-description">
+                        Invoices of the accounts assigned to {selectedUserId ? 'this collector' : 'you'}, highest amount × days outstanding first.
+                        Follow-up dates come from the order notes.
+                    </p>
+                </div>
+                <div className="worklist-controls">
+                    {canAssignAccounts && (
+                        <select value={selectedUserId} onChange={(e) => setSelectedUserId(e.target.value)}>
+                            <option value="">My worklist</option>
+                            {collectors.filter(collector => collector.id !== user.id).map(collector => (
+                                <option key={collector.id} value={collector.id}>{collectorName(collector)}</option>
+                            ))}
+                        </select>
+                    )}
+                    <button className="btn-secondary" onClick={refresh} disabled={loading}>🔄 Refresh</button>
+                </div>
+            </div>
+
+            {summary && (
+                <div className="worklist-summary">
+                    <div>
+                        <strong>{summary.accountCount}</strong>
+                        <span>Accounts</span>
+                    </div>
+                    <div>
+                        <strong>{summary.invoiceCount}</strong>
+                        <span>Open invoices</span>
+                    </div>
+                    <div>
+                        <strong>{formatCurrency(summary.totalOutstanding)}</strong>
+                        <span>Outstanding</span>
+                    </div>
+                    <div className={summary.followUpsDue > 0 ? 'due' : ''}>
+                        <strong>{summary.followUpsDue}</strong>
+                        <span>Follow-ups due</span>
+                    </div>
+                </div>
+            )}
+
+            {followUps.length > 0 && (
+                <div className="worklist-follow-ups">
+                    <h3>✅ My follow-ups ({followUps.length})</h3>
+                    <table className="worklist-table">
+                        <thead>
+                            <tr>
+                                <th>Due</th>
+                                <th>Order</th>
+                                <th>Customer</th>
+                                <th>Outstanding</th>
+                                <th>Note</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {followUps.map(task => (
+                                <tr key={task.id}>
+                                    <td className={task.overdue ? 'overdue' : task.due_today ? 'due-today' : ''}>
+                                        {formatDate(task.follow_up_date)}
+                                        {task.overdue && ' (overdue)'}
+                                        {task.due_today && ' (today)'}
+                                    </td>
+                                    <td>{task.invoice?.order_reference || `#${task.order_id}`}</td>
+                                    <td>
+                                        {task.invoice?.billing_contact_id && onOpenCustomer ? (
+                                            <button className="customer-link" onClick={() => onOpenCustomer(task.invoice.billing_contact_id)}>
+                                                {task.invoice.customer || 'Unknown'}
+                                            </button>
+                                        ) : task.invoice?.customer || '–'}
+                                    </td>
+                                    <td>{task.invoice ? formatCurrency(task.invoice.outstanding_amount) : 'Settled'}</td>
+                                    <td>
+                                        <div className="follow-up-note" title={task.note}>{task.note}</div>
+                                        {task.author && task.created_by !== user.id && (
+                                            <div className="follow-up-author">from {collectorName(task.author)}</div>
+                                        )}
+                                    </td>
+                                    <td>
+                                        <button className="btn-secondary btn-small" onClick={() => completeFollowUp(task)}>✓ Done</button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {loading ? (
+                <div className="loading-state">Loading worklist...</div>
+            ) : error ? (
+                <div className="no-data">{error}</div>
+            ) : worklist.length === 0 ? (
+                <div className="no-data">No invoices assigned{selectedUserId ? '' : ' to you'}.</div>
+            ) : (
+                <table className="worklist-table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Order</th>
+                            <th>Customer</th>
+                            <th>Outstanding</th>
+                            <th>Days</th>
+                            <th>Priority</th>
+                            <th>Next follow-up</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {worklist.map((invoice, index) => (
+                            <tr key={invoice.id}>
+                                <td>{index + 1}</td>
+                                <td>
+                                    {invoice.order_reference || `#${invoice.id}`}
+                                    {invoice.dispute_id && <span className="worklist-flag" title="Disputed">⚖️</span>}
+                                </td>
+                                <td>
+                                    {invoice.billing_contact_id && onOpenCustomer ? (
+                                        <button className="customer-link" onClick={() => onOpenCustomer(invoice.billing_contact_id)}>
+                                            {invoice.billing_company_name || invoice.billing_contact_name || 'Unknown'}
+                                        </button>
+                                    ) : invoice.billing_company_name || invoice.billing_contact_name || '–'}
+                                </td>
+                                <td>{formatCurrency(invoice.outstanding_amount)}</td>
+                                <td>{invoice.days_outstanding}</td>
+                                <td>{invoice.priority_score.toLocaleString()}</td>
+                                <td className={invoice.follow_up?.overdue ? 'overdue' : invoice.follow_up?.due_today ? 'due-today' : ''}>
+                                    {invoice.follow_up ? (
+                                        <>
+                                            {formatDate(invoice.follow_up.date)}
+                                            {invoice.follow_up.overdue && ' (overdue)'}
+                                            {invoice.follow_up.due_today && ' (today)'}
+                                            <div className="follow-up-note" title={invoice.follow_up.note}>{invoice.follow_up.note}</div>
+                                        </>
+                                    ) : '–'}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            {canAssignAccounts && <CollectorAssignmentRules token={token} collectors={collectors} />}
+        </div>
+    );
+};
+
+export default Worklist;
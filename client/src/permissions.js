@@ -0,0 +1,23 @@
+// Permission names - must match permissions.js on the server
+export const PERMISSIONS = {
+  SEND_EMAIL: 'send_email',
+  MANAGE_COLLECTIONS: 'manage_collections',
+  ASSIGN_ACCOUNTS: 'assign_accounts',
+  EDIT_TEMPLATES: 'edit_templates',
+  APPROVE_TEMPLATES: 'approve_templates',
+  TOGGLE_AUTOMATION: 'toggle_automation',
+  MANAGE_USERS: 'manage_users',
+  RUN_INVENTORY_COMPARISON: 'run_inventory_comparison',
+  MANAGE_SETTINGS: 'manage_settings',
+  VIEW_AUDIT_LOG: 'view_audit_log'
+};
+
+// The server sends the user's permissions at login and on /auth/verify
+export const hasPermission = (user, permission) => {
+  if (!user) return false;
+  if (!Array.isArray(user.permissions)) {
+    // Session saved before permissions existed - only admins had elevated access
+    return user.role === 'admin';
+  }
+  return user.permissions.includes(permission);
+};
@@ -0,0 +1,530 @@
+const { createClient } = require('@supabase/supabase-js');
+const ReminderCalendarService = require('./reminder-calendar-service');
+
+const RULE_TYPES = {
+    name_range: 'Customer name range',
+    balance_band: 'Balance band',
+    region: 'Region'
+};
+
+const PAGE_SIZE = 1000; // PostgREST returns at most 1000 rows per request
+const ID_CHUNK_SIZE = 200;
+
+const COLLECTOR_SELECT = 'id, first_name, last_name, email';
+
+/**
+ * Collector Assignment Service
+ * Assigns customer accounts (billing contacts) to collectors, either manually or through
+ * rules on the account name, its total outstanding balance or its billing region. The
+ * resolved collector is stamped on cached_invoices.assigned_to, which drives the
+ * `assigned_to` dashboard filter and each collector's worklist.
+ */
+class CollectorAssignmentService {
+    constructor() {
+        this.supabase = createClient(
+            process.env.SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_KEY,
+            {
+                auth: {
+                    autoRefreshToken: false,
+                    persistSession: false
+                }
+            }
+        );
+
+        this.reminderCalendarService = new ReminderCalendarService();
+    }
+
+    /**
+     * Assignment rules in the order they are applied
+     */
+    async getRules() {
+        try {
+            const { data, error } = await this.supabase
+                .from('collector_assignment_rules')
+                .select(`*, collector:app_users!collector_assignment_rules_user_id_fkey (${COLLECTOR_SELECT})`)
+                .order('priority', { ascending: true })
+                .order('id', { ascending: true });
+
+            if (error) {
+                console.error('❌ Error fetching assignment rules:', error);
+                return { success: false, error: error.message };
+            }
+
+            return { success: true, rules: data || [] };
+        } catch (error) {
+            console.error('❌ Error in getRules:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Validate rule input and map it to table columns. Criteria that do not belong to
+     * the rule type are cleared.
+     */
+    buildRule({ name, userId, ruleType, priority, nameFrom, nameTo, minBalance, maxBalance, regions, isActive }) {
+        if (!name || !name.trim()) {
+            return { error: 'Rule name is required' };
+        }
+        if (!userId) {
+            return { error: 'Collector is required' };
+        }
+        if (!RULE_TYPES[ruleType]) {
+            return { error: `Rule type must be one of: ${Object.keys(RULE_TYPES).join(', ')}` };
+        }
+
+        const rule = {
+            name: name.trim(),
+            user_id: parseInt(userId),
+            rule_type: ruleType,
+            priority: priority === undefined || priority === null || priority === '' ? 100 : parseInt(priority),
+            name_from: null,
+            name_to: null,
+            min_balance: null,
+            max_balance: null,
+            regions: null,
+            is_active: isActive !== false
+        };
+
+        if (isNaN(rule.priority)) {
+            return { error: 'Priority must be a number' };
+        }
+
+        if (ruleType === 'name_range') {
+            rule.name_from = (nameFrom || '').trim().toUpperCase();
+            rule.name_to = (nameTo || '').trim().toUpperCase();
+            if (!rule.name_from || !rule.name_to) {
+                return { error: 'Name range needs both a start and an end (e.g. A to F)' };
+            }
+            if (rule.name_from > rule.name_to) {
+                return { error: 'Name range start must come before its end' };
+            }
+        } else if (ruleType === 'balance_band') {
+            const parseAmount = (value) => value === undefined || value === null || value === '' ? null : parseFloat(value);
+            rule.min_balance = parseAmount(minBalance);
+            rule.max_balance = parseAmount(maxBalance);
+            if (rule.min_balance === null && rule.max_balance === null) {
+                return { error: 'Balance band needs a minimum, a maximum or both' };
+            }
+            if (isNaN(rule.min_balance) || isNaN(rule.max_balance)) {
+                return { error: 'Balance band amounts must be numbers' };
+            }
+            if (rule.min_balance !== null && rule.max_balance !== null && rule.min_balance >= rule.max_balance) {
+                return { error: 'Balance band minimum must be below its maximum' };
+            }
+        } else {
+            const list = Array.isArray(regions) ? regions : String(regions || '').split(',');
+            rule.regions = list.map(region => String(region).trim()).filter(Boolean);
+            if (rule.regions.length === 0) {
+                return { error: 'Region rule needs at least one region' };
+            }
+        }
+
+        return { rule };
+    }
+
+    async createRule(ruleData, createdBy) {
+        try {
+            const { rule, error: validationError } = this.buildRule(ruleData);
+            if (validationError) {
+                return { success: false, error: validationError };
+            }
+
+            const { data, error } = await this.supabase
+                .from('collector_assignment_rules')
+                .insert({ ...rule, created_by: createdBy })
+                .select()
+                .single();
+
+            if (error) {
+                console.error('❌ Error creating assignment rule:', error);
+                return { success: false, error: error.message };
+            }
+
+            return { success: true, rule: data };
+        } catch (error) {
+            console.error('❌ Error in createRule:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async updateRule(ruleId, ruleData) {
+        try {
+            const { rule, error: validationError } = this.buildRule(ruleData);
+            if (validationError) {
+                return { success: false, error: validationError };
+            }
+
+            const { data, error } = await this.supabase
+                .from('collector_assignment_rules')
+                .update({ ...rule, updated_at: new Date().toISOString() })
+                .eq('id', ruleId)
+                .select()
+                .maybeSingle();
+
+            if (error) {
+                console.error('❌ Error updating assignment rule:', error);
+                return { success: false, error: error.message };
+            }
+
+            if (!data) {
+                return { success: false, error: 'Assignment rule not found', notFound: true };
+            }
+
+            return { success: true, rule: data };
+        } catch (error) {
+            console.error('❌ Error in updateRule:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async deleteRule(ruleId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('collector_assignment_rules')
+                .delete()
+                .eq('id', ruleId)
+                .select();
+
+            if (error) {
+                console.error('❌ Error deleting assignment rule:', error);
+                return { success: false, error: error.message };
+            }
+
+            if (!data || data.length === 0) {
+                return { success: false, error: 'Assignment rule not found', notFound: true };
+            }
+
+            return { success: true };
+        } catch (error) {
+            console.error('❌ Error in deleteRule:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Manual assignments with the account name from the invoice cache
+     */
+    async getAssignments() {
+        try {
+            const { data, error } = await this.supabase
+                .from('collector_assignments')
+                .select(`*, collector:app_users!collector_assignments_user_id_fkey (${COLLECTOR_SELECT})`)
+                .order('created_at', { ascending: false });
+
+            if (error) {
+                console.error('❌ Error fetching collector assignments:', error);
+                return { success: false, error: error.message };
+            }
+
+            const assignments = data || [];
+            const names = {};
+            const contactIds = assignments.map(assignment => assignment.billing_contact_id);
+            for (let i = 0; i < contactIds.length; i += ID_CHUNK_SIZE) {
+                const { data: invoices } = await this.supabase
+                    .from('cached_invoices')
+                    .select('billing_contact_id, billing_contact_name, billing_company_name')
+                    .in('billing_contact_id', contactIds.slice(i, i + ID_CHUNK_SIZE));
+
+                (invoices || []).forEach(invoice => {
+                    names[invoice.billing_contact_id] = invoice.billing_company_name || invoice.billing_contact_name;
+                });
+            }
+
+            assignments.forEach(assignment => {
+                assignment.account_name = names[assignment.billing_contact_id] || null;
+            });
+
+            return { success: true, assignments };
+        } catch (error) {
+            console.error('❌ Error in getAssignments:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Who an account is assigned to, and whether that is a manual assignment or a rule
+     */
+    async getAccountAssignment(billingContactId) {
+        try {
+            const { data: manual, error } = await this.supabase
+                .from('collector_assignments')
+                .select(`*, collector:app_users!collector_assignments_user_id_fkey (${COLLECTOR_SELECT})`)
+                .eq('billing_contact_id', billingContactId)
+                .maybeSingle();
+
+            if (error) {
+                console.error('❌ Error fetching account assignment:', error);
+                return { success: false, error: error.message };
+            }
+
+            if (manual) {
+                return { success: true, assignment: { source: 'manual', collector: manual.collector } };
+            }
+
+            const { data: invoice } = await this.supabase
+                .from('cached_invoices')
+                .select(`assigned_to, collector:app_users!cached_invoices_assigned_to_fkey (${COLLECTOR_SELECT})`)
+                .eq('billing_contact_id', billingContactId)
+                .not('assigned_to', 'is', null)
+                .limit(1)
+                .maybeSingle();
+
+            return {
+                success: true,
+                assignment: invoice ? { source: 'rule', collector: invoice.collector } : null
+            };
+        } catch (error) {
+            console.error('❌ Error in getAccountAssignment:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Assign an account to a collector by hand, or clear the manual assignment (userId null)
+     * so the rules apply again
+     */
+    async setAssignment(billingContactId, userId, assignedBy) {
+        try {
+            if (!billingContactId) {
+                return { success: false, error: 'Billing contact ID is required' };
+            }
+
+            const { error } = userId
+                ? await this.supabase
+                    .from('collector_assignments')
+                    .upsert({
+                        billing_contact_id: billingContactId,
+                        user_id: parseInt(userId),
+                        assigned_by: assignedBy,
+                        created_at: new Date().toISOString()
+                    }, { onConflict: 'billing_contact_id' })
+                : await this.supabase
+                    .from('collector_assignments')
+                    .delete()
+                    .eq('billing_contact_id', billingContactId);
+
+            if (error) {
+                console.error('❌ Error saving collector assignment:', error);
+                return { success: false, error: error.message };
+            }
+
+            const applied = await this.applyAssignments();
+            if (!applied.success) {
+                return applied;
+            }
+
+            console.log(`👤 Account ${billingContactId} ${userId ? `assigned to user ${userId}` : 'returned to the assignment rules'}`);
+            return { success: true };
+        } catch (error) {
+            console.error('❌ Error in setAssignment:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Whether an account matches an assignment rule
+     */
+    matchesRule(rule, account) {
+        switch (rule.rule_type) {
+            case 'name_range': {
+                const name = (account.name || '').trim().toUpperCase();
+                if (!name) return false;
+                return name.slice(0, rule.name_from.length) >= rule.name_from
+                    && name.slice(0, rule.name_to.length) <= rule.name_to;
+            }
+            case 'balance_band': {
+                const min = rule.min_balance === null ? null : parseFloat(rule.min_balance);
+                const max = rule.max_balance === null ? null : parseFloat(rule.max_balance);
+                return (min === null || account.balance >= min) && (max === null || account.balance < max);
+            }
+            case 'region': {
+                const regions = (rule.regions || []).map(region => region.toLowerCase());
+                return [account.region, account.country]
+                    .some(value => value && regions.includes(value.trim().toLowerCase()));
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Resolve the collector of every cached invoice (manual assignment first, then the first
+     * matching active rule) and update cached_invoices.assigned_to where it changed.
+     * Balance bands use the account's total outstanding across all its cached invoices.
+     */
+    async applyAssignments() {
+        try {
+            const [invoices, manualResult, rulesResult] = await Promise.all([
+                this.fetchCachedInvoices('id, billing_contact_id, billing_contact_name, billing_company_name, billing_region, billing_country, outstanding_amount, assigned_to'),
+                this.supabase.from('collector_assignments').select('billing_contact_id, user_id'),
+                this.supabase.from('collector_assignment_rules').select('*').eq('is_active', true)
+                    .order('priority', { ascending: true })
+                    .order('id', { ascending: true })
+            ]);
+
+            if (manualResult.error) throw manualResult.error;
+            if (rulesResult.error) throw rulesResult.error;
+
+            const manual = {};
+            (manualResult.data || []).forEach(assignment => {
+                manual[assignment.billing_contact_id] = assignment.user_id;
+            });
+            const rules = rulesResult.data || [];
+
+            // Group invoices into accounts; invoices without a billing contact stand alone
+            const accounts = {};
+            invoices.forEach(invoice => {
+                const key = invoice.billing_contact_id || `order-${invoice.id}`;
+                if (!accounts[key]) {
+                    accounts[key] = {
+                        contactId: invoice.billing_contact_id,
+                        name: invoice.billing_company_name || invoice.billing_contact_name,
+                        region: invoice.billing_region,
+                        country: invoice.billing_country,
+                        balance: 0,
+                        invoices: []
+                    };
+                }
+                accounts[key].balance += parseFloat(invoice.outstanding_amount) || 0;
+                accounts[key].invoices.push(invoice);
+            });
+
+            // Invoice IDs to update, grouped by their new collector ('none' clears the assignment)
+            const changes = {};
+            let assignedAccounts = 0;
+            Object.values(accounts).forEach(account => {
+                let collectorId = account.contactId ? manual[account.contactId] : undefined;
+                if (!collectorId) {
+                    collectorId = rules.find(rule => this.matchesRule(rule, account))?.user_id;
+                }
+                if (collectorId) assignedAccounts++;
+
+                account.invoices
+                    .filter(invoice => (invoice.assigned_to || null) !== (collectorId || null))
+                    .forEach(invoice => {
+                        const key = collectorId || 'none';
+                        (changes[key] = changes[key] || []).push(invoice.id);
+                    });
+            });
+
+            let updated = 0;
+            for (const [collectorId, ids] of Object.entries(changes)) {
+                for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+                    const chunk = ids.slice(i, i + ID_CHUNK_SIZE);
+                    const { error } = await this.supabase
+                        .from('cached_invoices')
+                        .update({ assigned_to: collectorId === 'none' ? null : parseInt(collectorId) })
+                        .in('id', chunk);
+
+                    if (error) throw error;
+                    updated += chunk.length;
+                }
+            }
+
+            const accountCount = Object.keys(accounts).length;
+            console.log(`👥 Collector assignments applied: ${assignedAccounts}/${accountCount} accounts assigned, ${updated} invoices updated`);
+            return {
+                success: true,
+                accounts: accountCount,
+                assignedAccounts,
+                unassignedAccounts: accountCount - assignedAccounts,
+                updated
+            };
+        } catch (error) {
+            console.error('❌ Error applying collector assignments:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * A collector's invoices, highest priority (outstanding amount × days outstanding) first,
+     * each with its next follow-up date from the order notes
+     */
+    async getWorklist(userId) {
+        try {
+            const invoices = await this.fetchCachedInvoices(
+                'id, order_reference, invoice_number, tax_date, billing_contact_id, billing_contact_name, billing_company_name, outstanding_amount, days_outstanding, dispute_id, payment_link_url',
+                query => query.eq('assigned_to', userId)
+            );
+
+            const followUps = {};
+            const orderIds = invoices.map(invoice => invoice.id);
+            for (let i = 0; i < orderIds.length; i += ID_CHUNK_SIZE) {
+                const { data: notes, error } = await this.supabase
+                    .from('order_notes')
+                    .select('id, order_id, note, follow_up_date')
+                    .in('order_id', orderIds.slice(i, i + ID_CHUNK_SIZE))
+                    .not('follow_up_date', 'is', null)
+                    .eq('follow_up_done', false);
+
+                if (error) throw error;
+
+                // Keep the earliest open follow-up per order
+                (notes || []).forEach(note => {
+                    const current = followUps[note.order_id];
+                    if (!current || note.follow_up_date < current.follow_up_date) {
+                        followUps[note.order_id] = note;
+                    }
+                });
+            }
+
+            const today = await this.reminderCalendarService.getLocalDate();
+            const worklist = invoices
+                .map(invoice => {
+                    const outstanding = parseFloat(invoice.outstanding_amount) || 0;
+                    const followUp = followUps[invoice.id];
+                    return {
+                        ...invoice,
+                        outstanding_amount: outstanding,
+                        priority_score: Math.round(outstanding * Math.max(invoice.days_outstanding || 0, 0)),
+                        follow_up: followUp ? {
+                            note_id: followUp.id,
+                            date: followUp.follow_up_date,
+                            note: followUp.note,
+                            overdue: followUp.follow_up_date < today,
+                            due_today: followUp.follow_up_date === today
+                        } : null
+                    };
+                })
+                .sort((a, b) => b.priority_score - a.priority_score);
+
+            return {
+                success: true,
+                worklist,
+                summary: {
+                    invoiceCount: worklist.length,
+                    accountCount: new Set(worklist.map(invoice => invoice.billing_contact_id || `order-${invoice.id}`)).size,
+                    totalOutstanding: Math.round(worklist.reduce((sum, invoice) => sum + invoice.outstanding_amount, 0) * 100) / 100,
+                    followUpsDue: worklist.filter(invoice => invoice.follow_up && invoice.follow_up.date <= today).length
+                }
+            };
+        } catch (error) {
+            console.error('❌ Error building worklist:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Every cached invoice (optionally filtered), fetched page by page
+     */
+    async fetchCachedInvoices(columns, applyFilter = query => query) {
+        const rows = [];
+        for (let from = 0; ; from += PAGE_SIZE) {
+            const { data, error } = await applyFilter(
+                this.supabase.from('cached_invoices').select(columns)
+            )
+                .order('id', { ascending: true })
+                .range(from, from + PAGE_SIZE - 1);
+
+            if (error) throw error;
+
+            rows.push(...(data || []));
+            if (!data || data.length < PAGE_SIZE) break;
+        }
+        return rows;
+    }
+}
+
+module.exports = CollectorAssignmentService;
+module.exports.RULE_TYPES = RULE_TYPES;
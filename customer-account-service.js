@@ -0,0 +1,306 @@
+const { createClient } = require('@supabase/supabase-js');
+const BrightpearlApiClient = require('./brightpearl-api-client');
+const EmailPreferencesService = require('./email-preferences-service');
+
+const DEFAULT_SETTLED_DAYS = 90;
+const ID_CHUNK_SIZE = 200;
+const EMAIL_LOG_LIMIT = 200;
+
+// Same ranges as the dashboard aging analysis
+const AGING_BUCKETS = [
+    { key: '0-30', label: 'Current (0-30 days)', max: 30 },
+    { key: '31-60', label: '31-60 days', max: 60 },
+    { key: '61-90', label: '61-90 days', max: 90 },
+    { key: '90+', label: 'Over 90 days', max: Infinity }
+];
+
+const OPEN_INVOICE_COLUMNS = `
+    id, order_reference, invoice_number, order_date, tax_date,
+    total_amount, paid_amount, outstanding_amount, days_outstanding,
+    order_status_name, order_status_color, billing_contact_name, billing_contact_email,
+    billing_company_name, billing_region, billing_country, payment_link_url,
+    dispute_id, assigned_to
+`;
+
+/**
+ * Customer Account Service
+ * Everything the portal knows about one customer (Brightpearl billing contact): open and
+ * recently settled invoices, exposure and aging, emails sent and scheduled, local and
+ * Brightpearl notes, opt-out status, payment links and the live Brightpearl contact record.
+ */
+class CustomerAccountService {
+    constructor() {
+        this.supabase = createClient(
+            process.env.SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_KEY,
+            {
+                auth: {
+                    autoRefreshToken: false,
+                    persistSession: false
+                }
+            }
+        );
+
+        this.brightpearlApi = new BrightpearlApiClient();
+        this.emailPreferencesService = new EmailPreferencesService();
+    }
+
+    /**
+     * Build the account view for a billing contact. Settled invoices go back `settledDays` days.
+     * Returns notFound when the contact has no open or settled invoices on record.
+     */
+    async getAccount(billingContactId, { settledDays = DEFAULT_SETTLED_DAYS } = {}) {
+        try {
+            const [openResult, settledResult] = await Promise.all([
+                this.supabase
+                    .from('cached_invoices')
+                    .select(OPEN_INVOICE_COLUMNS)
+                    .eq('billing_contact_id', billingContactId)
+                    .order('days_outstanding', { ascending: false }),
+                this.supabase
+                    .from('settled_invoices')
+                    .select('id, order_reference, invoice_number, order_date, tax_date, billing_contact_name, billing_contact_email, billing_company_name, total_amount, final_paid_amount, settlement_type, settled_at, days_to_pay, reminders_sent_count, payment_link_url')
+                    .eq('billing_contact_id', billingContactId)
+                    .gte('settled_at', new Date(Date.now() - settledDays * 24 * 60 * 60 * 1000).toISOString())
+                    .order('settled_at', { ascending: false })
+            ]);
+
+            if (openResult.error) throw openResult.error;
+            if (settledResult.error) throw settledResult.error;
+
+            const openInvoices = (openResult.data || []).map(invoice => ({
+                ...invoice,
+                total_amount: parseFloat(invoice.total_amount) || 0,
+                paid_amount: parseFloat(invoice.paid_amount) || 0,
+                outstanding_amount: parseFloat(invoice.outstanding_amount) || 0
+            }));
+            const settledInvoices = (settledResult.data || []).map(invoice => ({
+                ...invoice,
+                total_amount: parseFloat(invoice.total_amount) || 0,
+                final_paid_amount: parseFloat(invoice.final_paid_amount) || 0
+            }));
+
+            if (openInvoices.length === 0 && settledInvoices.length === 0) {
+                return { success: false, error: 'No invoices found for this customer', notFound: true };
+            }
+
+            const orderIds = [...openInvoices, ...settledInvoices].map(invoice => invoice.id);
+            const emails = [...new Set([...openInvoices, ...settledInvoices]
+                .map(invoice => invoice.billing_contact_email?.toLowerCase())
+                .filter(Boolean))];
+
+            const [contact, emailLogs, scheduledEmails, notes, brightpearlNotes, optOuts, paymentLinks] = await Promise.all([
+                this.getContact(billingContactId),
+                this.getEmailLogs(orderIds),
+                this.getScheduledEmails(orderIds),
+                this.getNotes(orderIds),
+                this.getBrightpearlNotes(orderIds),
+                this.getOptOutStatus(emails),
+                this.getPaymentLinks(billingContactId, openInvoices)
+            ]);
+
+            const latest = openInvoices[0] || settledInvoices[0];
+
+            return {
+                success: true,
+                account: {
+                    billingContactId,
+                    name: latest.billing_company_name || latest.billing_contact_name || `Contact ${billingContactId}`,
+                    contact,
+                    emails,
+                    exposure: this.calculateExposure(openInvoices, settledInvoices),
+                    aging: this.calculateAging(openInvoices),
+                    openInvoices,
+                    settledInvoices,
+                    settledDays,
+                    emailLogs,
+                    scheduledEmails,
+                    notes,
+                    brightpearlNotes,
+                    optOuts,
+                    paymentLinks
+                }
+            };
+        } catch (error) {
+            console.error(`❌ Error building account view for contact ${billingContactId}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Live Brightpearl contact record; null (with the error logged) when Brightpearl is unreachable
+     */
+    async getContact(billingContactId) {
+        try {
+            const result = await this.brightpearlApi.getContact(billingContactId);
+            return result.success ? result.data : null;
+        } catch (error) {
+            console.warn(`⚠️ Could not fetch Brightpearl contact ${billingContactId}:`, error.message);
+            return null;
+        }
+    }
+
+    calculateExposure(openInvoices, settledInvoices) {
+        const totalOutstanding = openInvoices.reduce((sum, invoice) => sum + invoice.outstanding_amount, 0);
+        const paid = settledInvoices.filter(invoice => invoice.settlement_type === 'paid');
+
+        return {
+            openInvoiceCount: openInvoices.length,
+            totalOutstanding,
+            overdueAmount: openInvoices
+                .filter(invoice => (invoice.days_outstanding || 0) > 30)
+                .reduce((sum, invoice) => sum + invoice.outstanding_amount, 0),
+            oldestDaysOutstanding: openInvoices.reduce((max, invoice) => Math.max(max, invoice.days_outstanding || 0), 0),
+            disputedAmount: openInvoices
+                .filter(invoice => invoice.dispute_id)
+                .reduce((sum, invoice) => sum + invoice.outstanding_amount, 0),
+            settledCount: settledInvoices.length,
+            collectedAmount: paid.reduce((sum, invoice) => sum + invoice.final_paid_amount, 0),
+            averageDaysToPay: paid.length > 0
+                ? Math.round(paid.reduce((sum, invoice) => sum + (invoice.days_to_pay || 0), 0) / paid.length)
+                : null
+        };
+    }
+
+    calculateAging(openInvoices) {
+        const buckets = AGING_BUCKETS.map(bucket => ({ ...bucket, count: 0, amount: 0 }));
+
+        openInvoices.forEach(invoice => {
+            const bucket = buckets.find(b => (invoice.days_outstanding || 0) <= b.max);
+            bucket.count++;
+            bucket.amount += invoice.outstanding_amount;
+        });
+
+        return buckets.map(({ max, ...bucket }) => bucket);
+    }
+
+    async getEmailLogs(orderIds) {
+        const logs = await this.selectByOrderIds('email_logs', `
+            id, order_id, recipient_email, sender_email, subject, email_type,
+            send_status, error_message, payment_link_included, sent_at, created_at,
+            app_users (first_name, last_name, email)
+        `, orderIds);
+
+        return logs
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+            .slice(0, EMAIL_LOG_LIMIT);
+    }
+
+    async getScheduledEmails(orderIds) {
+        const schedule = await this.selectByOrderIds('automated_email_schedule', `
+            id, order_id, recipient_email, scheduled_date, status, attempt_count,
+            sent_at, skip_reason, error_message, created_at,
+            automated_email_campaigns (campaign_name, campaign_type)
+        `, orderIds);
+
+        return schedule.sort((a, b) => (b.scheduled_date || '').localeCompare(a.scheduled_date || ''));
+    }
+
+    async getNotes(orderIds) {
+        const notes = await this.selectByOrderIds('order_notes', `
+            id, order_id, note, dispute_id, follow_up_date, follow_up_assigned_to, follow_up_done, created_at,
+            app_users!order_notes_created_by_fkey (first_name, last_name, email)
+        `, orderIds);
+
+        return notes.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    }
+
+    async getBrightpearlNotes(orderIds) {
+        const notes = await this.selectByOrderIds('cached_brightpearl_notes', '*', orderIds);
+
+        return notes
+            .map(note => ({
+                id: note.note_id,
+                orderId: note.order_id,
+                text: note.note_text,
+                addedBy: note.added_by_name || note.created_by || 'Unknown',
+                contactName: note.contact_name || null,
+                createdOn: note.created_at_brightpearl
+            }))
+            .sort((a, b) => new Date(b.createdOn) - new Date(a.createdOn));
+    }
+
+    /**
+     * Opt-out state of each billing email used by the customer
+     */
+    async getOptOutStatus(emails) {
+        return Promise.all(emails.map(async (email) => {
+            try {
+                const [status, preferences] = await Promise.all([
+                    this.emailPreferencesService.getOptOutStatus(email),
+                    this.emailPreferencesService.getPreferences(email)
+                ]);
+
+                return {
+                    email,
+                    optedOut: status.optedOut,
+                    reason: status.reason,
+                    optedOutCampaigns: preferences?.opted_out_campaigns || [],
+                    pausedUntil: preferences?.paused_until || null,
+                    optOutDate: preferences?.opt_out_date || null
+                };
+            } catch (error) {
+                console.warn(`⚠️ Could not load email preferences for ${email}:`, error.message);
+                return { email, optedOut: null, reason: 'unknown', optedOutCampaigns: [] };
+            }
+        }));
+    }
+
+    /**
+     * Stored payment links of the customer, plus the links on open invoices that were never
+     * stored in payment_links
+     */
+    async getPaymentLinks(billingContactId, openInvoices) {
+        const { data, error } = await this.supabase
+            .from('payment_links')
+            .select('order_id, invoice_reference, payment_link, created_at, updated_at')
+            .eq('billing_contact_id', billingContactId)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.warn(`⚠️ Could not load payment links for contact ${billingContactId}:`, error.message);
+        }
+
+        const links = data || [];
+        const linkedOrderIds = new Set(links.map(link => link.order_id));
+
+        openInvoices
+            .filter(invoice => invoice.payment_link_url && !linkedOrderIds.has(invoice.id))
+            .forEach(invoice => links.push({
+                order_id: invoice.id,
+                invoice_reference: invoice.invoice_number || invoice.order_reference,
+                payment_link: invoice.payment_link_url,
+                created_at: null,
+                updated_at: null
+            }));
+
+        return links;
+    }
+
+    /**
+     * Select rows for a list of order IDs in chunks (keeps the request URL short).
+     * A failing table is logged and contributes no rows, so one missing migration
+     * does not take down the whole account view.
+     */
+    async selectByOrderIds(table, columns, orderIds) {
+        const rows = [];
+
+        for (let i = 0; i < orderIds.length; i += ID_CHUNK_SIZE) {
+            const { data, error } = await this.supabase
+                .from(table)
+                .select(columns)
+                .in('order_id', orderIds.slice(i, i + ID_CHUNK_SIZE));
+
+            if (error) {
+                console.warn(`⚠️ Could not load ${table} for account view:`, error.message);
+                return rows;
+            }
+
+            rows.push(...(data || []));
+        }
+
+        return rows;
+    }
+}
+
+module.exports = CustomerAccountService;
@@ -0,0 +1,457 @@
+const { createClient } = require('@supabase/supabase-js');
+const ReminderCalendarService = require('./reminder-calendar-service');
+
+const REASON_CATEGORIES = {
+    pricing: 'Pricing',
+    quantity: 'Quantity / short shipment',
+    damaged: 'Damaged goods',
+    not_received: 'Not received',
+    duplicate: 'Duplicate billing',
+    quality: 'Quality issue',
+    other: 'Other'
+};
+
+const RESOLUTIONS = {
+    credit_note: 'Credit note',
+    partial_write_off: 'Partial write-off',
+    resolved: 'Resolved'
+};
+
+const DEFAULT_SLA_DAYS = 14;
+const DATE_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+
+// Age buckets of the dispute aging report (days since the dispute was opened)
+const AGING_BUCKETS = [
+    { key: '0-7', label: '0-7 days', max: 7 },
+    { key: '8-14', label: '8-14 days', max: 14 },
+    { key: '15-30', label: '15-30 days', max: 30 },
+    { key: '31-60', label: '31-60 days', max: 60 },
+    { key: '60+', label: 'Over 60 days', max: Infinity }
+];
+
+const DISPUTE_SELECT = `
+    *,
+    owner:app_users!invoice_disputes_owner_id_fkey (
+        id,
+        first_name,
+        last_name,
+        email
+    ),
+    opener:app_users!invoice_disputes_opened_by_fkey (
+        first_name,
+        last_name,
+        email
+    )
+`;
+
+/**
+ * Dispute Service
+ * Disputes raised on unpaid invoices: reason, owner, SLA due date and resolution outcome.
+ * The open dispute is stamped on cached_invoices.dispute_id, which keeps the invoice out of
+ * automated campaigns until the dispute is resolved.
+ */
+class DisputeService {
+    constructor() {
+        this.supabase = createClient(
+            process.env.SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_KEY,
+            {
+                auth: {
+                    autoRefreshToken: false,
+                    persistSession: false
+                }
+            }
+        );
+
+        this.reminderCalendarService = new ReminderCalendarService();
+    }
+
+    /**
+     * Disputes raised on an order (newest first), each with its linked notes
+     */
+    async getDisputesForOrder(orderId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('invoice_disputes')
+                .select(DISPUTE_SELECT)
+                .eq('order_id', orderId)
+                .order('opened_at', { ascending: false });
+
+            if (error) {
+                console.error('❌ Error fetching disputes:', error);
+                return { success: false, error: error.message };
+            }
+
+            const disputes = data || [];
+            if (disputes.length > 0) {
+                const { data: notes, error: notesError } = await this.supabase
+                    .from('order_notes')
+                    .select('id, dispute_id, note, created_at')
+                    .in('dispute_id', disputes.map(dispute => dispute.id))
+                    .order('created_at', { ascending: true });
+
+                if (notesError) {
+                    console.warn('⚠️ Could not load dispute notes:', notesError.message);
+                }
+
+                disputes.forEach(dispute => {
+                    dispute.notes = (notes || []).filter(note => note.dispute_id === dispute.id);
+                });
+            }
+
+            return { success: true, disputes };
+        } catch (error) {
+            console.error('❌ Error in getDisputesForOrder:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Open disputes for a page of invoices, keyed by order ID (list badges)
+     */
+    async getOpenDisputesForOrders(orderIds) {
+        if (!orderIds || orderIds.length === 0) return {};
+
+        try {
+            const { data, error } = await this.supabase
+                .from('invoice_disputes')
+                .select('id, order_id, reason_category, sla_due_date, owner:app_users!invoice_disputes_owner_id_fkey (first_name, last_name, email)')
+                .in('order_id', orderIds)
+                .eq('status', 'open');
+
+            if (error) throw error;
+
+            const disputes = {};
+            (data || []).forEach(dispute => {
+                disputes[dispute.order_id] = dispute;
+            });
+            return disputes;
+        } catch (error) {
+            console.warn('⚠️ Could not load disputes for invoices:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Open a dispute on an order. The SLA due date defaults to DEFAULT_SLA_DAYS from today.
+     */
+    async openDispute({ orderId, reasonCategory, description, disputedAmount, ownerId, slaDueDate }, userId) {
+        try {
+            if (!orderId) {
+                return { success: false, error: 'Order ID is required' };
+            }
+            if (!REASON_CATEGORIES[reasonCategory]) {
+                return { success: false, error: `Reason must be one of: ${Object.keys(REASON_CATEGORIES).join(', ')}` };
+            }
+
+            const amount = disputedAmount === undefined || disputedAmount === null || disputedAmount === ''
+                ? null
+                : Math.round(parseFloat(disputedAmount) * 100) / 100;
+            if (amount !== null && !(amount > 0)) {
+                return { success: false, error: 'Disputed amount must be greater than zero' };
+            }
+
+            const today = await this.reminderCalendarService.getLocalDate();
+            let dueDate = slaDueDate;
+            if (!dueDate) {
+                const due = new Date(`${today}T00:00:00Z`);
+                due.setUTCDate(due.getUTCDate() + DEFAULT_SLA_DAYS);
+                dueDate = due.toISOString().split('T')[0];
+            } else if (!DATE_FORMAT.test(dueDate)) {
+                return { success: false, error: 'SLA due date must be in YYYY-MM-DD format' };
+            } else if (dueDate < today) {
+                return { success: false, error: 'SLA due date cannot be in the past' };
+            }
+
+            const { data: invoice } = await this.supabase
+                .from('cached_invoices')
+                .select('id, billing_contact_id')
+                .eq('id', parseInt(orderId))
+                .maybeSingle();
+
+            const { data, error } = await this.supabase
+                .from('invoice_disputes')
+                .insert({
+                    order_id: parseInt(orderId),
+                    billing_contact_id: invoice?.billing_contact_id || null,
+                    reason_category: reasonCategory,
+                    description: description && description.trim() ? description.trim() : null,
+                    disputed_amount: amount,
+                    owner_id: ownerId ? parseInt(ownerId) : userId,
+                    sla_due_date: dueDate,
+                    opened_by: userId
+                })
+                .select()
+                .single();
+
+            if (error) {
+                if (error.code === '23505') {
+                    return { success: false, error: 'This order already has an open dispute' };
+                }
+                console.error('❌ Error opening dispute:', error);
+                return { success: false, error: error.message };
+            }
+
+            await this.setInvoiceDispute(data.order_id, data.id);
+
+            console.log(`⚖️ Dispute ${data.id} opened on order ${orderId} (${reasonCategory}, SLA ${dueDate})`);
+            return { success: true, dispute: data };
+        } catch (error) {
+            console.error('❌ Error in openDispute:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Reassign an open dispute or change its reason, description, amount or SLA
+     */
+    async updateDispute(disputeId, { reasonCategory, description, disputedAmount, ownerId, slaDueDate }) {
+        try {
+            const updates = {};
+
+            if (reasonCategory !== undefined) {
+                if (!REASON_CATEGORIES[reasonCategory]) {
+                    return { success: false, error: `Reason must be one of: ${Object.keys(REASON_CATEGORIES).join(', ')}` };
+                }
+                updates.reason_category = reasonCategory;
+            }
+            if (description !== undefined) {
+                updates.description = description && description.trim() ? description.trim() : null;
+            }
+            if (disputedAmount !== undefined) {
+                const amount = disputedAmount === null || disputedAmount === '' ? null : Math.round(parseFloat(disputedAmount) * 100) / 100;
+                if (amount !== null && !(amount > 0)) {
+                    return { success: false, error: 'Disputed amount must be greater than zero' };
+                }
+                updates.disputed_amount = amount;
+            }
+            if (ownerId !== undefined) {
+                updates.owner_id = ownerId ? parseInt(ownerId) : null;
+            }
+            if (slaDueDate !== undefined) {
+                if (!DATE_FORMAT.test(slaDueDate || '')) {
+                    return { success: false, error: 'SLA due date must be in YYYY-MM-DD format' };
+                }
+                updates.sla_due_date = slaDueDate;
+            }
+
+            const { data, error } = await this.supabase
+                .from('invoice_disputes')
+                .update(updates)
+                .eq('id', disputeId)
+                .eq('status', 'open')
+                .select()
+                .maybeSingle();
+
+            if (error) {
+                console.error('❌ Error updating dispute:', error);
+                return { success: false, error: error.message };
+            }
+
+            if (!data) {
+                return { success: false, error: 'Open dispute not found', notFound: true };
+            }
+
+            return { success: true, dispute: data };
+        } catch (error) {
+            console.error('❌ Error in updateDispute:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Resolve a dispute with a credit note, a partial write-off (both need an amount) or
+     * as resolved. The invoice goes back into automated campaigns if it is still unpaid.
+     */
+    async resolveDispute(disputeId, { resolution, resolutionAmount, resolutionNotes }, userId) {
+        try {
+            if (!RESOLUTIONS[resolution]) {
+                return { success: false, error: `Resolution must be one of: ${Object.keys(RESOLUTIONS).join(', ')}` };
+            }
+
+            let amount = null;
+            if (resolution !== 'resolved') {
+                amount = Math.round(parseFloat(resolutionAmount) * 100) / 100;
+                if (!(amount > 0)) {
+                    return { success: false, error: `${RESOLUTIONS[resolution]} amount must be greater than zero` };
+                }
+            }
+
+            const { data, error } = await this.supabase
+                .from('invoice_disputes')
+                .update({
+                    status: 'resolved',
+                    resolution,
+                    resolution_amount: amount,
+                    resolution_notes: resolutionNotes && resolutionNotes.trim() ? resolutionNotes.trim() : null,
+                    resolved_by: userId,
+                    resolved_at: new Date().toISOString()
+                })
+                .eq('id', disputeId)
+                .eq('status', 'open')
+                .select()
+                .maybeSingle();
+
+            if (error) {
+                console.error('❌ Error resolving dispute:', error);
+                return { success: false, error: error.message };
+            }
+
+            if (!data) {
+                return { success: false, error: 'Open dispute not found', notFound: true };
+            }
+
+            await this.setInvoiceDispute(data.order_id, null, data.id);
+
+            console.log(`✅ Dispute ${disputeId} on order ${data.order_id} resolved (${resolution}${amount ? ` ${amount.toFixed(2)}` : ''})`);
+            return { success: true, dispute: data };
+        } catch (error) {
+            console.error('❌ Error in resolveDispute:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Stamp (or clear) the open dispute on the cached invoice
+     */
+    async setInvoiceDispute(orderId, disputeId, previousDisputeId = null) {
+        let query = this.supabase
+            .from('cached_invoices')
+            .update({ dispute_id: disputeId })
+            .eq('id', orderId);
+
+        if (previousDisputeId) {
+            query = query.eq('dispute_id', previousDisputeId);
+        }
+
+        const { error } = await query;
+
+        if (error) {
+            console.warn(`⚠️ Could not update dispute state on cached invoice ${orderId}:`, error.message);
+        }
+    }
+
+    /**
+     * Dispute aging report: open disputes by age bucket, reason and owner with SLA breaches,
+     * plus resolution outcomes of the last `resolvedDays` days
+     */
+    async getAgingReport(resolvedDays = 90) {
+        try {
+            const today = await this.reminderCalendarService.getLocalDate();
+            const now = new Date();
+            const resolvedSince = new Date(now.getTime() - resolvedDays * 24 * 60 * 60 * 1000);
+
+            const [openResult, resolvedResult] = await Promise.all([
+                this.supabase
+                    .from('invoice_disputes')
+                    .select(DISPUTE_SELECT)
+                    .eq('status', 'open')
+                    .order('opened_at', { ascending: true }),
+                this.supabase
+                    .from('invoice_disputes')
+                    .select('id, reason_category, resolution, resolution_amount, opened_at, resolved_at')
+                    .eq('status', 'resolved')
+                    .gte('resolved_at', resolvedSince.toISOString())
+            ]);
+
+            if (openResult.error) throw openResult.error;
+            if (resolvedResult.error) throw resolvedResult.error;
+
+            const openDisputes = openResult.data || [];
+            const { data: invoices, error: invoiceError } = openDisputes.length > 0
+                ? await this.supabase
+                    .from('cached_invoices')
+                    .select('id, order_reference, invoice_number, billing_contact_id, billing_contact_name, billing_company_name, outstanding_amount, days_outstanding')
+                    .in('id', openDisputes.map(dispute => dispute.order_id))
+                : { data: [], error: null };
+
+            if (invoiceError) throw invoiceError;
+
+            const invoicesById = new Map((invoices || []).map(invoice => [invoice.id, invoice]));
+            const daysBetween = (from, to) => Math.floor((to - new Date(from)) / (24 * 60 * 60 * 1000));
+
+            const buckets = AGING_BUCKETS.map(bucket => ({ key: bucket.key, label: bucket.label, count: 0, amount: 0 }));
+            const byCategory = {};
+            const byOwner = {};
+            let overdueCount = 0;
+            let totalAmount = 0;
+
+            const disputes = openDisputes.map(dispute => {
+                const invoice = invoicesById.get(dispute.order_id) || null;
+                const ageDays = daysBetween(dispute.opened_at, now);
+                const amount = parseFloat(dispute.disputed_amount ?? invoice?.outstanding_amount ?? 0);
+                const slaOverdue = dispute.sla_due_date < today;
+                const ownerName = dispute.owner
+                    ? (dispute.owner.first_name && dispute.owner.last_name ? `${dispute.owner.first_name} ${dispute.owner.last_name}` : dispute.owner.email)
+                    : 'Unassigned';
+
+                const bucketIndex = AGING_BUCKETS.findIndex(bucket => ageDays <= bucket.max);
+                buckets[bucketIndex].count++;
+                buckets[bucketIndex].amount += amount;
+
+                if (!byCategory[dispute.reason_category]) {
+                    byCategory[dispute.reason_category] = { category: dispute.reason_category, label: REASON_CATEGORIES[dispute.reason_category], count: 0, amount: 0 };
+                }
+                byCategory[dispute.reason_category].count++;
+                byCategory[dispute.reason_category].amount += amount;
+
+                if (!byOwner[ownerName]) {
+                    byOwner[ownerName] = { owner: ownerName, count: 0, overdue: 0, amount: 0 };
+                }
+                byOwner[ownerName].count++;
+                byOwner[ownerName].amount += amount;
+
+                if (slaOverdue) {
+                    overdueCount++;
+                    byOwner[ownerName].overdue++;
+                }
+                totalAmount += amount;
+
+                return { ...dispute, invoice, ageDays, amount, slaOverdue, ownerName };
+            });
+
+            const resolved = resolvedResult.data || [];
+            const byResolution = {};
+            resolved.forEach(dispute => {
+                if (!byResolution[dispute.resolution]) {
+                    byResolution[dispute.resolution] = { resolution: dispute.resolution, label: RESOLUTIONS[dispute.resolution], count: 0, amount: 0 };
+                }
+                byResolution[dispute.resolution].count++;
+                byResolution[dispute.resolution].amount += parseFloat(dispute.resolution_amount || 0);
+            });
+
+            const round = (value) => Math.round(value * 100) / 100;
+
+            return {
+                success: true,
+                report: {
+                    summary: {
+                        openCount: disputes.length,
+                        openAmount: round(totalAmount),
+                        slaOverdueCount: overdueCount,
+                        averageAgeDays: disputes.length > 0
+                            ? Math.round(disputes.reduce((sum, dispute) => sum + dispute.ageDays, 0) / disputes.length)
+                            : 0,
+                        resolvedCount: resolved.length,
+                        averageDaysToResolve: resolved.length > 0
+                            ? Math.round(resolved.reduce((sum, dispute) => sum + daysBetween(dispute.opened_at, new Date(dispute.resolved_at)), 0) / resolved.length)
+                            : null,
+                        resolvedDays
+                    },
+                    buckets: buckets.map(bucket => ({ ...bucket, amount: round(bucket.amount) })),
+                    byCategory: Object.values(byCategory).map(entry => ({ ...entry, amount: round(entry.amount) })).sort((a, b) => b.count - a.count),
+                    byOwner: Object.values(byOwner).map(entry => ({ ...entry, amount: round(entry.amount) })).sort((a, b) => b.count - a.count),
+                    byResolution: Object.values(byResolution).map(entry => ({ ...entry, amount: round(entry.amount) })),
+                    disputes: disputes.sort((a, b) => b.ageDays - a.ageDays)
+                }
+            };
+        } catch (error) {
+            console.error('❌ Error in getAgingReport:', error);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = DisputeService;
+module.exports.REASON_CATEGORIES = REASON_CATEGORIES;
+module.exports.RESOLUTIONS = RESOLUTIONS;
@@ -0,0 +1,124 @@
+const axios = require('axios');
+const fs = require('fs');
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+const toBase64 = (attachment) => {
+    if (Buffer.isBuffer(attachment.content)) return attachment.content.toString('base64');
+    if (typeof attachment.content === 'string') return Buffer.from(attachment.content, attachment.encoding || 'utf8').toString('base64');
+    if (attachment.path) return fs.readFileSync(attachment.path).toString('base64');
+    throw new Error(`Attachment ${attachment.filename} has no content`);
+};
+
+const addressOf = (value) => (typeof value === 'object' && value ? value.address : value);
+const formatAddress = (value) => (typeof value === 'object' && value
+    ? (value.name ? `"${value.name.replace(/"/g, '')}" <${value.address}>` : value.address)
+    : value);
+
+// One adapter per provider: how to check the API key and how to send a nodemailer-style message
+const PROVIDERS = {
+    sendgrid: {
+        label: 'SendGrid',
+        verify: (apiKey) => axios.get('https://api.sendgrid.com/v3/scopes', {
+            headers: { 'Authorization': `Bearer ${apiKey}` },
+            timeout: REQUEST_TIMEOUT_MS
+        }),
+        send: async (apiKey, mail) => {
+            const response = await axios.post('https://api.sendgrid.com/v3/mail/send', {
+                personalizations: [{ to: [{ email: addressOf(mail.to) }] }],
+                from: typeof mail.from === 'object' ? { email: mail.from.address, name: mail.from.name } : { email: mail.from },
+                ...(mail.replyTo && { reply_to: { email: addressOf(mail.replyTo) } }),
+                subject: mail.subject,
+                content: [
+                    { type: 'text/plain', value: mail.text || ' ' },
+                    ...(mail.html ? [{ type: 'text/html', value: mail.html }] : [])
+                ],
+                ...((mail.attachments || []).length > 0 && {
+                    attachments: mail.attachments.map(attachment => ({
+                        content: toBase64(attachment),
+                        filename: attachment.filename,
+                        type: attachment.contentType,
+                        disposition: attachment.cid ? 'inline' : 'attachment',
+                        ...(attachment.cid && { content_id: attachment.cid })
+                    }))
+                })
+            }, {
+                headers: { 'Authorization': `Bearer ${apiKey}` },
+                timeout: REQUEST_TIMEOUT_MS
+            });
+
+            return response.headers['x-message-id'];
+        }
+    },
+    postmark: {
+        label: 'Postmark',
+        verify: (apiKey) => axios.get('https://api.postmarkapp.com/server', {
+            headers: { 'X-Postmark-Server-Token': apiKey, 'Accept': 'application/json' },
+            timeout: REQUEST_TIMEOUT_MS
+        }),
+        send: async (apiKey, mail) => {
+            const response = await axios.post('https://api.postmarkapp.com/email', {
+                From: formatAddress(mail.from),
+                To: addressOf(mail.to),
+                ...(mail.replyTo && { ReplyTo: addressOf(mail.replyTo) }),
+                Subject: mail.subject,
+                TextBody: mail.text,
+                ...(mail.html && { HtmlBody: mail.html }),
+                MessageStream: 'outbound',
+                Attachments: (mail.attachments || []).map(attachment => ({
+                    Name: attachment.filename,
+                    Content: toBase64(attachment),
+                    ContentType: attachment.contentType || 'application/octet-stream',
+                    ...(attachment.cid && { ContentID: `cid:${attachment.cid}` })
+                }))
+            }, {
+                headers: { 'X-Postmark-Server-Token': apiKey, 'Accept': 'application/json' },
+                timeout: REQUEST_TIMEOUT_MS
+            });
+
+            return response.data?.MessageID;
+        }
+    }
+};
+
+/**
+ * Email API Transport
+ * Sends through an HTTP email API instead of SMTP. Exposes the subset of the nodemailer
+ * transport interface EmailService uses (sendMail, verify), so API and SMTP senders are
+ * interchangeable.
+ */
+class EmailApiTransport {
+    constructor(provider, apiKey) {
+        if (!PROVIDERS[provider]) {
+            throw new Error(`Unknown email API provider: ${provider}`);
+        }
+        this.provider = provider;
+        this.apiKey = apiKey;
+    }
+
+    async verify() {
+        try {
+            await PROVIDERS[this.provider].verify(this.apiKey);
+            return true;
+        } catch (error) {
+            throw new Error(`${PROVIDERS[this.provider].label} rejected the API key: ${this.describeError(error)}`);
+        }
+    }
+
+    async sendMail(mailOptions) {
+        try {
+            const messageId = await PROVIDERS[this.provider].send(this.apiKey, mailOptions);
+            return { messageId: messageId || null };
+        } catch (error) {
+            throw new Error(`${PROVIDERS[this.provider].label} send failed: ${this.describeError(error)}`);
+        }
+    }
+
+    describeError(error) {
+        const data = error.response?.data;
+        return data?.errors?.map(item => item.message).join('; ') || data?.Message || error.message;
+    }
+}
+
+module.exports = EmailApiTransport;
+module.exports.API_PROVIDERS = Object.fromEntries(Object.entries(PROVIDERS).map(([key, provider]) => [key, provider.label]));
@@ -3,6 +3,7 @@ const PDFKitService = require('./pdf-service-pdfkit');
 const EnhancedPDFService = require('./enhanced-pdf-service');
 const PaymentLinksService = require('./payment-links-service');
 const SupabaseBrightpearlService = require('./supabase-brightpearl-service');
+const { buildPaymentVariables, buildLineItemVariables } = require('./template-engine');
 
 /**
  * Email Controller - Handles all email-related API endpoints
@@ -35,10 +36,18 @@ class EmailController {
                 return res.status(401).json({ error: 'Unauthorized' });
             }
 
-            if (!email_address || !google_app_password) {
-                return res.status(400).json({ 
-                    error: 'Email address and Google App Password are required' 
-                });
+            if (!email_address) {
+                return res.status(400).json({ error: 'Email address is required' });
+            }
+
+            // The App Password is only needed while there is no organization sender
+            if (!google_app_password && !(await this.emailService.getOrganizationSender())) {
+                const existing = await this.emailService.getUserEmailSettings(userId);
+                if (!existing.success || !existing.settings.google_app_password) {
+                    return res.status(400).json({
+                        error: 'Email address and Google App Password are required'
+                    });
+                }
             }
 
             const result = await this.emailService.saveUserEmailSettings(
@@ -61,7 +70,7 @@ class EmailController {
     }
 
     /**
-     * Get user email settings (without password)
+     * Get user email settings, plus the organization sender when one is configured
      * GET /api/user/email-settings
      */
     async getEmailSettings(req, res) {
@@ -72,15 +81,22 @@ class EmailController {
                 return res.status(401).json({ error: 'Unauthorized' });
             }
 
-            const result = await this.emailService.getUserEmailSettings(userId);
+            const [result, organizationSender] = await Promise.all([
+                this.emailService.getUserEmailSettings(userId),
+                this.emailService.getOrganizationSender()
+            ]);
 
             if (result.success) {
                 // Include the actual password for editing purposes
                 // The password is already decrypted by the email service
                 res.json({ 
                     success: true, 
-                    settings: result.settings
+                    settings: result.settings,
+                    organizationSender
                 });
+            } else if (organizationSender) {
+                // Users can send through the organization sender without settings of their own
+                res.json({ success: true, settings: null, organizationSender });
             } else {
                 res.status(404).json({ error: result.error });
             }
@@ -122,7 +138,8 @@ class EmailController {
                 to, 
                 subject, 
                 body, 
-                emailType = 'invoice' 
+                emailType = 'invoice',
+                attachmentType = 'invoice'
             } = req.body;
             
             const userId = req.user?.userId;
@@ -138,6 +155,10 @@ class EmailController {
                 });
             }
 
+            if (!['invoice', 'statement', 'both'].includes(attachmentType)) {
+                return res.status(400).json({ error: "attachmentType must be 'invoice', 'statement' or 'both'" });
+            }
+
             console.log(`📧 Processing ${emailType} email for order ${orderId}...`);
             
 
@@ -174,23 +195,23 @@ class EmailController {
                 totalPaid: totalPaid,
                 amountDue: amountDue,
                 payments: paymentData.payments || [],
+                lineItems: await this.enhancedPdfService.getOrderRows(orderId),
                 orderDate: orderData.orderDate,
                 orderRef: orderData.orderRef
             };
 
-            // 6. Generate PDF using Enhanced PDF Service with Brightpearl template
-            console.log('📄 Generating PDF invoice with Enhanced PDF Service...');
+            // 6. Generate invoice PDF and/or customer statement using Enhanced PDF Service
+            console.log(`📄 Generating ${attachmentType} attachment(s) with Enhanced PDF Service...`);
             console.log('📊 PDF Order Data:', JSON.stringify(pdfOrderData, null, 2));
-            const pdfResult = await this.enhancedPdfService.generateInvoicePDF(pdfOrderData);
-            if (!pdfResult.success) {
-                return res.status(500).json({ error: 'Failed to generate PDF: ' + pdfResult.error });
+            const { attachments, errors: attachmentErrors } = await this.enhancedPdfService.generateEmailAttachments(
+                attachmentType,
+                pdfOrderData,
+                orderData.billingContact?.id
+            );
+            if (attachmentErrors.length > 0) {
+                return res.status(500).json({ error: 'Failed to generate PDF: ' + attachmentErrors.join('; ') });
             }
 
-            // 5. Prepare email attachments
-            const attachments = [
-                this.enhancedPdfService.createEmailAttachment(pdfResult.buffer, pdfResult.filename)
-            ];
-
             // 6. Send email
             const emailOrderData = {
                 ...pdfOrderData,
@@ -205,18 +226,6 @@ class EmailController {
             console.log('  payments:', emailOrderData.payments ? `${emailOrderData.payments.length} payments` : 'undefined');
 
             // Apply template replacement to custom subject and body
-            const formatPaymentHistory = (payments) => {
-                if (!payments || payments.length === 0) {
-                    return 'No payments recorded.';
-                }
-                return payments.map(payment => {
-                    const date = new Date(payment.paymentdate).toLocaleDateString();
-                    const amount = parseFloat(payment.amountpaid || 0).toFixed(2);
-                    const method = payment.paymentmethodcode || 'Other';
-                    return `• ${date}: $${amount} (${method})`;
-                }).join('\n');
-            };
-
             const templateVars = {
                 ORDER_ID: orderId.toString(),
                 CUSTOMER_NAME: emailOrderData.customerName || 'Valued Customer',
@@ -228,7 +237,8 @@ class EmailController {
                 TOTAL_PAID: '$' + (emailOrderData.totalPaid || 0).toFixed(2),
                 AMOUNT_DUE: '$' + (emailOrderData.amountDue || 0).toFixed(2),
                 PAYMENT_STATUS: emailOrderData.amountDue > 0 ? 'PARTIALLY PAID' : 'PAID IN FULL',
-                PAYMENT_HISTORY: formatPaymentHistory(emailOrderData.payments),
+                ...buildPaymentVariables(emailOrderData.payments),
+                ...buildLineItemVariables(emailOrderData.lineItems),
                 DAYS_OUTSTANDING: emailOrderData.daysOutstanding || '',
                 PAYMENT_LINK: emailOrderData.paymentLink || ''
             };
@@ -365,6 +375,7 @@ class EmailController {
                 totalPaid: totalPaid,
                 amountDue: amountDue,
                 payments: paymentData.payments || [],
+                lineItems: await this.enhancedPdfService.getOrderRows(orderId),
                 orderDate: orderData.orderDate,
                 orderRef: orderData.orderRef
             };
@@ -375,19 +386,6 @@ class EmailController {
                 return res.status(500).json({ error: 'Failed to get email template' });
             }
 
-            // Format payment history
-            const formatPaymentHistory = (payments) => {
-                if (!payments || payments.length === 0) {
-                    return 'No payments recorded.';
-                }
-                return payments.map(payment => {
-                    const date = new Date(payment.paymentdate).toLocaleDateString();
-                    const amount = parseFloat(payment.amountpaid || 0).toFixed(2);
-                    const method = payment.paymentmethodcode || 'Other';
-                    return `• ${date}: $${amount} (${method})`;
-                }).join('\n');
-            };
-
             // Prepare template variables
             const templateVars = {
                 ORDER_ID: orderId.toString(),
@@ -400,7 +398,8 @@ class EmailController {
                 TOTAL_PAID: '$' + (emailOrderData.totalPaid || 0).toFixed(2),
                 AMOUNT_DUE: '$' + (emailOrderData.amountDue || 0).toFixed(2),
                 PAYMENT_STATUS: emailOrderData.amountDue > 0 ? 'PARTIALLY PAID' : 'PAID IN FULL',
-                PAYMENT_HISTORY: formatPaymentHistory(emailOrderData.payments),
+                ...buildPaymentVariables(emailOrderData.payments),
+                ...buildLineItemVariables(emailOrderData.lineItems),
                 DAYS_OUTSTANDING: emailOrderData.daysOutstanding || '',
                 PAYMENT_LINK: emailOrderData.paymentLink || ''
             };
@@ -446,13 +445,19 @@ class EmailController {
                 return res.status(401).json({ error: 'Unauthorized' });
             }
 
-            // Get user's email settings
-            const settings = await this.emailService.getUserEmailSettings(userId);
-            if (!settings.success) {
+            // Get user's email settings (optional when sending through the organization sender)
+            const [settings, organizationSender] = await Promise.all([
+                this.emailService.getUserEmailSettings(userId),
+                this.emailService.getOrganizationSender()
+            ]);
+            if (!settings.success && !organizationSender) {
                 return res.status(400).json({ error: 'No email configuration found' });
             }
 
-            const userEmail = settings.settings.email_address;
+            const userEmail = settings.settings?.email_address || req.user.email;
+            if (!userEmail) {
+                return res.status(400).json({ error: 'Add your email address in Email Settings first' });
+            }
 
             // Send a test email
             const emailResult = await this.emailService.sendEmail({
@@ -465,7 +470,7 @@ class EmailController {
 
 This is a test email to verify your email configuration is working correctly.
 
-If you received this email, your Gmail settings are properly configured and you can now send invoice and reminder emails through the Texon Invoicing Portal.
+If you received this email, your email settings are properly configured and you can now send invoice and reminder emails through the Texon Invoicing Portal.
 
 Best regards,
 Texon Invoicing Portal`,
@@ -0,0 +1,221 @@
+const TemplateEngine = require('./template-engine');
+const { escapeHtml } = TemplateEngine;
+
+// Texon blue, as on the PDF invoice logo fallback
+const BRAND_COLOR = '#00A0E6';
+const LOGO_CID = 'texon-logo@texontowel.com';
+const FONT_STACK = 'Arial, Helvetica, sans-serif';
+
+// Default styles inlined onto template HTML (a style attribute or <style> rule on the element wins)
+const BASE_STYLES = {
+    p: 'margin: 0 0 14px 0;',
+    h1: 'font-size: 22px; color: #2c3e50; margin: 0 0 16px 0;',
+    h2: 'font-size: 18px; color: #2c3e50; margin: 20px 0 10px 0;',
+    h3: 'font-size: 16px; color: #2c3e50; margin: 16px 0 8px 0;',
+    a: `color: ${BRAND_COLOR};`,
+    table: 'border-collapse: collapse; margin: 0 0 14px 0;',
+    th: 'text-align: left; padding: 6px 8px; border-bottom: 2px solid #dddddd; color: #495057;',
+    td: 'padding: 6px 8px; border-bottom: 1px solid #eeeeee;',
+    ul: 'margin: 0 0 14px 0; padding-left: 20px;',
+    ol: 'margin: 0 0 14px 0; padding-left: 20px;',
+    li: 'margin: 0 0 4px 0;'
+};
+
+// Shared header/footer around every HTML email, rendered with the template engine
+const LAYOUT_TEMPLATE = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>{SUBJECT}</title>
+{STYLE_BLOCK|raw}
+</head>
+<body style="margin: 0; padding: 0; background-color: #f4f5f7;">
+<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="background-color: #f4f5f7;">
+<tr>
+<td align="center" style="padding: 24px 12px;">
+<table role="presentation" width="600" cellspacing="0" cellpadding="0" border="0" style="width: 100%; max-width: 600px; background-color: #ffffff; border-radius: 6px;">
+<tr>
+<td align="center" style="padding: 24px; border-bottom: 4px solid ${BRAND_COLOR};">{LOGO|raw}</td>
+</tr>
+<tr>
+<td style="padding: 28px 32px; font-family: ${FONT_STACK}; font-size: 15px; line-height: 1.5; color: #333333;">{CONTENT|raw}</td>
+</tr>
+<tr>
+<td style="padding: 20px 32px; background-color: #f8f9fa; font-family: ${FONT_STACK}; font-size: 12px; line-height: 1.6; color: #6c757d; text-align: center;">
+<strong>{COMPANY_NAME|default:"Texon Towel"}</strong><br>
+15405 Endeavor Dr, Ste 110, Noblesville, IN 46060<br>
+Phone: 800-328-3966 &middot; <a href="mailto:accounting@texontowel.com" style="color: #6c757d;">accounting@texontowel.com</a>
+{#PREFERENCES_LINK}<br><br><a href="{PREFERENCES_LINK}" style="color: #6c757d;">Email preferences</a>{/PREFERENCES_LINK}{#OPT_OUT_LINK} &middot; <a href="{OPT_OUT_LINK}" style="color: #6c757d;">Unsubscribe from reminders</a>{/OPT_OUT_LINK}
+</td>
+</tr>
+</table>
+</td>
+</tr>
+</table>
+</body>
+</html>`;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ', middot: '·', mdash: '—', ndash: '–' };
+
+/**
+ * Email Layout
+ * Branded HTML for outgoing emails: wraps template HTML in the shared header (logo) and
+ * footer, inlines CSS for email clients that drop <style> blocks, and converts between
+ * HTML and the plain-text alternative.
+ */
+class EmailLayout {
+    constructor() {
+        this.templateEngine = new TemplateEngine();
+        this.logoHtml = null;
+    }
+
+    /**
+     * Logo markup from the PDF invoice (EnhancedPDFService.getLogoHTML), loaded once
+     */
+    getLogoHtml() {
+        if (this.logoHtml === null) {
+            try {
+                const EnhancedPDFService = require('./enhanced-pdf-service');
+                this.logoHtml = new EnhancedPDFService().getLogoHTML();
+            } catch (error) {
+                console.warn('⚠️ Could not load logo for email layout:', error.message);
+                this.logoHtml = `<div style="color: ${BRAND_COLOR}; font-family: ${FONT_STACK}; font-size: 20px; font-weight: bold;">TEXON TOWEL</div>`;
+            }
+        }
+        return this.logoHtml;
+    }
+
+    /**
+     * Wrap rendered template HTML in the branded layout.
+     * With `embedLogo` an embedded (base64) logo is sent as an inline CID attachment, which
+     * email clients display more reliably than data: URLs; previews keep the data: URL.
+     * @returns {{ html: string, attachments: Array }}
+     */
+    wrap(contentHtml, variables = {}, { embedLogo = true } = {}) {
+        const { html: content, styleBlock } = this.inlineCss(contentHtml || '');
+        let logo = this.getLogoHtml();
+        const attachments = [];
+
+        const dataUrl = logo.match(/src="data:(image\/[a-z+]+);base64,([^"]+)"/);
+        if (embedLogo && dataUrl) {
+            logo = logo.replace(dataUrl[0], `src="cid:${LOGO_CID}"`);
+            attachments.push({
+                filename: `texon-logo.${dataUrl[1] === 'image/jpeg' ? 'jpg' : 'png'}`,
+                content: Buffer.from(dataUrl[2], 'base64'),
+                contentType: dataUrl[1],
+                cid: LOGO_CID
+            });
+        }
+
+        const html = this.templateEngine.render(LAYOUT_TEMPLATE, {
+            ...variables,
+            SUBJECT: variables.SUBJECT || '',
+            PREFERENCES_LINK: variables.PREFERENCES_LINK || '',
+            OPT_OUT_LINK: variables.OPT_OUT_LINK || '',
+            STYLE_BLOCK: styleBlock,
+            LOGO: logo,
+            CONTENT: content
+        }, { format: 'html' });
+
+        return { html, attachments };
+    }
+
+    /**
+     * Move CSS onto the elements it styles. Simple rules (tag, .class, tag.class) in <style>
+     * blocks are inlined and the blocks removed; @media and other at-rules are kept in a
+     * single <style> block (`styleBlock`) for the clients that support them.
+     * @returns {{ html: string, styleBlock: string }}
+     */
+    inlineCss(html) {
+        const rules = [];
+        const atRules = [];
+
+        const body = html.replace(/<style[^>]*>([\s\S]*?)<\/style>/gi, (block, css) => {
+            const withoutAtRules = css
+                .replace(/\/\*[\s\S]*?\*\//g, '')
+                .replace(/@[^{]+\{(?:[^{}]*\{[^{}]*\})*[^{}]*\}/g, (atRule) => {
+                    atRules.push(atRule.trim());
+                    return '';
+                });
+
+            let match;
+            const rulePattern = /([^{}]+)\{([^{}]*)\}/g;
+            while ((match = rulePattern.exec(withoutAtRules)) !== null) {
+                const declarations = match[2].trim().replace(/;?$/, ';');
+                match[1].split(',').map(selector => selector.trim()).forEach(selector => {
+                    const parts = selector.match(/^([a-z][a-z0-9]*)?(?:\.([\w-]+))?$/i);
+                    if (parts && (parts[1] || parts[2])) {
+                        rules.push({ tag: parts[1]?.toLowerCase(), className: parts[2], declarations });
+                    } else {
+                        console.warn(`⚠️ Email CSS selector "${selector}" is not supported and was dropped`);
+                    }
+                });
+            }
+            return '';
+        });
+
+        const inlined = body.replace(/<([a-z][a-z0-9]*)(\s[^>]*)?>/gi, (tag, name, attributes = '') => {
+            const tagName = name.toLowerCase();
+            const classes = (attributes.match(/\sclass="([^"]*)"/i)?.[1] || '').split(/\s+/).filter(Boolean);
+            const matching = rules
+                .filter(rule => (!rule.tag || rule.tag === tagName) && (!rule.className || classes.includes(rule.className)))
+                .map(rule => rule.declarations);
+            const existing = attributes.match(/\sstyle="([^"]*)"/i);
+            const styles = [BASE_STYLES[tagName], ...matching, existing?.[1].trim().replace(/;?$/, ';')]
+                .filter(Boolean);
+
+            if (styles.length === 0) return tag;
+
+            const rest = attributes.replace(/\sstyle="[^"]*"/i, '').replace(/\s*\/$/, '');
+            const selfClosing = /\/\s*>$/.test(tag) ? ' /' : '';
+            return `<${name}${rest} style="${styles.join(' ')}"${selfClosing}>`;
+        });
+
+        return {
+            html: inlined,
+            styleBlock: atRules.length > 0 ? `<style>\n${atRules.join('\n')}\n</style>` : ''
+        };
+    }
+
+    /**
+     * Plain-text alternative of an HTML body. Template tags ({#PAYMENTS} etc.) pass through,
+     * so this also turns an HTML template into a text template.
+     */
+    htmlToText(html) {
+        return (html || '')
+            .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+            .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (link, href, label) => {
+                const text = label.replace(/<[^>]+>/g, '').trim();
+                return !text || text === href ? href : `${text} (${href})`;
+            })
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<li[^>]*>/gi, '• ')
+            .replace(/<\/(td|th)>/gi, '  ')
+            .replace(/<\/(p|div|h[1-6]|tr|li|ul|ol|table)>/gi, '\n')
+            .replace(/<(p|h[1-6]|ul|ol|table)[^>]*>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&(#39|[a-z]+);/g, (entity, name) => ENTITIES[name] ?? entity)
+            .split('\n')
+            .map(line => line.replace(/[ \t]+/g, ' ').trim())
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * HTML version of a plain-text body (for text-only templates and hand-edited emails):
+     * escaped, paragraphs on blank lines and URLs made clickable
+     */
+    textToHtml(text) {
+        return (text || '')
+            .trim()
+            .split(/\n\s*\n/)
+            .map(paragraph => `<p>${escapeHtml(paragraph)
+                .replace(/https?:\/\/[^\s<]+[^\s<.,;:!?)]/g, url => `<a href="${url}">${url}</a>`)
+                .replace(/\r?\n/g, '<br>')}</p>`)
+            .join('\n');
+    }
+}
+
+module.exports = EmailLayout;
@@ -0,0 +1,373 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+
+/**
+ * Email Preferences Service
+ * Issues HMAC-signed, expiring opt-out tokens and manages customer email preferences:
+ * global opt-out, per-campaign opt-outs and temporary reminder pauses
+ */
+class EmailPreferencesService {
+    constructor() {
+        this.supabase = createClient(
+            process.env.SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_KEY,
+            {
+                auth: {
+                    autoRefreshToken: false,
+                    persistSession: false
+                }
+            }
+        );
+
+        // Without a dedicated secret, a key derived from JWT_SECRET - login tokens and
+        // public opt-out links must never be signed with the same key
+        this.tokenSecret = process.env.OPT_OUT_TOKEN_SECRET ||
+            (process.env.JWT_SECRET && crypto.createHmac('sha256', process.env.JWT_SECRET).update('texon-invoicing-portal:opt-out-links').digest('hex'));
+        if (!this.tokenSecret) {
+            throw new Error('OPT_OUT_TOKEN_SECRET (or JWT_SECRET) must be set to sign opt-out links');
+        }
+
+        this.tokenTtlDays = parseInt(process.env.OPT_OUT_TOKEN_TTL_DAYS || '90');
+        this.pauseOptions = [7, 14, 30, 60];
+    }
+
+    /**
+     * Base URL used for links in customer emails
+     */
+    getBaseUrl() {
+        return process.env.BASE_URL ||
+            (process.env.NODE_ENV === 'production'
+                ? 'https://collegesportsdirectory.com'
+                : 'http://localhost:3002');
+    }
+
+    /**
+     * Create a signed token carrying email, campaign type (optional) and expiry
+     * Format: base64url(JSON payload).base64url(HMAC-SHA256 signature)
+     */
+    generateToken(email, campaignType = null) {
+        const payload = {
+            e: email.toLowerCase(),
+            c: campaignType || null,
+            x: Date.now() + this.tokenTtlDays * 24 * 60 * 60 * 1000
+        };
+
+        const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+        return `${encodedPayload}.${this.sign(encodedPayload)}`;
+    }
+
+    /**
+     * Verify a token's signature and expiry
+     * @returns {{ valid: boolean, email?: string, campaignType?: string|null, expiresAt?: Date, error?: string }}
+     */
+    verifyToken(token) {
+        if (!token || typeof token !== 'string' || !token.includes('.')) {
+            return { valid: false, error: 'malformed' };
+        }
+
+        const [encodedPayload, signature] = token.split('.');
+        const expected = this.sign(encodedPayload);
+
+        const signatureBuffer = Buffer.from(signature || '');
+        const expectedBuffer = Buffer.from(expected);
+        if (signatureBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
+            return { valid: false, error: 'invalid_signature' };
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf-8'));
+        } catch (error) {
+            return { valid: false, error: 'malformed' };
+        }
+
+        if (!payload.e || !payload.x) {
+            return { valid: false, error: 'malformed' };
+        }
+
+        if (Date.now() > payload.x) {
+            return { valid: false, error: 'expired' };
+        }
+
+        return {
+            valid: true,
+            email: payload.e,
+            campaignType: payload.c || null,
+            expiresAt: new Date(payload.x)
+        };
+    }
+
+    sign(value) {
+        return crypto.createHmac('sha256', this.tokenSecret).update(value).digest('base64url');
+    }
+
+    /**
+     * One-click opt-out link (campaign-specific when campaignType is given)
+     */
+    getOptOutLink(email, campaignType = null) {
+        return `${this.getBaseUrl()}/texon-invoicing-portal/api/public/opt-out?token=${this.generateToken(email, campaignType)}`;
+    }
+
+    /**
+     * Link to the customer preference page
+     */
+    getPreferencesLink(email, campaignType = null) {
+        return `${this.getBaseUrl()}/texon-invoicing-portal/api/public/email-preferences?token=${this.generateToken(email, campaignType)}`;
+    }
+
+    /**
+     * Get stored preferences for an email address (null when none recorded)
+     */
+    async getPreferences(email) {
+        const { data, error } = await this.supabase
+            .from('customer_email_preferences')
+            .select('*')
+            .eq('email_address', email.toLowerCase())
+            .single();
+
+        if (error && error.code !== 'PGRST116') throw error;
+        return data || null;
+    }
+
+    /**
+     * Active automated campaigns customers can opt out of individually
+     */
+    async getCampaignOptions() {
+        const { data, error } = await this.supabase
+            .from('automated_email_campaigns')
+            .select('campaign_type, campaign_name, trigger_days')
+            .eq('is_active', true)
+            .order('trigger_days', { ascending: true });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Save preferences chosen on the preference page
+     * @param {string} email
+     * @param {Object} choices - { optOutAll: boolean, optedOutCampaigns: string[], pauseDays: number|null }
+     *   pauseDays: 0 ends any pause, one of pauseOptions pauses for that long, null keeps the current pause
+     * @param {string} updatedVia - 'preference_center' | 'one_click_link' | 'portal_user'
+     */
+    async updatePreferences(email, { optOutAll = false, optedOutCampaigns = [], pauseDays = 0 }, updatedVia = 'preference_center') {
+        const now = new Date();
+
+        const record = {
+            email_address: email.toLowerCase(),
+            opted_out_all: !!optOutAll,
+            opted_out_campaigns: optedOutCampaigns,
+            updated_via: updatedVia,
+            updated_at: now.toISOString()
+        };
+
+        if (pauseDays !== null) {
+            const days = parseInt(pauseDays) || 0;
+            if (days !== 0 && !this.pauseOptions.includes(days)) {
+                throw new Error(`Invalid pause length: ${pauseDays} days`);
+            }
+            record.paused_until = days > 0 ? new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString() : null;
+        }
+
+        // The preference page supersedes the older blanket reminder/collections flags
+        if (updatedVia === 'preference_center') {
+            record.opted_out_reminders = false;
+            record.opted_out_collections = false;
+        }
+
+        if (optOutAll || optedOutCampaigns.length > 0) {
+            record.opt_out_date = now.toISOString();
+            record.opt_out_reason = 'Customer updated email preferences';
+        }
+
+        const { data, error } = await this.supabase
+            .from('customer_email_preferences')
+            .upsert(record, { onConflict: 'email_address' })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Apply a one-click opt-out link: opt out of the token's campaign, or of all reminders
+     */
+    async applyOneClickOptOut(email, campaignType = null) {
+        const existing = await this.getPreferences(email);
+        const now = new Date().toISOString();
+
+        const record = {
+            email_address: email.toLowerCase(),
+            opt_out_date: now,
+            opt_out_reason: 'Customer clicked opt-out link in email',
+            updated_via: 'one_click_link',
+            updated_at: now
+        };
+
+        if (campaignType) {
+            const campaigns = new Set(existing?.opted_out_campaigns || []);
+            campaigns.add(campaignType);
+            record.opted_out_campaigns = Array.from(campaigns);
+        } else {
+            record.opted_out_reminders = true;
+        }
+
+        const { error } = await this.supabase
+            .from('customer_email_preferences')
+            .upsert(record, { onConflict: 'email_address' });
+
+        if (error) throw error;
+    }
+
+    /**
+     * Work out whether automated email for a campaign should be suppressed
+     * @returns {{ optedOut: boolean, reason: string|null }}
+     */
+    async getOptOutStatus(email, campaignType = null) {
+        if (!email) return { optedOut: true, reason: 'no_email' };
+
+        const preferences = await this.getPreferences(email);
+        if (!preferences) return { optedOut: false, reason: null };
+
+        if (preferences.opted_out_all) {
+            return { optedOut: true, reason: 'customer_opted_out' };
+        }
+
+        // Legacy blanket flags (admin opt-outs and older one-click links) cover every automated campaign
+        if (preferences.opted_out_reminders || preferences.opted_out_collections) {
+            return { optedOut: true, reason: 'customer_opted_out' };
+        }
+
+        if (campaignType && (preferences.opted_out_campaigns || []).includes(campaignType)) {
+            return { optedOut: true, reason: 'customer_opted_out_campaign' };
+        }
+
+        if (preferences.paused_until && new Date(preferences.paused_until) > new Date()) {
+            return { optedOut: true, reason: 'customer_paused' };
+        }
+
+        return { optedOut: false, reason: null };
+    }
+
+    /**
+     * Escape text for safe inclusion in the public HTML pages
+     */
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Shared page shell for the public opt-out and preference pages
+     */
+    renderPage(title, bodyHtml) {
+        return `
+            <html>
+                <head>
+                    <title>${this.escapeHtml(title)}</title>
+                    <meta name="viewport" content="width=device-width, initial-scale=1">
+                    <style>
+                        body { font-family: Arial, sans-serif; padding: 40px 16px; background: #f5f5f5; }
+                        .container { max-width: 600px; margin: 0 auto; background: white; padding: 40px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+                        h1 { color: #333; font-size: 1.5em; }
+                        h1.success { color: #28a745; }
+                        p { color: #666; line-height: 1.6; }
+                        .email { color: #007bff; font-weight: bold; }
+                        fieldset { border: 1px solid #ddd; border-radius: 6px; margin: 20px 0; padding: 12px 16px; }
+                        legend { font-weight: bold; color: #333; }
+                        label { display: block; margin: 8px 0; color: #333; }
+                        select { padding: 6px; }
+                        button { background: #007bff; color: white; border: none; padding: 10px 20px; border-radius: 4px; font-size: 1em; cursor: pointer; }
+                        a { color: #007bff; }
+                    </style>
+                </head>
+                <body>
+                    <div class="container">
+                        ${bodyHtml}
+                    </div>
+                </body>
+            </html>
+        `;
+    }
+
+    /**
+     * Error page for missing, forged or expired tokens
+     */
+    renderInvalidTokenPage(error) {
+        const message = error === 'expired'
+            ? 'This link has expired. Please use the link in a more recent email, or reply to the email and we will update your preferences.'
+            : 'This link is invalid. Please use the link from your email, or reply to the email and we will update your preferences.';
+
+        return this.renderPage('Invalid Link', `
+            <h1>❌ Invalid Link</h1>
+            <p>${message}</p>
+        `);
+    }
+
+    /**
+     * Preference page with global opt-out, per-campaign opt-outs and pause options
+     */
+    renderPreferencePage(token, email, preferences, campaigns, message = null) {
+        const optedOutCampaigns = new Set(preferences?.opted_out_campaigns || []);
+        const legacyOptOut = preferences?.opted_out_reminders || preferences?.opted_out_collections;
+        const pausedUntil = preferences?.paused_until && new Date(preferences.paused_until) > new Date()
+            ? new Date(preferences.paused_until)
+            : null;
+
+        const campaignCheckboxes = campaigns.map(campaign => `
+            <label>
+                <input type="checkbox" name="campaigns" value="${this.escapeHtml(campaign.campaign_type)}"
+                    ${optedOutCampaigns.has(campaign.campaign_type) || legacyOptOut ? 'checked' : ''}>
+                ${this.escapeHtml(campaign.campaign_name)}
+            </label>
+        `).join('');
+
+        const pauseOptions = this.pauseOptions.map(days =>
+            `<option value="${days}">Pause for ${days} days</option>`
+        ).join('');
+
+        return this.renderPage('Email Preferences', `
+            <h1>📧 Email Preferences</h1>
+            ${message ? `<p style="color: #28a745; font-weight: bold;">${this.escapeHtml(message)}</p>` : ''}
+            <p>Manage automated payment reminder emails sent to <span class="email">${this.escapeHtml(email)}</span>.</p>
+            <form method="POST" action="/texon-invoicing-portal/api/public/email-preferences">
+                <input type="hidden" name="token" value="${this.escapeHtml(token)}">
+
+                <fieldset>
+                    <legend>Stop specific reminders</legend>
+                    ${campaignCheckboxes || '<p>No automated reminders are currently active.</p>'}
+                </fieldset>
+
+                <fieldset>
+                    <legend>Pause all reminders</legend>
+                    ${pausedUntil ? `<p>Reminders are paused until <strong>${pausedUntil.toLocaleDateString()}</strong>.</p>` : ''}
+                    <select name="pauseDays">
+                        ${pausedUntil ? `
+                        <option value="keep" selected>Keep current pause</option>
+                        <option value="0">Resume reminders now</option>` : `
+                        <option value="0">Do not pause</option>`}
+                        ${pauseOptions}
+                    </select>
+                </fieldset>
+
+                <fieldset>
+                    <legend>Unsubscribe</legend>
+                    <label>
+                        <input type="checkbox" name="optOutAll" value="1" ${preferences?.opted_out_all ? 'checked' : ''}>
+                        Stop all automated emails from Texon Towel
+                    </label>
+                </fieldset>
+
+                <button type="submit">Save Preferences</button>
+            </form>
+            <p style="font-size: 0.9em;">Invoices and replies to your own messages may still be sent by our team.</p>
+        `);
+    }
+}
+
+module.exports = EmailPreferencesService;
@@ -1,5 +1,45 @@
 const cron = require('node-cron');
 const AutomatedEmailService = require('./automated-email-service');
+const FollowUpService = require('./follow-up-service');
+
+// app_settings keys for the scheduler and their defaults
+const SCHEDULE_SETTING_DEFAULTS = {
+    email_schedule_main_automation: '0 9,14 * * 1-5',  // 9 AM and 2 PM
+    email_schedule_weekly_stats: '0 8 * * 1',           // Monday 8 AM
+    email_schedule_cleanup: '0 2 1 * *',                // 1st of month, 2 AM
+    email_schedule_promise_check: '0 7 * * *',          // Daily 7 AM, before the first automation run
+    email_schedule_follow_up_digest: '30 7 * * 1-5',    // 7:30 AM on business days
+    email_schedule_timezone: 'America/New_York',
+    email_schedule_business_days: '1,2,3,4,5'           // 0 = Sunday ... 6 = Saturday
+};
+
+/**
+ * Five-field cron expression (minute hour day-of-month month day-of-week) accepted by node-cron
+ */
+function isValidCronExpression(expression) {
+    if (!expression || typeof expression !== 'string') return false;
+    if (expression.trim().split(/\s+/).length !== 5) return false;
+    return cron.validate(expression.trim());
+}
+
+/**
+ * Whether an expression restricts the day of month. Business-day jobs get their day-of-week
+ * field from the business days, and cron ORs the two fields ("the 1st OR any weekday"),
+ * so those jobs must leave day-of-month as *.
+ */
+function restrictsDayOfMonth(expression) {
+    return expression.trim().split(/\s+/)[2] !== '*';
+}
+
+function isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
 
 /**
  * Email Scheduler - Manages automated email cron jobs
@@ -8,84 +48,246 @@ const AutomatedEmailService = require('./automated-email-service');
 class EmailScheduler {
     constructor() {
         this.automatedEmailService = new AutomatedEmailService();
+        this.followUpService = new FollowUpService();
+        // Internal mail transport for staff emails (the follow-up digest); set by server.js
+        this.getMailTransport = () => null;
         this.jobs = new Map();
         this.isRunning = false;
+        // In-flight start(), so concurrent start/reload calls never create a second set of jobs
+        this.startPromise = null;
+        this.config = null;
         console.log('✅ Email Scheduler initialized');
     }
 
     /**
-     * Start all scheduled email jobs
+     * Start all scheduled email jobs using the schedule stored in app_settings
      */
-    start() {
+    async start() {
         if (this.isRunning) {
             console.log('⚠️ Email scheduler is already running');
             return;
         }
+        if (this.startPromise) {
+            console.log('⚠️ Email scheduler is already starting');
+            return this.startPromise;
+        }
 
-        console.log('🚀 Starting email scheduler...');
+        this.startPromise = (async () => {
+            console.log('🚀 Starting email scheduler...');
 
-        // Schedule main automation to run twice daily (9 AM and 2 PM)
-        // This gives businesses time to process payments and reduces redundant emails
-        const mainAutomationJob = cron.schedule('0 9,14 * * 1-5', async () => {
-            console.log('\n🕘 Scheduled email automation triggered...');
-            try {
-                await this.automatedEmailService.runAutomation('scheduler');
-            } catch (error) {
-                console.error('❌ Scheduled automation failed:', error);
-            }
-        }, {
-            scheduled: false,
-            timezone: 'America/New_York' // Adjust timezone as needed
-        });
-
-        // Schedule a weekly summary job (Monday mornings)
-        const weeklyStatsJob = cron.schedule('0 8 * * 1', async () => {
-            console.log('\n📊 Weekly email automation stats...');
-            try {
-                const stats = await this.automatedEmailService.getAutomationStats(7);
-                console.log('📈 Weekly Email Automation Summary:');
-                console.log(`   Total Runs: ${stats.totalRuns}`);
-                console.log(`   Successful Runs: ${stats.successfulRuns}`);
-                console.log(`   Failed Runs: ${stats.failedRuns}`);
-                console.log(`   Emails Sent: ${stats.totalEmailsSent}`);
-                console.log(`   Emails Failed: ${stats.totalEmailsFailed}`);
-                console.log(`   Emails Scheduled: ${stats.totalEmailsScheduled}`);
-            } catch (error) {
-                console.error('❌ Failed to generate weekly stats:', error);
+            this.config = await this.loadScheduleConfig();
+            this.createJobs();
+
+            this.isRunning = true;
+            console.log('✅ Email scheduler started successfully');
+            this.logSchedule();
+        })();
+
+        try {
+            await this.startPromise;
+        } finally {
+            this.startPromise = null;
+        }
+    }
+
+    /**
+     * Job definitions - cron expressions come from app_settings (see SCHEDULE_SETTING_DEFAULTS)
+     */
+    getJobDefinitions() {
+        return {
+            mainAutomation: {
+                settingKey: 'email_schedule_main_automation',
+                description: 'Main email automation',
+                businessDaysOnly: true,
+                handler: async () => {
+                    console.log('\n🕘 Scheduled email automation triggered...');
+                    try {
+                        await this.automatedEmailService.runAutomation('scheduler');
+                    } catch (error) {
+                        console.error('❌ Scheduled automation failed:', error);
+                    }
+                }
+            },
+            weeklyStats: {
+                settingKey: 'email_schedule_weekly_stats',
+                description: 'Weekly automation stats',
+                businessDaysOnly: false,
+                handler: async () => {
+                    console.log('\n📊 Weekly email automation stats...');
+                    try {
+                        const stats = await this.automatedEmailService.getAutomationStats(7);
+                        console.log('📈 Weekly Email Automation Summary:');
+                        console.log(`   Total Runs: ${stats.totalRuns}`);
+                        console.log(`   Successful Runs: ${stats.successfulRuns}`);
+                        console.log(`   Failed Runs: ${stats.failedRuns}`);
+                        console.log(`   Emails Sent: ${stats.totalEmailsSent}`);
+                        console.log(`   Emails Failed: ${stats.totalEmailsFailed}`);
+                        console.log(`   Emails Scheduled: ${stats.totalEmailsScheduled}`);
+                    } catch (error) {
+                        console.error('❌ Failed to generate weekly stats:', error);
+                    }
+                }
+            },
+            promiseCheck: {
+                settingKey: 'email_schedule_promise_check',
+                description: 'Promise-to-pay check',
+                businessDaysOnly: false,
+                handler: async () => {
+                    console.log('\n🤝 Checking promises to pay...');
+                    try {
+                        await this.automatedEmailService.paymentPromiseService.checkDuePromises();
+                    } catch (error) {
+                        console.error('❌ Promise check failed:', error);
+                    }
+                }
+            },
+            followUpDigest: {
+                settingKey: 'email_schedule_follow_up_digest',
+                description: 'Daily follow-up digest',
+                businessDaysOnly: true,
+                handler: async () => {
+                    console.log('\n📋 Sending follow-up digests...');
+                    try {
+                        await this.followUpService.sendDailyDigest(this.getMailTransport());
+                    } catch (error) {
+                        console.error('❌ Follow-up digest failed:', error);
+                    }
+                }
+            },
+            cleanup: {
+                settingKey: 'email_schedule_cleanup',
+                description: 'Monthly log cleanup',
+                businessDaysOnly: false,
+                handler: async () => {
+                    console.log('\n🧹 Monthly cleanup of old automation logs...');
+                    try {
+                        await this.cleanupOldLogs();
+                    } catch (error) {
+                        console.error('❌ Cleanup job failed:', error);
+                    }
+                }
             }
-        }, {
-            scheduled: false,
-            timezone: 'America/New_York'
-        });
-
-        // Schedule a cleanup job for old logs (monthly)
-        const cleanupJob = cron.schedule('0 2 1 * *', async () => {
-            console.log('\n🧹 Monthly cleanup of old automation logs...');
-            try {
-                await this.cleanupOldLogs();
-            } catch (error) {
-                console.error('❌ Cleanup job failed:', error);
+        };
+    }
+
+    /**
+     * Create and start a cron task for every job from the current config
+     */
+    createJobs() {
+        const definitions = this.getJobDefinitions();
+
+        for (const [name, definition] of Object.entries(definitions)) {
+            const expression = this.getEffectiveExpression(name);
+            const job = cron.createTask(expression, definition.handler, {
+                name: `email-scheduler-${name}`,
+                timezone: this.config.timezone
+            });
+
+            job.start();
+            this.jobs.set(name, job);
+        }
+    }
+
+    /**
+     * Stop and discard all cron tasks
+     */
+    destroyJobs() {
+        for (const [name, job] of this.jobs) {
+            job.stop();
+            job.destroy();
+            console.log(`   ⏹️ Stopped ${name} job`);
+        }
+
+        this.jobs.clear();
+    }
+
+    /**
+     * Cron expression actually scheduled for a job. Jobs limited to business days
+     * have their day-of-week field replaced by the business-day calendar.
+     */
+    getEffectiveExpression(jobName) {
+        const definition = this.getJobDefinitions()[jobName];
+        const expression = this.config.schedules[jobName];
+
+        if (!definition.businessDaysOnly) return expression;
+
+        const parts = expression.trim().split(/\s+/);
+        parts[4] = this.config.businessDays.join(',');
+        return parts.join(' ');
+    }
+
+    /**
+     * Load schedules, timezone and business days from app_settings.
+     * Invalid or missing values fall back to the defaults.
+     */
+    async loadScheduleConfig() {
+        const settings = { ...SCHEDULE_SETTING_DEFAULTS };
+
+        try {
+            const { data, error } = await this.automatedEmailService.supabase
+                .from('app_settings')
+                .select('key, value')
+                .in('key', Object.keys(SCHEDULE_SETTING_DEFAULTS));
+
+            if (error) throw error;
+
+            (data || []).forEach(setting => {
+                if (setting.value) settings[setting.key] = setting.value;
+            });
+        } catch (error) {
+            console.error('⚠️ Could not load email schedule settings, using defaults:', error.message);
+        }
+
+        const schedules = {};
+        for (const [name, definition] of Object.entries(this.getJobDefinitions())) {
+            const expression = settings[definition.settingKey];
+            if (isValidCronExpression(expression) && !(definition.businessDaysOnly && restrictsDayOfMonth(expression))) {
+                schedules[name] = expression;
+            } else {
+                console.warn(`⚠️ Invalid cron expression for ${name} ("${expression}"), using default`);
+                schedules[name] = SCHEDULE_SETTING_DEFAULTS[definition.settingKey];
             }
-        }, {
-            scheduled: false,
-            timezone: 'America/New_York'
-        });
-
-        // Store jobs for management
-        this.jobs.set('mainAutomation', mainAutomationJob);
-        this.jobs.set('weeklyStats', weeklyStatsJob);
-        this.jobs.set('cleanup', cleanupJob);
-
-        // Start all jobs
-        mainAutomationJob.start();
-        weeklyStatsJob.start();
-        cleanupJob.start();
-
-        this.isRunning = true;
-        console.log('✅ Email scheduler started successfully');
-        console.log('📅 Main automation: 9 AM and 2 PM, Monday-Friday');
-        console.log('📊 Weekly stats: Monday 8 AM');
-        console.log('🧹 Monthly cleanup: 1st of month, 2 AM');
+        }
+
+        let timezone = settings.email_schedule_timezone;
+        if (!isValidTimezone(timezone)) {
+            console.warn(`⚠️ Invalid scheduler timezone "${timezone}", using default`);
+            timezone = SCHEDULE_SETTING_DEFAULTS.email_schedule_timezone;
+        }
+
+        let businessDays = EmailScheduler.parseBusinessDays(settings.email_schedule_business_days);
+        if (businessDays.length === 0) {
+            console.warn('⚠️ No valid business days configured, using default');
+            businessDays = EmailScheduler.parseBusinessDays(SCHEDULE_SETTING_DEFAULTS.email_schedule_business_days);
+        }
+
+        return { schedules, timezone, businessDays };
+    }
+
+    /**
+     * Reload the schedule from app_settings and recreate running jobs (no restart needed)
+     */
+    async reloadSchedule() {
+        if (this.startPromise) {
+            await this.startPromise;
+        }
+
+        this.config = await this.loadScheduleConfig();
+
+        if (this.isRunning) {
+            console.log('🔄 Reloading email scheduler jobs...');
+            this.destroyJobs();
+            this.createJobs();
+            this.logSchedule();
+        }
+
+        return this.getStatus();
+    }
+
+    logSchedule() {
+        for (const name of this.jobs.keys()) {
+            console.log(`📅 ${name}: ${this.getEffectiveExpression(name)} (${this.config.timezone})`);
+        }
     }
 
     /**
@@ -99,57 +301,43 @@ class EmailScheduler {
 
         console.log('⏹️ Stopping email scheduler...');
 
-        for (const [name, job] of this.jobs) {
-            job.stop();
-            console.log(`   ⏹️ Stopped ${name} job`);
-        }
-
-        this.jobs.clear();
+        this.destroyJobs();
         this.isRunning = false;
         console.log('✅ Email scheduler stopped');
     }
 
     /**
-     * Get scheduler status
+     * Get scheduler status, including the configured schedule and next run of every job
      */
     getStatus() {
+        const definitions = this.getJobDefinitions();
+
         return {
             isRunning: this.isRunning,
             activeJobs: Array.from(this.jobs.keys()),
-            nextRun: this.getNextRunTime()
+            nextRun: this.getNextRunTime(),
+            timezone: this.config?.timezone || SCHEDULE_SETTING_DEFAULTS.email_schedule_timezone,
+            businessDays: this.config?.businessDays || [],
+            jobs: Object.entries(definitions).map(([name, definition]) => ({
+                name,
+                description: definition.description,
+                cronExpression: this.config?.schedules[name] || SCHEDULE_SETTING_DEFAULTS[definition.settingKey],
+                effectiveExpression: this.config ? this.getEffectiveExpression(name) : null,
+                businessDaysOnly: definition.businessDaysOnly,
+                nextRun: this.getNextRunTime(name)
+            }))
         };
     }
 
     /**
-     * Get next scheduled run time
+     * Get next scheduled run time for a job (main automation by default)
      */
-    getNextRunTime() {
-        if (!this.isRunning || !this.jobs.has('mainAutomation')) {
+    getNextRunTime(jobName = 'mainAutomation') {
+        if (!this.isRunning || !this.jobs.has(jobName)) {
             return null;
         }
 
-        // Calculate next 9 AM or 2 PM on weekdays
-        const now = new Date();
-        const nextRun = new Date();
-
-        // Set to today at 9 AM
-        nextRun.setHours(9, 0, 0, 0);
-
-        // If it's past 9 AM, try 2 PM today
-        if (now > nextRun) {
-            nextRun.setHours(14, 0, 0, 0);
-        }
-
-        // If it's past 2 PM or weekend, move to next weekday 9 AM
-        if (now > nextRun || nextRun.getDay() === 0 || nextRun.getDay() === 6) {
-            do {
-                nextRun.setDate(nextRun.getDate() + 1);
-            } while (nextRun.getDay() === 0 || nextRun.getDay() === 6);
-
-            nextRun.setHours(9, 0, 0, 0);
-        }
-
-        return nextRun;
+        return this.jobs.get(jobName).getNextRun();
     }
 
     /**
@@ -169,35 +357,38 @@ class EmailScheduler {
     }
 
     /**
-     * Update schedule (for dynamic configuration)
+     * Update a job's schedule, persist it to app_settings and reload
      */
-    updateSchedule(cronExpression, jobName = 'mainAutomation') {
-        if (!this.isRunning) {
-            throw new Error('Scheduler is not running');
+    async updateSchedule(cronExpression, jobName = 'mainAutomation') {
+        const definition = this.getJobDefinitions()[jobName];
+        if (!definition) {
+            throw new Error(`Job ${jobName} not found`);
         }
 
-        if (!this.jobs.has(jobName)) {
-            throw new Error(`Job ${jobName} not found`);
+        if (!isValidCronExpression(cronExpression)) {
+            throw new Error(`Invalid cron expression: ${cronExpression}`);
         }
 
-        // Stop existing job
-        this.jobs.get(jobName).stop();
+        const { error } = await this.automatedEmailService.supabase
+            .from('app_settings')
+            .upsert({ key: definition.settingKey, value: cronExpression }, { onConflict: 'key' });
 
-        // Create new job with updated schedule
-        const newJob = cron.schedule(cronExpression, async () => {
-            console.log(`\n🕘 Scheduled automation triggered (${jobName})...`);
-            try {
-                await this.automatedEmailService.runAutomation('scheduler');
-            } catch (error) {
-                console.error('❌ Scheduled automation failed:', error);
-            }
-        }, {
-            scheduled: true,
-            timezone: 'America/New_York'
-        });
+        if (error) throw error;
 
-        this.jobs.set(jobName, newJob);
         console.log(`✅ Updated ${jobName} schedule to: ${cronExpression}`);
+        return this.reloadSchedule();
+    }
+
+    /**
+     * Parse "1,2,3,4,5" (0 = Sunday) into a sorted list of unique weekdays
+     */
+    static parseBusinessDays(value) {
+        const days = String(value || '')
+            .split(',')
+            .map(day => parseInt(day.trim()))
+            .filter(day => Number.isInteger(day) && day >= 0 && day <= 6);
+
+        return Array.from(new Set(days)).sort((a, b) => a - b);
     }
 
     /**
@@ -304,4 +495,8 @@ class EmailScheduler {
     }
 }
 
-module.exports = EmailScheduler;
\ No newline at end of file
+module.exports = EmailScheduler;
+module.exports.SCHEDULE_SETTING_DEFAULTS = SCHEDULE_SETTING_DEFAULTS;
+module.exports.isValidCronExpression = isValidCronExpression;
+module.exports.restrictsDayOfMonth = restrictsDayOfMonth;
+module.exports.isValidTimezone = isValidTimezone;
\ No newline at end of file
@@ -0,0 +1,395 @@
+const nodemailer = require('nodemailer');
+const { createClient } = require('@supabase/supabase-js');
+const SecretStore = require('./secret-store');
+const EmailApiTransport = require('./email-api-transport');
+const { API_PROVIDERS } = EmailApiTransport;
+
+/**
+ * Sender backend types: which settings are stored as plain config and which are encrypted.
+ * Only `required` fields must be filled in (an IP-allowlisted SMTP relay needs no login).
+ */
+const BACKEND_TYPES = {
+    smtp: {
+        label: 'SMTP relay',
+        config: ['host', 'port', 'secure', 'username'],
+        secrets: ['password'],
+        required: ['host', 'port']
+    },
+    gmail_oauth2: {
+        label: 'Google Workspace (OAuth2)',
+        config: ['user', 'client_id'],
+        secrets: ['client_secret', 'refresh_token'],
+        required: ['user', 'client_id', 'client_secret', 'refresh_token']
+    },
+    microsoft365_oauth2: {
+        label: 'Microsoft 365 (OAuth2)',
+        config: ['user', 'client_id', 'tenant_id'],
+        secrets: ['client_secret', 'refresh_token'],
+        required: ['user', 'client_id', 'tenant_id', 'client_secret', 'refresh_token']
+    },
+    api: {
+        label: 'Email API',
+        config: ['provider'],
+        secrets: ['api_key'],
+        required: ['provider', 'api_key']
+    }
+};
+
+const BACKEND_COLUMNS = 'id, name, backend_type, config, secrets, from_address, from_name, is_default, is_active, last_verified_at, last_error, created_at, updated_at';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Email Sender Service
+ * Organization-wide sender backends (SMTP relay, Google Workspace or Microsoft 365 over
+ * OAuth2, or an email API provider). When a default backend is active, every email goes out
+ * through it from the organization's address, with replies going to the sending user;
+ * otherwise EmailService falls back to each user's own Gmail App Password.
+ * Credentials are encrypted with SecretStore and never returned to the browser.
+ */
+class EmailSenderService {
+    constructor() {
+        this.supabase = createClient(
+            process.env.SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_KEY,
+            {
+                auth: {
+                    autoRefreshToken: false,
+                    persistSession: false
+                }
+            }
+        );
+
+        this.secretStore = new SecretStore();
+        // Transports are reused so OAuth2 access tokens and SMTP pools survive between sends
+        this.transports = new Map();
+    }
+
+    async listBackends() {
+        try {
+            const { data, error } = await this.supabase
+                .from('email_sender_backends')
+                .select(BACKEND_COLUMNS)
+                .order('created_at', { ascending: true });
+
+            if (error) throw error;
+
+            return {
+                success: true,
+                backends: (data || []).map(backend => this.toPublic(backend)),
+                backendTypes: Object.fromEntries(Object.entries(BACKEND_TYPES).map(([type, definition]) => [type, {
+                    label: definition.label,
+                    config: definition.config,
+                    secrets: definition.secrets,
+                    required: definition.required
+                }])),
+                apiProviders: API_PROVIDERS
+            };
+        } catch (error) {
+            console.error('❌ Error listing email sender backends:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async createBackend(input, userId) {
+        try {
+            const { fields, error: validationError } = this.buildFields(input);
+            if (validationError) {
+                return { success: false, error: validationError, invalid: true };
+            }
+
+            if (fields.is_default) await this.clearDefault();
+
+            const { data, error } = await this.supabase
+                .from('email_sender_backends')
+                .insert({ ...fields, created_by: userId })
+                .select(BACKEND_COLUMNS)
+                .single();
+
+            if (error) throw error;
+
+            console.log(`📮 Email sender "${data.name}" (${data.backend_type}) added by user ${userId}`);
+            return { success: true, backend: this.toPublic(data) };
+        } catch (error) {
+            console.error('❌ Error creating email sender backend:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Update a backend. Secret fields left empty keep their stored value.
+     */
+    async updateBackend(id, input) {
+        try {
+            const existing = await this.getBackend(id);
+            if (!existing) {
+                return { success: false, error: 'Sender not found', notFound: true };
+            }
+
+            const { fields, error: validationError } = this.buildFields(input, existing);
+            if (validationError) {
+                return { success: false, error: validationError, invalid: true };
+            }
+
+            if (fields.is_default && !existing.is_default) await this.clearDefault();
+
+            // New connection settings invalidate the last credentials check
+            const connectionChanged = input.backend_type !== undefined || input.config !== undefined || input.secrets !== undefined;
+
+            const { data, error } = await this.supabase
+                .from('email_sender_backends')
+                .update({
+                    ...fields,
+                    ...(connectionChanged && { last_verified_at: null, last_error: null }),
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', id)
+                .select(BACKEND_COLUMNS)
+                .single();
+
+            if (error) throw error;
+
+            this.transports.delete(existing.id);
+            console.log(`📮 Email sender "${data.name}" updated`);
+            return { success: true, backend: this.toPublic(data) };
+        } catch (error) {
+            console.error(`❌ Error updating email sender backend ${id}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async deleteBackend(id) {
+        try {
+            const { data, error } = await this.supabase
+                .from('email_sender_backends')
+                .delete()
+                .eq('id', id)
+                .select('id, name')
+                .maybeSingle();
+
+            if (error) throw error;
+            if (!data) {
+                return { success: false, error: 'Sender not found', notFound: true };
+            }
+
+            this.transports.delete(data.id);
+            console.log(`🗑️ Email sender "${data.name}" deleted`);
+            return { success: true };
+        } catch (error) {
+            console.error(`❌ Error deleting email sender backend ${id}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Check the backend's credentials (SMTP login / OAuth2 token / API key) and record the result
+     */
+    async verifyBackend(id) {
+        const backend = await this.getBackend(id);
+        if (!backend) {
+            return { success: false, error: 'Sender not found', notFound: true };
+        }
+
+        let verifyError = null;
+        try {
+            await this.getTransport(backend).verify();
+        } catch (error) {
+            verifyError = error.message;
+        }
+
+        await this.supabase
+            .from('email_sender_backends')
+            .update({ last_verified_at: new Date().toISOString(), last_error: verifyError })
+            .eq('id', backend.id);
+
+        if (verifyError) {
+            console.warn(`⚠️ Email sender "${backend.name}" failed verification: ${verifyError}`);
+            return { success: false, error: verifyError };
+        }
+
+        console.log(`✅ Email sender "${backend.name}" verified`);
+        return { success: true };
+    }
+
+    async getBackend(id) {
+        const { data, error } = await this.supabase
+            .from('email_sender_backends')
+            .select(BACKEND_COLUMNS)
+            .eq('id', id)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * The active default backend, or null when emails go out through each user's Gmail account
+     */
+    async getDefaultBackend() {
+        const { data, error } = await this.supabase
+            .from('email_sender_backends')
+            .select(BACKEND_COLUMNS)
+            .eq('is_default', true)
+            .eq('is_active', true)
+            .maybeSingle();
+
+        if (error) {
+            console.warn('⚠️ Could not load the default email sender:', error.message);
+            return null;
+        }
+        return data;
+    }
+
+    /**
+     * nodemailer transport (or API adapter with the same interface) for a backend
+     */
+    getTransport(backend) {
+        const cached = this.transports.get(backend.id);
+        if (cached && cached.updatedAt === backend.updated_at) return cached.transport;
+
+        const config = backend.config || {};
+        const secrets = this.secretStore.decryptJson(backend.secrets);
+        let transport;
+
+        switch (backend.backend_type) {
+            case 'smtp':
+                transport = nodemailer.createTransport({
+                    host: config.host,
+                    port: parseInt(config.port) || 587,
+                    secure: config.secure === true,
+                    ...(config.username && { auth: { user: config.username, pass: secrets.password } })
+                });
+                break;
+            case 'gmail_oauth2':
+                transport = nodemailer.createTransport({
+                    service: 'gmail',
+                    auth: {
+                        type: 'OAuth2',
+                        user: config.user,
+                        clientId: config.client_id,
+                        clientSecret: secrets.client_secret,
+                        refreshToken: secrets.refresh_token
+                    }
+                });
+                break;
+            case 'microsoft365_oauth2':
+                transport = nodemailer.createTransport({
+                    host: 'smtp.office365.com',
+                    port: 587,
+                    secure: false,
+                    requireTLS: true,
+                    auth: {
+                        type: 'OAuth2',
+                        user: config.user,
+                        clientId: config.client_id,
+                        clientSecret: secrets.client_secret,
+                        refreshToken: secrets.refresh_token,
+                        accessUrl: `https://login.microsoftonline.com/${config.tenant_id}/oauth2/v2.0/token`,
+                        customParams: { scope: 'https://outlook.office.com/SMTP.Send offline_access' }
+                    }
+                });
+                break;
+            case 'api':
+                transport = new EmailApiTransport(config.provider, secrets.api_key);
+                break;
+            default:
+                throw new Error(`Unknown email sender type: ${backend.backend_type}`);
+        }
+
+        this.transports.set(backend.id, { transport, updatedAt: backend.updated_at });
+        return transport;
+    }
+
+    /**
+     * Validate a request body into table columns, merging secrets with the stored ones
+     * @returns {{ fields?: Object, error?: string }}
+     */
+    buildFields(input, existing = null) {
+        const backendType = input.backend_type || existing?.backend_type;
+        const definition = BACKEND_TYPES[backendType];
+        if (!definition) {
+            return { error: `Sender type must be one of: ${Object.keys(BACKEND_TYPES).join(', ')}` };
+        }
+
+        const name = String(input.name ?? existing?.name ?? '').trim();
+        if (!name) {
+            return { error: 'A sender name is required' };
+        }
+
+        const fromAddress = String(input.from_address ?? existing?.from_address ?? '').trim().toLowerCase();
+        if (!EMAIL_PATTERN.test(fromAddress)) {
+            return { error: 'A valid From address is required' };
+        }
+
+        const inputConfig = input.config || {};
+        const config = {};
+        for (const key of definition.config) {
+            const value = inputConfig[key] !== undefined ? inputConfig[key] : existing?.config?.[key];
+            if (value !== undefined && value !== null && value !== '') config[key] = value;
+        }
+        if (config.port !== undefined) config.port = parseInt(config.port);
+        if (config.secure !== undefined) config.secure = config.secure === true || config.secure === 'true';
+
+        if (backendType === 'api' && config.provider && !API_PROVIDERS[config.provider]) {
+            return { error: `Email API provider must be one of: ${Object.keys(API_PROVIDERS).join(', ')}` };
+        }
+
+        // Secrets are write-only: empty fields keep what is stored (unless the type changed)
+        const storedSecrets = existing && existing.backend_type === backendType
+            ? this.secretStore.decryptJson(existing.secrets)
+            : {};
+        const secrets = {};
+        for (const key of definition.secrets) {
+            const value = input.secrets?.[key];
+            if (value) secrets[key] = value;
+            else if (storedSecrets[key]) secrets[key] = storedSecrets[key];
+        }
+
+        const missing = definition.required.filter(key => !config[key] && !secrets[key]);
+        if (missing.length > 0) {
+            return { error: `Missing ${definition.label} settings: ${missing.join(', ')}` };
+        }
+
+        return {
+            fields: {
+                name,
+                backend_type: backendType,
+                config,
+                secrets: this.secretStore.encryptJson(secrets),
+                from_address: fromAddress,
+                from_name: String(input.from_name ?? existing?.from_name ?? '').trim() || null,
+                is_default: input.is_default !== undefined ? input.is_default === true : (existing?.is_default || false),
+                is_active: input.is_active !== undefined ? input.is_active === true : (existing?.is_active ?? true)
+            }
+        };
+    }
+
+    async clearDefault() {
+        const { error } = await this.supabase
+            .from('email_sender_backends')
+            .update({ is_default: false, updated_at: new Date().toISOString() })
+            .eq('is_default', true);
+
+        if (error) throw error;
+    }
+
+    /**
+     * Backend without its encrypted secrets; `secrets_set` lists which ones are stored
+     */
+    toPublic(backend) {
+        const { secrets, ...rest } = backend;
+        let secretsSet = [];
+        let secretsError = null;
+
+        try {
+            secretsSet = Object.keys(this.secretStore.decryptJson(secrets));
+        } catch (error) {
+            secretsError = error.message;
+        }
+
+        return { ...rest, secrets_set: secretsSet, secrets_error: secretsError };
+    }
+}
+
+module.exports = EmailSenderService;
+module.exports.BACKEND_TYPES = BACKEND_TYPES;
@@ -1,10 +1,73 @@
 const nodemailer = require('nodemailer');
 const { createClient } = require('@supabase/supabase-js');
-const crypto = require('crypto');
+const EmailPreferencesService = require('./email-preferences-service');
+const EmailSenderService = require('./email-sender-service');
+const SecretStore = require('./secret-store');
+const TemplateEngine = require('./template-engine');
+const EmailLayout = require('./email-layout');
+const { buildPaymentVariables, buildLineItemVariables, escapeHtml } = TemplateEngine;
+
+// HTML bodies of the built-in templates; the text templates below are their plain-text alternatives
+const SUMMARY_ROW = (label, value) => `<tr><td>${label}</td><td style="text-align: right;">${value}</td></tr>`;
+const PAYMENT_HISTORY_HTML = `{#HAS_PAYMENTS}<h3>Payment History</h3>
+<table width="100%">
+<tr><th>Date</th><th>Method</th><th style="text-align: right;">Amount</th></tr>
+{#PAYMENTS}<tr><td>{PAYMENT_DATE}</td><td>{PAYMENT_METHOD}</td><td style="text-align: right;">{PAYMENT_AMOUNT|currency}</td></tr>
+{/PAYMENTS}</table>
+{/HAS_PAYMENTS}`;
+const PAY_BUTTON_HTML = `{#PAYMENT_LINK}<p style="text-align: center; margin: 24px 0;"><a href="{PAYMENT_LINK}" style="background-color: #00A0E6; color: #ffffff; padding: 12px 28px; border-radius: 4px; text-decoration: none; font-weight: bold; display: inline-block;">Pay Online</a></p>
+{/PAYMENT_LINK}`;
+const SIGNATURE_HTML = `<p>Best regards,<br>{SENDER_NAME}<br>{COMPANY_NAME}</p>`;
+
+const DEFAULT_HTML_TEMPLATES = {
+    invoice: `<p>Dear {CUSTOMER_NAME},</p>
+<p>Please find attached your invoice for Order #{ORDER_ID}.</p>
+<h3>Invoice Summary</h3>
+<table width="100%">
+${SUMMARY_ROW('Invoice Number', '{INVOICE_NUMBER}')}
+${SUMMARY_ROW('Order Reference', '{ORDER_REFERENCE}')}
+${SUMMARY_ROW('Total Amount', '{TOTAL_AMOUNT|currency}')}
+${SUMMARY_ROW('Amount Paid', '{TOTAL_PAID|currency}')}
+${SUMMARY_ROW('<strong>Amount Due</strong>', '<strong>{AMOUNT_DUE|currency}</strong>')}
+${SUMMARY_ROW('Status', '{PAYMENT_STATUS}')}
+</table>
+${PAYMENT_HISTORY_HTML}
+${PAY_BUTTON_HTML}
+<p>If you have any questions about this invoice or your payment, please don't hesitate to contact us.</p>
+${SIGNATURE_HTML}`,
+    reminder: `<p>Dear {CUSTOMER_NAME},</p>
+<p>This is a friendly reminder regarding your outstanding balance for Order #{ORDER_ID}.</p>
+<h3>Payment Summary</h3>
+<table width="100%">
+${SUMMARY_ROW('Invoice Number', '{INVOICE_NUMBER}')}
+${SUMMARY_ROW('Order Reference', '{ORDER_REFERENCE}')}
+${SUMMARY_ROW('Total Amount', '{TOTAL_AMOUNT|currency}')}
+${SUMMARY_ROW('Amount Paid', '{TOTAL_PAID|currency}')}
+${SUMMARY_ROW('<strong>Outstanding Balance</strong>', '<strong>{AMOUNT_DUE|currency}</strong>')}
+${SUMMARY_ROW('Days Outstanding', '{DAYS_OUTSTANDING}')}
+</table>
+${PAYMENT_HISTORY_HTML}
+<p>{#HAS_PAYMENTS}We appreciate your previous payments and kindly ask that you remit the remaining balance of {AMOUNT_DUE|currency} to complete this order.{/HAS_PAYMENTS}{^HAS_PAYMENTS}Please remit the balance of {AMOUNT_DUE|currency} at your earliest convenience.{/HAS_PAYMENTS}</p>
+${PAY_BUTTON_HTML}
+<p>If you have already sent payment, please disregard this message. If you have any questions or need to arrange alternative payment terms, please contact us immediately.</p>
+<p>Thank you for your business.</p>
+${SIGNATURE_HTML}`,
+    consolidated: `<p>Dear {CUSTOMER_NAME},</p>
+<p>This is a friendly reminder that the following invoices on your account are past due.</p>
+<table width="100%">
+<tr><th>Invoice</th><th>Order</th><th style="text-align: right;">Days</th><th style="text-align: right;">Amount Due</th><th></th></tr>
+{#INVOICES}<tr><td>{INVOICE_NUMBER}</td><td>{ORDER_REFERENCE}</td><td style="text-align: right;">{DAYS_OUTSTANDING}</td><td style="text-align: right;">{AMOUNT_DUE|currency}</td><td>{#PAYMENT_LINK}<a href="{PAYMENT_LINK}">Pay online</a>{/PAYMENT_LINK}</td></tr>
+{/INVOICES}<tr><td colspan="3"><strong>Total Outstanding</strong></td><td style="text-align: right;"><strong>{AMOUNT_DUE|currency}</strong></td><td></td></tr>
+</table>
+<p>A statement of your account is attached. If you have already sent payment, please disregard this message. If you have any questions, please contact us.</p>
+<p>Thank you for your business.</p>
+${SIGNATURE_HTML}`
+};
 
 /**
  * Email Service for sending invoice and reminder emails
- * Uses Gmail SMTP with user-configured credentials
+ * Sends through the organization's default sender backend (see email-sender-service.js),
+ * or Gmail SMTP with the user's own App Password when none is configured
  */
 class EmailService {
     constructor() {
@@ -20,63 +83,26 @@ class EmailService {
             }
         );
 
-        this.encryptionKey = process.env.EMAIL_ENCRYPTION_KEY || 'default-key-change-in-production';
+        this.secretStore = new SecretStore();
+        this.emailSenderService = new EmailSenderService();
+        this.emailPreferencesService = new EmailPreferencesService();
+        this.templateEngine = new TemplateEngine();
+        this.emailLayout = new EmailLayout();
         console.log('✅ Email Service initialized');
     }
 
     /**
-     * Encrypt sensitive data (Google App Passwords)
-     */
-    encrypt(text) {
-        try {
-            const algorithm = 'aes-256-cbc';
-            const key = crypto.scryptSync(this.encryptionKey, 'salt', 32);
-            const iv = crypto.randomBytes(16);
-            
-            const cipher = crypto.createCipheriv(algorithm, key, iv);
-            let encrypted = cipher.update(text, 'utf8', 'hex');
-            encrypted += cipher.final('hex');
-            
-            // Combine IV and encrypted data
-            return iv.toString('hex') + ':' + encrypted;
-        } catch (error) {
-            console.error('❌ Encryption error:', error);
-            throw new Error('Failed to encrypt data');
-        }
-    }
-
-    /**
-     * Decrypt sensitive data
-     */
-    decrypt(encryptedText) {
-        try {
-            const algorithm = 'aes-256-cbc';
-            const key = crypto.scryptSync(this.encryptionKey, 'salt', 32);
-            
-            // Split IV and encrypted data
-            const textParts = encryptedText.split(':');
-            const iv = Buffer.from(textParts.shift(), 'hex');
-            const encrypted = textParts.join(':');
-            
-            const decipher = crypto.createDecipheriv(algorithm, key, iv);
-            let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-            decrypted += decipher.final('utf8');
-            return decrypted;
-        } catch (error) {
-            console.error('❌ Decryption error:', error);
-            throw new Error('Failed to decrypt data');
-        }
-    }
-
-    /**
-     * Save or update user's email settings
+     * Save or update user's email settings. Without a Google App Password the stored one is
+     * kept (users sending through the organization sender need none).
      */
     async saveUserEmailSettings(userId, emailAddress, googleAppPassword, testMode = true, testModeRecipient = null) {
         try {
             console.log(`💾 Saving email settings for user ${userId}...`);
 
             // Encrypt the Google App Password
-            const encryptedPassword = this.encrypt(googleAppPassword);
+            const passwordFields = googleAppPassword
+                ? { google_app_password: this.secretStore.encrypt(googleAppPassword) }
+                : {};
 
             // Set test mode recipient to user's email if not specified
             const finalTestRecipient = testModeRecipient || emailAddress;
@@ -94,7 +120,7 @@ class EmailService {
                     .from('user_email_settings')
                     .update({
                         email_address: emailAddress,
-                        google_app_password: encryptedPassword,
+                        ...passwordFields,
                         test_mode: testMode,
                         test_mode_recipient: finalTestRecipient,
                         updated_at: new Date().toISOString()
@@ -110,7 +136,7 @@ class EmailService {
                     .insert({
                         user_id: userId,
                         email_address: emailAddress,
-                        google_app_password: encryptedPassword,
+                        ...passwordFields,
                         test_mode: testMode,
                         test_mode_recipient: finalTestRecipient
                     });
@@ -146,8 +172,16 @@ class EmailService {
                 return { success: false, error: 'No email settings found' };
             }
 
-            // Decrypt the password
-            const decryptedPassword = this.decrypt(data.google_app_password);
+            // Decrypt the password. Settings stay usable without it (test mode must still apply
+            // when sending through the organization sender)
+            let decryptedPassword = null;
+            if (data.google_app_password) {
+                try {
+                    decryptedPassword = this.secretStore.decrypt(data.google_app_password);
+                } catch (decryptError) {
+                    console.error(`❌ Could not decrypt the App Password of user ${userId}:`, decryptError.message);
+                }
+            }
 
             return {
                 success: true,
@@ -163,26 +197,58 @@ class EmailService {
     }
 
     /**
-     * Create SMTP transporter for a user
+     * The organization sender emails go out through, or null when each user sends with their
+     * own App Password
      */
-    async createTransporter(userId) {
-        const settings = await this.getUserEmailSettings(userId);
-        
-        if (!settings.success) {
+    async getOrganizationSender() {
+        const backend = await this.emailSenderService.getDefaultBackend();
+        return backend
+            ? { name: backend.name, backend_type: backend.backend_type, from_address: backend.from_address, from_name: backend.from_name }
+            : null;
+    }
+
+    /**
+     * Transport and addresses for a user's email: the organization's default sender backend
+     * (from its address, replies to the user), or else the user's own Gmail account
+     * @returns {Promise<{ transporter, from, senderEmail: string, replyTo: string|null, settings: Object }>}
+     */
+    async getSender(userId, senderName) {
+        const userSettings = await this.getUserEmailSettings(userId);
+        const settings = userSettings.success ? userSettings.settings : {};
+
+        const backend = await this.emailSenderService.getDefaultBackend();
+        if (backend) {
+            return {
+                transporter: this.emailSenderService.getTransport(backend),
+                from: { name: backend.from_name || senderName, address: backend.from_address },
+                senderEmail: backend.from_address,
+                replyTo: settings.email_address || null,
+                settings
+            };
+        }
+
+        if (!userSettings.success) {
             throw new Error(`No email configuration found for user ${userId}`);
         }
+        if (!settings.google_app_password) {
+            throw new Error(`No usable Google App Password for user ${userId} - save it again in Email Settings`);
+        }
 
-        const config = settings.settings;
-        
-        return nodemailer.createTransport({
-            host: config.smtp_host,
-            port: config.smtp_port,
-            secure: false, // Use STARTTLS
-            auth: {
-                user: config.email_address,
-                pass: config.google_app_password
-            }
-        });
+        return {
+            transporter: nodemailer.createTransport({
+                host: settings.smtp_host,
+                port: settings.smtp_port,
+                secure: false, // Use STARTTLS
+                auth: {
+                    user: settings.email_address,
+                    pass: settings.google_app_password
+                }
+            }),
+            from: settings.email_address,
+            senderEmail: settings.email_address,
+            replyTo: null,
+            settings
+        };
     }
 
     /**
@@ -207,17 +273,28 @@ class EmailService {
                 const templates = {
                     invoice: {
                         subject_template: 'Invoice for Order #{ORDER_ID} - {PAYMENT_STATUS}',
-                        body_template: 'Dear {CUSTOMER_NAME},\n\nPlease find attached your invoice for Order #{ORDER_ID}.\n\n=== INVOICE SUMMARY ===\nInvoice Number: {INVOICE_NUMBER}\nOrder Reference: {ORDER_REFERENCE}\nTotal Amount: ${TOTAL_AMOUNT}\nAmount Paid: ${TOTAL_PAID}\nAmount Due: ${AMOUNT_DUE}\nStatus: {PAYMENT_STATUS}\n\n=== PAYMENT HISTORY ===\n{PAYMENT_HISTORY}\n\nPayment Link: {PAYMENT_LINK}\n\nIf you have any questions about this invoice or your payment, please don\'t hesitate to contact us.\n\nBest regards,\n{SENDER_NAME}\n{COMPANY_NAME}\n\n---\nTo stop receiving automated payment reminders, click here: {OPT_OUT_LINK}'
+                        body_template: 'Dear {CUSTOMER_NAME},\n\nPlease find attached your invoice for Order #{ORDER_ID}.\n\n=== INVOICE SUMMARY ===\nInvoice Number: {INVOICE_NUMBER}\nOrder Reference: {ORDER_REFERENCE}\nTotal Amount: {TOTAL_AMOUNT|currency}\nAmount Paid: {TOTAL_PAID|currency}\nAmount Due: {AMOUNT_DUE|currency}\nStatus: {PAYMENT_STATUS}\n\n{#HAS_PAYMENTS}=== PAYMENT HISTORY ===\n{#PAYMENTS}• {PAYMENT_DATE}: {PAYMENT_AMOUNT|currency} ({PAYMENT_METHOD})\n{/PAYMENTS}\n{/HAS_PAYMENTS}Payment Link: {PAYMENT_LINK}\n\nIf you have any questions about this invoice or your payment, please don\'t hesitate to contact us.\n\nBest regards,\n{SENDER_NAME}\n{COMPANY_NAME}\n\n---\nTo stop receiving automated payment reminders, click here: {OPT_OUT_LINK}',
+                        html_body_template: DEFAULT_HTML_TEMPLATES.invoice,
+                        use_layout: true
                     },
                     reminder: {
-                        subject_template: 'Payment Reminder: Order #{ORDER_ID} - ${AMOUNT_DUE} Outstanding',
-                        body_template: 'Dear {CUSTOMER_NAME},\n\nThis is a friendly reminder regarding your outstanding balance for Order #{ORDER_ID}.\n\n=== PAYMENT SUMMARY ===\nInvoice Number: {INVOICE_NUMBER}\nOrder Reference: {ORDER_REFERENCE}\nTotal Amount: ${TOTAL_AMOUNT}\nAmount Paid: ${TOTAL_PAID}\nOutstanding Balance: ${AMOUNT_DUE}\nDays Outstanding: {DAYS_OUTSTANDING}\n\n=== PAYMENT HISTORY ===\n{PAYMENT_HISTORY}\n\nWe appreciate your previous payments and kindly ask that you remit the remaining balance of ${AMOUNT_DUE} to complete this order.\n\nPayment Link: {PAYMENT_LINK}\n\nIf you have already sent payment, please disregard this message. If you have any questions or need to arrange alternative payment terms, please contact us immediately.\n\nThank you for your business.\n\nBest regards,\n{SENDER_NAME}\n{COMPANY_NAME}\n\n---\nTo stop receiving automated payment reminders, click here: {OPT_OUT_LINK}'
+                        subject_template: 'Payment Reminder: Order #{ORDER_ID} - {AMOUNT_DUE|currency} Outstanding',
+                        body_template: 'Dear {CUSTOMER_NAME},\n\nThis is a friendly reminder regarding your outstanding balance for Order #{ORDER_ID}.\n\n=== PAYMENT SUMMARY ===\nInvoice Number: {INVOICE_NUMBER}\nOrder Reference: {ORDER_REFERENCE}\nTotal Amount: {TOTAL_AMOUNT|currency}\nAmount Paid: {TOTAL_PAID|currency}\nOutstanding Balance: {AMOUNT_DUE|currency}\nDays Outstanding: {DAYS_OUTSTANDING}\n\n{#HAS_PAYMENTS}=== PAYMENT HISTORY ===\n{#PAYMENTS}• {PAYMENT_DATE}: {PAYMENT_AMOUNT|currency} ({PAYMENT_METHOD})\n{/PAYMENTS}\nWe appreciate your previous payments and kindly ask that you remit the remaining balance of {AMOUNT_DUE|currency} to complete this order.{/HAS_PAYMENTS}{^HAS_PAYMENTS}Please remit the balance of {AMOUNT_DUE|currency} at your earliest convenience.{/HAS_PAYMENTS}\n\nPayment Link: {PAYMENT_LINK}\n\nIf you have already sent payment, please disregard this message. If you have any questions or need to arrange alternative payment terms, please contact us immediately.\n\nThank you for your business.\n\nBest regards,\n{SENDER_NAME}\n{COMPANY_NAME}\n\n---\nTo stop receiving automated payment reminders, click here: {OPT_OUT_LINK}',
+                        html_body_template: DEFAULT_HTML_TEMPLATES.reminder,
+                        use_layout: true
+                    },
+                    consolidated: {
+                        subject_template: 'Payment Reminder: {INVOICE_COUNT} Invoices - {AMOUNT_DUE|currency} Outstanding',
+                        body_template: 'Dear {CUSTOMER_NAME},\n\nThis is a friendly reminder that the following invoices on your account are past due.\n\n=== OUTSTANDING INVOICES ===\n{#INVOICES}Invoice {INVOICE_NUMBER} (Order {ORDER_REFERENCE}) - {AMOUNT_DUE|currency} due, {DAYS_OUTSTANDING} days outstanding\n{#PAYMENT_LINK}Pay online: {PAYMENT_LINK}\n{/PAYMENT_LINK}\n{/INVOICES}Total Outstanding: {AMOUNT_DUE|currency}\n\nA statement of your account is attached. If you have already sent payment, please disregard this message. If you have any questions, please contact us.\n\nThank you for your business.\n\nBest regards,\n{SENDER_NAME}\n{COMPANY_NAME}\n\n---\nTo stop receiving automated payment reminders, click here: {OPT_OUT_LINK}',
+                        html_body_template: DEFAULT_HTML_TEMPLATES.consolidated,
+                        use_layout: true
                     }
                 };
 
                 return {
                     success: true,
-                    template: templates[templateType] || templates.invoice
+                    template: templates[templateType] ||
+                        (templateType.endsWith('_consolidated') ? templates.consolidated : templates.invoice)
                 };
             }
 
@@ -229,17 +306,10 @@ class EmailService {
     }
 
     /**
-     * Replace template variables with actual values
+     * Render a template with the given variables (see template-engine.js for the syntax)
      */
     replaceTemplateVariables(template, variables) {
-        let result = template;
-        
-        for (const [key, value] of Object.entries(variables)) {
-            const placeholder = `{${key.toUpperCase()}}`;
-            result = result.replace(new RegExp(placeholder, 'g'), value || '');
-        }
-        
-        return result;
+        return this.templateEngine.render(template, variables);
     }
 
     /**
@@ -250,8 +320,12 @@ class EmailService {
         orderId,
         recipientEmail,
         emailType = 'invoice',
+        campaignType = null,
         customSubject = null,
         customBody = null,
+        customHtmlBody = null,
+        useLayout = null,
+        templateOverride = null,
         attachments = [],
         orderData = {},
         senderName = 'Texon Towel',
@@ -268,30 +342,14 @@ class EmailService {
                 throw new Error('Failed to get email template');
             }
 
-            const template = templateResult.template;
+            // An A/B test variant replaces the stored template's content
+            const template = templateOverride
+                ? { ...templateResult.template, ...templateOverride }
+                : templateResult.template;
 
-            // Format payment history for email
-            const formatPaymentHistory = (payments) => {
-                if (!payments || payments.length === 0) {
-                    return 'No payments recorded.';
-                }
-                
-                return payments.map(payment => {
-                    const date = new Date(payment.paymentdate).toLocaleDateString();
-                    const amount = parseFloat(payment.amountpaid || 0).toFixed(2);
-                    const method = payment.paymentmethodcode || 'Other';
-                    return `• ${date}: $${amount} (${method})`;
-                }).join('\n');
-            };
-
-            // Generate opt-out token
-            const optOutToken = Buffer.from(`${recipientEmail}:${Date.now()}`).toString('base64');
-            // Use BASE_URL from env, or default based on NODE_ENV
-            const baseUrl = process.env.BASE_URL ||
-                (process.env.NODE_ENV === 'production'
-                    ? 'https://collegesportsdirectory.com'
-                    : 'http://localhost:3002');
-            const optOutLink = `${baseUrl}/texon-invoicing-portal/api/public/opt-out?token=${optOutToken}`;
+            // Signed, expiring opt-out and preference links (campaign-specific for automated emails)
+            const optOutLink = this.emailPreferencesService.getOptOutLink(recipientEmail, campaignType);
+            const preferencesLink = this.emailPreferencesService.getPreferencesLink(recipientEmail, campaignType);
 
             // Prepare template variables
             const templateVars = {
@@ -305,31 +363,57 @@ class EmailService {
                 TOTAL_PAID: (orderData.totalPaid || 0).toFixed(2),
                 AMOUNT_DUE: (orderData.amountDue || 0).toFixed(2),
                 PAYMENT_STATUS: orderData.amountDue > 0 ? 'PARTIALLY PAID' : 'PAID IN FULL',
-                PAYMENT_HISTORY: formatPaymentHistory(orderData.payments),
+                ...buildPaymentVariables(orderData.payments),
+                ...buildLineItemVariables(orderData.lineItems),
                 DAYS_OUTSTANDING: orderData.daysOutstanding || '',
                 TAX_DATE: orderData.taxDate || '',
                 PAYMENT_LINK: orderData.paymentLink || '',
-                OPT_OUT_LINK: optOutLink
+                OPT_OUT_LINK: optOutLink,
+                PREFERENCES_LINK: preferencesLink,
+                // Consolidated reminders list every invoice; single-invoice emails get a one-item list
+                INVOICE_COUNT: String(orderData.invoices?.length || 1),
+                INVOICES: (orderData.invoices || [orderData]).map(invoice => ({
+                    INVOICE_NUMBER: invoice.invoiceNumber || '',
+                    ORDER_REFERENCE: invoice.reference || '',
+                    TOTAL_AMOUNT: (invoice.totalAmount || 0).toFixed(2),
+                    AMOUNT_DUE: (invoice.amountDue || 0).toFixed(2),
+                    DAYS_OUTSTANDING: invoice.daysOutstanding || '',
+                    TAX_DATE: invoice.taxDate || '',
+                    PAYMENT_LINK: invoice.paymentLink || ''
+                }))
             };
 
             // Replace template variables
             const subject = customSubject || this.replaceTemplateVariables(template.subject_template, templateVars);
-            const body = customBody || this.replaceTemplateVariables(template.body_template, templateVars);
 
-            // Get user's email settings and create transporter
-            const transporter = await this.createTransporter(userId);
-            const userSettings = await this.getUserEmailSettings(userId);
-            const senderEmail = userSettings.settings.email_address;
-            
+            // HTML part: the template's HTML body, or the plain-text body converted when the branded layout is on
+            const wrapInLayout = useLayout ?? template.use_layout !== false;
+            let contentHtml = customHtmlBody;
+            if (!contentHtml && !customBody && template.html_body_template) {
+                contentHtml = this.templateEngine.render(template.html_body_template, templateVars, { format: 'html' });
+            }
+
+            const body = customBody || (template.body_template
+                ? this.replaceTemplateVariables(template.body_template, templateVars)
+                : this.emailLayout.htmlToText(contentHtml));
+
+            if (!contentHtml && wrapInLayout) {
+                contentHtml = this.emailLayout.textToHtml(body);
+            }
+
+            // Resolve the sender: organization backend, or the user's own Gmail account
+            const sender = await this.getSender(userId, senderName);
+            const senderEmail = sender.senderEmail;
+
             // Handle test mode - redirect emails if enabled (unless bypassed by automated system)
             let finalRecipientEmail = recipientEmail;
             let isTestMode = false;
 
-            if (!bypassPersonalTestMode && userSettings.settings.test_mode && userSettings.settings.test_mode_recipient) {
-                finalRecipientEmail = userSettings.settings.test_mode_recipient;
+            if (!bypassPersonalTestMode && sender.settings.test_mode && sender.settings.test_mode_recipient) {
+                finalRecipientEmail = sender.settings.test_mode_recipient;
                 isTestMode = true;
                 console.log(`🧪 TEST MODE: Email for ${recipientEmail} redirected to ${finalRecipientEmail}`);
-            } else if (bypassPersonalTestMode && userSettings.settings.test_mode) {
+            } else if (bypassPersonalTestMode && sender.settings.test_mode) {
                 console.log(`🔧 Personal test mode bypassed (global test mode active)`);
             }
 
@@ -355,15 +439,32 @@ END OF ORIGINAL CONTENT
 ================================
 
 To disable test mode, go to your Email Settings and toggle off "Test Mode".`;
+
+                if (contentHtml) {
+                    contentHtml = `<div style="background-color: #fff3cd; border: 1px solid #ffc107; padding: 12px; margin-bottom: 20px;"><strong>🧪 THIS IS A TEST EMAIL</strong><br>Original recipient: ${escapeHtml(recipientEmail)}<br>Test mode is enabled - this email was redirected to you for testing.</div>\n${contentHtml}`;
+                }
+            }
+
+            let html = null;
+            let layoutAttachments = [];
+            if (contentHtml) {
+                if (wrapInLayout) {
+                    ({ html, attachments: layoutAttachments } = this.emailLayout.wrap(contentHtml, { ...templateVars, SUBJECT: subject }));
+                } else {
+                    const inlined = this.emailLayout.inlineCss(contentHtml);
+                    html = inlined.styleBlock + inlined.html;
+                }
             }
 
-            // Prepare email options
+            // Prepare email options (the text body is the plain-text alternative of the HTML)
             const mailOptions = {
-                from: senderEmail,
+                from: sender.from,
+                ...(sender.replyTo && { replyTo: sender.replyTo }),
                 to: finalRecipientEmail,
                 subject: finalSubject,
                 text: finalBody,
-                attachments: attachments
+                ...(html && { html }),
+                attachments: [...attachments, ...layoutAttachments]
             };
 
             // Log email attempt
@@ -380,7 +481,7 @@ To disable test mode, go to your Email Settings and toggle off "Test Mode".`;
             });
 
             // Send the email
-            const info = await transporter.sendMail(mailOptions);
+            const info = await sender.transporter.sendMail(mailOptions);
             
             // Update log as successful
             await this.updateEmailLog(logId, 'sent', null, new Date());
@@ -1,5 +1,6 @@
 const puppeteer = require('puppeteer');
 const { createClient } = require('@supabase/supabase-js');
+const { allocateNetPayment } = require('./supabase-brightpearl-service');
 
 /**
  * Enhanced PDF Generation Service
@@ -68,8 +69,6 @@ class EnhancedPDFService {
      * Generate invoice PDF from order data with complete Brightpearl template
      */
     async generateInvoicePDF(orderData) {
-        let page = null;
-        
         try {
             console.log(`📄 Generating enhanced PDF for order ${orderData.id}...`);
 
@@ -79,28 +78,10 @@ class EnhancedPDFService {
                 throw new Error(completeOrderData.error);
             }
 
-            const browser = await this.initBrowser();
-            page = await browser.newPage();
-
             // Generate HTML content using Brightpearl template
             const htmlContent = this.generateBrightpearlInvoiceHTML(completeOrderData.data);
 
-            // Set HTML content
-            await page.setContent(htmlContent, {
-                waitUntil: 'networkidle0'
-            });
-
-            // Generate PDF
-            const pdfBuffer = await page.pdf({
-                format: 'A4',
-                printBackground: true,
-                margin: {
-                    top: '20px',
-                    right: '20px',
-                    bottom: '20px',
-                    left: '20px'
-                }
-            });
+            const pdfBuffer = await this.renderPDF(htmlContent);
 
             console.log(`✅ Enhanced PDF generated successfully for order ${orderData.id}`);
             
@@ -116,6 +97,35 @@ class EnhancedPDFService {
                 success: false,
                 error: error.message
             };
+        }
+    }
+
+    /**
+     * Render an HTML document to an A4 PDF buffer
+     */
+    async renderPDF(htmlContent) {
+        let page = null;
+
+        try {
+            const browser = await this.initBrowser();
+            page = await browser.newPage();
+
+            // Set HTML content
+            await page.setContent(htmlContent, {
+                waitUntil: 'networkidle0'
+            });
+
+            // Generate PDF
+            return await page.pdf({
+                format: 'A4',
+                printBackground: true,
+                margin: {
+                    top: '20px',
+                    right: '20px',
+                    bottom: '20px',
+                    left: '20px'
+                }
+            });
         } finally {
             if (page) {
                 await page.close();
@@ -439,6 +449,13 @@ class EnhancedPDFService {
         return parts.join('<br>');
     }
 
+    /**
+     * Brightpearl online payment page, used when no payment link has been generated
+     */
+    getDefaultPaymentLink(orderId, invoiceReference, contactId) {
+        return `https://bpp.withbolt.com/c/bpp/s/invoice.html?accountCode=texon&channelKey=bpp&salesInvoiceId=${invoiceReference || orderId}&contactId=${contactId}&salesOrderId=${orderId}`;
+    }
+
     /**
      * Calculate due date based on credit terms
      */
@@ -461,7 +478,7 @@ class EnhancedPDFService {
 
         // Payment link
         const paymentLink = orderData.paymentLink || 
-            `https://bpp.withbolt.com/c/bpp/s/invoice.html?accountCode=texon&channelKey=bpp&salesInvoiceId=${orderData.invoiceReference || orderData.id}&contactId=${orderData.contact.contactid}&salesOrderId=${orderData.id}`;
+            this.getDefaultPaymentLink(orderData.id, orderData.invoiceReference, orderData.contact.contactid);
 
         // Company information
         const companyAddress = `Texon II Inc/ DBA-Texon Towel and Supply Company<br>
@@ -709,13 +726,13 @@ class EnhancedPDFService {
     /**
      * Wrap content in complete HTML document
      */
-    wrapInHTMLDocument(content) {
+    wrapInHTMLDocument(content, title = 'Texon Invoice') {
         return `
         <!DOCTYPE html>
         <html>
         <head>
             <meta charset="utf-8">
-            <title>Texon Invoice</title>
+            <title>${title}</title>
             <style>
                 body {
                     font-family: Helvetica, Arial, sans-serif;
@@ -745,6 +762,340 @@ class EnhancedPDFService {
         `;
     }
 
+    // ===== CUSTOMER STATEMENTS =====
+
+    /**
+     * Generate a statement PDF covering all open invoices for a billing contact
+     */
+    async generateStatementPDF(billingContactId) {
+        try {
+            console.log(`📄 Generating customer statement for billing contact ${billingContactId}...`);
+
+            const statementData = await this.getStatementData(billingContactId);
+            if (!statementData.success) {
+                throw new Error(statementData.error);
+            }
+
+            const htmlContent = this.generateStatementHTML(statementData.data);
+            const pdfBuffer = await this.renderPDF(htmlContent);
+
+            console.log(`✅ Statement generated for billing contact ${billingContactId} (${statementData.data.invoices.length} open invoices)`);
+
+            return {
+                success: true,
+                buffer: pdfBuffer,
+                filename: `statement-${billingContactId}-${statementData.data.statementDate.toISOString().split('T')[0]}.pdf`,
+                summary: {
+                    invoiceCount: statementData.data.invoices.length,
+                    totalDue: statementData.data.totalDue
+                }
+            };
+        } catch (error) {
+            console.error('❌ Error generating customer statement:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Collect open invoices, payments received and aging for a billing contact
+     */
+    async getStatementData(billingContactId) {
+        try {
+            const { data: invoices, error: invoicesError } = await this.appSupabase
+                .from('cached_invoices')
+                .select('id, order_reference, invoice_number, order_date, tax_date, total_amount, paid_amount, outstanding_amount, billing_contact_name, billing_contact_email, billing_company_name, payment_link_url')
+                .eq('billing_contact_id', billingContactId)
+                .gt('outstanding_amount', 0)
+                .order('tax_date', { ascending: true });
+
+            if (invoicesError) {
+                return { success: false, error: invoicesError.message };
+            }
+
+            if (!invoices || invoices.length === 0) {
+                return { success: false, error: `No open invoices for billing contact ${billingContactId}` };
+            }
+
+            const latestInvoice = invoices[invoices.length - 1];
+            const [contactData, latestOrder, payments] = await Promise.all([
+                this.getContactData(billingContactId),
+                this.supabase.from('order').select('*').eq('id', latestInvoice.id).single(),
+                this.getStatementPayments(invoices.map(invoice => invoice.id))
+            ]);
+
+            const creditTermDays = contactData.credittermdays || 30;
+            const statementDate = new Date();
+            const msPerDay = 1000 * 60 * 60 * 24;
+
+            // Same ranges as the dashboard aging analysis
+            const agingBuckets = [
+                { label: 'Current (0-30 days)', min: 0, max: 30, amount: 0, count: 0 },
+                { label: '31-60 days', min: 31, max: 60, amount: 0, count: 0 },
+                { label: '61-90 days', min: 61, max: 90, amount: 0, count: 0 },
+                { label: 'Over 90 days', min: 91, max: Infinity, amount: 0, count: 0 }
+            ];
+
+            let runningBalance = 0;
+            const statementInvoices = invoices.map(invoice => {
+                const invoiceDate = invoice.tax_date || invoice.order_date;
+                const daysOutstanding = Math.max(0, Math.floor((statementDate - new Date(invoiceDate)) / msPerDay));
+                const amountDue = parseFloat(invoice.outstanding_amount || 0);
+                runningBalance += amountDue;
+
+                const bucket = agingBuckets.find(b => daysOutstanding >= b.min && daysOutstanding <= b.max);
+                bucket.amount += amountDue;
+                bucket.count++;
+
+                return {
+                    id: invoice.id,
+                    invoiceNumber: invoice.invoice_number || `ORDER-${invoice.id}`,
+                    reference: invoice.order_reference,
+                    invoiceDate,
+                    dueDate: this.calculateDueDate(invoiceDate, creditTermDays),
+                    daysOutstanding,
+                    totalAmount: parseFloat(invoice.total_amount || 0),
+                    paidAmount: parseFloat(invoice.paid_amount || 0),
+                    amountDue,
+                    runningBalance,
+                    paymentLink: invoice.payment_link_url ||
+                        this.getDefaultPaymentLink(invoice.id, invoice.invoice_number, billingContactId)
+                };
+            });
+
+            const invoiceNumbers = new Map(statementInvoices.map(invoice => [invoice.id, invoice.invoiceNumber]));
+
+            return {
+                success: true,
+                data: {
+                    billingContactId,
+                    customerName: latestInvoice.billing_contact_name,
+                    companyName: latestInvoice.billing_company_name,
+                    email: latestInvoice.billing_contact_email,
+                    billingAddress: latestOrder.data
+                        ? this.formatAddress(latestOrder.data, 'billing')
+                        : [latestInvoice.billing_contact_name, latestInvoice.billing_company_name].filter(Boolean).join('<br>'),
+                    creditTermDays,
+                    statementDate,
+                    invoices: statementInvoices,
+                    payments: payments.map(payment => ({
+                        ...payment,
+                        invoiceNumber: invoiceNumbers.get(payment.orderid) || payment.orderid
+                    })),
+                    agingBuckets,
+                    totalInvoiced: statementInvoices.reduce((sum, invoice) => sum + invoice.totalAmount, 0),
+                    totalPaid: statementInvoices.reduce((sum, invoice) => sum + invoice.paidAmount, 0),
+                    totalDue: runningBalance
+                }
+            };
+        } catch (error) {
+            console.error(`❌ Error fetching statement data for billing contact ${billingContactId}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Payments received against the statement's invoices, oldest first. Each invoice's
+     * net amount paid (aggregate 'payment' table) is spread over its 'customerpayment'
+     * records, so reversed payments drop out and the rows add up to the paid amounts.
+     */
+    async getStatementPayments(orderIds) {
+        const payments = [];
+
+        // Keep .in() lists short enough for the PostgREST URL
+        for (let i = 0; i < orderIds.length; i += 200) {
+            const chunk = orderIds.slice(i, i + 200);
+            const [records, netPaid] = await Promise.all([
+                this.supabase.from('customerpayment').select('*').in('orderid', chunk),
+                this.supabase.from('payment').select('orderid, amountpaid').in('orderid', chunk)
+            ]);
+
+            if (records.error || netPaid.error) {
+                console.warn(`⚠️ Could not fetch statement payments:`, records.error || netPaid.error);
+                continue;
+            }
+
+            chunk.forEach(orderId => {
+                const net = (netPaid.data || []).find(payment => String(payment.orderid) === String(orderId));
+                const orderRecords = (records.data || []).filter(record => String(record.orderid) === String(orderId));
+                payments.push(...allocateNetPayment(orderRecords, net ? net.amountpaid : 0));
+            });
+        }
+
+        return payments
+            .filter(payment => payment.amount !== 0)
+            .sort((a, b) => new Date(a.paymentdate) - new Date(b.paymentdate));
+    }
+
+    /**
+     * Generate statement HTML in the same layout as the Brightpearl invoice
+     */
+    generateStatementHTML(statement) {
+        const formatMoney = (amount) => `$${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        const formatDate = (date) => new Date(date).toLocaleDateString();
+        const cell = 'border: 1px solid #666; padding: 6px;';
+
+        const invoiceRows = statement.invoices.map(invoice => `
+                <tr>
+                    <td style="${cell}">${formatDate(invoice.invoiceDate)}</td>
+                    <td style="${cell}">${invoice.invoiceNumber}</td>
+                    <td style="${cell}">${invoice.reference || ''}</td>
+                    <td style="${cell}">${formatDate(invoice.dueDate)}</td>
+                    <td style="${cell} text-align: center;">${invoice.daysOutstanding}</td>
+                    <td style="${cell} text-align: right;">${formatMoney(invoice.totalAmount)}</td>
+                    <td style="${cell} text-align: right;">${formatMoney(invoice.paidAmount)}</td>
+                    <td style="${cell} text-align: right;">${formatMoney(invoice.amountDue)}</td>
+                    <td style="${cell} text-align: right; font-weight: bold;">${formatMoney(invoice.runningBalance)}</td>
+                    <td style="${cell} text-align: center;"><a href="${invoice.paymentLink}">Pay now</a></td>
+                </tr>
+        `).join('');
+
+        const paymentRows = statement.payments.length > 0
+            ? statement.payments.map(payment => `
+                <tr>
+                    <td style="${cell}">${payment.paymentdate ? formatDate(payment.paymentdate) : ''}</td>
+                    <td style="${cell}">${payment.invoiceNumber}</td>
+                    <td style="${cell}">${payment.paymentmethodcode || 'Other'}${payment.amount < 0 ? ' (refund)' : ''}</td>
+                    <td style="${cell} text-align: right;">${payment.amount < 0 ? `-${formatMoney(-payment.amount)}` : formatMoney(payment.amount)}</td>
+                </tr>
+            `).join('')
+            : `
+                <tr>
+                    <td style="${cell}" colspan="4">No payments received against these invoices.</td>
+                </tr>
+            `;
+
+        const agingHeader = statement.agingBuckets.map(bucket =>
+            `<td style="color: #ffffff; text-align: center;"><strong>${bucket.label}</strong></td>`
+        ).join('');
+        const agingValues = statement.agingBuckets.map(bucket =>
+            `<td style="background-color: #ffffff; text-align: center;">${formatMoney(bucket.amount)}<br><small>${bucket.count} invoice${bucket.count === 1 ? '' : 's'}</small></td>`
+        ).join('');
+
+        const htmlTemplate = `
+        <table style="width: 100%;" border="0" cellspacing="0" cellpadding="8">
+        <tbody>
+        <tr valign="top">
+        <td style="color: #000000; font-family: Helvetica; font-size: 12px;" valign="top">
+        <h1 style="font-size: 24px; background-color: #666666; color: #ffffff; padding: 6px;">Texon Statement of Account</h1>
+        <p><strong>Statement for:</strong><br />${statement.billingAddress}</p>
+        <p><strong>Statement date:</strong> ${formatDate(statement.statementDate)}<br />
+        <strong>Terms:</strong> Net ${statement.creditTermDays}</p>
+        </td>
+        <td style="color: #000000; font-family: Helvetica; font-size: 12px;" width="50%">
+        <div style="text-align: right;">
+            ${this.getLogoHTML()}
+        </div>
+        </td>
+        </tr>
+        </tbody>
+        </table>
+
+        <table style="width: 100%;" border="0" cellspacing="2" cellpadding="4" bgcolor="#666666">
+        <tbody>
+        <tr>${agingHeader}<td style="color: #ffffff; text-align: center;"><strong>Total Due</strong></td></tr>
+        <tr>${agingValues}<td style="background-color: #fff3cd; color: #856404; text-align: center; font-weight: bold; font-size: 14px;">${formatMoney(statement.totalDue)}</td></tr>
+        </tbody>
+        </table>
+
+        <h3 style="margin-top: 20px;">Open Invoices</h3>
+        <table style="width: 100%; border-collapse: collapse; font-size: 11px;">
+            <tr style="background-color: #f0f0f0;">
+                <th style="${cell}">Invoice Date</th>
+                <th style="${cell}">Invoice #</th>
+                <th style="${cell}">Reference</th>
+                <th style="${cell}">Due Date</th>
+                <th style="${cell} text-align: center;">Days</th>
+                <th style="${cell} text-align: right;">Total</th>
+                <th style="${cell} text-align: right;">Paid</th>
+                <th style="${cell} text-align: right;">Amount Due</th>
+                <th style="${cell} text-align: right;">Balance</th>
+                <th style="${cell} text-align: center;">Pay Online</th>
+            </tr>
+            ${invoiceRows}
+            <tr style="background-color: #fff3cd;">
+                <td colspan="5" style="${cell} text-align: right; font-weight: bold; color: #856404;">Totals</td>
+                <td style="${cell} text-align: right; font-weight: bold;">${formatMoney(statement.totalInvoiced)}</td>
+                <td style="${cell} text-align: right; font-weight: bold;">${formatMoney(statement.totalPaid)}</td>
+                <td colspan="2" style="${cell} text-align: right; font-weight: bold; color: #856404; font-size: 14px;">${formatMoney(statement.totalDue)}</td>
+                <td style="${cell}"></td>
+            </tr>
+        </table>
+
+        <h3 style="margin-top: 20px;">Payments Received</h3>
+        <table class="no-break" style="width: 100%; border-collapse: collapse; font-size: 11px;">
+            <tr style="background-color: #f0f0f0;">
+                <th style="${cell}">Date</th>
+                <th style="${cell}">Invoice #</th>
+                <th style="${cell}">Method</th>
+                <th style="${cell} text-align: right;">Amount</th>
+            </tr>
+            ${paymentRows}
+        </table>
+
+        <p>&nbsp;</p>
+        <table class="no-break" style="width: 100%;" border="0" cellspacing="2" cellpadding="8" bgcolor="#666666">
+        <tbody>
+        <tr>
+        <td style="color: #ffffff;"><strong>Company information</strong></td>
+        <td style="color: #ffffff;"><strong>Contact Details</strong></td>
+        </tr>
+        <tr valign="top">
+        <td style="color: #000000; font-family: Helvetica; font-size: 12px; background-color: #ffffff;" valign="top" width="50%">
+        <p>Texon II Inc/ DBA-Texon Towel and Supply Company<br>
+        15405 Endeavor Dr, Ste 110 Noblesville, IN 46060<br>
+        United States</p>
+        <p>Use the "Pay now" link next to each invoice to pay online.</p>
+        </td>
+        <td style="color: #000000; font-family: Helvetica; font-size: 12px; background-color: #ffffff;" valign="top" width="50%">
+        <p><strong>Phone: 800-328-3966</strong><br /><strong>Fax:800-728-4770</strong></p>
+        <p><strong>Accounting Email: accounting@texontowel.com</strong></p>
+        <p>If your records differ from this statement, please contact us.</p>
+        </td>
+        </tr>
+        </tbody>
+        </table>
+        `;
+
+        return this.wrapInHTMLDocument(htmlTemplate, 'Texon Statement');
+    }
+
+    /**
+     * Build PDF attachments for an email
+     * @param {string} attachmentType - 'invoice', 'statement', 'both' or 'none'
+     * @returns {Object} { attachments, errors }
+     */
+    async generateEmailAttachments(attachmentType, orderData, billingContactId = null) {
+        const attachments = [];
+        const errors = [];
+
+        if (attachmentType === 'invoice' || attachmentType === 'both') {
+            const pdfResult = await this.generateInvoicePDF(orderData);
+            if (pdfResult.success) {
+                attachments.push(this.createEmailAttachment(pdfResult.buffer, pdfResult.filename));
+            } else {
+                errors.push(`Invoice PDF: ${pdfResult.error}`);
+            }
+        }
+
+        if (attachmentType === 'statement' || attachmentType === 'both') {
+            if (!billingContactId) {
+                errors.push('Statement: order has no billing contact');
+            } else {
+                const statementResult = await this.generateStatementPDF(billingContactId);
+                if (statementResult.success) {
+                    attachments.push(this.createEmailAttachment(statementResult.buffer, statementResult.filename));
+                } else {
+                    errors.push(`Statement: ${statementResult.error}`);
+                }
+            }
+        }
+
+        return { attachments, errors };
+    }
+
     /**
      * Create email attachment object for nodemailer
      */
@@ -0,0 +1,342 @@
+const { createClient } = require('@supabase/supabase-js');
+const ReminderCalendarService = require('./reminder-calendar-service');
+
+const DATE_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+const ID_CHUNK_SIZE = 200;
+
+const TASK_SELECT = `
+    id,
+    order_id,
+    note,
+    follow_up_date,
+    follow_up_assigned_to,
+    follow_up_done,
+    follow_up_done_at,
+    created_by,
+    created_at,
+    author:app_users!order_notes_created_by_fkey (
+        first_name,
+        last_name,
+        email
+    )
+`;
+
+/**
+ * Follow-up Service
+ * Follow-up tasks carried by order notes: a due date, an assignee and a done flag.
+ * Feeds the task counter in the portal header and the daily digest email each assignee
+ * gets of their due and overdue follow-ups.
+ */
+class FollowUpService {
+    constructor() {
+        this.supabase = createClient(
+            process.env.SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_KEY,
+            {
+                auth: {
+                    autoRefreshToken: false,
+                    persistSession: false
+                }
+            }
+        );
+
+        this.reminderCalendarService = new ReminderCalendarService();
+    }
+
+    /**
+     * Open follow-ups assigned to a user, earliest first, with the order and customer
+     * from the invoice cache. `dueOnly` limits the list to tasks due today or overdue.
+     */
+    async getTasks(userId, { dueOnly = false } = {}) {
+        try {
+            const today = await this.reminderCalendarService.getLocalDate();
+
+            let query = this.supabase
+                .from('order_notes')
+                .select(TASK_SELECT)
+                .eq('follow_up_assigned_to', userId)
+                .eq('follow_up_done', false)
+                .not('follow_up_date', 'is', null)
+                .order('follow_up_date', { ascending: true });
+
+            if (dueOnly) {
+                query = query.lte('follow_up_date', today);
+            }
+
+            const { data, error } = await query;
+
+            if (error) {
+                console.error('❌ Error fetching follow-ups:', error);
+                return { success: false, error: error.message };
+            }
+
+            const tasks = await this.attachInvoices(data || [], today);
+            return { success: true, tasks };
+        } catch (error) {
+            console.error('❌ Error in getTasks:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Open follow-up counts for the header badge
+     */
+    async getTaskCounts(userId) {
+        try {
+            const today = await this.reminderCalendarService.getLocalDate();
+
+            const { data, error } = await this.supabase
+                .from('order_notes')
+                .select('follow_up_date')
+                .eq('follow_up_assigned_to', userId)
+                .eq('follow_up_done', false)
+                .not('follow_up_date', 'is', null);
+
+            if (error) {
+                console.error('❌ Error counting follow-ups:', error);
+                return { success: false, error: error.message };
+            }
+
+            const dates = (data || []).map(task => task.follow_up_date);
+            const overdue = dates.filter(date => date < today).length;
+            const dueToday = dates.filter(date => date === today).length;
+
+            return {
+                success: true,
+                counts: {
+                    overdue,
+                    dueToday,
+                    due: overdue + dueToday,
+                    upcoming: dates.length - overdue - dueToday
+                }
+            };
+        } catch (error) {
+            console.error('❌ Error in getTaskCounts:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Set or clear a note's follow-up, reassign it, or mark it done/not done.
+     * A follow-up without an assignee goes to the user setting it.
+     */
+    async updateTask(noteId, { followUpDate, assignedTo, done }, userId) {
+        try {
+            if (followUpDate && !DATE_FORMAT.test(followUpDate)) {
+                return { success: false, error: 'Follow-up date must be in YYYY-MM-DD format' };
+            }
+
+            const { data: note, error: noteError } = await this.supabase
+                .from('order_notes')
+                .select('id, follow_up_date, follow_up_assigned_to')
+                .eq('id', noteId)
+                .maybeSingle();
+
+            if (noteError) {
+                console.error('❌ Error fetching note:', noteError);
+                return { success: false, error: noteError.message };
+            }
+
+            if (!note) {
+                return { success: false, error: 'Note not found', notFound: true };
+            }
+
+            const dueDate = followUpDate !== undefined ? followUpDate || null : note.follow_up_date;
+            let updates;
+
+            if (!dueDate) {
+                if (followUpDate === undefined) {
+                    return { success: false, error: 'This note has no follow-up' };
+                }
+                updates = {
+                    follow_up_date: null,
+                    follow_up_assigned_to: null,
+                    follow_up_done: false,
+                    follow_up_done_at: null,
+                    follow_up_done_by: null
+                };
+            } else {
+                updates = {
+                    follow_up_date: dueDate,
+                    follow_up_assigned_to: assignedTo !== undefined
+                        ? (assignedTo ? parseInt(assignedTo) : userId)
+                        : note.follow_up_assigned_to || userId
+                };
+                if (done !== undefined) {
+                    updates.follow_up_done = !!done;
+                    updates.follow_up_done_at = done ? new Date().toISOString() : null;
+                    updates.follow_up_done_by = done ? userId : null;
+                }
+            }
+
+            const { data, error } = await this.supabase
+                .from('order_notes')
+                .update(updates)
+                .eq('id', noteId)
+                .select(TASK_SELECT)
+                .single();
+
+            if (error) {
+                console.error('❌ Error updating follow-up:', error);
+                return { success: false, error: error.message };
+            }
+
+            return { success: true, task: data };
+        } catch (error) {
+            console.error('❌ Error in updateTask:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Email every active user their due and overdue follow-ups through the given
+     * nodemailer transport. Users with nothing due get no email.
+     */
+    async sendDailyDigest(transporter) {
+        if (!transporter) {
+            console.warn('⚠️ Follow-up digest skipped: email service not configured');
+            return { success: false, error: 'Email service not configured' };
+        }
+
+        try {
+            const today = await this.reminderCalendarService.getLocalDate();
+
+            const { data, error } = await this.supabase
+                .from('order_notes')
+                .select(TASK_SELECT)
+                .eq('follow_up_done', false)
+                .not('follow_up_assigned_to', 'is', null)
+                .lte('follow_up_date', today)
+                .order('follow_up_date', { ascending: true });
+
+            if (error) throw error;
+
+            const tasks = await this.attachInvoices(data || [], today);
+            const tasksByUser = {};
+            tasks.forEach(task => {
+                (tasksByUser[task.follow_up_assigned_to] = tasksByUser[task.follow_up_assigned_to] || []).push(task);
+            });
+
+            const userIds = Object.keys(tasksByUser).map(id => parseInt(id));
+            if (userIds.length === 0) {
+                console.log('📋 Follow-up digest: nothing due today');
+                return { success: true, sent: 0, failed: 0 };
+            }
+
+            const { data: users, error: usersError } = await this.supabase
+                .from('app_users')
+                .select('id, email, first_name, username, is_active')
+                .in('id', userIds);
+
+            if (usersError) throw usersError;
+
+            let sent = 0, failed = 0;
+            for (const user of (users || []).filter(user => user.is_active && user.email)) {
+                try {
+                    await transporter.sendMail({
+                        from: process.env.SMTP_FROM || process.env.SMTP_USER,
+                        to: user.email,
+                        subject: this.buildDigestSubject(tasksByUser[user.id]),
+                        html: this.buildDigestHtml(user, tasksByUser[user.id])
+                    });
+                    sent++;
+                } catch (sendError) {
+                    console.error(`❌ Failed to send follow-up digest to ${user.email}:`, sendError.message);
+                    failed++;
+                }
+            }
+
+            console.log(`📋 Follow-up digest: ${sent} sent, ${failed} failed`);
+            return { success: true, sent, failed };
+        } catch (error) {
+            console.error('❌ Error sending follow-up digest:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    buildDigestSubject(tasks) {
+        const overdue = tasks.filter(task => task.overdue).length;
+        const dueToday = tasks.length - overdue;
+        const parts = [];
+        if (dueToday > 0) parts.push(`${dueToday} due today`);
+        if (overdue > 0) parts.push(`${overdue} overdue`);
+        return `Your follow-ups: ${parts.join(', ')}`;
+    }
+
+    buildDigestHtml(user, tasks) {
+        const portalUrl = `${process.env.BASE_URL || 'https://collegesportsdirectory.com'}/texon-invoicing-portal`;
+        const escape = (value) => String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+
+        return `
+            <div style="font-family: Arial, sans-serif; max-width: 700px;">
+                <h2>Follow-ups for ${escape(user.first_name || user.username)}</h2>
+                <table border="1" cellpadding="8" cellspacing="0" style="border-collapse: collapse;">
+                    <thead>
+                        <tr style="background-color: #f0f0f0;">
+                            <th>Due</th>
+                            <th>Order</th>
+                            <th>Customer</th>
+                            <th>Outstanding</th>
+                            <th>Note</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${tasks.map(task => `
+                            <tr>
+                                <td style="color: ${task.overdue ? 'red' : 'inherit'};">${task.follow_up_date}${task.overdue ? ' (overdue)' : ''}</td>
+                                <td>${escape(task.invoice?.order_reference || `#${task.order_id}`)}</td>
+                                <td>${escape(task.invoice?.customer || '—')}</td>
+                                <td style="text-align: right;">${task.invoice ? `$${task.invoice.outstanding_amount.toFixed(2)}` : 'Settled'}</td>
+                                <td>${escape(task.note)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <p><a href="${portalUrl}">Open the invoicing portal</a> to work through them and tick them off.</p>
+                <p style="font-size: 12px; color: #666;">Daily follow-up digest from the Texon Invoicing Portal.</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Add the cached invoice (reference, customer, outstanding) and due status to each task.
+     * Settled orders are no longer cached and get `invoice: null`.
+     */
+    async attachInvoices(tasks, today) {
+        const invoices = {};
+        const orderIds = [...new Set(tasks.map(task => task.order_id))];
+
+        for (let i = 0; i < orderIds.length; i += ID_CHUNK_SIZE) {
+            const { data, error } = await this.supabase
+                .from('cached_invoices')
+                .select('id, order_reference, billing_contact_id, billing_contact_name, billing_company_name, outstanding_amount')
+                .in('id', orderIds.slice(i, i + ID_CHUNK_SIZE));
+
+            if (error) {
+                console.warn('⚠️ Could not load invoices for follow-ups:', error.message);
+                break;
+            }
+
+            (data || []).forEach(invoice => {
+                invoices[invoice.id] = {
+                    order_reference: invoice.order_reference,
+                    billing_contact_id: invoice.billing_contact_id,
+                    customer: invoice.billing_company_name || invoice.billing_contact_name,
+                    outstanding_amount: parseFloat(invoice.outstanding_amount) || 0
+                };
+            });
+        }
+
+        return tasks.map(task => ({
+            ...task,
+            invoice: invoices[task.order_id] || null,
+            overdue: task.follow_up_date < today,
+            due_today: task.follow_up_date === today
+        }));
+    }
+}
+
+module.exports = FollowUpService;
@@ -0,0 +1,249 @@
+const { createClient } = require('@supabase/supabase-js');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Inventory Alert Service
+ * Admin-defined rules that pick the discrepancies worth alerting on out of a comparison run
+ * (thresholds, SKU/brand filters, new-or-worsening only) and who to email them to.
+ */
+class InventoryAlertService {
+    constructor() {
+        this.supabase = createClient(
+            process.env.SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_KEY,
+            {
+                auth: {
+                    autoRefreshToken: false,
+                    persistSession: false
+                }
+            }
+        );
+    }
+
+    async getRules({ activeOnly = false } = {}) {
+        try {
+            let query = this.supabase
+                .from('inventory_alert_rules')
+                .select('*')
+                .order('name', { ascending: true });
+
+            if (activeOnly) query = query.eq('is_active', true);
+
+            const { data, error } = await query;
+
+            if (error) {
+                console.error('❌ Error fetching inventory alert rules:', error);
+                return { success: false, error: error.message };
+            }
+
+            return { success: true, rules: data || [] };
+        } catch (error) {
+            console.error('❌ Error in getRules:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    validateRule(rule) {
+        if (!rule.name || !String(rule.name).trim()) {
+            return 'Rule name is required';
+        }
+
+        if (this.parseRecipients(rule.recipients).length === 0) {
+            return 'At least one recipient is required';
+        }
+
+        const invalidRecipient = this.parseRecipients(rule.recipients).find(email => !EMAIL_PATTERN.test(email));
+        if (invalidRecipient) {
+            return `Invalid recipient email: ${invalidRecipient}`;
+        }
+
+        for (const [field, label] of [['minAbsDifference', 'Minimum difference'], ['minPercentageDifference', 'Minimum percentage']]) {
+            const value = rule[field];
+            if (value !== undefined && value !== null && value !== '' && !(Number(value) >= 0)) {
+                return `${label} must be zero or a positive number`;
+            }
+        }
+
+        return null;
+    }
+
+    toRow(rule) {
+        const optionalNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+        const optionalText = (value) => (value && String(value).trim() ? String(value).trim() : null);
+
+        return {
+            name: String(rule.name).trim(),
+            is_active: rule.isActive !== false,
+            min_abs_difference: optionalNumber(rule.minAbsDifference),
+            min_percentage_difference: optionalNumber(rule.minPercentageDifference),
+            sku_patterns: optionalText(rule.skuPatterns),
+            brands: optionalText(rule.brands),
+            recipients: this.parseRecipients(rule.recipients).join(', '),
+            only_new_or_worsening: Boolean(rule.onlyNewOrWorsening)
+        };
+    }
+
+    async createRule(rule, userId) {
+        try {
+            const validationError = this.validateRule(rule);
+            if (validationError) {
+                return { success: false, error: validationError };
+            }
+
+            const { data, error } = await this.supabase
+                .from('inventory_alert_rules')
+                .insert({ ...this.toRow(rule), created_by: userId })
+                .select()
+                .single();
+
+            if (error) {
+                console.error('❌ Error creating inventory alert rule:', error);
+                return { success: false, error: error.message };
+            }
+
+            console.log(`🔔 Inventory alert rule created: ${data.name}`);
+            return { success: true, rule: data };
+        } catch (error) {
+            console.error('❌ Error in createRule:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async updateRule(ruleId, rule) {
+        try {
+            const validationError = this.validateRule(rule);
+            if (validationError) {
+                return { success: false, error: validationError };
+            }
+
+            const { data, error } = await this.supabase
+                .from('inventory_alert_rules')
+                .update({ ...this.toRow(rule), updated_at: new Date().toISOString() })
+                .eq('id', ruleId)
+                .select()
+                .maybeSingle();
+
+            if (error) {
+                console.error('❌ Error updating inventory alert rule:', error);
+                return { success: false, error: error.message };
+            }
+
+            if (!data) {
+                return { success: false, error: 'Alert rule not found', notFound: true };
+            }
+
+            return { success: true, rule: data };
+        } catch (error) {
+            console.error('❌ Error in updateRule:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async deleteRule(ruleId) {
+        try {
+            const { error } = await this.supabase
+                .from('inventory_alert_rules')
+                .delete()
+                .eq('id', ruleId);
+
+            if (error) {
+                console.error('❌ Error deleting inventory alert rule:', error);
+                return { success: false, error: error.message };
+            }
+
+            return { success: true };
+        } catch (error) {
+            console.error('❌ Error in deleteRule:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async recordTriggered(ruleId, matchCount) {
+        const { error } = await this.supabase
+            .from('inventory_alert_rules')
+            .update({ last_triggered_at: new Date().toISOString(), last_match_count: matchCount })
+            .eq('id', ruleId);
+
+        if (error) {
+            console.warn(`⚠️ Could not record alert rule ${ruleId} trigger:`, error.message);
+        }
+    }
+
+    /**
+     * Discrepancies of a run that a rule alerts on. Thresholds that are set must all be met.
+     * With previousDiscrepancies (the run before), each match carries its previous difference and
+     * an alertReason of 'new', 'worsening' or 'unchanged'/'improving'.
+     */
+    matchRule(rule, discrepancies, previousDiscrepancies = null) {
+        const skuPatterns = this.parseList(rule.sku_patterns).map(pattern => this.wildcardToRegex(pattern));
+        const brands = this.parseList(rule.brands).map(brand => brand.toLowerCase());
+        const minAbs = rule.min_abs_difference === null || rule.min_abs_difference === undefined ? null : Number(rule.min_abs_difference);
+        const minPercentage = rule.min_percentage_difference === null || rule.min_percentage_difference === undefined ? null : Number(rule.min_percentage_difference);
+
+        const previousBySku = new Map();
+        (previousDiscrepancies || []).forEach(item => {
+            if (item && item.sku) previousBySku.set(String(item.sku).toLowerCase(), item);
+        });
+
+        return discrepancies
+            .filter(item => {
+                const gap = Math.abs(item.difference || 0);
+                if (minAbs !== null && gap < minAbs) return false;
+                if (minPercentage !== null && (item.percentage_diff || 0) < minPercentage) return false;
+                if (skuPatterns.length > 0 && !skuPatterns.some(pattern => pattern.test(String(item.sku)))) return false;
+                if (brands.length > 0 && !brands.includes(String(item.brand || '').toLowerCase())) return false;
+                return true;
+            })
+            .map(item => {
+                if (!previousDiscrepancies) return item;
+
+                const previous = previousBySku.get(String(item.sku).toLowerCase());
+                const gap = Math.abs(item.difference || 0);
+                const previousGap = previous ? Math.abs(previous.difference || 0) : null;
+                return {
+                    ...item,
+                    previous_difference: previous ? previous.difference : null,
+                    alertReason: !previous ? 'new' : gap > previousGap ? 'worsening' : gap < previousGap ? 'improving' : 'unchanged'
+                };
+            })
+            .filter(item => !rule.only_new_or_worsening || !previousDiscrepancies ||
+                item.alertReason === 'new' || item.alertReason === 'worsening');
+    }
+
+    /**
+     * Match every active rule against a run; rules with nothing to report are left out
+     */
+    async evaluateRules(discrepancies, previousDiscrepancies = null) {
+        const result = await this.getRules({ activeOnly: true });
+        if (!result.success) {
+            console.warn(`⚠️ Inventory alert rules unavailable: ${result.error}`);
+            return [];
+        }
+
+        return result.rules
+            .map(rule => ({ rule, matches: this.matchRule(rule, discrepancies, previousDiscrepancies) }))
+            .filter(({ matches }) => matches.length > 0);
+    }
+
+    parseRecipients(recipients) {
+        return String(recipients || '')
+            .split(/[,;\n]/)
+            .map(email => email.trim())
+            .filter(email => email.length > 0);
+    }
+
+    parseList(value) {
+        return String(value || '')
+            .split(/[,\n]/)
+            .map(entry => entry.trim())
+            .filter(entry => entry.length > 0);
+    }
+
+    wildcardToRegex(pattern) {
+        const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+        return new RegExp(`^${escaped}$`, 'i');
+    }
+}
+
+module.exports = InventoryAlertService;
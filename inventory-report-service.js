@@ -0,0 +1,363 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Columns for report lists (the discrepancies JSON can be large, so it is only loaded when needed)
+const REPORT_SUMMARY_COLUMNS = 'id, date, total_discrepancies, brightpearl_total_items, infoplus_total_items, created_at';
+
+// Maximum number of runs scanned for per-SKU history and chronic discrepancy views
+const MAX_HISTORY_RUNS = 90;
+
+/**
+ * Inventory Report Service
+ * Reads back the Brightpearl vs Infoplus comparison runs stored in inventory_reports:
+ * run history, run-to-run diffs and per-SKU discrepancy trends.
+ */
+class InventoryReportService {
+    constructor() {
+        this.supabase = createClient(
+            process.env.SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_KEY,
+            {
+                auth: {
+                    autoRefreshToken: false,
+                    persistSession: false
+                }
+            }
+        );
+    }
+
+    /**
+     * List past comparison runs (newest first, paginated)
+     */
+    async getReports(filters = {}) {
+        try {
+            const page = Math.max(parseInt(filters.page) || 1, 1);
+            const limit = Math.min(Math.max(parseInt(filters.limit) || 25, 1), 200);
+            const offset = (page - 1) * limit;
+
+            let query = this.supabase
+                .from('inventory_reports')
+                .select(REPORT_SUMMARY_COLUMNS, { count: 'exact' })
+                .order('created_at', { ascending: false })
+                .range(offset, offset + limit - 1);
+
+            if (filters.startDate) query = query.gte('date', filters.startDate);
+            if (filters.endDate) query = query.lte('date', filters.endDate);
+
+            const { data, error, count } = await query;
+
+            if (error) {
+                console.error('❌ Error fetching inventory reports:', error);
+                return { success: false, error: error.message };
+            }
+
+            return {
+                success: true,
+                reports: data || [],
+                pagination: {
+                    page,
+                    limit,
+                    total: count || 0,
+                    totalPages: Math.ceil((count || 0) / limit)
+                }
+            };
+        } catch (error) {
+            console.error('❌ Error in getReports:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Get a single run with its discrepancies
+     */
+    async getReport(reportId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('inventory_reports')
+                .select('*')
+                .eq('id', reportId)
+                .maybeSingle();
+
+            if (error) {
+                console.error('❌ Error fetching inventory report:', error);
+                return { success: false, error: error.message };
+            }
+
+            if (!data) {
+                return { success: false, error: 'Report not found', notFound: true };
+            }
+
+            return { success: true, report: this.formatReport(data) };
+        } catch (error) {
+            console.error('❌ Error in getReport:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Most recent run with its discrepancies, or null if there is none yet
+     */
+    async getLatestReport() {
+        const reports = await this.getRecentReports(1);
+        return reports[0] || null;
+    }
+
+    /**
+     * Diff two runs: discrepancies that are new in the later run, resolved since the
+     * earlier run, and persisting in both (with the change in difference).
+     * Without IDs, the two most recent runs are compared.
+     */
+    async compareReports(baseReportId = null, compareReportId = null) {
+        try {
+            let baseReport;
+            let compareReport;
+
+            if (baseReportId && compareReportId) {
+                const [baseResult, compareResult] = await Promise.all([
+                    this.getReport(baseReportId),
+                    this.getReport(compareReportId)
+                ]);
+                if (!baseResult.success) return baseResult;
+                if (!compareResult.success) return compareResult;
+                baseReport = baseResult.report;
+                compareReport = compareResult.report;
+            } else {
+                const { data, error } = await this.supabase
+                    .from('inventory_reports')
+                    .select('*')
+                    .order('created_at', { ascending: false })
+                    .limit(2);
+
+                if (error) {
+                    console.error('❌ Error fetching latest inventory reports:', error);
+                    return { success: false, error: error.message };
+                }
+
+                if (!data || data.length < 2) {
+                    return { success: false, error: 'At least two inventory reports are needed for a comparison', notFound: true };
+                }
+
+                compareReport = this.formatReport(data[0]);
+                baseReport = this.formatReport(data[1]);
+            }
+
+            // Always diff older → newer, whatever order the IDs were given in
+            if (new Date(baseReport.created_at) > new Date(compareReport.created_at)) {
+                [baseReport, compareReport] = [compareReport, baseReport];
+            }
+
+            const baseBySku = this.indexBySku(baseReport.discrepancies);
+            const compareBySku = this.indexBySku(compareReport.discrepancies);
+
+            const newDiscrepancies = [];
+            const persisting = [];
+            const resolved = [];
+
+            compareBySku.forEach((current, sku) => {
+                const previous = baseBySku.get(sku);
+                if (!previous) {
+                    newDiscrepancies.push(current);
+                    return;
+                }
+
+                const previousGap = Math.abs(previous.difference || 0);
+                const currentGap = Math.abs(current.difference || 0);
+                persisting.push({
+                    ...current,
+                    previous_brightpearl_stock: previous.brightpearl_stock,
+                    previous_infoplus_stock: previous.infoplus_stock,
+                    previous_difference: previous.difference,
+                    change: currentGap - previousGap,
+                    trend: currentGap > previousGap ? 'worsening' : currentGap < previousGap ? 'improving' : 'unchanged'
+                });
+            });
+
+            baseBySku.forEach((previous, sku) => {
+                if (!compareBySku.has(sku)) {
+                    resolved.push(previous);
+                }
+            });
+
+            const byGap = (a, b) => Math.abs(b.difference || 0) - Math.abs(a.difference || 0);
+            newDiscrepancies.sort(byGap);
+            resolved.sort(byGap);
+            persisting.sort((a, b) => Math.abs(b.change) - Math.abs(a.change) || byGap(a, b));
+
+            return {
+                success: true,
+                baseReport: this.summarizeReport(baseReport),
+                compareReport: this.summarizeReport(compareReport),
+                summary: {
+                    new: newDiscrepancies.length,
+                    resolved: resolved.length,
+                    persisting: persisting.length,
+                    worsening: persisting.filter(item => item.trend === 'worsening').length,
+                    improving: persisting.filter(item => item.trend === 'improving').length
+                },
+                newDiscrepancies,
+                resolved,
+                persisting
+            };
+        } catch (error) {
+            console.error('❌ Error in compareReports:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Brightpearl vs Infoplus stock for one SKU across recent runs (oldest first).
+     * Runs where the SKU had no discrepancy are included with a difference of 0.
+     */
+    async getSkuHistory(sku, runs = 30) {
+        try {
+            const reports = await this.getRecentReports(runs);
+            const skuKey = String(sku).trim().toLowerCase();
+
+            let productName = null;
+            const history = reports.reverse().map(report => {
+                const entry = report.discrepancies.find(item => String(item.sku).toLowerCase() === skuKey);
+                if (entry && entry.productName) productName = entry.productName;
+
+                return {
+                    reportId: report.id,
+                    date: report.date,
+                    created_at: report.created_at,
+                    hasDiscrepancy: Boolean(entry),
+                    brightpearl_stock: entry ? entry.brightpearl_stock : null,
+                    infoplus_stock: entry ? entry.infoplus_stock : null,
+                    difference: entry ? entry.difference : 0
+                };
+            });
+
+            const discrepancyRuns = history.filter(point => point.hasDiscrepancy).length;
+
+            return {
+                success: true,
+                sku,
+                productName,
+                runs: history.length,
+                discrepancyRuns,
+                history
+            };
+        } catch (error) {
+            console.error('❌ Error in getSkuHistory:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * SKUs that show up as discrepancies in the most recent runs, most frequent first.
+     * These are the chronic mismatches rather than one-off timing differences.
+     */
+    async getChronicDiscrepancies(runs = 10, minOccurrences = 2) {
+        try {
+            const reports = await this.getRecentReports(runs);
+            const skuStats = new Map();
+
+            reports.forEach((report, index) => {
+                report.discrepancies.forEach(item => {
+                    const key = String(item.sku).toLowerCase();
+                    if (!skuStats.has(key)) {
+                        skuStats.set(key, {
+                            sku: item.sku,
+                            productName: item.productName,
+                            brand: item.brand,
+                            occurrences: 0,
+                            totalAbsDifference: 0,
+                            latestDifference: null,
+                            inLatestRun: false
+                        });
+                    }
+
+                    const stats = skuStats.get(key);
+                    stats.occurrences++;
+                    stats.totalAbsDifference += Math.abs(item.difference || 0);
+                    // Reports are newest first, so the first one seen is the latest
+                    if (stats.latestDifference === null) stats.latestDifference = item.difference;
+                    if (index === 0) stats.inLatestRun = true;
+                });
+            });
+
+            const chronic = Array.from(skuStats.values())
+                .filter(stats => stats.occurrences >= minOccurrences)
+                .map(({ totalAbsDifference, ...stats }) => ({
+                    ...stats,
+                    averageAbsDifference: Math.round((totalAbsDifference / stats.occurrences) * 10) / 10
+                }))
+                .sort((a, b) => b.occurrences - a.occurrences || b.averageAbsDifference - a.averageAbsDifference);
+
+            return {
+                success: true,
+                runs: reports.length,
+                chronic
+            };
+        } catch (error) {
+            console.error('❌ Error in getChronicDiscrepancies:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Most recent runs with parsed discrepancies (newest first)
+     */
+    async getRecentReports(runs) {
+        const limit = Math.min(Math.max(parseInt(runs) || 30, 1), MAX_HISTORY_RUNS);
+
+        const { data, error } = await this.supabase
+            .from('inventory_reports')
+            .select('*')
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) {
+            throw new Error(`Failed to load inventory reports: ${error.message}`);
+        }
+
+        return (data || []).map(report => this.formatReport(report));
+    }
+
+    formatReport(report) {
+        return {
+            ...report,
+            discrepancies: this.parseJsonArray(report.discrepancies),
+            heuristic_matches: this.parseJsonArray(report.heuristic_matches),
+            // null for runs made before any warehouses were mapped
+            warehouse_discrepancies: report.warehouse_discrepancies ? this.parseJsonArray(report.warehouse_discrepancies) : null
+        };
+    }
+
+    summarizeReport(report) {
+        const { discrepancies, heuristic_matches, warehouse_discrepancies, ...summary } = report;
+        return summary;
+    }
+
+    /**
+     * performRealInventoryComparison stores the discrepancies as a JSON string inside
+     * the JSONB column, so rows may hold either a string or an array.
+     */
+    parseJsonArray(value) {
+        if (!value) return [];
+        if (Array.isArray(value)) return value;
+
+        if (typeof value === 'string') {
+            try {
+                const parsed = JSON.parse(value);
+                return Array.isArray(parsed) ? parsed : [];
+            } catch (error) {
+                console.warn('⚠️ Could not parse inventory report JSON:', error.message);
+                return [];
+            }
+        }
+
+        return [];
+    }
+
+    indexBySku(discrepancies) {
+        const index = new Map();
+        discrepancies.forEach(item => {
+            if (item && item.sku) index.set(String(item.sku).toLowerCase(), item);
+        });
+        return index;
+    }
+}
+
+module.exports = InventoryReportService;
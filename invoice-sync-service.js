@@ -1,12 +1,14 @@
 /**
  * Invoice Data Sync Service
- * Fetches all unpaid invoice data from Brightpearl/Supabase and caches in our app database
- * Designed to run every 15 minutes via cron
+ * Fetches unpaid invoice data from Brightpearl/Supabase and caches in our app database
+ * Designed to run every 15 minutes via cron: incremental runs pick up orders and payments
+ * changed since the last high-water mark, with a full reconciliation once a night
  */
 
 const { createClient } = require('@supabase/supabase-js');
 const SupabaseBrightpearlService = require('./supabase-brightpearl-service');
 const PaymentLinksService = require('./payment-links-service');
+const CollectorAssignmentService = require('./collector-assignment-service');
 require('dotenv').config();
 
 class InvoiceSyncService {
@@ -29,46 +31,90 @@ class InvoiceSyncService {
         // Payment links service
         this.paymentLinksService = new PaymentLinksService();
         
+        // Assigns new invoices (and accounts whose balance changed band) to collectors
+        this.collectorAssignmentService = new CollectorAssignmentService();
+        
+        // Sync configuration
+        this.SYNC_START_DATE = '2024-01-01';
+        this.FETCH_PAGE_SIZE = 1000; // PostgREST returns at most 1000 rows per request
+        this.ORDER_ID_CHUNK_SIZE = 200;
+        this.HIGH_WATER_MARK_OVERLAP_MS = 5 * 60 * 1000; // Re-check the last 5 minutes to absorb replication lag
+        this.FULL_RECONCILIATION_HOUR = parseInt(process.env.SYNC_FULL_RECONCILIATION_HOUR || '2'); // Local hour for the nightly full sync
+        
         console.log('✅ Invoice Sync Service initialized');
     }
 
     /**
-     * Main sync function - fetches all unpaid invoices and updates cache
+     * Main sync function - fetches unpaid invoices and updates cache
+     * @param {Object} options - { mode: 'auto' | 'incremental' | 'full' }
+     *   auto: incremental, unless no high-water mark exists yet or tonight's full reconciliation is due
      */
-    async syncInvoiceData() {
-        const syncId = await this.startSyncLog();
+    async syncInvoiceData(options = {}) {
+        const requestedMode = options.mode || 'auto';
+        const lastSync = await this.getLastCompletedSync();
+        
+        let syncType = requestedMode;
+        if (requestedMode === 'auto') {
+            syncType = (!lastSync?.high_water_mark || await this.isFullReconciliationDue()) ? 'full' : 'incremental';
+        } else if (requestedMode === 'incremental' && !lastSync?.high_water_mark) {
+            console.log('⚠️ No high-water mark recorded yet - running a full reconciliation instead');
+            syncType = 'full';
+        }
+        
+        const syncId = await this.startSyncLog(syncType);
         
         try {
-            console.log('🔄 Starting invoice data sync...');
+            console.log(`🔄 Starting ${syncType} invoice data sync...`);
             
-            // Fetch all unpaid invoices (no pagination - get everything)
-            const result = await this.brightpearlService.getUnpaidInvoices(
-                '2024-01-01', 
-                new Date().toISOString().split('T')[0],
-                1, 
-                10000, // Large limit to get all records
-                'id', 
-                'asc',
-                {} // No filters
-            );
+            // Take the new high-water mark before fetching so changes made during the sync are picked up next time
+            let highWaterMark = new Date().toISOString();
+            let processed;
             
-            if (!result.success) {
-                throw new Error(`Failed to fetch invoices: ${result.error}`);
+            if (syncType === 'full') {
+                const invoices = await this.fetchUnpaidInvoices();
+                console.log(`📊 Fetched ${invoices.length} unpaid invoices`);
+                
+                processed = await this.processInvoiceData(invoices);
+            } else {
+                const since = new Date(new Date(lastSync.high_water_mark).getTime() - this.HIGH_WATER_MARK_OVERLAP_MS).toISOString();
+                const changes = await this.brightpearlService.getChangedOrderIds(since);
+                
+                if (!changes.success) {
+                    throw new Error(`Failed to fetch changed orders: ${changes.error}`);
+                }
+                
+                // Never move the mark backwards, and prefer Brightpearl's own clock when it has seen newer changes
+                if (new Date(changes.highWaterMark) > new Date(highWaterMark)) {
+                    highWaterMark = changes.highWaterMark;
+                }
+                
+                const invoices = await this.fetchUnpaidInvoices(changes.orderIds);
+                console.log(`📊 ${changes.orderIds.length} orders changed since ${since}; ${invoices.length} are unpaid`);
+                
+                // Changed orders that are cached but no longer unpaid have been settled (or removed)
+                const unpaidIds = new Set(invoices.map(invoice => invoice.id));
+                const noLongerUnpaid = await this.getCachedInvoiceIds(changes.orderIds.filter(id => !unpaidIds.has(id)));
+                
+                processed = await this.processInvoiceData(invoices, noLongerUnpaid);
+                processed.changed = changes.orderIds.length;
             }
             
-            console.log(`📊 Fetched ${result.data.length} unpaid invoices`);
-            
-            // Process and cache the data
-            const processed = await this.processInvoiceData(result.data);
+            // Re-apply collector assignments; a failure here must not fail the sync
+            const assignment = await this.collectorAssignmentService.applyAssignments();
+            if (!assignment.success) {
+                console.warn('⚠️ Collector assignments were not applied:', assignment.error);
+            }
             
             // Update sync log
-            await this.completeSyncLog(syncId, processed);
+            await this.completeSyncLog(syncId, processed, highWaterMark);
             
-            console.log('✅ Invoice sync completed successfully');
-            console.log(`📝 Processed: ${processed.inserted} new, ${processed.updated} updated, ${processed.deleted} deleted`);
+            console.log(`✅ ${syncType === 'full' ? 'Full' : 'Incremental'} invoice sync completed successfully`);
+            console.log(`📝 Processed: ${processed.inserted} new, ${processed.updated} updated, ${processed.settled} archived, ${processed.deleted} deleted`);
             
             return {
                 success: true,
+                syncType: syncType,
+                highWaterMark: highWaterMark,
                 ...processed
             };
             
@@ -77,68 +123,132 @@ class InvoiceSyncService {
             await this.failSyncLog(syncId, error);
             return {
                 success: false,
+                syncType: syncType,
                 error: error.message
             };
         }
     }
 
+    /**
+     * Fetch every unpaid invoice page by page, optionally limited to specific order IDs
+     */
+    async fetchUnpaidInvoices(orderIds = null) {
+        const today = new Date().toISOString().split('T')[0];
+        const invoices = [];
+        
+        if (Array.isArray(orderIds)) {
+            // Keep `.in()` filters short enough for the PostgREST URL
+            for (let i = 0; i < orderIds.length; i += this.ORDER_ID_CHUNK_SIZE) {
+                const chunk = orderIds.slice(i, i + this.ORDER_ID_CHUNK_SIZE);
+                const result = await this.brightpearlService.getUnpaidInvoices(
+                    this.SYNC_START_DATE, today, 1, chunk.length, 'id', 'asc', { orderIds: chunk }
+                );
+                
+                if (!result.success) {
+                    throw new Error(`Failed to fetch invoices: ${result.error}`);
+                }
+                invoices.push(...result.data);
+            }
+            return invoices;
+        }
+        
+        // Page through by order ID rather than offset so orders settling mid-sync can't shift rows past us
+        let afterId = null;
+        while (true) {
+            const result = await this.brightpearlService.getUnpaidInvoices(
+                this.SYNC_START_DATE, today, 1, this.FETCH_PAGE_SIZE, 'id', 'asc', afterId ? { afterId } : {}
+            );
+            
+            if (!result.success) {
+                throw new Error(`Failed to fetch invoices after order ${afterId || 0}: ${result.error}`);
+            }
+            
+            invoices.push(...result.data);
+            console.log(`📥 Fetched ${invoices.length} unpaid invoices so far`);
+            
+            if (result.count < this.FETCH_PAGE_SIZE) {
+                break;
+            }
+            afterId = result.data[result.data.length - 1].id;
+        }
+        
+        return invoices;
+    }
+
     /**
      * Process invoice data and update the cache table
+     * @param {Array} invoices - Unpaid invoices to upsert
+     * @param {Array|null} noLongerUnpaidIds - Cached IDs to archive and remove. When null (full
+     *   reconciliation) every cached invoice missing from `invoices` is archived and removed.
      */
-    async processInvoiceData(invoices) {
+    async processInvoiceData(invoices, noLongerUnpaidIds = null) {
         console.log('💾 Processing invoice data for cache...');
         
-        let inserted = 0, updated = 0, deleted = 0;
+        let inserted = 0, updated = 0, deleted = 0, settled = 0;
         
-        // Get current invoice IDs in cache
-        const { data: existingIds } = await this.appSupabase
-            .from('cached_invoices')
-            .select('id');
+        const currentIds = invoices.map(invoice => invoice.id);
+        const existingSet = new Set(
+            noLongerUnpaidIds === null
+                ? await this.getCachedInvoiceIds()
+                : await this.getCachedInvoiceIds(currentIds)
+        );
+        const currentSet = new Set(currentIds);
         
-        const existingSet = new Set(existingIds?.map(row => row.id) || []);
-        const currentSet = new Set(invoices.map(invoice => invoice.id));
+        // Find invoices that are no longer unpaid and archive them before removing from the cache
+        const noLongerUnpaid = noLongerUnpaidIds === null
+            ? [...existingSet].filter(id => !currentSet.has(id))
+            : noLongerUnpaidIds;
+        let toDelete = [];
         
-        // Find invoices to delete (no longer unpaid)
-        const toDelete = [...existingSet].filter(id => !currentSet.has(id));
+        if (noLongerUnpaid.length > 0) {
+            const archiveResult = await this.archiveSettledInvoices(noLongerUnpaid);
+            settled = archiveResult.archivedIds.length;
+            toDelete = archiveResult.archivedIds;
+            
+            if (archiveResult.failedIds.length > 0) {
+                console.warn(`⚠️ ${archiveResult.failedIds.length} invoices could not be archived and stay cached until a later sync`);
+            }
+        }
         
-        if (toDelete.length > 0) {
+        for (let i = 0; i < toDelete.length; i += this.ORDER_ID_CHUNK_SIZE) {
+            const chunk = toDelete.slice(i, i + this.ORDER_ID_CHUNK_SIZE);
             const { error: deleteError } = await this.appSupabase
                 .from('cached_invoices')
                 .delete()
-                .in('id', toDelete);
+                .in('id', chunk);
                 
             if (deleteError) {
                 console.error('❌ Error deleting invoices:', deleteError);
             } else {
-                deleted = toDelete.length;
-                console.log(`🗑️  Deleted ${deleted} paid/cancelled invoices`);
+                deleted += chunk.length;
             }
         }
+        if (deleted > 0) {
+            console.log(`🗑️  Removed ${deleted} archived invoices from the unpaid cache`);
+        }
         
-        // Process invoices in batches to avoid overwhelming the database
-        const BATCH_SIZE = 50;
+        // Bulk upsert in batches - one request per batch instead of one per row
+        const BATCH_SIZE = 500;
         for (let i = 0; i < invoices.length; i += BATCH_SIZE) {
             const batch = invoices.slice(i, i + BATCH_SIZE);
-            console.log(`📦 Processing batch ${Math.floor(i/BATCH_SIZE) + 1}/${Math.ceil(invoices.length/BATCH_SIZE)}`);
+            console.log(`📦 Upserting batch ${Math.floor(i/BATCH_SIZE) + 1}/${Math.ceil(invoices.length/BATCH_SIZE)} (${batch.length} invoices)`);
             
-            for (const invoice of batch) {
-                const cacheData = this.transformInvoiceForCache(invoice);
-                
-                // Upsert (insert or update)
-                const { error } = await this.appSupabase
-                    .from('cached_invoices')
-                    .upsert(cacheData, { onConflict: 'id' });
-                
-                if (error) {
-                    console.error(`❌ Error upserting invoice ${invoice.id}:`, error);
+            const { error } = await this.appSupabase
+                .from('cached_invoices')
+                .upsert(batch.map(invoice => this.transformInvoiceForCache(invoice)), { onConflict: 'id' });
+            
+            if (error) {
+                console.error(`❌ Error upserting batch starting at invoice ${batch[0].id}:`, error);
+                continue;
+            }
+            
+            batch.forEach(invoice => {
+                if (existingSet.has(invoice.id)) {
+                    updated++;
                 } else {
-                    if (existingSet.has(invoice.id)) {
-                        updated++;
-                    } else {
-                        inserted++;
-                    }
+                    inserted++;
                 }
-            }
+            });
         }
         
         // Cache Brightpearl notes for all current invoices (configurable)
@@ -161,7 +271,107 @@ class InvoiceSyncService {
             console.log('⏭️ Auto payment link generation disabled (ENABLE_AUTO_PAYMENT_LINKS=false)');
         }
         
-        return { inserted, updated, deleted, total: invoices.length };
+        return { inserted, updated, deleted, settled, total: invoices.length };
+    }
+
+    /**
+     * Copy invoices that have left the unpaid set into settled_invoices, recording
+     * settle date, final paid amount, days-to-pay and the reminders sent beforehand
+     */
+    async archiveSettledInvoices(orderIds) {
+        const archivedIds = [];
+        const failedIds = [];
+        const CHUNK_SIZE = 200;
+        
+        console.log(`📦 Archiving ${orderIds.length} invoices that are no longer unpaid...`);
+        
+        for (let i = 0; i < orderIds.length; i += CHUNK_SIZE) {
+            const chunk = orderIds.slice(i, i + CHUNK_SIZE);
+            
+            try {
+                const { data: cachedRows, error: cacheError } = await this.appSupabase
+                    .from('cached_invoices')
+                    .select('*')
+                    .in('id', chunk);
+                
+                if (cacheError) throw cacheError;
+                
+                const { data: emailLogs, error: logsError } = await this.appSupabase
+                    .from('email_logs')
+                    .select('id, order_id, email_type, sent_at, created_at')
+                    .in('order_id', chunk)
+                    .eq('send_status', 'sent');
+                
+                if (logsError) throw logsError;
+                
+                const settlementData = await this.brightpearlService.getSettlementDataForOrders(chunk);
+                
+                const rows = (cachedRows || []).map(cached => {
+                    const settlement = settlementData[cached.id] || {};
+                    const isPaid = settlement.isPaid === true;
+                    const settledAt = isPaid && settlement.lastPaymentDate
+                        ? new Date(settlement.lastPaymentDate)
+                        : new Date();
+                    
+                    const baseDate = cached.tax_date ? new Date(cached.tax_date) : new Date(cached.order_date);
+                    const daysToPay = isPaid
+                        ? Math.max(0, Math.floor((settledAt - baseDate) / (1000 * 60 * 60 * 24)))
+                        : null;
+                    
+                    const reminders = (emailLogs || [])
+                        .filter(log => log.order_id === cached.id)
+                        .map(log => ({
+                            email_log_id: log.id,
+                            email_type: log.email_type,
+                            sent_at: log.sent_at || log.created_at
+                        }))
+                        .filter(reminder => new Date(reminder.sent_at) <= settledAt)
+                        .sort((a, b) => new Date(a.sent_at) - new Date(b.sent_at));
+                    
+                    return {
+                        id: cached.id,
+                        order_reference: cached.order_reference,
+                        invoice_number: cached.invoice_number,
+                        order_date: cached.order_date,
+                        tax_date: cached.tax_date,
+                        billing_contact_id: cached.billing_contact_id,
+                        billing_contact_name: cached.billing_contact_name,
+                        billing_contact_email: cached.billing_contact_email,
+                        billing_company_name: cached.billing_company_name,
+                        total_amount: cached.total_amount,
+                        final_paid_amount: settlement.amountPaid !== undefined ? settlement.amountPaid : cached.paid_amount,
+                        outstanding_at_settlement: cached.outstanding_amount,
+                        settlement_type: isPaid ? 'paid' : 'removed',
+                        settled_at: settledAt.toISOString(),
+                        days_to_pay: daysToPay,
+                        reminders_sent_count: reminders.length,
+                        reminders_sent: reminders,
+                        last_reminder_at: reminders.length > 0 ? reminders[reminders.length - 1].sent_at : null,
+                        payment_link_url: cached.payment_link_url,
+                        archived_at: new Date().toISOString()
+                    };
+                });
+                
+                if (rows.length > 0) {
+                    const { error: upsertError } = await this.appSupabase
+                        .from('settled_invoices')
+                        .upsert(rows, { onConflict: 'id' });
+                    
+                    if (upsertError) throw upsertError;
+                }
+                
+                archivedIds.push(...rows.map(row => row.id));
+                
+                const paidCount = rows.filter(row => row.settlement_type === 'paid').length;
+                console.log(`✅ Archived ${rows.length} invoices (${paidCount} paid, ${rows.length - paidCount} removed)`);
+                
+            } catch (error) {
+                console.error('❌ Error archiving settled invoices:', error);
+                failedIds.push(...chunk);
+            }
+        }
+        
+        return { archivedIds, failedIds };
     }
 
     /**
@@ -192,6 +402,8 @@ class InvoiceSyncService {
             billing_contact_name: invoice.billingContact?.name,
             billing_contact_email: invoice.billingContact?.email,
             billing_company_name: invoice.billingContact?.companyName || invoice.company?.name,
+            billing_region: invoice.billingContact?.region || null,
+            billing_country: invoice.billingContact?.country || null,
             delivery_contact_name: invoice.deliveryContact?.name,
             delivery_contact_email: invoice.deliveryContact?.email,
             delivery_company_name: invoice.deliveryContact?.companyName,
@@ -471,14 +683,93 @@ class InvoiceSyncService {
         }
     }
 
+    /**
+     * Get IDs currently in cached_invoices, optionally limited to the given order IDs
+     */
+    async getCachedInvoiceIds(orderIds = null) {
+        const ids = [];
+        
+        if (Array.isArray(orderIds)) {
+            for (let i = 0; i < orderIds.length; i += this.ORDER_ID_CHUNK_SIZE) {
+                const { data, error } = await this.appSupabase
+                    .from('cached_invoices')
+                    .select('id')
+                    .in('id', orderIds.slice(i, i + this.ORDER_ID_CHUNK_SIZE));
+                
+                if (error) throw new Error(`Failed to read cached invoice IDs: ${error.message}`);
+                ids.push(...(data || []).map(row => row.id));
+            }
+            return ids;
+        }
+        
+        let offset = 0;
+        let hasMoreData = true;
+        while (hasMoreData) {
+            const { data, error } = await this.appSupabase
+                .from('cached_invoices')
+                .select('id')
+                .order('id', { ascending: true })
+                .range(offset, offset + this.FETCH_PAGE_SIZE - 1);
+            
+            if (error) throw new Error(`Failed to read cached invoice IDs: ${error.message}`);
+            
+            ids.push(...(data || []).map(row => row.id));
+            hasMoreData = data && data.length === this.FETCH_PAGE_SIZE;
+            offset += this.FETCH_PAGE_SIZE;
+        }
+        return ids;
+    }
+
+    /**
+     * Get the most recent completed sync that recorded a high-water mark
+     */
+    async getLastCompletedSync(syncType = null) {
+        let query = this.appSupabase
+            .from('sync_logs')
+            .select('id, sync_type, sync_started_at, sync_completed_at, high_water_mark')
+            .eq('status', 'completed')
+            .not('high_water_mark', 'is', null)
+            .order('sync_started_at', { ascending: false })
+            .limit(1);
+        
+        if (syncType) query = query.eq('sync_type', syncType);
+        
+        const { data, error } = await query;
+        
+        if (error) {
+            console.error('❌ Error reading last sync:', error);
+            return null;
+        }
+        
+        return data?.[0] || null;
+    }
+
+    /**
+     * A full reconciliation is due once per night: when the last completed full
+     * sync started before the most recent FULL_RECONCILIATION_HOUR
+     */
+    async isFullReconciliationDue() {
+        const lastFull = await this.getLastCompletedSync('full');
+        if (!lastFull) return true;
+        
+        const now = new Date();
+        const lastScheduled = new Date(now.getFullYear(), now.getMonth(), now.getDate(), this.FULL_RECONCILIATION_HOUR);
+        if (lastScheduled > now) {
+            lastScheduled.setDate(lastScheduled.getDate() - 1);
+        }
+        
+        return new Date(lastFull.sync_started_at) < lastScheduled;
+    }
+
     /**
      * Start a sync log entry
      */
-    async startSyncLog() {
+    async startSyncLog(syncType = 'full') {
         const { data, error } = await this.appSupabase
             .from('sync_logs')
             .insert([{
                 sync_started_at: new Date().toISOString(),
+                sync_type: syncType,
                 status: 'running'
             }])
             .select('id')
@@ -495,7 +786,7 @@ class InvoiceSyncService {
     /**
      * Complete a sync log entry
      */
-    async completeSyncLog(syncId, stats) {
+    async completeSyncLog(syncId, stats, highWaterMark = null) {
         if (!syncId) return;
         
         await this.appSupabase
@@ -506,6 +797,9 @@ class InvoiceSyncService {
                 records_updated: stats.updated,
                 records_inserted: stats.inserted,
                 records_deleted: stats.deleted,
+                records_settled: stats.settled || 0,
+                records_changed: stats.changed || 0,
+                high_water_mark: highWaterMark,
                 status: 'completed'
             })
             .eq('id', syncId);
@@ -533,7 +827,12 @@ class InvoiceSyncService {
 if (require.main === module) {
     const syncService = new InvoiceSyncService();
     
-    syncService.syncInvoiceData()
+    // Usage: node invoice-sync-service.js [--full | --incremental]
+    const mode = process.argv.includes('--full') ? 'full'
+        : process.argv.includes('--incremental') ? 'incremental'
+        : 'auto';
+    
+    syncService.syncInvoiceData({ mode })
         .then(result => {
             console.log('🏁 Sync process completed:', result);
             process.exit(result.success ? 0 : 1);
@@ -0,0 +1,418 @@
+const { createClient } = require('@supabase/supabase-js');
+const ReminderCalendarService = require('./reminder-calendar-service');
+
+const DATE_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Payment Promise Service
+ * Promise-to-pay records per order (amount, date, who promised). Open promises pause automated
+ * reminders; the promise check marks them kept or broken from the Brightpearl payment data.
+ */
+class PaymentPromiseService {
+    constructor() {
+        // App database connection (promises, cached invoices)
+        this.supabase = createClient(
+            process.env.SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_KEY,
+            {
+                auth: {
+                    autoRefreshToken: false,
+                    persistSession: false
+                }
+            }
+        );
+
+        // Brightpearl data connection (amount paid per order)
+        this.brightpearlSupabase = createClient(
+            process.env.BRIGHTPEARL_DATA_SUPABASE_URL,
+            process.env.BRIGHTPEARL_DATA_SUPABASE_SERVICE_KEY,
+            {
+                auth: {
+                    autoRefreshToken: false,
+                    persistSession: false
+                },
+                db: {
+                    schema: 'brightpearl_texonbrightpearl_12537_2'
+                }
+            }
+        );
+
+        this.reminderCalendarService = new ReminderCalendarService();
+    }
+
+    /**
+     * All promises recorded for an order, newest first
+     */
+    async getPromisesForOrder(orderId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('payment_promises')
+                .select(`
+                    *,
+                    app_users!payment_promises_created_by_fkey (
+                        first_name,
+                        last_name,
+                        email
+                    )
+                `)
+                .eq('order_id', orderId)
+                .order('created_at', { ascending: false });
+
+            if (error) {
+                console.error('❌ Error fetching payment promises:', error);
+                return { success: false, error: error.message };
+            }
+
+            return { success: true, promises: data || [] };
+        } catch (error) {
+            console.error('❌ Error in getPromisesForOrder:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Record a promise to pay. An open promise on the same order is superseded (cancelled).
+     * The amount Brightpearl shows as paid right now is kept as the baseline for the check.
+     */
+    async createPromise({ orderId, promisedAmount, promisedDate, contactName, contactMethod, notes }, userId) {
+        try {
+            const amount = Math.round(parseFloat(promisedAmount) * 100) / 100;
+            if (!orderId) {
+                return { success: false, error: 'Order ID is required' };
+            }
+            if (!(amount > 0)) {
+                return { success: false, error: 'Promised amount must be greater than zero' };
+            }
+            if (!DATE_FORMAT.test(promisedDate || '')) {
+                return { success: false, error: 'Promised date must be in YYYY-MM-DD format' };
+            }
+
+            const today = await this.reminderCalendarService.getLocalDate();
+            if (promisedDate < today) {
+                return { success: false, error: 'Promised date cannot be in the past' };
+            }
+
+            const { data: invoice } = await this.supabase
+                .from('cached_invoices')
+                .select('id, billing_contact_id, outstanding_amount')
+                .eq('id', parseInt(orderId))
+                .maybeSingle();
+
+            if (invoice && amount > parseFloat(invoice.outstanding_amount || 0) + 0.01) {
+                return { success: false, error: `Promised amount exceeds the outstanding balance of ${parseFloat(invoice.outstanding_amount || 0).toFixed(2)}` };
+            }
+
+            const amountsPaid = await this.getAmountsPaid([parseInt(orderId)]);
+
+            const { error: supersedeError } = await this.supabase
+                .from('payment_promises')
+                .update({ status: 'cancelled', resolved_at: new Date().toISOString(), cancelled_by: userId })
+                .eq('order_id', parseInt(orderId))
+                .eq('status', 'open');
+
+            if (supersedeError) {
+                console.error('❌ Error superseding open payment promise:', supersedeError);
+                return { success: false, error: supersedeError.message };
+            }
+
+            const { data, error } = await this.supabase
+                .from('payment_promises')
+                .insert({
+                    order_id: parseInt(orderId),
+                    billing_contact_id: invoice?.billing_contact_id || null,
+                    promised_amount: amount,
+                    promised_date: promisedDate,
+                    contact_name: contactName && contactName.trim() ? contactName.trim() : null,
+                    contact_method: contactMethod || null,
+                    notes: notes && notes.trim() ? notes.trim() : null,
+                    amount_paid_at_promise: amountsPaid[parseInt(orderId)] || 0,
+                    created_by: userId
+                })
+                .select()
+                .single();
+
+            if (error) {
+                console.error('❌ Error saving payment promise:', error);
+                return { success: false, error: error.message };
+            }
+
+            console.log(`🤝 Promise to pay ${amount.toFixed(2)} by ${promisedDate} recorded for order ${orderId}`);
+            return { success: true, promise: data };
+        } catch (error) {
+            console.error('❌ Error in createPromise:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Cancel an open promise (reminders resume on the next run)
+     */
+    async cancelPromise(promiseId, userId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('payment_promises')
+                .update({ status: 'cancelled', resolved_at: new Date().toISOString(), cancelled_by: userId })
+                .eq('id', promiseId)
+                .eq('status', 'open')
+                .select()
+                .maybeSingle();
+
+            if (error) {
+                console.error('❌ Error cancelling payment promise:', error);
+                return { success: false, error: error.message };
+            }
+
+            if (!data) {
+                return { success: false, error: 'Open promise not found', notFound: true };
+            }
+
+            console.log(`🚫 Payment promise ${promiseId} cancelled`);
+            return { success: true, promise: data };
+        } catch (error) {
+            console.error('❌ Error in cancelPromise:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Open promises whose date has not passed yet, optionally only for the given orders.
+     * A promise past its date stops pausing reminders even before the check marks it broken.
+     * Throws on database errors so automation runs fail safe.
+     */
+    async getActivePromises(orderIds = []) {
+        const today = await this.reminderCalendarService.getLocalDate();
+
+        let query = this.supabase
+            .from('payment_promises')
+            .select('*')
+            .eq('status', 'open')
+            .gte('promised_date', today);
+
+        if (orderIds.length > 0) {
+            query = query.in('order_id', orderIds);
+        }
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+
+        return data || [];
+    }
+
+    /**
+     * Get the open promise pausing reminders for an order, or null.
+     * Pass preloaded active promises to avoid a query per order.
+     */
+    async getPromiseForOrder(orderId, activePromises = null) {
+        const promises = activePromises || await this.getActivePromises([orderId]);
+        return promises.find(promise => promise.order_id === orderId) || null;
+    }
+
+    /**
+     * Latest promise (any status but cancelled) per order, for invoice list badges
+     */
+    async getLatestPromisesForOrders(orderIds) {
+        if (!orderIds || orderIds.length === 0) return {};
+
+        try {
+            const { data, error } = await this.supabase
+                .from('payment_promises')
+                .select('id, order_id, promised_amount, promised_date, status, amount_received')
+                .in('order_id', orderIds)
+                .neq('status', 'cancelled')
+                .order('created_at', { ascending: false });
+
+            if (error) throw error;
+
+            const latest = {};
+            (data || []).forEach(promise => {
+                if (!latest[promise.order_id]) latest[promise.order_id] = promise;
+            });
+            return latest;
+        } catch (error) {
+            console.warn('⚠️ Could not load payment promises for invoices:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Resolve open promises: kept once the payment received since the promise covers the
+     * promised amount (or the invoice is settled), broken once the promised date has passed.
+     */
+    async checkDuePromises() {
+        try {
+            const { data: openPromises, error } = await this.supabase
+                .from('payment_promises')
+                .select('*')
+                .eq('status', 'open');
+
+            if (error) throw error;
+
+            if (!openPromises?.length) {
+                return { success: true, checked: 0, kept: 0, broken: 0 };
+            }
+
+            const today = await this.reminderCalendarService.getLocalDate();
+            const orderIds = Array.from(new Set(openPromises.map(promise => promise.order_id)));
+            const amountsPaid = await this.getAmountsPaid(orderIds);
+
+            const { data: invoices, error: invoiceError } = await this.supabase
+                .from('cached_invoices')
+                .select('id, outstanding_amount')
+                .in('id', orderIds);
+
+            if (invoiceError) throw invoiceError;
+
+            const outstandingByOrder = new Map((invoices || []).map(invoice => [invoice.id, parseFloat(invoice.outstanding_amount || 0)]));
+
+            let kept = 0;
+            let broken = 0;
+
+            for (const promise of openPromises) {
+                const received = Math.round(((amountsPaid[promise.order_id] || 0) - parseFloat(promise.amount_paid_at_promise || 0)) * 100) / 100;
+                const settled = outstandingByOrder.has(promise.order_id) && outstandingByOrder.get(promise.order_id) <= 0;
+
+                let status = null;
+                if (received >= parseFloat(promise.promised_amount) - 0.01 || settled) {
+                    status = 'kept';
+                } else if (promise.promised_date < today) {
+                    status = 'broken';
+                }
+
+                const amountReceived = Math.max(received, 0);
+                if (!status && amountReceived === parseFloat(promise.amount_received ?? 0)) continue;
+
+                const update = { amount_received: amountReceived };
+                if (status) {
+                    update.status = status;
+                    update.resolved_at = new Date().toISOString();
+                }
+
+                const { error: updateError } = await this.supabase
+                    .from('payment_promises')
+                    .update(update)
+                    .eq('id', promise.id)
+                    .eq('status', 'open');
+
+                if (updateError) {
+                    console.error(`❌ Error updating payment promise ${promise.id}:`, updateError);
+                    continue;
+                }
+
+                if (status === 'kept') {
+                    kept++;
+                    console.log(`✅ Promise ${promise.id} on order ${promise.order_id} kept (${received.toFixed(2)} received)`);
+                } else if (status === 'broken') {
+                    broken++;
+                    console.log(`💔 Promise ${promise.id} on order ${promise.order_id} broken (due ${promise.promised_date}, ${received.toFixed(2)} of ${parseFloat(promise.promised_amount).toFixed(2)} received)`);
+                }
+            }
+
+            console.log(`🤝 Promise check: ${openPromises.length} open, ${kept} kept, ${broken} broken`);
+            return { success: true, checked: openPromises.length, kept, broken };
+        } catch (error) {
+            console.error('❌ Error in checkDuePromises:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Broken promises on invoices that are still unpaid and have no newer open promise,
+     * latest per order - the dashboard's follow-up list
+     */
+    async getBrokenPromises() {
+        try {
+            const { data: promises, error } = await this.supabase
+                .from('payment_promises')
+                .select('*')
+                .neq('status', 'cancelled')
+                .order('created_at', { ascending: false });
+
+            if (error) throw error;
+
+            const latestByOrder = new Map();
+            (promises || []).forEach(promise => {
+                if (!latestByOrder.has(promise.order_id)) latestByOrder.set(promise.order_id, promise);
+            });
+
+            const broken = Array.from(latestByOrder.values()).filter(promise => promise.status === 'broken');
+            if (broken.length === 0) {
+                return { success: true, promises: [] };
+            }
+
+            const { data: invoices, error: invoiceError } = await this.supabase
+                .from('cached_invoices')
+                .select('id, order_reference, invoice_number, billing_contact_id, billing_contact_name, billing_company_name, outstanding_amount, days_outstanding')
+                .in('id', broken.map(promise => promise.order_id))
+                .gt('outstanding_amount', 0);
+
+            if (invoiceError) throw invoiceError;
+
+            const invoicesById = new Map((invoices || []).map(invoice => [invoice.id, invoice]));
+
+            return {
+                success: true,
+                promises: broken
+                    .filter(promise => invoicesById.has(promise.order_id))
+                    .map(promise => ({ ...promise, invoice: invoicesById.get(promise.order_id) }))
+                    .sort((a, b) => (a.promised_date < b.promised_date ? -1 : 1))
+            };
+        } catch (error) {
+            console.error('❌ Error in getBrokenPromises:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Kept/broken promise counts per billing contact, for payment-behavior analytics
+     */
+    async getPromiseStatsByCustomer() {
+        try {
+            const { data, error } = await this.supabase
+                .from('payment_promises')
+                .select('billing_contact_id, status')
+                .in('status', ['kept', 'broken', 'open'])
+                .not('billing_contact_id', 'is', null);
+
+            if (error) throw error;
+
+            const stats = {};
+            (data || []).forEach(promise => {
+                if (!stats[promise.billing_contact_id]) {
+                    stats[promise.billing_contact_id] = { kept: 0, broken: 0, open: 0 };
+                }
+                stats[promise.billing_contact_id][promise.status]++;
+            });
+            return stats;
+        } catch (error) {
+            console.warn('⚠️ Payment promise history unavailable:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Net amount paid per order from the aggregate Brightpearl payment table.
+     * Throws on errors - a missing baseline would misjudge promises.
+     */
+    async getAmountsPaid(orderIds) {
+        const amounts = {};
+        const batchSize = 1000;
+
+        for (let i = 0; i < orderIds.length; i += batchSize) {
+            const { data, error } = await this.brightpearlSupabase
+                .from('payment')
+                .select('orderid, amountpaid')
+                .in('orderid', orderIds.slice(i, i + batchSize));
+
+            if (error) throw error;
+
+            (data || []).forEach(payment => {
+                amounts[payment.orderid] = parseFloat(payment.amountpaid || 0);
+            });
+        }
+
+        return amounts;
+    }
+}
+
+module.exports = PaymentPromiseService;
@@ -0,0 +1,120 @@
+/**
+ * Role-based permissions
+ * Maps user roles to granular permissions and provides Express middleware
+ * that checks them. Use after authenticateToken, which loads req.user.role.
+ */
+
+const PERMISSIONS = {
+    SEND_EMAIL: 'send_email',                              // Manual invoice/reminder emails
+    MANAGE_COLLECTIONS: 'manage_collections',              // Notes, reminder holds, payment links
+    ASSIGN_ACCOUNTS: 'assign_accounts',                    // Collector assignment of customer accounts and rules
+    EDIT_TEMPLATES: 'edit_templates',                      // Email templates and campaign templates
+    APPROVE_TEMPLATES: 'approve_templates',                // Approve draft template versions, require approval
+    TOGGLE_AUTOMATION: 'toggle_automation',                // Automation system, campaigns, scheduler, blackouts
+    MANAGE_USERS: 'manage_users',                          // Create/edit/delete users and roles
+    RUN_INVENTORY_COMPARISON: 'run_inventory_comparison',
+    MANAGE_SETTINGS: 'manage_settings',                    // App settings, cache sync, revenue targets
+    VIEW_AUDIT_LOG: 'view_audit_log'                       // Audit trail of every change
+};
+
+const ROLES = {
+    viewer: {
+        label: 'Viewer',
+        description: 'Read-only access to invoices, reports and analytics',
+        permissions: []
+    },
+    collector: {
+        label: 'Collector',
+        description: 'Works the collections queue: sends emails, adds notes and holds',
+        permissions: [
+            PERMISSIONS.SEND_EMAIL,
+            PERMISSIONS.MANAGE_COLLECTIONS
+        ]
+    },
+    finance_manager: {
+        label: 'Finance Manager',
+        description: 'Collector access plus account assignment, templates, email automation and inventory comparison',
+        permissions: [
+            PERMISSIONS.SEND_EMAIL,
+            PERMISSIONS.MANAGE_COLLECTIONS,
+            PERMISSIONS.ASSIGN_ACCOUNTS,
+            PERMISSIONS.EDIT_TEMPLATES,
+            PERMISSIONS.TOGGLE_AUTOMATION,
+            PERMISSIONS.RUN_INVENTORY_COMPARISON
+        ]
+    },
+    admin: {
+        label: 'Admin',
+        description: 'Full access, including user management and system settings',
+        permissions: Object.values(PERMISSIONS)
+    }
+};
+
+// Roles used before the permission model was introduced
+const LEGACY_ROLE_ALIASES = {
+    user: 'collector',
+    manager: 'finance_manager'
+};
+
+const DEFAULT_ROLE = 'collector';
+
+function normalizeRole(role) {
+    if (ROLES[role]) return role;
+    return LEGACY_ROLE_ALIASES[role] || 'viewer';
+}
+
+function isValidRole(role) {
+    return Object.prototype.hasOwnProperty.call(ROLES, role);
+}
+
+function getPermissionsForRole(role) {
+    return ROLES[normalizeRole(role)].permissions;
+}
+
+function hasPermission(user, permission) {
+    if (!user) return false;
+    return getPermissionsForRole(user.role).includes(permission);
+}
+
+/**
+ * Middleware: require at least one of the given permissions
+ * e.g. app.post(path, authenticateToken, requirePermission(PERMISSIONS.SEND_EMAIL), handler)
+ */
+function requirePermission(...permissions) {
+    return (req, res, next) => {
+        if (permissions.some(permission => hasPermission(req.user, permission))) {
+            return next();
+        }
+
+        console.log(`🚫 ${req.user?.username || 'Unknown user'} (${req.user?.role}) denied ${req.method} ${req.originalUrl} - requires ${permissions.join(' or ')}`);
+        return res.status(403).json({
+            success: false,
+            error: 'Insufficient permissions',
+            message: `Access denied. Requires permission: ${permissions.join(' or ')}`
+        });
+    };
+}
+
+/**
+ * Role definitions for the User Management screen
+ */
+function getRoleDefinitions() {
+    return Object.entries(ROLES).map(([role, definition]) => ({
+        role,
+        label: definition.label,
+        description: definition.description,
+        permissions: definition.permissions
+    }));
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    DEFAULT_ROLE,
+    normalizeRole,
+    isValidRole,
+    getPermissionsForRole,
+    hasPermission,
+    requirePermission,
+    getRoleDefinitions
+};
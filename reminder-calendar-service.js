@@ -0,0 +1,312 @@
+const { createClient } = require('@supabase/supabase-js');
+
+/**
+ * Reminder Calendar Service
+ * Company-wide blackout dates (holidays, month-end close) and per-customer or
+ * per-order holds that suppress automated reminder emails.
+ */
+class ReminderCalendarService {
+    constructor() {
+        this.supabase = createClient(
+            process.env.SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_KEY,
+            {
+                auth: {
+                    autoRefreshToken: false,
+                    persistSession: false
+                }
+            }
+        );
+
+        this.defaultTimezone = 'America/New_York';
+    }
+
+    /**
+     * Today's date (YYYY-MM-DD) in the email scheduler's timezone
+     */
+    async getLocalDate(date = new Date()) {
+        let timezone = this.defaultTimezone;
+
+        const { data } = await this.supabase
+            .from('app_settings')
+            .select('value')
+            .eq('key', 'email_schedule_timezone')
+            .single();
+
+        if (data?.value) timezone = data.value;
+
+        try {
+            return new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(date);
+        } catch (error) {
+            return new Intl.DateTimeFormat('en-CA', { timeZone: this.defaultTimezone }).format(date);
+        }
+    }
+
+    // ===== BLACKOUT DATES =====
+
+    /**
+     * Get blackout dates, optionally only those ending on or after a date
+     */
+    async getBlackouts(fromDate = null) {
+        try {
+            let query = this.supabase
+                .from('email_blackout_dates')
+                .select('*')
+                .order('start_date', { ascending: true });
+
+            if (fromDate) {
+                query = query.or(`end_date.gte.${fromDate},repeats_annually.eq.true`);
+            }
+
+            const { data, error } = await query;
+
+            if (error) {
+                console.error('❌ Error fetching blackout dates:', error);
+                return { success: false, error: error.message };
+            }
+
+            return { success: true, blackouts: data || [] };
+        } catch (error) {
+            console.error('❌ Error in getBlackouts:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Add a blackout period (single day when endDate is omitted)
+     */
+    async addBlackout({ startDate, endDate, reason, repeatsAnnually = false }, userId) {
+        try {
+            const dateFormat = /^\d{4}-\d{2}-\d{2}$/;
+            const end = endDate || startDate;
+
+            if (!dateFormat.test(startDate || '') || !dateFormat.test(end)) {
+                return { success: false, error: 'Dates must be in YYYY-MM-DD format' };
+            }
+            if (end < startDate) {
+                return { success: false, error: 'End date must be on or after start date' };
+            }
+            if (!reason || !reason.trim()) {
+                return { success: false, error: 'A reason is required' };
+            }
+
+            const { data, error } = await this.supabase
+                .from('email_blackout_dates')
+                .insert({
+                    start_date: startDate,
+                    end_date: end,
+                    reason: reason.trim(),
+                    repeats_annually: !!repeatsAnnually,
+                    created_by: userId
+                })
+                .select()
+                .single();
+
+            if (error) {
+                console.error('❌ Error saving blackout date:', error);
+                return { success: false, error: error.message };
+            }
+
+            console.log(`📅 Blackout added: ${startDate} → ${end} (${reason.trim()})`);
+            return { success: true, blackout: data };
+        } catch (error) {
+            console.error('❌ Error in addBlackout:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Delete a blackout period by ID
+     */
+    async deleteBlackout(blackoutId) {
+        try {
+            const { error } = await this.supabase
+                .from('email_blackout_dates')
+                .delete()
+                .eq('id', blackoutId);
+
+            if (error) {
+                console.error('❌ Error deleting blackout date:', error);
+                return { success: false, error: error.message };
+            }
+
+            return { success: true };
+        } catch (error) {
+            console.error('❌ Error in deleteBlackout:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Get the blackout covering a date (YYYY-MM-DD), or null
+     * Throws on database errors so automation runs fail safe.
+     */
+    async getBlackoutForDate(date) {
+        const { data, error } = await this.supabase
+            .from('email_blackout_dates')
+            .select('*')
+            .or(`and(start_date.lte.${date},end_date.gte.${date}),repeats_annually.eq.true`);
+
+        if (error) throw error;
+
+        const monthDay = date.slice(5);
+        return (data || []).find(blackout => {
+            if (!blackout.repeats_annually) {
+                return blackout.start_date <= date && blackout.end_date >= date;
+            }
+
+            const startMonthDay = blackout.start_date.slice(5);
+            const endMonthDay = blackout.end_date.slice(5);
+            // Periods spanning New Year (e.g. 12-24 → 01-02) wrap around
+            return startMonthDay <= endMonthDay
+                ? monthDay >= startMonthDay && monthDay <= endMonthDay
+                : monthDay >= startMonthDay || monthDay <= endMonthDay;
+        }) || null;
+    }
+
+    // ===== CUSTOMER / ORDER HOLDS =====
+
+    /**
+     * Active holds for an order and its customer
+     */
+    async getHoldsForOrder(orderId, billingContactId = null) {
+        try {
+            const holds = await this.getActiveHolds([orderId], billingContactId ? [billingContactId] : []);
+            return { success: true, holds };
+        } catch (error) {
+            console.error('❌ Error in getHoldsForOrder:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Active (unreleased, unexpired) holds for any of the given orders or customers,
+     * or every active hold when neither is given.
+     * Throws on database errors so automation runs fail safe.
+     */
+    async getActiveHolds(orderIds = [], billingContactIds = []) {
+        const conditions = [];
+        if (orderIds.length > 0) conditions.push(`order_id.in.(${orderIds.join(',')})`);
+        if (billingContactIds.length > 0) conditions.push(`billing_contact_id.in.(${billingContactIds.join(',')})`);
+
+        const now = new Date();
+        let query = this.supabase
+            .from('email_holds')
+            .select(`
+                *,
+                app_users!email_holds_created_by_fkey (
+                    first_name,
+                    last_name,
+                    email
+                )
+            `)
+            .is('released_at', null)
+            .order('created_at', { ascending: false });
+
+        if (conditions.length > 0) {
+            query = query.or(conditions.join(','));
+        }
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+
+        return (data || []).filter(hold => !hold.expires_at || new Date(hold.expires_at) > now);
+    }
+
+    /**
+     * Get the hold blocking reminders for an order, or null.
+     * Pass preloaded active holds to avoid a query per order.
+     */
+    async getHoldForOrder(orderId, billingContactId = null, activeHolds = null) {
+        const holds = activeHolds || await this.getActiveHolds([orderId], billingContactId ? [billingContactId] : []);
+        return holds.find(hold =>
+            (hold.hold_type === 'order' && hold.order_id === orderId) ||
+            (hold.hold_type === 'customer' && billingContactId && hold.billing_contact_id === billingContactId)
+        ) || null;
+    }
+
+    /**
+     * Place a hold on an order or on all of a customer's orders
+     */
+    async addHold({ holdType, orderId, billingContactId, reason, expiresAt }, userId) {
+        try {
+            if (!['order', 'customer'].includes(holdType)) {
+                return { success: false, error: "Hold type must be 'order' or 'customer'" };
+            }
+            if (holdType === 'order' && !orderId) {
+                return { success: false, error: 'Order ID is required for an order hold' };
+            }
+            if (holdType === 'customer' && !billingContactId) {
+                return { success: false, error: 'Billing contact ID is required for a customer hold' };
+            }
+            if (!reason || !reason.trim()) {
+                return { success: false, error: 'A reason is required' };
+            }
+
+            let expiry = null;
+            if (expiresAt) {
+                expiry = new Date(expiresAt);
+                if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+                    return { success: false, error: 'Expiry must be a future date' };
+                }
+            }
+
+            const { data, error } = await this.supabase
+                .from('email_holds')
+                .insert({
+                    hold_type: holdType,
+                    order_id: holdType === 'order' ? parseInt(orderId) : null,
+                    billing_contact_id: holdType === 'customer' ? parseInt(billingContactId) : null,
+                    reason: reason.trim(),
+                    expires_at: expiry ? expiry.toISOString() : null,
+                    created_by: userId
+                })
+                .select()
+                .single();
+
+            if (error) {
+                console.error('❌ Error saving email hold:', error);
+                return { success: false, error: error.message };
+            }
+
+            const target = holdType === 'order' ? `order ${orderId}` : `customer ${billingContactId}`;
+            console.log(`⏸️ Reminder hold placed on ${target}${expiry ? ` until ${expiry.toISOString()}` : ''}`);
+            return { success: true, hold: data };
+        } catch (error) {
+            console.error('❌ Error in addHold:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Release a hold before it expires
+     */
+    async releaseHold(holdId, userId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('email_holds')
+                .update({
+                    released_at: new Date().toISOString(),
+                    released_by: userId
+                })
+                .eq('id', holdId)
+                .is('released_at', null)
+                .select()
+                .single();
+
+            if (error) {
+                console.error('❌ Error releasing email hold:', error);
+                return { success: false, error: error.message };
+            }
+
+            console.log(`▶️ Reminder hold ${holdId} released`);
+            return { success: true, hold: data };
+        } catch (error) {
+            console.error('❌ Error in releaseHold:', error);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = ReminderCalendarService;
@@ -0,0 +1,275 @@
+const { createClient } = require('@supabase/supabase-js');
+
+/**
+ * Revenue Target Service
+ * Stores monthly revenue targets (overall and per customer segment) and the
+ * billing contact → segment assignments used to compute segment actuals.
+ */
+class RevenueTargetService {
+    constructor() {
+        this.supabase = createClient(
+            process.env.SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_KEY,
+            {
+                auth: {
+                    autoRefreshToken: false,
+                    persistSession: false
+                }
+            }
+        );
+
+        // Segment name used for company-wide targets
+        this.ALL_SEGMENT = 'all';
+    }
+
+    /**
+     * Normalize a YYYY-MM or YYYY-MM-DD value to the first day of its month
+     */
+    normalizeMonth(month) {
+        const match = /^(\d{4})-(\d{2})/.exec(month || '');
+        if (!match || parseInt(match[2]) < 1 || parseInt(match[2]) > 12) {
+            return null;
+        }
+        return `${match[1]}-${match[2]}-01`;
+    }
+
+    /**
+     * Get targets for a date range, optionally limited to one segment
+     */
+    async getTargets(startDate, endDate, segment = null) {
+        try {
+            let query = this.supabase
+                .from('revenue_targets')
+                .select('*')
+                .order('target_month', { ascending: true })
+                .order('segment', { ascending: true });
+
+            const startMonth = this.normalizeMonth(startDate);
+            const endMonth = this.normalizeMonth(endDate);
+            if (startMonth) query = query.gte('target_month', startMonth);
+            if (endMonth) query = query.lte('target_month', endMonth);
+            if (segment) query = query.eq('segment', segment);
+
+            const { data, error } = await query;
+
+            if (error) {
+                console.error('❌ Error fetching revenue targets:', error);
+                return { success: false, error: error.message };
+            }
+
+            return { success: true, targets: data || [] };
+        } catch (error) {
+            console.error('❌ Error in getTargets:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Create or update the target for a month/segment pair
+     */
+    async upsertTarget({ month, segment, targetAmount, notes }, userId) {
+        try {
+            const targetMonth = this.normalizeMonth(month);
+            if (!targetMonth) {
+                return { success: false, error: 'Month must be in YYYY-MM format' };
+            }
+
+            const amount = parseFloat(targetAmount);
+            if (isNaN(amount) || amount < 0) {
+                return { success: false, error: 'Target amount must be a non-negative number' };
+            }
+
+            const segmentName = (segment || this.ALL_SEGMENT).trim() || this.ALL_SEGMENT;
+
+            const { data, error } = await this.saveRow(
+                'revenue_targets',
+                { target_month: targetMonth, segment: segmentName },
+                { target_amount: amount, notes: notes || null },
+                userId
+            );
+
+            if (error) {
+                console.error('❌ Error saving revenue target:', error);
+                return { success: false, error: error.message };
+            }
+
+            console.log(`🎯 Revenue target saved: ${segmentName} ${targetMonth} = $${amount.toFixed(2)}`);
+            return { success: true, target: data };
+        } catch (error) {
+            console.error('❌ Error in upsertTarget:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Update the row matching `key`, or insert it when there is none. created_by is only
+     * set on insert; updated_by records the last editor.
+     * @returns {Promise<{ data: Object|null, error: Object|null }>}
+     */
+    async saveRow(table, key, fields, userId) {
+        const update = () => this.supabase
+            .from(table)
+            .update({ ...fields, updated_by: userId, updated_at: new Date().toISOString() })
+            .match(key)
+            .select()
+            .maybeSingle();
+
+        const updated = await update();
+        if (updated.error || updated.data) return updated;
+
+        const inserted = await this.supabase
+            .from(table)
+            .insert({ ...key, ...fields, created_by: userId, updated_by: userId })
+            .select()
+            .single();
+
+        // Created by someone else in the meantime
+        if (inserted.error?.code === '23505') return update();
+        return inserted;
+    }
+
+    /**
+     * Delete a target by ID
+     */
+    async deleteTarget(targetId) {
+        try {
+            const { error } = await this.supabase
+                .from('revenue_targets')
+                .delete()
+                .eq('id', targetId);
+
+            if (error) {
+                console.error('❌ Error deleting revenue target:', error);
+                return { success: false, error: error.message };
+            }
+
+            return { success: true };
+        } catch (error) {
+            console.error('❌ Error in deleteTarget:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Get all billing contact → segment assignments
+     */
+    async getSegmentAssignments() {
+        try {
+            const { data, error } = await this.supabase
+                .from('customer_segments')
+                .select('*')
+                .order('segment', { ascending: true })
+                .order('contact_name', { ascending: true });
+
+            if (error) {
+                console.error('❌ Error fetching customer segments:', error);
+                return { success: false, error: error.message };
+            }
+
+            return { success: true, assignments: data || [] };
+        } catch (error) {
+            console.error('❌ Error in getSegmentAssignments:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Get the list of known segment names (from assignments and targets)
+     */
+    async getSegments() {
+        try {
+            const [assignments, targets] = await Promise.all([
+                this.supabase.from('customer_segments').select('segment'),
+                this.supabase.from('revenue_targets').select('segment')
+            ]);
+
+            const error = assignments.error || targets.error;
+            if (error) {
+                console.error('❌ Error fetching segment names:', error);
+                return { success: false, error: error.message };
+            }
+
+            const names = new Set([this.ALL_SEGMENT]);
+            [...(assignments.data || []), ...(targets.data || [])].forEach(row => names.add(row.segment));
+
+            return { success: true, segments: Array.from(names).sort() };
+        } catch (error) {
+            console.error('❌ Error in getSegments:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Get the billing contact IDs assigned to a segment
+     */
+    async getSegmentContactIds(segment) {
+        const { data, error } = await this.supabase
+            .from('customer_segments')
+            .select('billing_contact_id')
+            .eq('segment', segment);
+
+        if (error) {
+            throw new Error(`Failed to load contacts for segment ${segment}: ${error.message}`);
+        }
+
+        return (data || []).map(row => row.billing_contact_id);
+    }
+
+    /**
+     * Assign a billing contact to a segment (replaces any existing assignment)
+     */
+    async assignSegment({ billingContactId, segment, contactName }, userId) {
+        try {
+            const contactId = parseInt(billingContactId);
+            const segmentName = (segment || '').trim();
+
+            if (!contactId) {
+                return { success: false, error: 'A valid billing contact ID is required' };
+            }
+            if (!segmentName || segmentName === this.ALL_SEGMENT) {
+                return { success: false, error: `Segment name is required and cannot be '${this.ALL_SEGMENT}'` };
+            }
+
+            const { data, error } = await this.saveRow(
+                'customer_segments',
+                { billing_contact_id: contactId },
+                { segment: segmentName, contact_name: contactName || null },
+                userId
+            );
+
+            if (error) {
+                console.error('❌ Error assigning customer segment:', error);
+                return { success: false, error: error.message };
+            }
+
+            return { success: true, assignment: data };
+        } catch (error) {
+            console.error('❌ Error in assignSegment:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Remove a billing contact from its segment
+     */
+    async removeSegmentAssignment(billingContactId) {
+        try {
+            const { error } = await this.supabase
+                .from('customer_segments')
+                .delete()
+                .eq('billing_contact_id', billingContactId);
+
+            if (error) {
+                console.error('❌ Error removing customer segment:', error);
+                return { success: false, error: error.message };
+            }
+
+            return { success: true };
+        } catch (error) {
+            console.error('❌ Error in removeSegmentAssignment:', error);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = RevenueTargetService;
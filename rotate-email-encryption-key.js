@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Email Encryption Key Rotation Script
+ *
+ * Re-encrypts every stored email credential (users' Google App Passwords and the
+ * organization sender backends' secrets) with the current EMAIL_ENCRYPTION_KEY.
+ * Values encrypted with an older key are read using EMAIL_ENCRYPTION_PREVIOUS_KEYS,
+ * so list every key still in use there before running this.
+ *
+ * Usage: node rotate-email-encryption-key.js [--dry-run]
+ */
+
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const SecretStore = require('./secret-store');
+
+// Encrypted columns to rotate
+const ENCRYPTED_COLUMNS = [
+    { table: 'user_email_settings', column: 'google_app_password', label: 'user_id' },
+    { table: 'email_sender_backends', column: 'secrets', label: 'name' }
+];
+
+async function rotateColumn(supabase, secretStore, { table, column, label }, dryRun) {
+    const { data, error } = await supabase
+        .from(table)
+        .select(`id, ${label}, ${column}`)
+        .not(column, 'is', null);
+
+    if (error) throw new Error(`Could not read ${table}: ${error.message}`);
+
+    const result = { rotated: 0, current: 0, failed: [] };
+
+    for (const row of data || []) {
+        const encrypted = row[column];
+        if (!secretStore.needsRotation(encrypted)) {
+            result.current++;
+            continue;
+        }
+
+        try {
+            const reEncrypted = secretStore.encrypt(secretStore.decrypt(encrypted));
+
+            if (!dryRun) {
+                // Only replace the value that was read, in case it changed meanwhile
+                const { error: updateError } = await supabase
+                    .from(table)
+                    .update({ [column]: reEncrypted })
+                    .eq('id', row.id)
+                    .eq(column, encrypted);
+
+                if (updateError) throw updateError;
+            }
+            result.rotated++;
+        } catch (rowError) {
+            result.failed.push(`${table} ${label} ${row[label]} (id ${row.id}): ${rowError.message}`);
+        }
+    }
+
+    return result;
+}
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+
+    console.log(`🔑 Rotating email credentials to the current encryption key${dryRun ? ' (dry run)' : ''}...`);
+    console.log(`📅 Started at: ${new Date().toLocaleString()}`);
+
+    try {
+        const secretStore = new SecretStore();
+        const supabase = createClient(
+            process.env.SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_KEY,
+            {
+                auth: {
+                    autoRefreshToken: false,
+                    persistSession: false
+                }
+            }
+        );
+
+        const failed = [];
+        for (const target of ENCRYPTED_COLUMNS) {
+            const result = await rotateColumn(supabase, secretStore, target, dryRun);
+            console.log(`   ${target.table}.${target.column}: ${result.rotated} ${dryRun ? 'to rotate' : 'rotated'}, ${result.current} already current, ${result.failed.length} failed`);
+            failed.push(...result.failed);
+        }
+
+        if (failed.length > 0) {
+            console.error('❌ These values could not be decrypted with any configured key:');
+            failed.forEach(message => console.error(`   - ${message}`));
+            console.error('   Add the key they were encrypted with to EMAIL_ENCRYPTION_PREVIOUS_KEYS and run again,');
+            console.error('   or have the user / administrator re-enter the credential.');
+            process.exit(1);
+        }
+
+        console.log(dryRun ? '✅ Dry run complete - nothing was changed' : '✅ All email credentials use the current key');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Key rotation failed:', error.message);
+        process.exit(1);
+    }
+}
+
+// Handle process termination gracefully
+process.on('SIGINT', () => {
+    console.log('\n🛑 Process interrupted by user');
+    process.exit(1);
+});
+
+process.on('SIGTERM', () => {
+    console.log('\n🛑 Process terminated');
+    process.exit(1);
+});
+
+main();
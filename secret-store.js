@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+
+const FORMAT_VERSION = 'v2';
+const MIN_KEY_LENGTH = 32;
+
+// Example values from the docs and the old built-in fallback - never accepted as the current key
+const PLACEHOLDER_KEYS = [
+    'default-key-change-in-production',
+    'your-encryption-key',
+    'your-encryption-key-for-email-passwords'
+];
+
+/**
+ * Secret Store
+ * Encrypts stored email credentials (app passwords, OAuth2 refresh tokens, API keys) with
+ * EMAIL_ENCRYPTION_KEY using AES-256-GCM. Values are stored as `v2:<keyId>:<iv>:<tag>:<data>`
+ * so the key that encrypted them is known.
+ *
+ * Key rotation: set the new key as EMAIL_ENCRYPTION_KEY, move the old one to
+ * EMAIL_ENCRYPTION_PREVIOUS_KEYS (comma-separated), restart, then run
+ * `node rotate-email-encryption-key.js` to re-encrypt every stored secret with the new key.
+ * Values from before versioning (`<iv>:<data>`, AES-256-CBC) are still read, so the same
+ * steps migrate them - list their old key, including the former built-in default, as a
+ * previous key.
+ */
+class SecretStore {
+    constructor() {
+        SecretStore.assertKeyConfigured();
+
+        this.currentKey = this.deriveKey(process.env.EMAIL_ENCRYPTION_KEY);
+        this.previousKeys = (process.env.EMAIL_ENCRYPTION_PREVIOUS_KEYS || '')
+            .split(',')
+            .map(key => key.trim())
+            .filter(Boolean)
+            .map(secret => this.deriveKey(secret));
+    }
+
+    /**
+     * Throws unless EMAIL_ENCRYPTION_KEY is set to a real key (server.js checks this at startup)
+     */
+    static assertKeyConfigured() {
+        const key = process.env.EMAIL_ENCRYPTION_KEY;
+
+        if (!key) {
+            throw new Error('EMAIL_ENCRYPTION_KEY is not set - it is required to encrypt stored email credentials');
+        }
+        if (PLACEHOLDER_KEYS.includes(key.trim())) {
+            throw new Error('EMAIL_ENCRYPTION_KEY is still a placeholder value - set a randomly generated key');
+        }
+        if (key.length < MIN_KEY_LENGTH) {
+            throw new Error(`EMAIL_ENCRYPTION_KEY must be at least ${MIN_KEY_LENGTH} characters (e.g. openssl rand -hex 32)`);
+        }
+    }
+
+    deriveKey(secret) {
+        const key = crypto.scryptSync(secret, 'texon-email-secrets', 32);
+        return {
+            id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 8),
+            key,
+            legacyKey: crypto.scryptSync(secret, 'salt', 32)
+        };
+    }
+
+    encrypt(text) {
+        try {
+            const iv = crypto.randomBytes(12);
+            const cipher = crypto.createCipheriv('aes-256-gcm', this.currentKey.key, iv);
+            const encrypted = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+
+            return [FORMAT_VERSION, this.currentKey.id, iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted.toString('hex')].join(':');
+        } catch (error) {
+            console.error('❌ Encryption error:', error);
+            throw new Error('Failed to encrypt data');
+        }
+    }
+
+    decrypt(encryptedText) {
+        const parts = String(encryptedText).split(':');
+
+        if (parts[0] === FORMAT_VERSION) {
+            const [, keyId, iv, tag, data] = parts;
+            const match = [this.currentKey, ...this.previousKeys].find(candidate => candidate.id === keyId);
+            if (!match) {
+                throw new Error(`Secret was encrypted with an unknown key (${keyId}) - add it to EMAIL_ENCRYPTION_PREVIOUS_KEYS`);
+            }
+
+            try {
+                const decipher = crypto.createDecipheriv('aes-256-gcm', match.key, Buffer.from(iv, 'hex'));
+                decipher.setAuthTag(Buffer.from(tag, 'hex'));
+                return Buffer.concat([decipher.update(Buffer.from(data, 'hex')), decipher.final()]).toString('utf8');
+            } catch (error) {
+                console.error('❌ Decryption error:', error.message);
+                throw new Error('Failed to decrypt data');
+            }
+        }
+
+        // Pre-versioning format: no key ID, so try each key
+        for (const candidate of [this.currentKey, ...this.previousKeys]) {
+            try {
+                const decipher = crypto.createDecipheriv('aes-256-cbc', candidate.legacyKey, Buffer.from(parts[0], 'hex'));
+                return decipher.update(parts.slice(1).join(':'), 'hex', 'utf8') + decipher.final('utf8');
+            } catch (error) {
+                // Wrong key - try the next one
+            }
+        }
+
+        throw new Error('Failed to decrypt data - none of the configured keys match');
+    }
+
+    encryptJson(value) {
+        return this.encrypt(JSON.stringify(value || {}));
+    }
+
+    decryptJson(encryptedText) {
+        return encryptedText ? JSON.parse(this.decrypt(encryptedText)) : {};
+    }
+
+    /**
+     * Whether a stored value was encrypted with something other than the current key/format
+     */
+    needsRotation(encryptedText) {
+        return !String(encryptedText).startsWith(`${FORMAT_VERSION}:${this.currentKey.id}:`);
+    }
+}
+
+module.exports = SecretStore;
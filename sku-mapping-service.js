@@ -0,0 +1,469 @@
+const { createClient } = require('@supabase/supabase-js');
+
+const MAX_IMPORT_ROWS = 10000;
+
+// Accepted CSV header names for each column (case-insensitive)
+const CSV_COLUMNS = {
+    brightpearlSku: ['brightpearl_sku', 'brightpearl sku', 'brightpearl'],
+    infoplusSku: ['infoplus_sku', 'infoplus sku', 'infoplus'],
+    quantityMultiplier: ['quantity_multiplier', 'quantity', 'multiplier', 'qty'],
+    notes: ['notes', 'note']
+};
+
+/**
+ * SKU Mapping Service
+ * Admin-managed Brightpearl → Infoplus SKU mappings used by the inventory comparison
+ * before it falls back to case/separator normalization. A Brightpearl SKU mapped to
+ * several Infoplus SKUs is a kit or bundle; quantity_multiplier is the number of
+ * Infoplus units in one Brightpearl unit.
+ */
+class SkuMappingService {
+    constructor() {
+        this.supabase = createClient(
+            process.env.SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_KEY,
+            {
+                auth: {
+                    autoRefreshToken: false,
+                    persistSession: false
+                }
+            }
+        );
+    }
+
+    /**
+     * All mappings, ordered by Brightpearl SKU (pages past the 1000-row PostgREST limit)
+     */
+    async getMappings() {
+        try {
+            const mappings = [];
+            const pageSize = 1000;
+
+            for (let offset = 0; ; offset += pageSize) {
+                const { data, error } = await this.supabase
+                    .from('sku_mappings')
+                    .select('*')
+                    .order('brightpearl_sku', { ascending: true })
+                    .order('infoplus_sku', { ascending: true })
+                    .range(offset, offset + pageSize - 1);
+
+                if (error) {
+                    console.error('❌ Error fetching SKU mappings:', error);
+                    return { success: false, error: error.message };
+                }
+
+                mappings.push(...(data || []));
+                if (!data || data.length < pageSize) break;
+            }
+
+            return { success: true, mappings };
+        } catch (error) {
+            console.error('❌ Error in getMappings:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Mappings keyed by lowercased Brightpearl SKU, for the inventory comparison:
+     * Map<brightpearlSku, [{ infoplusSku, quantityMultiplier }]>
+     * Returns an empty map if the table is missing or unreadable so the comparison still runs.
+     */
+    async getMappingIndex() {
+        const result = await this.getMappings();
+        const index = new Map();
+
+        if (!result.success) {
+            console.warn(`⚠️ SKU mappings unavailable, using normalization only: ${result.error}`);
+            return index;
+        }
+
+        result.mappings.forEach(mapping => {
+            const key = mapping.brightpearl_sku.trim().toLowerCase();
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push({
+                infoplusSku: mapping.infoplus_sku.trim(),
+                quantityMultiplier: parseFloat(mapping.quantity_multiplier) || 1
+            });
+        });
+
+        return index;
+    }
+
+    validateMapping({ brightpearlSku, infoplusSku, quantityMultiplier }) {
+        if (!brightpearlSku || !String(brightpearlSku).trim()) {
+            return 'Brightpearl SKU is required';
+        }
+        if (!infoplusSku || !String(infoplusSku).trim()) {
+            return 'Infoplus SKU is required';
+        }
+
+        const multiplier = quantityMultiplier === undefined || quantityMultiplier === null || quantityMultiplier === ''
+            ? 1
+            : Number(quantityMultiplier);
+        if (!Number.isFinite(multiplier) || multiplier <= 0) {
+            return 'Quantity multiplier must be a positive number';
+        }
+
+        return null;
+    }
+
+    /**
+     * Add a mapping (or update the multiplier/notes of an existing pair, matched case-insensitively)
+     */
+    async saveMapping({ brightpearlSku, infoplusSku, quantityMultiplier, notes }, userId) {
+        try {
+            const validationError = this.validateMapping({ brightpearlSku, infoplusSku, quantityMultiplier });
+            if (validationError) {
+                return { success: false, error: validationError };
+            }
+
+            const row = {
+                brightpearl_sku: String(brightpearlSku).trim(),
+                infoplus_sku: String(infoplusSku).trim(),
+                quantity_multiplier: quantityMultiplier ? Number(quantityMultiplier) : 1,
+                notes: notes ? String(notes).trim() : null
+            };
+
+            const existing = await this.findMapping(row.brightpearl_sku, row.infoplus_sku);
+
+            const query = existing
+                ? this.supabase
+                    .from('sku_mappings')
+                    .update({ quantity_multiplier: row.quantity_multiplier, notes: row.notes, updated_at: new Date().toISOString() })
+                    .eq('id', existing.id)
+                : this.supabase
+                    .from('sku_mappings')
+                    .insert({ ...row, created_by: userId });
+
+            const { data, error } = await query.select().single();
+
+            if (error) {
+                console.error('❌ Error saving SKU mapping:', error);
+                return { success: false, error: error.message };
+            }
+
+            console.log(`🔗 SKU mapping ${existing ? 'updated' : 'added'}: ${row.brightpearl_sku} → ${row.infoplus_sku} ×${row.quantity_multiplier}`);
+            return { success: true, mapping: data };
+        } catch (error) {
+            console.error('❌ Error in saveMapping:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Update a mapping by ID
+     */
+    async updateMapping(mappingId, { brightpearlSku, infoplusSku, quantityMultiplier, notes }) {
+        try {
+            const validationError = this.validateMapping({ brightpearlSku, infoplusSku, quantityMultiplier });
+            if (validationError) {
+                return { success: false, error: validationError };
+            }
+
+            const { data, error } = await this.supabase
+                .from('sku_mappings')
+                .update({
+                    brightpearl_sku: String(brightpearlSku).trim(),
+                    infoplus_sku: String(infoplusSku).trim(),
+                    quantity_multiplier: quantityMultiplier ? Number(quantityMultiplier) : 1,
+                    notes: notes ? String(notes).trim() : null,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', mappingId)
+                .select()
+                .maybeSingle();
+
+            if (error) {
+                console.error('❌ Error updating SKU mapping:', error);
+                return { success: false, error: error.message };
+            }
+
+            if (!data) {
+                return { success: false, error: 'Mapping not found', notFound: true };
+            }
+
+            return { success: true, mapping: data };
+        } catch (error) {
+            console.error('❌ Error in updateMapping:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Delete a mapping by ID
+     */
+    async deleteMapping(mappingId) {
+        try {
+            const { error } = await this.supabase
+                .from('sku_mappings')
+                .delete()
+                .eq('id', mappingId);
+
+            if (error) {
+                console.error('❌ Error deleting SKU mapping:', error);
+                return { success: false, error: error.message };
+            }
+
+            return { success: true };
+        } catch (error) {
+            console.error('❌ Error in deleteMapping:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async findMapping(brightpearlSku, infoplusSku) {
+        const { data, error } = await this.supabase
+            .from('sku_mappings')
+            .select('*')
+            .ilike('brightpearl_sku', this.escapeLike(brightpearlSku))
+            .ilike('infoplus_sku', this.escapeLike(infoplusSku))
+            .limit(1);
+
+        if (error) {
+            throw new Error(`Failed to look up SKU mapping: ${error.message}`);
+        }
+
+        return data && data.length > 0 ? data[0] : null;
+    }
+
+    /**
+     * Import mappings from CSV text. Columns: brightpearl_sku, infoplus_sku, quantity_multiplier, notes
+     * (header row required; quantity and notes are optional). Existing pairs are updated.
+     * With replaceExisting, every Brightpearl SKU in the file loses the mappings the file no
+     * longer lists (once the imported ones are saved), so a kit can be redefined by
+     * re-importing its full component list.
+     */
+    async importCsv(csvText, { replaceExisting = false } = {}, userId = null) {
+        try {
+            const rows = this.parseCsv(csvText || '');
+            if (rows.length < 2) {
+                return { success: false, error: 'The CSV needs a header row and at least one mapping' };
+            }
+            if (rows.length - 1 > MAX_IMPORT_ROWS) {
+                return { success: false, error: `Imports are limited to ${MAX_IMPORT_ROWS} rows` };
+            }
+
+            const header = rows[0].map(column => column.trim().toLowerCase());
+            const columnIndex = {};
+            Object.entries(CSV_COLUMNS).forEach(([field, names]) => {
+                columnIndex[field] = header.findIndex(column => names.includes(column));
+            });
+
+            if (columnIndex.brightpearlSku === -1 || columnIndex.infoplusSku === -1) {
+                return { success: false, error: 'The CSV header must include brightpearl_sku and infoplus_sku columns' };
+            }
+
+            const valueAt = (row, field) => (columnIndex[field] === -1 ? '' : (row[columnIndex[field]] || '').trim());
+
+            // Validate every row and collapse duplicates (the last occurrence wins)
+            const errors = [];
+            const mappingsByPair = new Map();
+            rows.slice(1).forEach((row, index) => {
+                const line = index + 2;
+                if (row.every(value => !value.trim())) return;
+
+                const mapping = {
+                    brightpearlSku: valueAt(row, 'brightpearlSku'),
+                    infoplusSku: valueAt(row, 'infoplusSku'),
+                    quantityMultiplier: valueAt(row, 'quantityMultiplier'),
+                    notes: valueAt(row, 'notes')
+                };
+
+                const validationError = this.validateMapping(mapping);
+                if (validationError) {
+                    errors.push({ line, error: validationError });
+                    return;
+                }
+
+                mappingsByPair.set(`${mapping.brightpearlSku.toLowerCase()}|${mapping.infoplusSku.toLowerCase()}`, mapping);
+            });
+
+            if (mappingsByPair.size === 0) {
+                return { success: false, error: 'No valid mappings found in the CSV', errors };
+            }
+
+            const existingResult = await this.getMappings();
+            if (!existingResult.success) {
+                return existingResult;
+            }
+
+            const importedBrightpearlSkus = new Set(Array.from(mappingsByPair.values()).map(mapping => mapping.brightpearlSku.toLowerCase()));
+            const existingByPair = new Map();
+            const idsToDelete = [];
+            existingResult.mappings.forEach(mapping => {
+                const pairKey = `${mapping.brightpearl_sku.toLowerCase()}|${mapping.infoplus_sku.toLowerCase()}`;
+                if (replaceExisting && importedBrightpearlSkus.has(mapping.brightpearl_sku.toLowerCase()) && !mappingsByPair.has(pairKey)) {
+                    idsToDelete.push(mapping.id);
+                } else {
+                    existingByPair.set(pairKey, mapping);
+                }
+            });
+
+            const inserts = [];
+            const updates = [];
+            const importedAt = new Date().toISOString();
+            mappingsByPair.forEach((mapping, pairKey) => {
+                const row = {
+                    quantity_multiplier: mapping.quantityMultiplier ? Number(mapping.quantityMultiplier) : 1,
+                    notes: mapping.notes || null,
+                    updated_at: importedAt
+                };
+                const existing = existingByPair.get(pairKey);
+                if (existing) {
+                    // The stored spelling of the pair, so the upsert hits the unique constraint
+                    updates.push({ brightpearl_sku: existing.brightpearl_sku, infoplus_sku: existing.infoplus_sku, ...row });
+                } else {
+                    inserts.push({
+                        brightpearl_sku: mapping.brightpearlSku,
+                        infoplus_sku: mapping.infoplusSku,
+                        created_by: userId,
+                        ...row
+                    });
+                }
+            });
+
+            // Write the new definitions before removing replaced rows, so a failed import
+            // never leaves a kit without its mappings
+            for (const [label, batch] of [['inserting', inserts], ['updating', updates]]) {
+                for (let i = 0; i < batch.length; i += 500) {
+                    const { error } = await this.supabase
+                        .from('sku_mappings')
+                        .upsert(batch.slice(i, i + 500), { onConflict: 'brightpearl_sku,infoplus_sku' });
+
+                    if (error) {
+                        console.error(`❌ Error ${label} imported SKU mappings:`, error);
+                        return { success: false, error: error.message };
+                    }
+                }
+            }
+
+            let removed = 0;
+            for (let i = 0; i < idsToDelete.length; i += 200) {
+                const chunk = idsToDelete.slice(i, i + 200);
+                const { error } = await this.supabase
+                    .from('sku_mappings')
+                    .delete()
+                    .in('id', chunk);
+
+                if (error) {
+                    console.error('❌ Error removing replaced SKU mappings:', error);
+                    return { success: false, error: `Mappings were imported, but replaced ones could not be removed (import again to retry): ${error.message}` };
+                }
+                removed += chunk.length;
+            }
+
+            console.log(`🔗 SKU mapping import: ${inserts.length} added, ${updates.length} updated, ${removed} removed, ${errors.length} rows skipped`);
+            return {
+                success: true,
+                added: inserts.length,
+                updated: updates.length,
+                removed,
+                skipped: errors.length,
+                errors
+            };
+        } catch (error) {
+            console.error('❌ Error in importCsv:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Heuristic (normalization) matches from the most recent comparison run whose
+     * Brightpearl SKU has no explicit mapping yet
+     */
+    async getUnconfirmedHeuristicMatches() {
+        try {
+            const { data: report, error } = await this.supabase
+                .from('inventory_reports')
+                .select('id, created_at, heuristic_matches')
+                .order('created_at', { ascending: false })
+                .limit(1)
+                .maybeSingle();
+
+            if (error) {
+                console.error('❌ Error fetching latest inventory report:', error);
+                return { success: false, error: error.message };
+            }
+
+            if (!report) {
+                return { success: true, reportId: null, matches: [] };
+            }
+
+            const mappingIndex = await this.getMappingIndex();
+            let matches = report.heuristic_matches || [];
+            if (typeof matches === 'string') {
+                try {
+                    matches = JSON.parse(matches);
+                } catch (parseError) {
+                    matches = [];
+                }
+            }
+
+            return {
+                success: true,
+                reportId: report.id,
+                reportCreatedAt: report.created_at,
+                matches: matches.filter(match => !mappingIndex.has(String(match.brightpearlSku).toLowerCase()))
+            };
+        } catch (error) {
+            console.error('❌ Error in getUnconfirmedHeuristicMatches:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF)
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Strip a UTF-8 BOM left by Excel exports
+        if (rows.length > 0 && rows[0].length > 0) {
+            rows[0][0] = rows[0][0].replace(/^\uFEFF/, '');
+        }
+
+        return rows;
+    }
+
+    escapeLike(value) {
+        return String(value).replace(/[\\%_]/g, match => `\\${match}`);
+    }
+}
+
+module.exports = SkuMappingService;
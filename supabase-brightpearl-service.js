@@ -2,6 +2,34 @@ const { createClient } = require('@supabase/supabase-js');
 const BrightpearlApiClient = require('./brightpearl-api-client');
 const PaymentLinksService = require('./payment-links-service');
 
+/**
+ * Spread an order's net amount paid (aggregate 'payment' table) over its 'customerpayment'
+ * records. Reversals are stored there as positive amounts, so records cannot simply be
+ * summed; the net is assigned to the latest records first instead, since what remains
+ * after a reversal is the money received most recently. Returns the records, newest
+ * first, with the allocated `amount` (0 for reversed ones) - the amounts always add up
+ * to netAmount.
+ */
+const allocateNetPayment = (records, netAmount) => {
+    const sorted = [...records].sort((a, b) => new Date(b.paymentdate) - new Date(a.paymentdate));
+    // Work in cents so the allocation adds up exactly
+    let remainingCents = Math.round(parseFloat(netAmount || 0) * 100);
+
+    const allocated = sorted.map(record => {
+        const recordCents = Math.max(0, Math.round(parseFloat(record.amountpaid || 0) * 100));
+        const cents = remainingCents > 0 ? Math.min(recordCents, remainingCents) : 0;
+        remainingCents -= cents;
+        return { ...record, amount: cents / 100 };
+    });
+
+    // A net amount the records do not cover (or a negative one) stays with the latest record
+    if (remainingCents !== 0 && allocated.length > 0) {
+        allocated[0].amount = (Math.round(allocated[0].amount * 100) + remainingCents) / 100;
+    }
+
+    return allocated;
+};
+
 class SupabaseBrightpearlService {
     constructor() {
         // Use the Brightpearl data Supabase instance
@@ -173,7 +201,9 @@ class SupabaseBrightpearlService {
                     deliveryaddressfullname,
                     deliverycompanyname,
                     billingemail,
-                    deliveryemail
+                    deliveryemail,
+                    billingaddressline4,
+                    billingcountry
                 `, { count: 'exact' })
             
             // Apply common filters to both query types
@@ -192,6 +222,16 @@ class SupabaseBrightpearlService {
                 console.log(`🔍 Excluding orders with status IDs: [${ignoredStatusIds.join(', ')}]`);
             }
 
+            // Restrict to specific orders (used by the incremental invoice sync)
+            if (Array.isArray(filterOptions.orderIds)) {
+                query = query.in('id', filterOptions.orderIds.length > 0 ? filterOptions.orderIds : [-1]);
+            }
+
+            // Keyset pagination by order ID (used by the full invoice sync so rows can't shift between pages)
+            if (filterOptions.afterId) {
+                query = query.gt('id', filterOptions.afterId);
+            }
+
             // Note: Days Outstanding filtering is now handled after data fetching
             // since we need to consider tax dates which come from a separate table
             // The filter is applied in post-processing after formatInvoiceData()
@@ -686,6 +726,347 @@ class SupabaseBrightpearlService {
         }
     }
 
+    /**
+     * Get actual collections per calendar month for a date range.
+     * Amounts come from the aggregate 'payment' table (net of reversals). Each order's
+     * net amount is spread over the dates of its 'customerpayment' records with
+     * allocateNetPayment, so instalments land in the months they were received and
+     * money received outside the range is not counted.
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD
+     * @param {Array<number>|null} billingContactIds - Restrict to these billing contacts (null = all customers)
+     */
+    async getMonthlyCollections(startDate, endDate, billingContactIds = null) {
+        try {
+            const batchSize = 1000;
+            let offset = 0;
+            let hasMoreData = true;
+            const orderIdSet = new Set();
+
+            console.log(`💰 Loading monthly collections from ${startDate} to ${endDate}...`);
+
+            // Orders with payment activity inside the range
+            while (hasMoreData) {
+                const { data, error } = await this.supabase
+                    .from('customerpayment')
+                    .select('orderid')
+                    .gte('paymentdate', startDate)
+                    .lte('paymentdate', `${endDate}T23:59:59`)
+                    .not('orderid', 'is', null)
+                    .order('paymentdate', { ascending: true })
+                    .range(offset, offset + batchSize - 1);
+
+                if (error) {
+                    console.error('❌ Error fetching customer payment dates:', error);
+                    return { success: false, error: error.message };
+                }
+
+                if (data && data.length > 0) {
+                    data.forEach(payment => orderIdSet.add(parseInt(payment.orderid)));
+                    hasMoreData = data.length === batchSize;
+                    offset += batchSize;
+                } else {
+                    hasMoreData = false;
+                }
+            }
+
+            let orderIds = Array.from(orderIdSet);
+
+            // Keep `.in()` filters short enough for the PostgREST URL
+            const chunkSize = 200;
+
+            if (Array.isArray(billingContactIds)) {
+                const allowedContacts = new Set(billingContactIds.map(id => parseInt(id)));
+                const segmentOrderIds = [];
+
+                for (let i = 0; i < orderIds.length && allowedContacts.size > 0; i += chunkSize) {
+                    const { data: orders, error } = await this.supabase
+                        .from('order')
+                        .select('id, billingcontactid')
+                        .in('id', orderIds.slice(i, i + chunkSize));
+
+                    if (error) {
+                        console.error('❌ Error fetching billing contacts for collections:', error);
+                        return { success: false, error: error.message };
+                    }
+
+                    (orders || []).forEach(order => {
+                        if (allowedContacts.has(parseInt(order.billingcontactid))) {
+                            segmentOrderIds.push(parseInt(order.id));
+                        }
+                    });
+                }
+
+                orderIds = segmentOrderIds;
+            }
+
+            const rangeStart = new Date(startDate);
+            const rangeEnd = new Date(`${endDate}T23:59:59`);
+            const collections = {};
+            let ordersCounted = 0;
+            let netPaidTotal = 0;
+            let allocatedTotal = 0;
+
+            for (let i = 0; i < orderIds.length; i += chunkSize) {
+                const chunk = orderIds.slice(i, i + chunkSize);
+                const [netPaid, recordsByOrder] = await Promise.all([
+                    this.getNetPaidForOrders(chunk),
+                    this.getPaymentRecordsForOrders(chunk)
+                ]);
+
+                chunk.forEach(orderId => {
+                    const net = netPaid[orderId] || 0;
+                    const allocated = allocateNetPayment(recordsByOrder[orderId] || [], net);
+                    let countedInRange = false;
+
+                    netPaidTotal += net;
+                    allocated.forEach(record => {
+                        allocatedTotal += record.amount;
+
+                        const paidOn = new Date(record.paymentdate);
+                        if (!record.amount || paidOn < rangeStart || paidOn > rangeEnd) return;
+
+                        const monthKey = `${paidOn.getFullYear()}-${String(paidOn.getMonth() + 1).padStart(2, '0')}`;
+                        collections[monthKey] = (collections[monthKey] || 0) + record.amount;
+                        countedInRange = true;
+                    });
+
+                    if (countedInRange) ordersCounted++;
+                });
+            }
+
+            // Every order's months (inside and outside the range) must add up to its net amount paid
+            if (Math.abs(netPaidTotal - allocatedTotal) > 0.005 * Math.max(1, orderIds.length)) {
+                throw new Error(`Monthly collections ($${allocatedTotal.toFixed(2)}) do not reconcile with the payment table ($${netPaidTotal.toFixed(2)})`);
+            }
+
+            console.log(`✅ Monthly collections calculated for ${ordersCounted} orders across ${Object.keys(collections).length} months`);
+
+            return {
+                success: true,
+                collections: collections,
+                ordersCounted: ordersCounted
+            };
+
+        } catch (error) {
+            console.error('❌ Error in getMonthlyCollections:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Net amount paid per order from the aggregate 'payment' table.
+     * Throws on errors - callers must not mistake a failed lookup for "nothing paid".
+     */
+    async getNetPaidForOrders(orderIds) {
+        const netPaid = {};
+
+        for (let i = 0; i < orderIds.length; i += 200) {
+            const { data, error } = await this.supabase
+                .from('payment')
+                .select('orderid, amountpaid')
+                .in('orderid', orderIds.slice(i, i + 200));
+
+            if (error) throw error;
+
+            (data || []).forEach(payment => {
+                netPaid[payment.orderid] = parseFloat(payment.amountpaid || 0);
+            });
+        }
+
+        return netPaid;
+    }
+
+    /**
+     * Every 'customerpayment' record (any date) for the given orders, keyed by order ID.
+     * Throws on errors.
+     */
+    async getPaymentRecordsForOrders(orderIds) {
+        const recordsByOrder = {};
+        const batchSize = 1000;
+
+        for (let i = 0; i < orderIds.length; i += 200) {
+            let offset = 0;
+            let hasMoreData = true;
+
+            while (hasMoreData) {
+                const { data, error } = await this.supabase
+                    .from('customerpayment')
+                    .select('*')
+                    .in('orderid', orderIds.slice(i, i + 200))
+                    .order('paymentdate', { ascending: true })
+                    .range(offset, offset + batchSize - 1);
+
+                if (error) throw error;
+
+                (data || []).forEach(record => {
+                    (recordsByOrder[record.orderid] = recordsByOrder[record.orderid] || []).push(record);
+                });
+
+                hasMoreData = (data || []).length === batchSize;
+                offset += batchSize;
+            }
+        }
+
+        return recordsByOrder;
+    }
+
+    /**
+     * Get IDs of sales orders changed since a timestamp, either because the order
+     * itself was updated (updatedon) or because a payment was recorded against it.
+     * Returns the latest order updatedon seen as the next high-water mark.
+     * @param {string} since - ISO timestamp
+     */
+    async getChangedOrderIds(since) {
+        try {
+            const batchSize = 1000;
+            const changedIds = new Set();
+            let highWaterMark = since;
+
+            let offset = 0;
+            let hasMoreData = true;
+            while (hasMoreData) {
+                const { data, error } = await this.supabase
+                    .from('order')
+                    .select('id, updatedon')
+                    .eq('ordertypecode', 'SO')
+                    .gt('updatedon', since)
+                    .order('updatedon', { ascending: true })
+                    .range(offset, offset + batchSize - 1);
+
+                if (error) {
+                    console.error('❌ Error fetching changed orders:', error);
+                    return { success: false, error: error.message };
+                }
+
+                if (data && data.length > 0) {
+                    data.forEach(order => {
+                        changedIds.add(order.id);
+                        if (new Date(order.updatedon) > new Date(highWaterMark)) {
+                            highWaterMark = order.updatedon;
+                        }
+                    });
+                    hasMoreData = data.length === batchSize;
+                    offset += batchSize;
+                } else {
+                    hasMoreData = false;
+                }
+            }
+
+            const ordersChanged = changedIds.size;
+
+            // Payments recorded since the last run (Brightpearl does not always bump the order's updatedon)
+            offset = 0;
+            hasMoreData = true;
+            while (hasMoreData) {
+                const { data, error } = await this.supabase
+                    .from('customerpayment')
+                    .select('orderid')
+                    .gte('paymentdate', since.split('T')[0])
+                    .not('orderid', 'is', null)
+                    .range(offset, offset + batchSize - 1);
+
+                if (error) {
+                    console.error('❌ Error fetching recent payments:', error);
+                    return { success: false, error: error.message };
+                }
+
+                if (data && data.length > 0) {
+                    data.forEach(payment => changedIds.add(payment.orderid));
+                    hasMoreData = data.length === batchSize;
+                    offset += batchSize;
+                } else {
+                    hasMoreData = false;
+                }
+            }
+
+            console.log(`🔄 Found ${changedIds.size} changed orders since ${since} (${ordersChanged} updated, ${changedIds.size - ordersChanged} via payments)`);
+
+            return {
+                success: true,
+                orderIds: Array.from(changedIds),
+                highWaterMark: highWaterMark
+            };
+
+        } catch (error) {
+            console.error('❌ Error in getChangedOrderIds:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Get settlement details for orders that have left the unpaid set:
+     * current payment status, net amount paid and the date of the last payment.
+     * Throws when any of it cannot be loaded - an order missing from the result is
+     * archived as removed and its paid amount is stored for good, so a failed lookup
+     * must not look like either.
+     */
+    async getSettlementDataForOrders(orderIds) {
+        if (!orderIds || orderIds.length === 0) {
+            return {};
+        }
+
+        try {
+            const settlementByOrder = {};
+            const chunkSize = 200;
+
+            for (let i = 0; i < orderIds.length; i += chunkSize) {
+                const chunk = orderIds.slice(i, i + chunkSize);
+
+                const { data: orders, error: orderError } = await this.supabase
+                    .from('order')
+                    .select('id, orderpaymentstatus, isdeleted, orderstatusid')
+                    .in('id', chunk);
+
+                if (orderError) {
+                    console.error('❌ Error fetching order settlement status:', orderError);
+                    throw new Error(`Failed to load order settlement status: ${orderError.message}`);
+                }
+
+                const { data: payments, error: paymentError } = await this.supabase
+                    .from('customerpayment')
+                    .select('orderid, paymentdate')
+                    .in('orderid', chunk);
+
+                if (paymentError) {
+                    console.error('❌ Error fetching customer payment dates:', paymentError);
+                    throw new Error(`Failed to load customer payment dates: ${paymentError.message}`);
+                }
+
+                const lastPaymentDates = {};
+                (payments || []).forEach(payment => {
+                    const current = lastPaymentDates[payment.orderid];
+                    if (payment.paymentdate && (!current || new Date(payment.paymentdate) > new Date(current))) {
+                        lastPaymentDates[payment.orderid] = payment.paymentdate;
+                    }
+                });
+
+                // Throws too - a failed lookup would otherwise archive settled invoices as paying nothing
+                const paidAmounts = await this.getNetPaidForOrders(chunk);
+
+                (orders || []).forEach(order => {
+                    settlementByOrder[order.id] = {
+                        paymentStatus: order.orderpaymentstatus,
+                        isPaid: order.orderpaymentstatus === 'PAID',
+                        isDeleted: order.isdeleted === true,
+                        orderStatusId: order.orderstatusid,
+                        amountPaid: paidAmounts[order.id] || 0,
+                        lastPaymentDate: lastPaymentDates[order.id] || null
+                    };
+                });
+            }
+
+            return settlementByOrder;
+
+        } catch (error) {
+            console.error('❌ Error in getSettlementDataForOrders:', error);
+            throw error;
+        }
+    }
+
     /**
      * Search for order IDs that have matching invoice numbers
      */
@@ -921,7 +1302,9 @@ class SupabaseBrightpearlService {
                     name: invoice.billingaddressfullname || `Billing Contact ${invoice.billingcontactid || 'Unknown'}`,
                     email: invoice.billingemail || `billing${invoice.billingcontactid || 'unknown'}@example.com`,
                     firstName: (invoice.billingaddressfullname || '').split(' ')[0] || 'Billing',
-                    lastName: (invoice.billingaddressfullname || '').split(' ').slice(1).join(' ') || (invoice.billingcontactid || 'Unknown')
+                    lastName: (invoice.billingaddressfullname || '').split(' ').slice(1).join(' ') || (invoice.billingcontactid || 'Unknown'),
+                    region: invoice.billingaddressline4 || null, // State / county
+                    country: invoice.billingcountry || null
                 },
                 // Delivery Contact Information
                 deliveryContact: {
@@ -1029,4 +1412,5 @@ class SupabaseBrightpearlService {
 
 }
 
-module.exports = SupabaseBrightpearlService;
\ No newline at end of file
+module.exports = SupabaseBrightpearlService;
+module.exports.allocateNetPayment = allocateNetPayment;
@@ -0,0 +1,358 @@
+/**
+ * Template Engine
+ * Renders email subject and body templates. Replaces the blind `{KEY}` regex substitution:
+ *
+ *   {CUSTOMER_NAME}                      variable ({{CUSTOMER_NAME}} also works)
+ *   {AMOUNT_DUE|currency}                variable through filters: currency, number:2, date, date:long,
+ *                                        date:iso, upper, lower, default:"text", escape, nl2br, raw
+ *   {#INVOICES}...{/INVOICES}            loop over a list; the item's fields are in scope inside
+ *   {#HAS_PAYMENTS}...{/HAS_PAYMENTS}    block shown only when the value is set (not empty, false or zero)
+ *   {^HAS_PAYMENTS}...{/HAS_PAYMENTS}    block shown only when the value is not set
+ *
+ * Unknown variables render as nothing instead of going out verbatim; validate() flags them
+ * before a template is saved. In 'html' format every value is HTML-escaped unless it goes through
+ * the `raw` filter.
+ */
+
+// Variables every email template can use (list fields are available inside the loop)
+const TEMPLATE_VARIABLES = {
+    ORDER_ID: 'Brightpearl order ID',
+    CUSTOMER_NAME: 'Billing contact name',
+    COMPANY_NAME: 'Our company name',
+    SENDER_NAME: 'Name of the person or account sending the email',
+    ORDER_REFERENCE: 'Order reference',
+    INVOICE_NUMBER: 'Invoice number',
+    TOTAL_AMOUNT: 'Invoice total',
+    TOTAL_PAID: 'Amount paid so far',
+    AMOUNT_DUE: 'Amount outstanding',
+    PAYMENT_STATUS: 'PARTIALLY PAID or PAID IN FULL',
+    PAYMENT_HISTORY: 'Payments as a ready-made bullet list',
+    HAS_PAYMENTS: 'Set when at least one payment was received',
+    DAYS_OUTSTANDING: 'Days since the invoice date',
+    TAX_DATE: 'Invoice date',
+    PAYMENT_LINK: 'Online payment link',
+    OPT_OUT_LINK: 'One-click unsubscribe link',
+    PREFERENCES_LINK: 'Email preference page link',
+    INVOICE_COUNT: 'Number of invoices in the email',
+    PAYMENTS: {
+        description: 'Payments received (loop)',
+        fields: {
+            PAYMENT_DATE: 'Payment date',
+            PAYMENT_AMOUNT: 'Amount paid',
+            PAYMENT_METHOD: 'Payment method code'
+        }
+    },
+    INVOICES: {
+        description: 'Invoices in the email; one item for single-invoice emails (loop)',
+        fields: {
+            INVOICE_NUMBER: 'Invoice number',
+            ORDER_REFERENCE: 'Order reference',
+            TOTAL_AMOUNT: 'Invoice total',
+            AMOUNT_DUE: 'Amount outstanding',
+            DAYS_OUTSTANDING: 'Days since the invoice date',
+            TAX_DATE: 'Invoice date',
+            PAYMENT_LINK: 'Online payment link'
+        }
+    },
+    LINE_ITEMS: {
+        description: 'Order line items (loop)',
+        fields: {
+            SKU: 'Product SKU',
+            PRODUCT_NAME: 'Product name',
+            QUANTITY: 'Quantity',
+            UNIT_PRICE: 'Unit price',
+            LINE_TOTAL: 'Line total including tax'
+        }
+    }
+};
+
+const FILTERS = ['currency', 'number', 'date', 'upper', 'lower', 'default', 'escape', 'nl2br', 'raw'];
+
+const TAG_PATTERN = /\{\{?\s*([#^/]?)([A-Z][A-Z0-9_]*)((?:\s*\|\s*[a-z0-9]+(?::(?:"[^"]*"|[^|}"]*))?)*)\s*\}?\}/g;
+const FILTER_PATTERN = /\|\s*([a-z0-9]+)(?::("[^"]*"|[^|]*))?/g;
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Amounts arrive both as numbers and as pre-formatted strings ("150.00", "$1,234.50")
+const toNumber = (value) => {
+    if (typeof value === 'number') return value;
+    const number = parseFloat(String(value).replace(/[$,\s]/g, ''));
+    return Number.isNaN(number) ? null : number;
+};
+
+const toDate = (value) => {
+    if (value instanceof Date) return value;
+    // Date-only values are calendar dates, not UTC midnight
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const isEmpty = (value) => {
+    if (value === undefined || value === null || value === false || value === '') return true;
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'number') return value === 0;
+    if (typeof value === 'string' && /^\s*\$?\s*-?[\d,]*\.?\d+\s*$/.test(value)) return toNumber(value) === 0;
+    return false;
+};
+
+class TemplateEngine {
+    /**
+     * Render a template. `format: 'html'` escapes every value that is not marked `raw`.
+     */
+    render(template, variables = {}, { format = 'text' } = {}) {
+        if (!template) return '';
+
+        const { nodes } = this.parse(template);
+        const unknown = new Set();
+        const output = this.renderNodes(nodes, [variables], format, unknown);
+
+        if (unknown.size > 0) {
+            console.warn(`⚠️ Template references unknown variables: ${[...unknown].join(', ')}`);
+        }
+
+        return output;
+    }
+
+    /**
+     * Check a template before it is saved: balanced sections, known filters and variables.
+     * @returns {{ valid: boolean, errors: string[], unknownVariables: string[] }}
+     */
+    validate(template, knownVariables = TEMPLATE_VARIABLES) {
+        const { nodes, errors } = this.parse(template || '');
+        const unknownVariables = new Set();
+
+        const walk = (nodeList, scopes) => {
+            nodeList.forEach(node => {
+                if (node.type === 'text') return;
+
+                const known = scopes.some(scope => Object.prototype.hasOwnProperty.call(scope, node.name));
+                if (!known) unknownVariables.add(node.name);
+
+                (node.filters || []).forEach(filter => {
+                    if (!FILTERS.includes(filter.name)) {
+                        errors.push(`Unknown filter "${filter.name}" on ${node.name}`);
+                    }
+                });
+
+                if (node.children) {
+                    const fields = scopes.map(scope => scope[node.name]).find(entry => entry && entry.fields);
+                    walk(node.children, fields ? [fields.fields, ...scopes] : scopes);
+                }
+            });
+        };
+        walk(nodes, [knownVariables]);
+
+        unknownVariables.forEach(name => errors.push(`Unknown variable {${name}}`));
+
+        return {
+            valid: errors.length === 0,
+            errors,
+            unknownVariables: [...unknownVariables]
+        };
+    }
+
+    /**
+     * Split a template into text, variable and section nodes. Structural problems are
+     * reported in `errors`; rendering still does its best (unclosed sections end at the
+     * end of the template, stray closing tags are dropped).
+     */
+    parse(template) {
+        const root = { children: [] };
+        const stack = [root];
+        const errors = [];
+        let lastIndex = 0;
+        let match;
+
+        TAG_PATTERN.lastIndex = 0;
+        while ((match = TAG_PATTERN.exec(template)) !== null) {
+            const [tag, sigil, name, filterText] = match;
+            const current = stack[stack.length - 1];
+
+            if (match.index > lastIndex) {
+                current.children.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+            }
+            lastIndex = match.index + tag.length;
+
+            if (sigil === '#' || sigil === '^') {
+                const section = { type: sigil === '#' ? 'section' : 'inverted', name, children: [] };
+                current.children.push(section);
+                stack.push(section);
+            } else if (sigil === '/') {
+                if (stack.length > 1 && current.name === name) {
+                    stack.pop();
+                } else {
+                    errors.push(`Closing tag {/${name}} has no matching opening tag`);
+                }
+            } else {
+                current.children.push({ type: 'variable', name, filters: this.parseFilters(filterText) });
+            }
+        }
+
+        if (lastIndex < template.length) {
+            stack[stack.length - 1].children.push({ type: 'text', value: template.slice(lastIndex) });
+        }
+
+        stack.slice(1).forEach(section => errors.push(`Section {#${section.name}} is never closed with {/${section.name}}`));
+
+        return { nodes: root.children, errors };
+    }
+
+    parseFilters(filterText) {
+        const filters = [];
+        let match;
+
+        FILTER_PATTERN.lastIndex = 0;
+        while ((match = FILTER_PATTERN.exec(filterText || '')) !== null) {
+            const arg = match[2] === undefined ? null : match[2].trim().replace(/^"(.*)"$/, '$1');
+            filters.push({ name: match[1], arg });
+        }
+
+        return filters;
+    }
+
+    renderNodes(nodes, scopes, format, unknown) {
+        return nodes.map(node => {
+            if (node.type === 'text') return node.value;
+
+            const value = this.lookup(node.name, scopes, unknown);
+
+            if (node.type === 'variable') {
+                return this.applyFilters(value, node.filters, format);
+            }
+
+            if (node.type === 'inverted') {
+                return isEmpty(value) ? this.renderNodes(node.children, scopes, format, unknown) : '';
+            }
+
+            if (isEmpty(value)) return '';
+
+            if (Array.isArray(value)) {
+                return value.map(item => this.renderNodes(
+                    node.children,
+                    item && typeof item === 'object' ? [item, ...scopes] : scopes,
+                    format,
+                    unknown
+                )).join('');
+            }
+
+            return this.renderNodes(node.children, typeof value === 'object' ? [value, ...scopes] : scopes, format, unknown);
+        }).join('');
+    }
+
+    lookup(name, scopes, unknown) {
+        const scope = scopes.find(s => Object.prototype.hasOwnProperty.call(s, name));
+        if (!scope) {
+            unknown.add(name);
+            return undefined;
+        }
+        return scope[name];
+    }
+
+    applyFilters(value, filters, format) {
+        let result = value === undefined || value === null ? '' : value;
+        let safe = false;
+
+        for (const { name, arg } of filters) {
+            switch (name) {
+                case 'currency': {
+                    const number = toNumber(result);
+                    if (number !== null && result !== '') {
+                        result = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(number);
+                    }
+                    break;
+                }
+                case 'number': {
+                    const number = toNumber(result);
+                    if (number !== null && result !== '') {
+                        const decimals = arg !== null ? parseInt(arg) || 0 : undefined;
+                        result = number.toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals ?? 2 });
+                    }
+                    break;
+                }
+                case 'date': {
+                    const date = result === '' ? null : toDate(result);
+                    if (date) {
+                        if (arg === 'iso') {
+                            result = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+                        } else if (arg === 'long') {
+                            result = date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+                        } else {
+                            result = date.toLocaleDateString('en-US');
+                        }
+                    }
+                    break;
+                }
+                case 'upper':
+                    result = String(result).toUpperCase();
+                    break;
+                case 'lower':
+                    result = String(result).toLowerCase();
+                    break;
+                case 'default':
+                    if (isEmpty(result)) result = arg || '';
+                    break;
+                case 'escape':
+                    result = safe ? result : escapeHtml(result);
+                    safe = true;
+                    break;
+                case 'nl2br':
+                    result = (safe ? String(result) : escapeHtml(result)).replace(/\r?\n/g, '<br>');
+                    safe = true;
+                    break;
+                case 'raw':
+                    safe = true;
+                    break;
+                default:
+                    // Unknown filters are reported by validate(); rendering skips them
+                    break;
+            }
+        }
+
+        return format === 'html' && !safe ? escapeHtml(result) : String(result);
+    }
+}
+
+/**
+ * Payment template variables from Brightpearl payment rows
+ */
+function buildPaymentVariables(payments) {
+    const rows = (payments || []).map(payment => ({
+        PAYMENT_DATE: new Date(payment.paymentdate).toLocaleDateString(),
+        PAYMENT_AMOUNT: parseFloat(payment.amountpaid || 0).toFixed(2),
+        PAYMENT_METHOD: payment.paymentmethodcode || 'Other'
+    }));
+
+    return {
+        PAYMENTS: rows,
+        HAS_PAYMENTS: rows.length > 0,
+        PAYMENT_HISTORY: rows.length > 0
+            ? rows.map(row => `• ${row.PAYMENT_DATE}: $${row.PAYMENT_AMOUNT} (${row.PAYMENT_METHOD})`).join('\n')
+            : 'No payments recorded.'
+    };
+}
+
+/**
+ * Line item template variables from Brightpearl order rows (EnhancedPDFService.getOrderRows)
+ */
+function buildLineItemVariables(orderRows) {
+    return {
+        LINE_ITEMS: (orderRows || []).map(row => ({
+            SKU: row.actualSku || '',
+            PRODUCT_NAME: row.productname || row.fullProductName || 'Item',
+            QUANTITY: String(row.qty || 1),
+            UNIT_PRICE: parseFloat(row.unitprice || 0).toFixed(2),
+            LINE_TOTAL: (parseFloat(row.netvalue || 0) + parseFloat(row.taxvalue || 0)).toFixed(2)
+        }))
+    };
+}
+
+module.exports = TemplateEngine;
+module.exports.TEMPLATE_VARIABLES = TEMPLATE_VARIABLES;
+module.exports.buildPaymentVariables = buildPaymentVariables;
+module.exports.buildLineItemVariables = buildLineItemVariables;
+module.exports.escapeHtml = escapeHtml;
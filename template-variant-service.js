@@ -0,0 +1,309 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Days after the email within which a payment counts as a conversion
+const CONVERSION_WINDOWS = [7, 14];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 1000;
+const CHUNK_SIZE = 200;
+
+const VARIANT_FIELDS = 'id, campaign_id, variant_name, weight, subject_template, body_template, html_body_template, use_layout, is_active, created_at, updated_at';
+
+/**
+ * Template Variant Service
+ * A/B testing of campaign emails: a campaign can hold several template variants with a
+ * traffic split (weights). processScheduledEmails picks a variant per send and records it
+ * on the automated_email_schedule row; the conversion report compares variants on how many
+ * of their invoices were paid within 7 and 14 days of the email, using settled_invoices
+ * (invoices that left the unpaid set, with the last payment date as settled_at).
+ */
+class TemplateVariantService {
+    constructor() {
+        this.supabase = createClient(
+            process.env.SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_KEY,
+            {
+                auth: {
+                    autoRefreshToken: false,
+                    persistSession: false
+                }
+            }
+        );
+    }
+
+    /**
+     * All variants of a campaign, active first
+     */
+    async listVariants(campaignId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('email_template_variants')
+                .select(VARIANT_FIELDS)
+                .eq('campaign_id', campaignId)
+                .order('is_active', { ascending: false })
+                .order('created_at', { ascending: true });
+
+            if (error) throw error;
+
+            return { success: true, variants: data || [] };
+        } catch (error) {
+            console.error(`❌ Error listing template variants of campaign ${campaignId}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async createVariant(campaignId, fields, userId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('email_template_variants')
+                .insert({ ...fields, campaign_id: campaignId, created_by: userId })
+                .select(VARIANT_FIELDS)
+                .single();
+
+            if (error) {
+                if (error.code === '23505') {
+                    return { success: false, error: 'This campaign already has a variant with that name', conflict: true };
+                }
+                throw error;
+            }
+
+            console.log(`🧪 Template variant "${data.variant_name}" added to campaign ${campaignId}`);
+            return { success: true, variant: data };
+        } catch (error) {
+            console.error(`❌ Error creating template variant for campaign ${campaignId}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Update a variant. Variants are retired (is_active false) rather than deleted, so their
+     * sends stay in the conversion report.
+     */
+    async updateVariant(campaignId, variantId, fields) {
+        try {
+            const { data, error } = await this.supabase
+                .from('email_template_variants')
+                .update({ ...fields, updated_at: new Date().toISOString() })
+                .eq('id', variantId)
+                .eq('campaign_id', campaignId)
+                .select(VARIANT_FIELDS)
+                .maybeSingle();
+
+            if (error) {
+                if (error.code === '23505') {
+                    return { success: false, error: 'This campaign already has a variant with that name', conflict: true };
+                }
+                throw error;
+            }
+            if (!data) {
+                return { success: false, error: 'Variant not found', notFound: true };
+            }
+
+            console.log(`🧪 Template variant "${data.variant_name}" of campaign ${campaignId} updated`);
+            return { success: true, variant: data };
+        } catch (error) {
+            console.error(`❌ Error updating template variant ${variantId}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Active variants with a share of the traffic, grouped by campaign ID
+     * @returns {Promise<Map<number, Array>>}
+     */
+    async getActiveVariantsByCampaign(campaignIds) {
+        const byCampaign = new Map();
+        if (campaignIds.length === 0) return byCampaign;
+
+        const { data, error } = await this.supabase
+            .from('email_template_variants')
+            .select(VARIANT_FIELDS)
+            .in('campaign_id', campaignIds)
+            .eq('is_active', true)
+            .gt('weight', 0);
+
+        if (error) throw error;
+
+        for (const variant of data || []) {
+            if (!byCampaign.has(variant.campaign_id)) byCampaign.set(variant.campaign_id, []);
+            byCampaign.get(variant.campaign_id).push(variant);
+        }
+        return byCampaign;
+    }
+
+    /**
+     * Weighted random pick; weights are relative, so they need not add up to 100
+     */
+    pickVariant(variants) {
+        const totalWeight = (variants || []).reduce((sum, variant) => sum + variant.weight, 0);
+        if (totalWeight <= 0) return null;
+
+        let roll = Math.random() * totalWeight;
+        for (const variant of variants) {
+            roll -= variant.weight;
+            if (roll < 0) return variant;
+        }
+        return variants[variants.length - 1];
+    }
+
+    /**
+     * Record the variant on the schedule rows before sending, so retries reuse it
+     */
+    async assignVariant(scheduleIds, variantId) {
+        const { error } = await this.supabase
+            .from('automated_email_schedule')
+            .update({ variant_id: variantId, updated_at: new Date().toISOString() })
+            .in('id', scheduleIds);
+
+        if (error) throw error;
+    }
+
+    /**
+     * Template fields for EmailService.sendEmail's templateOverride, or null for the control
+     * variant (which sends the campaign's live template)
+     */
+    getTemplateOverride(variant) {
+        if (!variant || !variant.subject_template) return null;
+
+        return {
+            subject_template: variant.subject_template,
+            body_template: variant.body_template || '',
+            html_body_template: variant.html_body_template || null,
+            use_layout: variant.use_layout !== false
+        };
+    }
+
+    /**
+     * Compare the variants of a campaign on the share of emailed invoices paid within each
+     * conversion window. An email counts once its window has passed. Invoices that were
+     * already settled when the email went out, or that left the unpaid set without being
+     * paid (cancelled, deleted) within the window, are left out.
+     */
+    async getConversionReport(campaignId) {
+        try {
+            const variantsResult = await this.listVariants(campaignId);
+            if (!variantsResult.success) throw new Error(variantsResult.error);
+
+            const sends = await this.getVariantSends(campaignId);
+            const settlements = await this.getSettlements([...new Set(sends.map(send => send.order_id))]);
+            const now = Date.now();
+
+            const variants = variantsResult.variants.map(variant => {
+                const variantSends = sends.filter(send => send.variant_id === variant.id);
+                const daysToPay = [];
+
+                const windows = CONVERSION_WINDOWS.map(days => {
+                    let eligible = 0;
+                    let paid = 0;
+                    let pending = 0;
+
+                    for (const send of variantSends) {
+                        const sentAt = new Date(send.sent_at).getTime();
+                        const windowEnd = sentAt + days * DAY_MS;
+                        const settlement = settlements.get(String(send.order_id));
+                        const settledAt = settlement ? new Date(settlement.settled_at).getTime() : null;
+
+                        if (settlement && settledAt < sentAt) continue;
+                        if (settlement?.settlement_type === 'removed' && settledAt <= windowEnd) continue;
+
+                        if (windowEnd > now) {
+                            pending++;
+                            continue;
+                        }
+
+                        eligible++;
+                        if (settlement?.settlement_type === 'paid' && settledAt <= windowEnd) paid++;
+                    }
+
+                    return {
+                        days,
+                        eligible,
+                        paid,
+                        pending,
+                        rate: eligible > 0 ? Math.round((paid / eligible) * 1000) / 10 : null
+                    };
+                });
+
+                for (const send of variantSends) {
+                    const settlement = settlements.get(String(send.order_id));
+                    const sentAt = new Date(send.sent_at).getTime();
+                    if (settlement?.settlement_type === 'paid' && new Date(settlement.settled_at).getTime() >= sentAt) {
+                        daysToPay.push((new Date(settlement.settled_at).getTime() - sentAt) / DAY_MS);
+                    }
+                }
+
+                return {
+                    id: variant.id,
+                    variant_name: variant.variant_name,
+                    weight: variant.weight,
+                    is_active: variant.is_active,
+                    is_control: !variant.subject_template,
+                    sent: variantSends.length,
+                    windows,
+                    averageDaysToPay: daysToPay.length > 0
+                        ? Math.round((daysToPay.reduce((sum, days) => sum + days, 0) / daysToPay.length) * 10) / 10
+                        : null
+                };
+            });
+
+            return { success: true, windows: CONVERSION_WINDOWS, variants };
+        } catch (error) {
+            console.error(`❌ Error building variant report for campaign ${campaignId}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Sent emails of a campaign that were assigned a variant
+     */
+    async getVariantSends(campaignId) {
+        const sends = [];
+        let offset = 0;
+
+        while (true) {
+            const { data, error } = await this.supabase
+                .from('automated_email_schedule')
+                .select('id, order_id, variant_id, sent_at')
+                .eq('campaign_id', campaignId)
+                .eq('status', 'sent')
+                .eq('is_test', false)
+                .not('variant_id', 'is', null)
+                .not('sent_at', 'is', null)
+                .order('id', { ascending: true })
+                .range(offset, offset + PAGE_SIZE - 1);
+
+            if (error) throw error;
+
+            sends.push(...(data || []));
+            if (!data || data.length < PAGE_SIZE) break;
+            offset += PAGE_SIZE;
+        }
+
+        return sends;
+    }
+
+    /**
+     * settled_invoices rows of the given orders, keyed by order ID
+     * @returns {Promise<Map<string, { settlement_type: string, settled_at: string }>>}
+     */
+    async getSettlements(orderIds) {
+        const settlements = new Map();
+
+        for (let i = 0; i < orderIds.length; i += CHUNK_SIZE) {
+            const { data, error } = await this.supabase
+                .from('settled_invoices')
+                .select('id, settlement_type, settled_at')
+                .in('id', orderIds.slice(i, i + CHUNK_SIZE));
+
+            if (error) throw error;
+
+            for (const row of data || []) {
+                settlements.set(String(row.id), row);
+            }
+        }
+
+        return settlements;
+    }
+}
+
+module.exports = TemplateVariantService;
+module.exports.CONVERSION_WINDOWS = CONVERSION_WINDOWS;
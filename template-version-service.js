@@ -0,0 +1,392 @@
+const { createClient } = require('@supabase/supabase-js');
+
+const APPROVAL_SETTING_KEY = 'template_approval_required';
+
+const VERSION_SELECT = `
+    id, template_type, version_number, subject_template, body_template, html_body_template,
+    use_layout, change_note, status, restored_from_version_id, created_at, approved_at,
+    author:app_users!email_template_versions_created_by_fkey (
+        first_name,
+        last_name,
+        email
+    ),
+    approver:app_users!email_template_versions_approved_by_fkey (
+        first_name,
+        last_name,
+        email
+    )
+`;
+
+// Fields compared by the version diff (use_layout is shown as a changed/unchanged flag)
+const DIFF_FIELDS = {
+    subject_template: 'Subject',
+    html_body_template: 'HTML body',
+    body_template: 'Plain-text body'
+};
+
+/**
+ * Template Version Service
+ * Every template save becomes an immutable row in email_template_versions. The active
+ * version's content is copied into email_templates, which is what every send reads.
+ * With approval required (app_settings.template_approval_required), saves are drafts until
+ * someone with the approve permission approves them.
+ */
+class TemplateVersionService {
+    constructor() {
+        this.supabase = createClient(
+            process.env.SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_KEY,
+            {
+                auth: {
+                    autoRefreshToken: false,
+                    persistSession: false
+                }
+            }
+        );
+    }
+
+    /**
+     * Throws when the setting cannot be read, so saves fail instead of skipping approval
+     */
+    async isApprovalRequired() {
+        const { data, error } = await this.supabase
+            .from('app_settings')
+            .select('value')
+            .eq('key', APPROVAL_SETTING_KEY)
+            .maybeSingle();
+
+        if (error) {
+            throw new Error(`Could not read template approval setting: ${error.message}`);
+        }
+
+        return data?.value === 'true';
+    }
+
+    async setApprovalRequired(required) {
+        try {
+            const { error } = await this.supabase
+                .from('app_settings')
+                .upsert({ key: APPROVAL_SETTING_KEY, value: String(required) }, { onConflict: 'key' });
+
+            if (error) throw error;
+
+            console.log(`📝 Template approval ${required ? 'required' : 'no longer required'}`);
+            return { success: true, approvalRequired: required };
+        } catch (error) {
+            console.error('❌ Error saving template approval setting:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Version history of a template type, newest first
+     */
+    async listVersions(templateType) {
+        try {
+            const [versionsResult, templateResult, approvalRequired] = await Promise.all([
+                this.supabase
+                    .from('email_template_versions')
+                    .select(VERSION_SELECT)
+                    .eq('template_type', templateType)
+                    .order('version_number', { ascending: false }),
+                this.supabase
+                    .from('email_templates')
+                    .select('active_version_id')
+                    .eq('template_type', templateType)
+                    .maybeSingle(),
+                this.isApprovalRequired()
+            ]);
+
+            if (versionsResult.error) throw versionsResult.error;
+            if (templateResult.error) throw templateResult.error;
+
+            return {
+                success: true,
+                versions: versionsResult.data || [],
+                activeVersionId: templateResult.data?.active_version_id || null,
+                approvalRequired
+            };
+        } catch (error) {
+            console.error(`❌ Error listing versions of template ${templateType}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Save template content as a new version. It goes live right away unless approval is
+     * required, in which case it stays a draft.
+     * @param {Object} content - subject_template, body_template, html_body_template, use_layout
+     */
+    async saveVersion(templateType, templateName, content, userId, { changeNote = null } = {}) {
+        try {
+            await this.ensureBaselineVersion(templateType);
+
+            const status = await this.isApprovalRequired() ? 'draft' : 'approved';
+            const version = await this.insertVersion(templateType, content, userId, { status, changeNote });
+
+            if (status === 'approved') {
+                await this.activateVersion(version, templateName);
+            }
+
+            console.log(`📝 Template ${templateType} saved as version ${version.version_number} (${status}) by user ${userId}`);
+            return { success: true, version, activated: status === 'approved' };
+        } catch (error) {
+            console.error(`❌ Error saving template ${templateType}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Approve a draft and make it the active version
+     */
+    async approveVersion(templateType, versionId, templateName, userId) {
+        try {
+            const version = await this.getVersion(templateType, versionId);
+            if (!version) {
+                return { success: false, error: 'Version not found', notFound: true };
+            }
+            if (version.status !== 'draft') {
+                return { success: false, error: 'Only drafts can be approved' };
+            }
+
+            const { data, error } = await this.supabase
+                .from('email_template_versions')
+                .update({ status: 'approved', approved_by: userId, approved_at: new Date().toISOString() })
+                .eq('id', version.id)
+                .eq('status', 'draft')
+                .select(VERSION_SELECT)
+                .single();
+
+            if (error) throw error;
+
+            await this.activateVersion(data, templateName);
+
+            console.log(`✅ Template ${templateType} version ${data.version_number} approved by user ${userId}`);
+            return { success: true, version: data, activated: true };
+        } catch (error) {
+            console.error(`❌ Error approving template version ${versionId}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Roll back: save an earlier version's content as a new version. Content that was approved
+     * before goes live immediately; a restored draft still needs approval when that is required.
+     */
+    async restoreVersion(templateType, versionId, templateName, userId) {
+        try {
+            const source = await this.getVersion(templateType, versionId);
+            if (!source) {
+                return { success: false, error: 'Version not found', notFound: true };
+            }
+
+            const status = source.status === 'approved' || !(await this.isApprovalRequired()) ? 'approved' : 'draft';
+            const version = await this.insertVersion(templateType, source, userId, {
+                status,
+                changeNote: `Rollback to version ${source.version_number}`,
+                restoredFromVersionId: source.id
+            });
+
+            if (status === 'approved') {
+                await this.activateVersion(version, templateName);
+            }
+
+            console.log(`⏪ Template ${templateType} rolled back to version ${source.version_number} by user ${userId}`);
+            return { success: true, version, activated: status === 'approved' };
+        } catch (error) {
+            console.error(`❌ Error restoring template version ${versionId}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Line diff between two versions of the same template, per field
+     */
+    async diffVersions(templateType, fromVersionId, toVersionId) {
+        try {
+            const [from, to] = await Promise.all([
+                this.getVersion(templateType, fromVersionId),
+                this.getVersion(templateType, toVersionId)
+            ]);
+
+            if (!from || !to) {
+                return { success: false, error: 'Version not found', notFound: true };
+            }
+
+            const fields = Object.entries(DIFF_FIELDS).map(([field, label]) => {
+                const lines = this.diffLines(from[field] || '', to[field] || '');
+                return { field, label, changed: lines.some(line => line.type !== 'same'), lines };
+            });
+
+            return {
+                success: true,
+                from,
+                to,
+                fields,
+                layoutChanged: from.use_layout !== to.use_layout
+            };
+        } catch (error) {
+            console.error(`❌ Error diffing template versions ${fromVersionId} and ${toVersionId}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Longest-common-subsequence line diff
+     * @returns {Array<{ type: 'same'|'added'|'removed', text: string }>}
+     */
+    diffLines(before, after) {
+        const a = before ? before.split('\n') : [];
+        const b = after ? after.split('\n') : [];
+        const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const lines = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                lines.push({ type: 'same', text: a[i] });
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                lines.push({ type: 'removed', text: a[i++] });
+            } else {
+                lines.push({ type: 'added', text: b[j++] });
+            }
+        }
+        while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+        while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+        return lines;
+    }
+
+    async getVersion(templateType, versionId) {
+        const { data, error } = await this.supabase
+            .from('email_template_versions')
+            .select(VERSION_SELECT)
+            .eq('id', versionId)
+            .eq('template_type', templateType)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Templates edited before versioning existed get their current content recorded as
+     * version 1, so the first versioned save can still be rolled back
+     */
+    async ensureBaselineVersion(templateType) {
+        const { count, error } = await this.supabase
+            .from('email_template_versions')
+            .select('id', { count: 'exact', head: true })
+            .eq('template_type', templateType);
+
+        if (error) throw error;
+        if (count > 0) return;
+
+        const { data: current, error: templateError } = await this.supabase
+            .from('email_templates')
+            .select('template_name, subject_template, body_template, html_body_template, use_layout')
+            .eq('template_type', templateType)
+            .maybeSingle();
+
+        if (templateError) throw templateError;
+        if (!current) return; // Still on the built-in default - nothing stored to keep
+
+        const baseline = await this.insertVersion(templateType, current, null, {
+            status: 'approved',
+            changeNote: 'Template before versioning'
+        });
+        await this.activateVersion(baseline, current.template_name);
+    }
+
+    async insertVersion(templateType, content, userId, { status, changeNote = null, restoredFromVersionId = null }) {
+        const { data: latest, error: latestError } = await this.supabase
+            .from('email_template_versions')
+            .select('version_number')
+            .eq('template_type', templateType)
+            .order('version_number', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (latestError) throw latestError;
+
+        const now = new Date().toISOString();
+        const { data, error } = await this.supabase
+            .from('email_template_versions')
+            .insert({
+                template_type: templateType,
+                version_number: (latest?.version_number || 0) + 1,
+                subject_template: content.subject_template,
+                body_template: content.body_template,
+                html_body_template: content.html_body_template || null,
+                use_layout: content.use_layout !== false,
+                change_note: changeNote || null,
+                status,
+                restored_from_version_id: restoredFromVersionId,
+                created_by: userId,
+                approved_by: status === 'approved' ? userId : null,
+                approved_at: status === 'approved' ? now : null
+            })
+            .select(VERSION_SELECT)
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                throw new Error('The template was saved by someone else at the same time - reload and try again');
+            }
+            throw error;
+        }
+
+        return data;
+    }
+
+    /**
+     * Copy a version's content into email_templates (creating the row for templates still
+     * on the built-in default)
+     */
+    async activateVersion(version, templateName) {
+        const fields = {
+            subject_template: version.subject_template,
+            body_template: version.body_template,
+            html_body_template: version.html_body_template,
+            use_layout: version.use_layout,
+            active_version_id: version.id,
+            updated_at: new Date().toISOString()
+        };
+
+        const { data, error } = await this.supabase
+            .from('email_templates')
+            .update(fields)
+            .eq('template_type', version.template_type)
+            .select('id')
+            .maybeSingle();
+
+        if (error) throw error;
+        if (data) return;
+
+        const { error: insertError } = await this.supabase
+            .from('email_templates')
+            .insert({
+                ...fields,
+                template_type: version.template_type,
+                template_name: templateName || version.template_type,
+                is_active: true,
+                is_default: true
+            });
+
+        if (insertError) throw insertError;
+    }
+}
+
+module.exports = TemplateVersionService;
+module.exports.APPROVAL_SETTING_KEY = APPROVAL_SETTING_KEY;
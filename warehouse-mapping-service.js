@@ -0,0 +1,111 @@
+const { createClient } = require('@supabase/supabase-js');
+
+/**
+ * Warehouse Mapping Service
+ * Pairs Brightpearl warehouses with Infoplus warehouses so the inventory comparison
+ * can compare stock per location as well as per SKU.
+ */
+class WarehouseMappingService {
+    constructor() {
+        this.supabase = createClient(
+            process.env.SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_KEY,
+            {
+                auth: {
+                    autoRefreshToken: false,
+                    persistSession: false
+                }
+            }
+        );
+    }
+
+    async getMappings() {
+        try {
+            const { data, error } = await this.supabase
+                .from('warehouse_mappings')
+                .select('*')
+                .order('brightpearl_warehouse_name', { ascending: true });
+
+            if (error) {
+                console.error('❌ Error fetching warehouse mappings:', error);
+                return { success: false, error: error.message };
+            }
+
+            return { success: true, mappings: data || [] };
+        } catch (error) {
+            console.error('❌ Error in getMappings:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Mappings for the inventory comparison; empty if the table is missing so the
+     * comparison falls back to SKU totals only
+     */
+    async getActiveMappings() {
+        const result = await this.getMappings();
+        if (!result.success) {
+            console.warn(`⚠️ Warehouse mappings unavailable, comparing SKU totals only: ${result.error}`);
+            return [];
+        }
+        return result.mappings;
+    }
+
+    async addMapping({ brightpearlWarehouseId, brightpearlWarehouseName, infoplusWarehouseId, infoplusWarehouseName }, userId) {
+        try {
+            const brightpearlId = parseInt(brightpearlWarehouseId);
+            const infoplusId = parseInt(infoplusWarehouseId);
+
+            if (!brightpearlId || !infoplusId) {
+                return { success: false, error: 'Both a Brightpearl and an Infoplus warehouse are required' };
+            }
+
+            const { data, error } = await this.supabase
+                .from('warehouse_mappings')
+                .insert({
+                    brightpearl_warehouse_id: brightpearlId,
+                    brightpearl_warehouse_name: brightpearlWarehouseName || null,
+                    infoplus_warehouse_id: infoplusId,
+                    infoplus_warehouse_name: infoplusWarehouseName || null,
+                    created_by: userId
+                })
+                .select()
+                .single();
+
+            if (error) {
+                console.error('❌ Error saving warehouse mapping:', error);
+                const message = error.code === '23505'
+                    ? 'One of these warehouses is already mapped'
+                    : error.message;
+                return { success: false, error: message };
+            }
+
+            console.log(`🏭 Warehouse mapping added: Brightpearl ${brightpearlId} ↔ Infoplus ${infoplusId}`);
+            return { success: true, mapping: data };
+        } catch (error) {
+            console.error('❌ Error in addMapping:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async deleteMapping(mappingId) {
+        try {
+            const { error } = await this.supabase
+                .from('warehouse_mappings')
+                .delete()
+                .eq('id', mappingId);
+
+            if (error) {
+                console.error('❌ Error deleting warehouse mapping:', error);
+                return { success: false, error: error.message };
+            }
+
+            return { success: true };
+        } catch (error) {
+            console.error('❌ Error in deleteMapping:', error);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = WarehouseMappingService;